@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./storage");
+
+// ================================
+// Activity Log
+// ================================
+//
+// Every change to a user's todos and lists is kept as an entry in
+// <dataDir>/activity_<userId>.log, one JSON line per entry, oldest first:
+//
+//   { id, at, action, todoId, title, changes, source }   (todos)
+//   { id, at, action, listId, name, changes, source }    (lists)
+//
+// where changes maps each changed field to { from, to } and source describes
+// the request that made the change. Entries are kept for retentionDays and
+// only the newest maxEntries per user. New entries are appended, and the file
+// is rewritten without the dropped ones once it grows well past the number of
+// entries kept.
+//
+// Options:
+//   retentionDays - how long entries are kept (default 90)
+//   maxEntries    - entries kept per user (default 1000)
+//   fsync         - flush every write to disk
+
+// What an entry records happened to its todo or list
+const ACTIONS = ["created", "updated", "deleted", "restored", "purged"];
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createActivityLog(dataDir, options = {}) {
+	const retentionMs =
+		(options.retentionDays || DEFAULT_RETENTION_DAYS) * DAY_MS;
+	const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+	const fsync = Boolean(options.fsync);
+
+	// Loaded logs by user: { entries, nextId, lines } where lines counts the
+	// lines in the file (Infinity if it has to be rewritten before appending)
+	const logs = new Map();
+	const writeQueues = new Map();
+
+	function getLogFile(userId) {
+		return path.join(dataDir, `activity_${userId}.log`);
+	}
+
+	// Every entry is written with a trailing newline, so a final line without
+	// one is a torn append from a crash and is skipped (and later rewritten)
+	function readEntries(userId) {
+		const logFile = getLogFile(userId);
+		if (!fs.existsSync(logFile)) {
+			return { entries: [], lines: 0 };
+		}
+
+		const lines = fs.readFileSync(logFile, "utf8").split("\n");
+		const tornLine = lines.pop();
+		const entries = [];
+		lines.forEach((line) => {
+			try {
+				entries.push(JSON.parse(line));
+			} catch (error) {
+				// A damaged line only loses that entry
+			}
+		});
+		return { entries, lines: tornLine ? Infinity : lines.length };
+	}
+
+	// Drop entries past the retention period or the entry limit
+	function prune(log) {
+		const cutoff = new Date(Date.now() - retentionMs).toISOString();
+		const firstKept = log.entries.findIndex((entry) => entry.at >= cutoff);
+		const start = Math.max(
+			firstKept === -1 ? log.entries.length : firstKept,
+			log.entries.length - maxEntries,
+		);
+		if (start > 0) {
+			log.entries = log.entries.slice(start);
+		}
+	}
+
+	function getLog(userId) {
+		let log = logs.get(userId);
+		if (!log) {
+			const { entries, lines } = readEntries(userId);
+			const lastEntry = entries[entries.length - 1];
+			log = { entries, lines, nextId: lastEntry ? lastEntry.id + 1 : 1 };
+			logs.set(userId, log);
+		}
+		prune(log);
+		return log;
+	}
+
+	// Write the entries up to lastId, newLines being the ones not written yet
+	async function writeLines(userId, log, newLines, lastId) {
+		const logFile = getLogFile(userId);
+		// Rewrite the whole file once it is mostly dropped entries. Entries
+		// recorded after lastId are left to their own (queued) write.
+		if (log.lines + newLines.length > log.entries.length * 2 + 100) {
+			const contents = log.entries
+				.filter((entry) => entry.id <= lastId)
+				.map((entry) => JSON.stringify(entry));
+			await writeFileAtomic(
+				logFile,
+				contents.length > 0 ? contents.join("\n") + "\n" : "",
+				{ fsync },
+			);
+			log.lines = contents.length;
+			return;
+		}
+
+		const handle = await fs.promises.open(logFile, "a");
+		try {
+			await handle.writeFile(newLines.join("\n") + "\n", "utf8");
+			if (fsync) {
+				await handle.sync();
+			}
+		} finally {
+			await handle.close();
+		}
+		log.lines += newLines.length;
+	}
+
+	// Add entries (without id and at) for the user. Resolves once they are on
+	// disk; the entries are readable right away.
+	function record(userId, entries) {
+		if (entries.length === 0) {
+			return Promise.resolve();
+		}
+
+		const log = getLog(userId);
+		const at = new Date().toISOString();
+		const added = entries.map((entry) => ({ id: log.nextId++, at, ...entry }));
+		log.entries.push(...added);
+		prune(log);
+		const newLines = added.map((entry) => JSON.stringify(entry));
+		const lastId = added[added.length - 1].id;
+
+		const previousWrite = writeQueues.get(userId) || Promise.resolve();
+		const write = previousWrite
+			.catch(() => {})
+			.then(() => writeLines(userId, log, newLines, lastId))
+			.catch((error) => {
+				// The file may now end mid-line - rewrite it in full next time
+				log.lines = Infinity;
+				throw error;
+			});
+		writeQueues.set(userId, write);
+		const dequeue = () => {
+			if (writeQueues.get(userId) === write) {
+				writeQueues.delete(userId);
+			}
+		};
+		write.then(dequeue, dequeue);
+		return write;
+	}
+
+	// The user's entries, newest first, optionally only those matching filter
+	// (e.g. { todoId: 3 })
+	function getEntries(userId, filter = {}) {
+		const keys = Object.keys(filter);
+		return getLog(userId)
+			.entries.filter((entry) =>
+				keys.every((key) => entry[key] === filter[key]),
+			)
+			.reverse();
+	}
+
+	// Forget the user's loaded log; it is read again when next needed. A log
+	// with a write in progress is kept so entries are not numbered twice.
+	function evict(userId) {
+		if (!writeQueues.has(userId)) {
+			logs.delete(userId);
+		}
+	}
+
+	return { record, getEntries, evict };
+}
+
+module.exports = { createActivityLog, ACTIONS };
@@ -0,0 +1,192 @@
+// ================================
+// Productivity Analytics
+// ================================
+//
+// The history behind GET /todos/stats/history, worked out from the todos'
+// createdAt and completedAt:
+//   daily, weekly - todos created and completed per day (the last `days`
+//                   days) and per week (the last `weeks` weeks, starting on
+//                   Monday), today's day and week last
+//   leadTime      - how long the todos completed in the daily range took,
+//                   from creation to completion, overall and by priority
+//   streaks       - runs of consecutive days with at least one completion;
+//                   the current one is still alive if the last completion
+//                   was yesterday
+// Days are calendar days in the requested IANA time zone. Todos completed
+// before completedAt was recorded have none and only count as created.
+
+const PRIORITIES = ["high", "medium", "low"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+// A function formatting a moment as its YYYY-MM-DD date in timeZone
+function createDateFormatter(timeZone) {
+	const formatter = new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+	});
+	return (date) => {
+		const parts = Object.fromEntries(
+			formatter.formatToParts(date).map((part) => [part.type, part.value]),
+		);
+		return `${parts.year}-${parts.month}-${parts.day}`;
+	};
+}
+
+// Date arithmetic on YYYY-MM-DD strings (calendar days, no time zone)
+function addDays(dateString, days) {
+	const [year, month, day] = dateString.split("-").map(Number);
+	return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS)
+		.toISOString()
+		.slice(0, 10);
+}
+
+// The Monday of the week a date is in
+function getWeekStart(dateString) {
+	const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+	return addDays(dateString, -((weekday + 6) % 7));
+}
+
+// Count how many of the dates fall on each key (e.g. each week)
+function countBy(dates, toKey = (date) => date) {
+	const counts = new Map();
+	dates.forEach((date) => {
+		const key = toKey(date);
+		counts.set(key, (counts.get(key) || 0) + 1);
+	});
+	return counts;
+}
+
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+// { count, averageHours, medianHours } of lead times in hours (null averages
+// without any)
+function summarizeLeadTimes(hours) {
+	if (hours.length === 0) {
+		return { count: 0, averageHours: null, medianHours: null };
+	}
+	const sorted = [...hours].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	const median =
+		sorted.length % 2 === 1
+			? sorted[middle]
+			: (sorted[middle - 1] + sorted[middle]) / 2;
+	return {
+		count: sorted.length,
+		averageHours: roundHours(
+			sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+		),
+		medianHours: roundHours(median),
+	};
+}
+
+// Current and longest runs of consecutive completion days
+function computeStreaks(completionDates, today) {
+	const days = [...new Set(completionDates)].sort();
+	let longest = 0;
+	let run = 0;
+	days.forEach((date, index) => {
+		run = index > 0 && addDays(days[index - 1], 1) === date ? run + 1 : 1;
+		longest = Math.max(longest, run);
+	});
+
+	const completed = new Set(days);
+	let current = 0;
+	let date = completed.has(today) ? today : addDays(today, -1);
+	while (completed.has(date)) {
+		current++;
+		date = addDays(date, -1);
+	}
+
+	return {
+		current,
+		longest,
+		lastCompletionDate: days.length > 0 ? days[days.length - 1] : null,
+	};
+}
+
+// Options: timeZone (default UTC), days and weeks (series lengths), now
+function computeHistory(todos, options = {}) {
+	const timeZone = options.timeZone || "UTC";
+	const days = options.days || 30;
+	const weeks = options.weeks || 12;
+	const toDate = createDateFormatter(timeZone);
+	const today = toDate(options.now || new Date());
+
+	const completedTodos = todos.filter(
+		(todo) => todo.completed && todo.completedAt,
+	);
+	const createdDates = todos.map((todo) => toDate(new Date(todo.createdAt)));
+	const completionDates = completedTodos.map((todo) =>
+		toDate(new Date(todo.completedAt)),
+	);
+
+	const createdPerDay = countBy(createdDates);
+	const completedPerDay = countBy(completionDates);
+	const daily = Array.from({ length: days }, (_, index) => {
+		const date = addDays(today, index - days + 1);
+		return {
+			date,
+			created: createdPerDay.get(date) || 0,
+			completed: completedPerDay.get(date) || 0,
+		};
+	});
+
+	const createdPerWeek = countBy(createdDates, getWeekStart);
+	const completedPerWeek = countBy(completionDates, getWeekStart);
+	const thisWeek = getWeekStart(today);
+	const weekly = Array.from({ length: weeks }, (_, index) => {
+		const weekStart = addDays(thisWeek, (index - weeks + 1) * 7);
+		return {
+			weekStart,
+			created: createdPerWeek.get(weekStart) || 0,
+			completed: completedPerWeek.get(weekStart) || 0,
+		};
+	});
+
+	// Lead times of the todos completed in the daily range. Imported todos
+	// can claim a completion before their creation; those count as 0.
+	const firstDay = daily[0].date;
+	const leadTimes = completedTodos
+		.filter((todo, index) => completionDates[index] >= firstDay)
+		.map((todo) => ({
+			priority: todo.priority,
+			hours: Math.max(
+				0,
+				(Date.parse(todo.completedAt) - Date.parse(todo.createdAt)) / HOUR_MS,
+			),
+		}));
+	const hoursOf = (entries) => entries.map((entry) => entry.hours);
+
+	return {
+		timeZone,
+		today,
+		daily,
+		weekly,
+		leadTime: {
+			...summarizeLeadTimes(hoursOf(leadTimes)),
+			byPriority: Object.fromEntries(
+				PRIORITIES.map((priority) => [
+					priority,
+					summarizeLeadTimes(
+						hoursOf(leadTimes.filter((entry) => entry.priority === priority)),
+					),
+				]),
+			),
+		},
+		streaks: computeStreaks(completionDates, today),
+	};
+}
+
+module.exports = { computeHistory, isValidTimeZone };
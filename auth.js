@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { createJsonFileWriter, readWithRecovery } = require("./storage");
+
+const scrypt = promisify(crypto.scrypt);
+
+// ================================
+// Accounts & Token Authentication
+// ================================
+//
+// Accounts live in <dataDir>/accounts.json together with their active
+// sessions. A bearer token is "<payload>.<signature>": the payload names the
+// session, the signature is an HMAC over it. A token is accepted only while
+// its signature is valid, it has not expired and its session still exists,
+// so logging out revokes it immediately.
+
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const PASSWORD_KEY_LENGTH = 64;
+
+// Raised for registration/login failures, carries the HTTP status to send
+class AuthError extends Error {
+	constructor(message, statusCode) {
+		super(message);
+		this.name = "AuthError";
+		this.statusCode = statusCode;
+	}
+}
+
+// Hash a password as "scrypt$<salt>$<hash>" (hex encoded)
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+	return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+	const [scheme, salt, hash] = passwordHash.split("$");
+	if (scheme !== "scrypt") {
+		return false;
+	}
+
+	const expected = Buffer.from(hash, "hex");
+	const actual = await scrypt(
+		password,
+		Buffer.from(salt, "hex"),
+		expected.length,
+	);
+	return crypto.timingSafeEqual(actual, expected);
+}
+
+function createAuth(dataDir, options = {}) {
+	const accountsFile = path.join(dataDir, "accounts.json");
+	const tokenTtl = options.tokenTtl || TOKEN_TTL_MS;
+	const secret = options.secret || loadSecret();
+
+	const data = readWithRecovery(accountsFile, JSON.parse, options.logger) || {
+		accounts: {},
+		sessions: {},
+	};
+
+	// User IDs owned by an account, checked on every anonymous request
+	const claimedUserIds = new Set(
+		Object.values(data.accounts).map((account) => account.userId),
+	);
+
+	const accountsWriter = createJsonFileWriter(accountsFile, {
+		fsync: Boolean(options.fsync),
+	});
+
+	// Use AUTH_SECRET when configured, otherwise a random secret kept next to
+	// the data so tokens stay valid across restarts
+	function loadSecret() {
+		const secretFile = path.join(dataDir, "auth_secret");
+		if (fs.existsSync(secretFile)) {
+			return fs.readFileSync(secretFile, "utf8").trim();
+		}
+
+		const generated = crypto.randomBytes(32).toString("hex");
+		fs.writeFileSync(secretFile, generated, { encoding: "utf8", mode: 0o600 });
+		return generated;
+	}
+
+	function persist() {
+		// Drop expired sessions whenever the file is rewritten
+		const now = Date.now();
+		Object.keys(data.sessions).forEach((sessionId) => {
+			if (data.sessions[sessionId].expiresAt <= now) {
+				delete data.sessions[sessionId];
+			}
+		});
+
+		return accountsWriter.write(data);
+	}
+
+	function sign(payload) {
+		return crypto
+			.createHmac("sha256", secret)
+			.update(payload)
+			.digest("base64url");
+	}
+
+	async function createSession(account) {
+		const sessionId = crypto.randomBytes(16).toString("hex");
+		const expiresAt = Date.now() + tokenTtl;
+		data.sessions[sessionId] = { username: account.username, expiresAt };
+		await persist();
+
+		const payload = Buffer.from(
+			JSON.stringify({ sid: sessionId, exp: expiresAt }),
+		).toString("base64url");
+		return {
+			token: `${payload}.${sign(payload)}`,
+			expiresAt: new Date(expiresAt).toISOString(),
+			user: publicAccount(account),
+		};
+	}
+
+	function publicAccount(account) {
+		return {
+			username: account.username,
+			userId: account.userId,
+			createdAt: account.createdAt,
+		};
+	}
+
+	function findAccount(username) {
+		const key = username.toLowerCase();
+		return Object.prototype.hasOwnProperty.call(data.accounts, key)
+			? data.accounts[key]
+			: null;
+	}
+
+	// True when an account owns this user ID, so the bare ID is no longer enough
+	function isClaimed(userId) {
+		return claimedUserIds.has(userId);
+	}
+
+	// Create an account. claimUserId adopts existing anonymous data.
+	async function register(username, password, claimUserId = null) {
+		if (findAccount(username)) {
+			throw new AuthError("Username is already taken", 409);
+		}
+		if (claimUserId && isClaimed(claimUserId)) {
+			throw new AuthError("This user ID already belongs to an account", 409);
+		}
+
+		const account = {
+			username,
+			userId: claimUserId || `acct_${crypto.randomBytes(12).toString("hex")}`,
+			passwordHash: await hashPassword(password),
+			createdAt: new Date().toISOString(),
+		};
+
+		// Check again - another registration may have finished while hashing
+		if (findAccount(username) || isClaimed(account.userId)) {
+			throw new AuthError("Username or user ID was just taken", 409);
+		}
+		data.accounts[username.toLowerCase()] = account;
+		claimedUserIds.add(account.userId);
+
+		try {
+			return await createSession(account);
+		} catch (error) {
+			// Account was never written, so forget it
+			delete data.accounts[username.toLowerCase()];
+			claimedUserIds.delete(account.userId);
+			throw error;
+		}
+	}
+
+	async function login(username, password) {
+		const account = findAccount(username);
+		const valid =
+			account && (await verifyPassword(password, account.passwordHash));
+
+		if (!valid) {
+			throw new AuthError("Invalid username or password", 401);
+		}
+		return createSession(account);
+	}
+
+	// Resolve a bearer token to its session, or null if it is not valid
+	function verifyToken(token) {
+		const [payload, signature] = String(token).split(".");
+		if (!payload || !signature) {
+			return null;
+		}
+
+		const expected = Buffer.from(sign(payload));
+		const actual = Buffer.from(signature);
+		if (
+			expected.length !== actual.length ||
+			!crypto.timingSafeEqual(expected, actual)
+		) {
+			return null;
+		}
+
+		let claims;
+		try {
+			claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+		} catch (error) {
+			return null;
+		}
+
+		const session = Object.prototype.hasOwnProperty.call(
+			data.sessions,
+			claims.sid,
+		)
+			? data.sessions[claims.sid]
+			: null;
+		if (!session || session.expiresAt <= Date.now()) {
+			return null;
+		}
+
+		const account = findAccount(session.username);
+		if (!account) {
+			return null;
+		}
+		return { sessionId: claims.sid, user: publicAccount(account) };
+	}
+
+	async function logout(sessionId) {
+		delete data.sessions[sessionId];
+		await persist();
+	}
+
+	return { register, login, logout, verifyToken, isClaimed };
+}
+
+module.exports = {
+	AuthError,
+	createAuth,
+	hashPassword,
+	verifyPassword,
+};
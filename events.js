@@ -0,0 +1,153 @@
+// ================================
+// Live Updates (Server-Sent Events)
+// ================================
+//
+// Every user has a channel that fans events out to their open event streams
+// (one per browser tab). Each event gets an ID "<epoch>-<sequence>", where the
+// epoch changes on every server start. The last events of a channel are kept
+// so a client that reconnects with Last-Event-ID gets what it missed; if they
+// are no longer available (or the server restarted) it receives a "reset"
+// event and has to reload everything.
+//
+// A channel stays open for graceMs after its last stream closes, so a quick
+// reconnect doesn't lose events. Once it is dropped, onInactive(userId) is
+// called so callers can forget any state they keep for it.
+
+const DEFAULT_REPLAY_LIMIT = 200;
+const DEFAULT_GRACE_MS = 60 * 1000;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+
+// Format one event in the text/event-stream wire format
+function formatEvent(id, type, data) {
+	return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventHub(options = {}) {
+	const replayLimit = options.replayLimit || DEFAULT_REPLAY_LIMIT;
+	const graceMs = options.graceMs || DEFAULT_GRACE_MS;
+	const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+	const onInactive = options.onInactive || (() => {});
+
+	const epoch = Date.now().toString(36);
+	const channels = new Map(); // userId -> { streams, buffer, sequence, closeTimer }
+
+	function getChannel(userId) {
+		let channel = channels.get(userId);
+		if (!channel) {
+			channel = {
+				streams: new Set(),
+				buffer: [],
+				sequence: 0,
+				closeTimer: null,
+			};
+			channels.set(userId, channel);
+		}
+		clearTimeout(channel.closeTimer);
+		channel.closeTimer = null;
+		return channel;
+	}
+
+	// True while the user has open streams, or had some within graceMs
+	function isActive(userId) {
+		return channels.has(userId);
+	}
+
+	// Buffered events after lastEventId, or null if some of them are gone
+	function getMissedEvents(channel, lastEventId) {
+		const [eventEpoch, sequence] = String(lastEventId).split("-");
+		const lastSequence = Number(sequence);
+		if (
+			eventEpoch !== epoch ||
+			!Number.isInteger(lastSequence) ||
+			lastSequence > channel.sequence
+		) {
+			return null;
+		}
+
+		const missed = channel.buffer.filter(
+			(event) => event.sequence > lastSequence,
+		);
+		const expected = channel.sequence - lastSequence;
+		return missed.length === expected ? missed : null;
+	}
+
+	// Turn an HTTP response into an event stream for the user
+	function subscribe(userId, req, res) {
+		const channel = getChannel(userId);
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no", // Don't let proxies buffer the stream
+		});
+		res.write(`retry: 3000\n\n`);
+
+		const lastEventId = req.get("Last-Event-ID");
+		if (lastEventId) {
+			const missed = getMissedEvents(channel, lastEventId);
+			if (missed) {
+				missed.forEach((event) => res.write(event.text));
+			} else {
+				res.write(
+					formatEvent(`${epoch}-${channel.sequence}`, "reset", {
+						reason: "Missed events are no longer available",
+					}),
+				);
+			}
+		}
+
+		channel.streams.add(res);
+
+		// Comment lines keep idle connections from being closed by proxies
+		const heartbeat = setInterval(
+			() => res.write(": keep-alive\n\n"),
+			heartbeatMs,
+		);
+
+		res.on("close", () => {
+			clearInterval(heartbeat);
+			channel.streams.delete(res);
+
+			if (channel.streams.size === 0 && channels.get(userId) === channel) {
+				channel.closeTimer = setTimeout(() => {
+					channels.delete(userId);
+					onInactive(userId);
+				}, graceMs);
+			}
+		});
+	}
+
+	// Send events ({ type, data }) to every stream of the user
+	function publish(userId, events) {
+		const channel = channels.get(userId);
+		if (!channel) {
+			return;
+		}
+
+		events.forEach(({ type, data }) => {
+			channel.sequence++;
+			const text = formatEvent(`${epoch}-${channel.sequence}`, type, data);
+
+			channel.buffer.push({ sequence: channel.sequence, text });
+			if (channel.buffer.length > replayLimit) {
+				channel.buffer.shift();
+			}
+			channel.streams.forEach((res) => res.write(text));
+		});
+	}
+
+	// End every stream, e.g. on shutdown (open streams keep the server running)
+	function closeAll() {
+		channels.forEach((channel, userId) => {
+			clearTimeout(channel.closeTimer);
+			channel.streams.forEach((res) => res.end());
+			channels.delete(userId);
+			onInactive(userId);
+		});
+	}
+
+	return { subscribe, publish, isActive, closeAll };
+}
+
+module.exports = { createEventHub };
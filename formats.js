@@ -0,0 +1,989 @@
+// ================================
+// Import / Export Formats
+// ================================
+//
+// Turns todos into the files served by GET /todos/export and parses the files
+// sent to POST /todos/import:
+//
+//   json - { exportedAt, todos: [...] }, the only format that keeps everything
+//   csv  - a header row and one row per todo, for spreadsheets
+//   md   - a Markdown checklist with a "## <list>" section per list
+//   ics  - an iCalendar file with one VTODO per todo, for calendar apps
+//   txt  - todo.txt, one todo per line (http://todotxt.org)
+//
+// Both directions work on plain records instead of stored todos:
+//   { id, title, completed, priority, dueDate, dueTime, tags, list,
+//     recurrence, items: [{ title, completed }], createdAt, extras }
+// where list is the list's name and extras are the todo.txt tokens of the
+// line the todo was imported from (see the todo.txt section). Exported records
+// carry the recurrence rule object (written as an RRULE outside json); parsed
+// ones carry whatever the file has, usually an RRULE string. Parsed records
+// aren't validated here: fields the file doesn't have are left out and the
+// server validates the rest.
+
+const { WEEKDAYS, normalizeRecurrence, formatRRule } = require("./recurrence");
+
+const FORMATS = {
+	json: { contentType: "application/json; charset=utf-8" },
+	csv: { contentType: "text/csv; charset=utf-8" },
+	md: { contentType: "text/markdown; charset=utf-8" },
+	ics: { contentType: "text/calendar; charset=utf-8" },
+	txt: { contentType: "text/plain; charset=utf-8" },
+};
+
+// Record fields that can be imported. In csv and json they are read from the
+// column or property of the same name, unless a field mapping names another.
+const IMPORT_FIELDS = [
+	"title",
+	"completed",
+	"priority",
+	"dueDate",
+	"dueTime",
+	"tags",
+	"list",
+	"recurrence",
+	"items",
+];
+const CSV_COLUMNS = [...IMPORT_FIELDS, "createdAt"];
+const TRUE_VALUES = ["true", "yes", "y", "x", "1", "done", "completed"];
+
+// "[x] Step" / "- [ ] Step" lines of a checklist
+const CHECKLIST_LINE = /^(?:[-*+]\s+)?\[( |x|X)\]\s+(.*)$/;
+
+function formatChecklist(items) {
+	return items
+		.map((item) => `[${item.completed ? "x" : " "}] ${item.title}`)
+		.join("\n");
+}
+
+// Checklist items from text lines; lines without a checkbox are pending items
+function parseChecklist(lines) {
+	return lines
+		.map((line) => line.trim())
+		.filter(Boolean)
+		.map((line) => {
+			const match = line.match(CHECKLIST_LINE);
+			return match
+				? { title: match[2].trim(), completed: match[1] !== " " }
+				: { title: line, completed: false };
+		});
+}
+
+// Convert a text value (a CSV cell, or a string in JSON) to the field's type.
+// Empty values are left out.
+function fromText(field, text) {
+	const value = text.trim();
+	if (value === "") {
+		return undefined;
+	}
+
+	switch (field) {
+		case "completed":
+			return TRUE_VALUES.includes(value.toLowerCase());
+		case "priority":
+			return value.toLowerCase();
+		case "tags":
+			return value
+				.split(/[,;]/)
+				.map((tag) => tag.trim())
+				.filter(Boolean);
+		case "items":
+			return parseChecklist(value.split(/\r?\n/));
+		default:
+			return value;
+	}
+}
+
+// ================================
+// JSON
+// ================================
+
+function exportJson(records) {
+	return JSON.stringify(
+		{ exportedAt: new Date().toISOString(), todos: records },
+		null,
+		2,
+	);
+}
+
+// Accepts an export ({ todos: [...] }) or a plain array of todos, as a string
+// or already parsed
+function parseJson(data, getSourceKey) {
+	let parsed = data;
+	if (typeof data === "string") {
+		try {
+			parsed = JSON.parse(data);
+		} catch (error) {
+			return { error: "data is not valid JSON" };
+		}
+	}
+
+	const entries = Array.isArray(parsed) ? parsed : parsed && parsed.todos;
+	if (!Array.isArray(entries)) {
+		return { error: "JSON must be a list of todos or an object with todos" };
+	}
+	if (!entries.every((entry) => entry && typeof entry === "object")) {
+		return { error: "Every todo in the JSON must be an object" };
+	}
+
+	const records = entries.map((entry) => {
+		const record = {};
+		IMPORT_FIELDS.forEach((field) => {
+			const value = entry[getSourceKey(field)];
+			const converted =
+				typeof value === "string" ? fromText(field, value) : value;
+			if (converted !== undefined) {
+				record[field] = converted;
+			}
+		});
+		// todo.txt tokens kept from an earlier import
+		if (Array.isArray(entry.extras)) {
+			record.extras = entry.extras.filter(
+				(token) => typeof token === "string" && /^\S+$/.test(token),
+			);
+		}
+		return record;
+	});
+	return { records };
+}
+
+// ================================
+// CSV
+// ================================
+
+function toCsvCell(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv(records) {
+	const rows = records.map((record) => [
+		record.title,
+		record.completed,
+		record.priority,
+		record.dueDate,
+		record.dueTime,
+		record.tags.join(", "),
+		record.list,
+		record.recurrence ? formatRRule(record.recurrence) : "",
+		formatChecklist(record.items),
+		record.createdAt,
+	]);
+	return [CSV_COLUMNS, ...rows]
+		.map((row) => row.map(toCsvCell).join(","))
+		.join("\r\n");
+}
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may contain the
+// delimiter, line breaks and doubled quotes). Blank lines are skipped.
+function parseCsvRows(text, delimiter) {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"' && cell === "") {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") {
+				i++;
+			}
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = "";
+		} else {
+			cell += char;
+		}
+	}
+
+	if (quoted) {
+		return { error: "CSV has a quoted cell that is never closed" };
+	}
+	row.push(cell);
+	rows.push(row);
+	return { rows: rows.filter((cells) => cells.some((c) => c.trim() !== "")) };
+}
+
+function parseCsv(text, getSourceKey) {
+	// Spreadsheets in some locales separate cells with semicolons
+	const firstLine = text.split(/\r?\n/, 1)[0];
+	const delimiter =
+		!firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+
+	const parsed = parseCsvRows(text, delimiter);
+	if (parsed.error) {
+		return parsed;
+	}
+	if (parsed.rows.length === 0) {
+		return { error: "CSV must start with a header row" };
+	}
+
+	const [header, ...rows] = parsed.rows;
+	const headerKeys = header.map((name) => name.trim().toLowerCase());
+	const columns = {};
+	for (const field of IMPORT_FIELDS) {
+		const source = getSourceKey(field);
+		const index = headerKeys.indexOf(source.trim().toLowerCase());
+		if (index !== -1) {
+			columns[field] = index;
+		} else if (source !== field) {
+			return { error: `Column "${source}" mapped to ${field} not found` };
+		}
+	}
+	if (columns.title === undefined) {
+		return { error: "CSV needs a title column (or a mapping for title)" };
+	}
+
+	const records = rows.map((cells) => {
+		const record = {};
+		Object.keys(columns).forEach((field) => {
+			const value = fromText(field, cells[columns[field]] || "");
+			if (value !== undefined) {
+				record[field] = value;
+			}
+		});
+		return record;
+	});
+	return { records };
+}
+
+// ================================
+// Markdown
+// ================================
+//
+// - [ ] Title (priority: high, due: 2024-05-01 09:00, repeat: FREQ=DAILY) #tag
+//   - [x] Checklist item
+
+const MARKDOWN_TASK = /^(\s*)[-*+]\s+\[( |x|X)\]\s+(.+)$/;
+const MARKDOWN_DETAIL = /^(priority|due|repeat):\s*(.+)$/;
+
+// One line per todo, with its checklist items indented below
+function formatMarkdownTask(record) {
+	const details = [];
+	if (record.priority !== "medium") {
+		details.push(`priority: ${record.priority}`);
+	}
+	if (record.dueDate) {
+		const time = record.dueTime ? ` ${record.dueTime}` : "";
+		details.push(`due: ${record.dueDate}${time}`);
+	}
+	if (record.recurrence) {
+		details.push(`repeat: ${formatRRule(record.recurrence)}`);
+	}
+
+	let line = `- [${record.completed ? "x" : " "}] ${record.title.replace(/\s*\n\s*/g, " ")}`;
+	if (details.length > 0) {
+		line += ` (${details.join(", ")})`;
+	}
+	record.tags.forEach((tag) => {
+		line += ` #${tag}`;
+	});
+
+	const items = record.items.map(
+		(item) => `  - [${item.completed ? "x" : " "}] ${item.title}`,
+	);
+	return [line, ...items];
+}
+
+function exportMarkdown(records) {
+	const lines = ["# Todos"];
+	const listNames = [...new Set(records.map((record) => record.list))];
+
+	listNames.forEach((listName) => {
+		lines.push("", `## ${listName}`, "");
+		records
+			.filter((record) => record.list === listName)
+			.forEach((record) => lines.push(...formatMarkdownTask(record)));
+	});
+
+	return lines.join("\n") + "\n";
+}
+
+// Title, tags and the details in trailing parentheses of a task line
+function parseMarkdownTask(text) {
+	const record = {};
+	let rest = text.trim();
+
+	const tags = [];
+	let tagMatch;
+	while ((tagMatch = rest.match(/\s#([^\s#]+)$/))) {
+		tags.unshift(tagMatch[1]);
+		rest = rest.slice(0, tagMatch.index).trimEnd();
+	}
+	if (tags.length > 0) {
+		record.tags = tags;
+	}
+
+	// Parentheses that aren't all "key: value" details belong to the title
+	const detailsMatch = rest.match(/\s\(([^()]*)\)$/);
+	if (detailsMatch) {
+		const details = detailsMatch[1]
+			.split(", ")
+			.map((part) => part.trim().match(MARKDOWN_DETAIL));
+		if (details.every(Boolean)) {
+			details.forEach(([, key, value]) => {
+				if (key === "priority") {
+					record.priority = value.toLowerCase();
+				} else if (key === "due") {
+					const [dueDate, dueTime] = value.split(/\s+/);
+					record.dueDate = dueDate;
+					if (dueTime) {
+						record.dueTime = dueTime;
+					}
+				} else {
+					record.recurrence = value;
+				}
+			});
+			rest = rest.slice(0, detailsMatch.index).trimEnd();
+		}
+	}
+
+	record.title = rest;
+	return record;
+}
+
+function parseMarkdown(text) {
+	const records = [];
+	let list;
+	let current = null;
+
+	text.split(/\r?\n/).forEach((line) => {
+		const heading = line.match(/^##\s+(.+?)\s*$/);
+		if (heading) {
+			list = heading[1];
+			current = null;
+			return;
+		}
+
+		const task = line.match(MARKDOWN_TASK);
+		if (!task) {
+			return;
+		}
+
+		const completed = task[2] !== " ";
+		// Indented tasks are checklist items of the task above
+		if (task[1].length > 0 && current) {
+			current.items.push({ title: task[3].trim(), completed });
+			return;
+		}
+
+		current = { ...parseMarkdownTask(task[3]), completed, items: [] };
+		if (list) {
+			current.list = list;
+		}
+		records.push(current);
+	});
+
+	return { records };
+}
+
+// ================================
+// iCalendar
+// ================================
+
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+function escapeIcsText(text) {
+	return String(text)
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+}
+
+function unescapeIcsText(text) {
+	return text.replace(/\\([\\;,nN])/g, (match, char) =>
+		char === "n" || char === "N" ? "\n" : char,
+	);
+}
+
+// 20240501T090000Z from an ISO timestamp
+function toIcsTimestamp(isoString) {
+	return isoString.replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// Lines longer than 75 bytes are folded onto continuation lines
+function foldIcsLine(line) {
+	const parts = [];
+	let current = "";
+	let size = 0;
+	for (const char of line) {
+		const charSize = Buffer.byteLength(char);
+		if (size + charSize > 75) {
+			parts.push(current);
+			current = " ";
+			size = 1;
+		}
+		current += char;
+		size += charSize;
+	}
+	parts.push(current);
+	return parts.join("\r\n");
+}
+
+function exportIcs(records) {
+	const stamp = toIcsTimestamp(new Date().toISOString());
+	const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Todo List//EN"];
+
+	records.forEach((record) => {
+		lines.push(
+			"BEGIN:VTODO",
+			`UID:todo-${record.id}-${Date.parse(record.createdAt)}@todo-list`,
+			`DTSTAMP:${stamp}`,
+			`CREATED:${toIcsTimestamp(record.createdAt)}`,
+			`SUMMARY:${escapeIcsText(record.title)}`,
+			`STATUS:${record.completed ? "COMPLETED" : "NEEDS-ACTION"}`,
+			`PRIORITY:${ICS_PRIORITIES[record.priority]}`,
+		);
+		if (record.dueDate) {
+			const date = record.dueDate.replace(/-/g, "");
+			// Due times have no time zone, so they are written as floating times
+			lines.push(
+				record.dueTime
+					? `DUE:${date}T${record.dueTime.replace(":", "")}00`
+					: `DUE;VALUE=DATE:${date}`,
+			);
+		}
+		if (record.tags.length > 0) {
+			lines.push(`CATEGORIES:${record.tags.map(escapeIcsText).join(",")}`);
+		}
+		if (record.recurrence) {
+			lines.push(`RRULE:${formatRRule(record.recurrence)}`);
+		}
+		if (record.list) {
+			lines.push(`X-TODO-LIST:${escapeIcsText(record.list)}`);
+		}
+		if (record.items.length > 0) {
+			lines.push(`DESCRIPTION:${escapeIcsText(formatChecklist(record.items))}`);
+		}
+		lines.push("END:VTODO");
+	});
+
+	lines.push("END:VCALENDAR");
+	return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Apply one "NAME;PARAMS:VALUE" property of a VTODO to its record
+function applyIcsProperty(record, name, value) {
+	switch (name) {
+		case "SUMMARY":
+			record.title = unescapeIcsText(value);
+			break;
+		case "STATUS":
+			record.completed = value.toUpperCase() === "COMPLETED";
+			break;
+		case "PRIORITY": {
+			// 1-4 is high, 5 medium and 6-9 low; 0 means undefined
+			const priority = Number(value);
+			if (priority >= 1 && priority <= 9) {
+				record.priority =
+					priority < 5 ? "high" : priority === 5 ? "medium" : "low";
+			}
+			break;
+		}
+		case "DUE": {
+			// A date, or a date and time taken as written (time zones are ignored)
+			const match = value.match(
+				/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}Z?)?$/,
+			);
+			if (!match) {
+				record.dueDate = value; // Rejected by the server's validation
+				break;
+			}
+			record.dueDate = `${match[1]}-${match[2]}-${match[3]}`;
+			if (match[4]) {
+				record.dueTime = `${match[4]}:${match[5]}`;
+			}
+			break;
+		}
+		case "CATEGORIES":
+			record.tags = [
+				...(record.tags || []),
+				...value
+					.split(/(?<!\\),/)
+					.map((tag) => unescapeIcsText(tag).trim())
+					.filter(Boolean),
+			];
+			break;
+		case "RRULE":
+			record.recurrence = value;
+			break;
+		case "X-TODO-LIST":
+			record.list = unescapeIcsText(value);
+			break;
+		case "DESCRIPTION": {
+			// Only a description that is a checklist becomes checklist items
+			const lines = unescapeIcsText(value).split("\n").filter(Boolean);
+			if (
+				lines.length > 0 &&
+				lines.every((line) => CHECKLIST_LINE.test(line.trim()))
+			) {
+				record.items = parseChecklist(lines);
+			}
+			break;
+		}
+	}
+}
+
+function parseIcs(text) {
+	// Unfold continuation lines first
+	const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+	if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+		return { error: "iCalendar data must contain a VCALENDAR" };
+	}
+
+	const records = [];
+	let current = null;
+	let nested = 0; // Depth of components inside the VTODO, e.g. VALARM
+
+	lines.forEach((line) => {
+		const match = line.match(/^([A-Za-z0-9-]+)(?:;[^:]*)?:(.*)$/);
+		if (!match) {
+			return;
+		}
+		const name = match[1].toUpperCase();
+		const value = match[2];
+
+		if (name === "BEGIN") {
+			if (current) {
+				nested++;
+			} else if (value.toUpperCase() === "VTODO") {
+				current = {};
+			}
+		} else if (name === "END" && current) {
+			if (nested > 0) {
+				nested--;
+			} else {
+				records.push(current);
+				current = null;
+			}
+		} else if (current && nested === 0) {
+			applyIcsProperty(current, name, value);
+		}
+	});
+
+	return { records };
+}
+
+// ================================
+// todo.txt
+// ================================
+//
+// x (A) 2024-05-01 Title +Project @context due:2024-05-03 key:value
+//
+// Maps to the todo model as:
+//   x            - completed (completed todos keep their priority as pri:A)
+//   (A)/(B)/(C)  - high/medium/low priority; (D) to (Z) are low too and no
+//                  priority is medium
+//   dates        - the creation date (after "x", the completion date first)
+//   +Project     - the list; underscores stand for spaces in the list's name
+//   @context     - a tag
+//   due:, time:  - due date and time
+//   rec:         - recurrence, an RRULE or 1d/2w/3m/1y (the form other
+//                  todo.txt apps use)
+// Other tokens (key:value pairs, more +projects, @contexts that aren't valid
+// tags) are kept too, so a line survives a round trip through the app: the
+// record's extras hold every token after the title in order, plus the
+// priority letter as pri:A (since (D) to (Z) all become low). On export each
+// token is written back in its place - unknown ones as they are, the others as
+// they were unless the todo changed since (then with the new value, or left
+// out if there is none) - followed by values that had no token. Title words
+// after a token move before it. Checklist items aren't written.
+
+const TODOTXT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TODOTXT_TIME = /^\d{2}:\d{2}$/;
+const TODOTXT_KEY_VALUE = /^([A-Za-z][\w-]*):(?!\/\/)(\S+)$/;
+const TODOTXT_SHORT_RECURRENCE = /^\+?(\d*)([dwmy])$/;
+// Contexts are only turned into tags if they already are valid tags, so
+// importing one never changes it
+const TODOTXT_TAG = /^[a-z0-9_-]{1,30}$/;
+const TODOTXT_PRIORITIES = { high: "A", medium: "B", low: "C" };
+// Record fields in the order their tokens are added to a line
+const TODOTXT_FIELDS = [
+	"list",
+	"tags",
+	"priority",
+	"dueDate",
+	"dueTime",
+	"recurrence",
+];
+
+function toTodoTxtPriority(letter) {
+	return letter === "A" ? "high" : letter === "B" ? "medium" : "low";
+}
+
+// "rec:" value as an RRULE. Other apps write "2w" for every 2 weeks; a year
+// becomes 12 months since rules can't repeat yearly.
+function parseTodoTxtRecurrence(value) {
+	const short = value.match(TODOTXT_SHORT_RECURRENCE);
+	if (!short) {
+		return /^(RRULE:)?FREQ=/i.test(value) ? value : null;
+	}
+	const count = Number(short[1] || 1);
+	switch (short[2]) {
+		case "d":
+			return `FREQ=DAILY;INTERVAL=${count}`;
+		case "w":
+			return `FREQ=WEEKLY;INTERVAL=${count}`;
+		case "m":
+			return `FREQ=MONTHLY;INTERVAL=${count}`;
+		default:
+			return `FREQ=MONTHLY;INTERVAL=${count * 12}`;
+	}
+}
+
+// A date on the rule's weekday or day of the month. Imported rules that don't
+// name one take it from the due date, or the import day if there is none.
+function getRecurrenceAnchor(recurrence) {
+	if (recurrence.monthDay) {
+		return `2000-01-${String(recurrence.monthDay).padStart(2, "0")}`;
+	}
+	if (recurrence.weekdays && recurrence.weekdays.length === 1) {
+		// 2000-01-02 was a Sunday
+		return `2000-01-0${2 + WEEKDAYS.indexOf(recurrence.weekdays[0])}`;
+	}
+	return "2000-01-01";
+}
+
+// Whether "rec:" value still describes the record's recurrence
+function isSameTodoTxtRecurrence(value, record) {
+	const rrule = parseTodoTxtRecurrence(value);
+	// Parsed records still have the file's RRULE string
+	if (typeof record.recurrence === "string") {
+		return record.recurrence === rrule;
+	}
+	const { recurrence } = normalizeRecurrence(
+		rrule,
+		record.dueDate || getRecurrenceAnchor(record.recurrence),
+	);
+	return (
+		Boolean(recurrence) &&
+		formatRRule(recurrence) === formatRRule(record.recurrence)
+	);
+}
+
+// The record field a token after the title sets, or null if it is one the
+// app doesn't use. found holds the fields set by earlier tokens: only the
+// first +Project, due:, time:, rec: and pri: count.
+function getTodoTxtField(word, found) {
+	if (/^\+\S/.test(word)) {
+		return found.has("list") ? null : "list";
+	}
+	if (/^@\S/.test(word)) {
+		return TODOTXT_TAG.test(word.slice(1)) ? "tags" : null;
+	}
+	const keyValue = word.match(TODOTXT_KEY_VALUE);
+	if (!keyValue) {
+		return null;
+	}
+	const [, key, value] = keyValue;
+	if (key === "due" && !found.has("dueDate") && TODOTXT_DATE.test(value)) {
+		return "dueDate";
+	}
+	if (key === "time" && !found.has("dueTime") && TODOTXT_TIME.test(value)) {
+		return "dueTime";
+	}
+	if (
+		key === "rec" &&
+		!found.has("recurrence") &&
+		parseTodoTxtRecurrence(value)
+	) {
+		return "recurrence";
+	}
+	if (key === "pri" && !found.has("priority") && /^[A-Z]$/.test(value)) {
+		return "priority";
+	}
+	return null;
+}
+
+// The letter of the record's priority, the one it was imported with if that
+// still means the same priority (null for medium without one)
+function getTodoTxtPriorityLetter(record, word) {
+	const letter = word && word.slice("pri:".length);
+	if (letter && toTodoTxtPriority(letter) === record.priority) {
+		return letter;
+	}
+	return record.priority === "medium"
+		? null
+		: TODOTXT_PRIORITIES[record.priority];
+}
+
+// The tokens for a field of the record. word is the token the field was
+// imported with, written back as it was if the value didn't change.
+function formatTodoTxtField(record, field, word, defaultList, writtenTags) {
+	switch (field) {
+		case "list": {
+			if (word && word.slice(1).replace(/_/g, " ") === record.list) {
+				return [word];
+			}
+			return record.list && record.list !== defaultList
+				? [`+${record.list.trim().replace(/\s+/g, "_")}`]
+				: [];
+		}
+		case "tags": {
+			// One @context token, or every tag no token was written for
+			const tags = word ? [word.slice(1)] : record.tags;
+			return tags
+				.filter((tag) => record.tags.includes(tag))
+				.filter((tag) => word || !writtenTags.has(tag))
+				.map((tag) => {
+					writtenTags.add(tag);
+					return `@${tag}`;
+				});
+		}
+		case "priority": {
+			// Only completed todos have their priority after the title
+			const letter = getTodoTxtPriorityLetter(record, word);
+			return record.completed && letter ? [`pri:${letter}`] : [];
+		}
+		case "dueDate":
+			return record.dueDate ? [`due:${record.dueDate}`] : [];
+		case "dueTime":
+			return record.dueTime ? [`time:${record.dueTime}`] : [];
+		default: {
+			if (!record.recurrence) {
+				return [];
+			}
+			const value = word && word.slice("rec:".length);
+			if (value && isSameTodoTxtRecurrence(value, record)) {
+				return [word];
+			}
+			const rrule =
+				typeof record.recurrence === "string"
+					? record.recurrence
+					: formatRRule(record.recurrence);
+			return [`rec:${rrule}`];
+		}
+	}
+}
+
+function formatTodoTxtLine(record, defaultList) {
+	const words = [];
+	const createdDate = record.createdAt ? record.createdAt.slice(0, 10) : null;
+
+	// The tokens after the title: the imported ones in their places, then
+	// values that had none
+	const found = new Set();
+	const writtenTags = new Set();
+	let priorityWord = null;
+	const tokens = [];
+	(record.extras || []).forEach((word) => {
+		const field = getTodoTxtField(word, found);
+		if (!field) {
+			tokens.push(word);
+			return;
+		}
+		found.add(field);
+		if (field === "priority") {
+			priorityWord = word;
+		}
+		tokens.push(
+			...formatTodoTxtField(record, field, word, defaultList, writtenTags),
+		);
+	});
+	TODOTXT_FIELDS.filter(
+		(field) => field === "tags" || !found.has(field),
+	).forEach((field) => {
+		tokens.push(
+			...formatTodoTxtField(record, field, null, defaultList, writtenTags),
+		);
+	});
+
+	if (record.completed) {
+		words.push("x");
+		// A single date after "x" is the completion date, so the creation date
+		// can only be written along with it
+		if (record.completedAt) {
+			words.push(record.completedAt.slice(0, 10));
+			if (createdDate) {
+				words.push(createdDate);
+			}
+		}
+	} else {
+		const letter = getTodoTxtPriorityLetter(record, priorityWord);
+		if (letter) {
+			words.push(`(${letter})`);
+		}
+		if (createdDate) {
+			words.push(createdDate);
+		}
+	}
+
+	words.push(record.title.replace(/\s+/g, " ").trim(), ...tokens);
+	return words.join(" ");
+}
+
+function exportTodoTxt(records, defaultList) {
+	return records
+		.map((record) => formatTodoTxtLine(record, defaultList) + "\n")
+		.join("");
+}
+
+// Read the known tokens of a line into a record and keep every token after
+// the title as extras
+function parseTodoTxtLine(line) {
+	const words = line.trim().split(/\s+/);
+	const record = { completed: false };
+	const title = [];
+	const tags = [];
+	const extras = [];
+	const found = new Set();
+	const toIsoDate = (date) => `${date}T00:00:00.000Z`;
+
+	if (words[0] === "x") {
+		record.completed = true;
+		words.shift();
+		if (TODOTXT_DATE.test(words[0])) {
+			record.completedAt = toIsoDate(words.shift());
+		}
+	}
+	const priority = words[0] && words[0].match(/^\(([A-Z])\)$/);
+	if (priority) {
+		record.priority = toTodoTxtPriority(priority[1]);
+		found.add("priority");
+		extras.push(`pri:${priority[1]}`);
+		words.shift();
+	}
+	if (
+		TODOTXT_DATE.test(words[0]) &&
+		(!record.completed || record.completedAt)
+	) {
+		record.createdAt = toIsoDate(words.shift());
+	}
+
+	words.forEach((word) => {
+		const field = getTodoTxtField(word, found);
+		if (!field) {
+			const isToken = /^[+@]\S/.test(word) || TODOTXT_KEY_VALUE.test(word);
+			(isToken ? extras : title).push(word);
+			return;
+		}
+
+		found.add(field);
+		extras.push(word);
+		const value = word.slice(word.indexOf(":") + 1);
+		switch (field) {
+			case "list":
+				record.list = word.slice(1).replace(/_/g, " ");
+				break;
+			case "tags":
+				if (!tags.includes(word.slice(1))) {
+					tags.push(word.slice(1));
+				}
+				break;
+			case "priority":
+				record.priority = toTodoTxtPriority(value);
+				break;
+			case "recurrence":
+				record.recurrence = parseTodoTxtRecurrence(value);
+				break;
+			default:
+				record[field] = value;
+		}
+	});
+
+	record.title = title.join(" ");
+	if (tags.length > 0) {
+		record.tags = tags;
+	}
+	if (extras.length > 0) {
+		record.extras = extras;
+	}
+	return record;
+}
+
+function parseTodoTxt(text) {
+	const records = text
+		.split(/\r?\n/)
+		.filter((line) => line.trim() !== "")
+		.map(parseTodoTxtLine);
+	return { records };
+}
+
+// ================================
+// Public API
+// ================================
+
+// Serialize export records in the given format. options.defaultList names
+// the list todo.txt leaves out of the lines (a line without a +project is
+// imported into the default list).
+function exportRecords(format, records, options = {}) {
+	switch (format) {
+		case "txt":
+			return exportTodoTxt(records, options.defaultList);
+		case "csv":
+			return exportCsv(records);
+		case "md":
+			return exportMarkdown(records);
+		case "ics":
+			return exportIcs(records);
+		default:
+			return exportJson(records);
+	}
+}
+
+// Parse an import. mapping ({ field: "Column name" }) renames the csv columns
+// or json properties fields are read from. Returns { error } if the data or
+// mapping is invalid, otherwise { records }.
+function parseImport(format, data, mapping = {}) {
+	if (!FORMATS[format]) {
+		return {
+			error: `format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+		};
+	}
+
+	if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+		return { error: "mapping must be an object of field names to columns" };
+	}
+	const mapped = Object.keys(mapping);
+	if (mapped.length > 0 && format !== "csv" && format !== "json") {
+		return { error: "A field mapping can only be used with csv and json" };
+	}
+	for (const field of mapped) {
+		if (!IMPORT_FIELDS.includes(field)) {
+			return {
+				error: `Unknown field "${field}" in mapping. Fields: ${IMPORT_FIELDS.join(", ")}`,
+			};
+		}
+		if (typeof mapping[field] !== "string" || !mapping[field].trim()) {
+			return { error: `mapping.${field} must be a column name` };
+		}
+	}
+	const getSourceKey = (field) => mapping[field] || field;
+
+	if (format === "json") {
+		return parseJson(data, getSourceKey);
+	}
+	if (typeof data !== "string") {
+		return { error: "data must be the contents of the file as a string" };
+	}
+
+	const text = data.replace(/^\uFEFF/, ""); // Byte order mark
+	switch (format) {
+		case "csv":
+			return parseCsv(text, getSourceKey);
+		case "md":
+			return parseMarkdown(text);
+		case "txt":
+			return parseTodoTxt(text);
+		default:
+			return parseIcs(text);
+	}
+}
+
+module.exports = { FORMATS, IMPORT_FIELDS, exportRecords, parseImport };
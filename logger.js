@@ -0,0 +1,58 @@
+// ================================
+// Structured Logging
+// ================================
+//
+// Writes one JSON object per line: { time, level, msg, ...fields }. Errors
+// passed as the `error` field are written with their message and stack.
+// child(fields) returns a logger adding those fields to every line, as the
+// server does with each request's ID.
+//
+// Options:
+//   level  - lowest level written: debug, info, warn or error (default info)
+//   write  - receives each line, for tests (default process.stdout)
+//   now    - clock returning a Date, for tests
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+	if (!(error instanceof Error)) {
+		return error;
+	}
+	const serialized = { name: error.name, message: error.message };
+	if (error.cause instanceof Error) {
+		serialized.cause = serializeError(error.cause);
+	}
+	serialized.stack = error.stack;
+	return serialized;
+}
+
+function createLogger(options = {}) {
+	const threshold = LEVELS[options.level] || LEVELS.info;
+	const write = options.write || ((line) => process.stdout.write(line));
+	const now = options.now || (() => new Date());
+	const baseFields = options.fields || {};
+
+	function log(level, msg, fields = {}) {
+		if (LEVELS[level] < threshold) {
+			return;
+		}
+		const entry = { time: now().toISOString(), level, msg };
+		Object.entries({ ...baseFields, ...fields }).forEach(([key, value]) => {
+			if (value !== undefined) {
+				entry[key] = key === "error" ? serializeError(value) : value;
+			}
+		});
+		write(`${JSON.stringify(entry)}\n`);
+	}
+
+	const logger = {
+		child: (fields) =>
+			createLogger({ ...options, fields: { ...baseFields, ...fields } }),
+	};
+	Object.keys(LEVELS).forEach((level) => {
+		logger[level] = (msg, fields) => log(level, msg, fields);
+	});
+	return logger;
+}
+
+module.exports = { createLogger, LEVELS };
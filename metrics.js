@@ -0,0 +1,154 @@
+// ================================
+// Metrics
+// ================================
+//
+// A small registry of counters, gauges and histograms, rendered in the
+// Prometheus text format for GET /metrics. Each metric keeps one value per
+// set of labels; gauges are read from a callback when rendered.
+
+const DEFAULT_BUCKETS = [
+	0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabelValue(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, "\\n");
+}
+
+// {a="1",b="2"}, or "" without labels. Keys are sorted, so the same labels
+// always make the same series; a histogram's le comes last.
+function formatLabels(labels, le) {
+	const pairs = Object.keys(labels)
+		.sort()
+		.map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+	if (le !== undefined) {
+		pairs.push(`le="${formatValue(le)}"`);
+	}
+	return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+	if (value === Infinity) {
+		return "+Inf";
+	}
+	return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+function createMetrics() {
+	const metrics = []; // { name, help, type, render() } in registration order
+
+	function register(name, help, type, render) {
+		if (metrics.some((metric) => metric.name === name)) {
+			throw new Error(`Metric ${name} is already registered`);
+		}
+		metrics.push({ name, help, type, render });
+	}
+
+	// A value that only goes up, per set of labels
+	function counter(name, help) {
+		const series = new Map(); // formatted labels -> value
+
+		register(name, help, "counter", () =>
+			[...series].map(([labels, value]) => `${name}${labels} ${value}`),
+		);
+
+		return {
+			inc(labels = {}, amount = 1) {
+				const key = formatLabels(labels);
+				series.set(key, (series.get(key) || 0) + amount);
+			},
+			get(labels = {}) {
+				return series.get(formatLabels(labels)) || 0;
+			},
+		};
+	}
+
+	// A value read when the metrics are rendered: collect() returns a number,
+	// or a list of { labels, value }
+	function gauge(name, help, collect) {
+		register(name, help, "gauge", () => {
+			const collected = collect();
+			const values = Array.isArray(collected)
+				? collected
+				: [{ labels: {}, value: collected }];
+			return values.map(
+				({ labels = {}, value }) =>
+					`${name}${formatLabels(labels)} ${formatValue(value)}`,
+			);
+		});
+	}
+
+	// Observed values (in seconds) counted into cumulative buckets
+	function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+		const series = new Map(); // formatted labels -> { labels, counts, sum, count }
+
+		register(name, help, "histogram", () => {
+			const lines = [];
+			series.forEach(({ labels, counts, sum, count }) => {
+				buckets.forEach((bound, index) => {
+					lines.push(
+						`${name}_bucket${formatLabels(labels, bound)} ${counts[index]}`,
+					);
+				});
+				lines.push(`${name}_bucket${formatLabels(labels, Infinity)} ${count}`);
+				lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+				lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+			});
+			return lines;
+		});
+
+		function observe(labels, value) {
+			const key = formatLabels(labels);
+			if (!series.has(key)) {
+				series.set(key, {
+					labels,
+					counts: buckets.map(() => 0),
+					sum: 0,
+					count: 0,
+				});
+			}
+			const entry = series.get(key);
+			buckets.forEach((bound, index) => {
+				if (value <= bound) {
+					entry.counts[index]++;
+				}
+			});
+			entry.sum += value;
+			entry.count++;
+		}
+
+		return {
+			observe,
+			// Start timing; the returned function observes the seconds since,
+			// with any labels only known at the end
+			startTimer(labels = {}) {
+				const start = process.hrtime.bigint();
+				return (endLabels = {}) => {
+					const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+					observe({ ...labels, ...endLabels }, seconds);
+					return seconds;
+				};
+			},
+		};
+	}
+
+	// Every metric in the Prometheus text exposition format
+	function render() {
+		return metrics
+			.map(({ name, help, type, render: renderSeries }) =>
+				[
+					`# HELP ${name} ${help}`,
+					`# TYPE ${name} ${type}`,
+					...renderSeries(),
+				].join("\n"),
+			)
+			.join("\n")
+			.concat("\n");
+	}
+
+	return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
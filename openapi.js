@@ -0,0 +1,787 @@
+const { SCHEMAS, PARAMETERS, PATH_PARAMETERS } = require("./schema");
+const { FORMATS } = require("./formats");
+
+// ================================
+// OpenAPI Document
+// ================================
+//
+// The API as an OpenAPI 3 document, served at GET /openapi.json and browsed
+// with public/api.html. The schemas, query and path parameters are the ones
+// schema.js validates requests with, so the document can't drift from what
+// the server accepts. Routes are listed here, one entry per operation.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const listOf = (name) => ({ type: "array", items: ref(name) });
+
+const TODO_ID = PATH_PARAMETERS.id;
+const LIST_ID = PATH_PARAMETERS.listId;
+const ITEM_ID = PATH_PARAMETERS.itemId;
+const OWNER_ID = PATH_PARAMETERS.ownerId;
+const SHARE_USER_ID = PATH_PARAMETERS.userId;
+
+const FILTERS = [
+	"filter",
+	"search",
+	"dueBefore",
+	"dueAfter",
+	"dueToday",
+	"tag",
+	"tagMatch",
+].map(param);
+
+const HISTORY_PARAMETERS = ["timezone", "days", "weeks"].map(param);
+
+const IF_MATCH = {
+	name: "If-Match",
+	in: "header",
+	required: false,
+	description: "Only make the change if the todo's ETag matches",
+	schema: { type: "string" },
+};
+
+const RESPONSES = {
+	Invalid: {
+		description: "The request is invalid: errors lists every invalid field",
+		content: json(ref("Error")),
+	},
+	NotFound: { description: "Not found", content: json(ref("Error")) },
+	Conflict: {
+		description: "The todo was changed since it was read (body version)",
+		content: json(ref("Error")),
+	},
+	PreconditionFailed: {
+		description: "The todo was changed since it was read (If-Match)",
+		content: json(ref("Error")),
+	},
+	QuotaReached: {
+		description: "The user has as many todos as they can store",
+		content: json(ref("Error")),
+	},
+	ViewOnly: {
+		description: "The list is only shared with the user as a viewer",
+		content: json(ref("Error")),
+	},
+	TooLarge: {
+		description: "The body is larger than the server accepts",
+		content: json(ref("Error")),
+	},
+	TooManyRequests: {
+		description:
+			"Over the rate limit of the user or IP address; retry after Retry-After seconds",
+		headers: {
+			"Retry-After": { schema: { type: "integer" } },
+		},
+		content: json(ref("Error")),
+	},
+};
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const anyObject = (description) => ({ type: "object", description });
+const message = (extra = {}) => ({
+	type: "object",
+	properties: { message: { type: "string" }, ...extra },
+});
+const page = (member, schema) => ({
+	type: "object",
+	properties: {
+		[member]: { type: "array", items: schema },
+		nextCursor: { type: "string", nullable: true },
+	},
+});
+
+const TODO = { description: "The todo", content: json(ref("Todo")) };
+const TODOS = {
+	description:
+		"The todos: a list, or a { todos, nextCursor } page with limit or cursor",
+	content: {
+		"application/json": {
+			schema: { oneOf: [listOf("Todo"), page("todos", ref("Todo"))] },
+		},
+		"text/plain": {
+			schema: { type: "string", description: "A todo.txt file" },
+		},
+	},
+};
+const LIST = { description: "The list", content: json(ref("List")) };
+const ITEM_AND_TODO = {
+	description: "The item and its todo",
+	content: json({
+		type: "object",
+		properties: { item: ref("ChecklistItem"), todo: ref("Todo") },
+	}),
+};
+const SESSION = {
+	description: "A bearer token for the account",
+	content: json(
+		anyObject("{ token, expiresAt, user: { userId, username, createdAt } }"),
+	),
+};
+const HEALTH = {
+	type: "object",
+	properties: {
+		status: { type: "string", enum: ["ok", "unavailable"] },
+		timestamp: { type: "string", format: "date-time" },
+		checks: anyObject("{ dataDir: { status, error } }"),
+	},
+};
+
+// Operations by path (Express style) and method. Each lists its tag,
+// summary, parameters, body schema and successful responses; the 400, 404,
+// 413 and 429 responses are added where a route can return them. public
+// operations need no user, and unlimited ones aren't rate limited.
+const ROUTES = {
+	"/todos": {
+		get: {
+			tag: "Todos",
+			summary: "List todos",
+			parameters: [
+				...FILTERS,
+				...["sort", "limit", "cursor", "upcoming", "shared"].map(param),
+			],
+			responses: { 200: TODOS },
+		},
+		post: {
+			tag: "Todos",
+			summary: "Create a todo (in the default list unless listId is given)",
+			body: ref("Todo"),
+			responses: { 201: TODO, 403: responseRef("QuotaReached") },
+		},
+	},
+	"/todos/stats": {
+		get: {
+			tag: "Todos",
+			summary: "Statistics about the todos",
+			responses: {
+				200: { description: "Counts", content: json(anyObject()) },
+			},
+		},
+	},
+	"/todos/stats/history": {
+		get: {
+			tag: "Todos",
+			summary:
+				"Todos created and completed per day and week, time to complete and completion streaks",
+			parameters: HISTORY_PARAMETERS,
+			responses: {
+				200: { description: "History", content: json(anyObject()) },
+			},
+		},
+	},
+	"/todos/tags": {
+		get: {
+			tag: "Todos",
+			summary: "Every tag in use with the number of todos carrying it",
+			responses: {
+				200: {
+					description: "Tags",
+					content: json({
+						type: "array",
+						items: {
+							type: "object",
+							properties: {
+								tag: { type: "string" },
+								count: { type: "integer" },
+							},
+						},
+					}),
+				},
+			},
+		},
+	},
+	"/todos/export": {
+		get: {
+			tag: "Import & Export",
+			summary: "Download todos as a file",
+			parameters: [param("format"), ...FILTERS],
+			responses: {
+				200: {
+					description: "The file",
+					content: Object.fromEntries(
+						Object.values(FORMATS).map(({ contentType }) => [
+							contentType.split(";")[0],
+							{ schema: { type: "string" } },
+						]),
+					),
+				},
+			},
+		},
+	},
+	"/todos/import": {
+		post: {
+			tag: "Import & Export",
+			summary: "Import todos from a file",
+			body: ref("ImportRequest"),
+			responses: {
+				200: {
+					description: "What was (or, with dryRun, would be) imported",
+					content: json(
+						anyObject("{ dryRun, summary, listsCreated, results }"),
+					),
+				},
+			},
+		},
+	},
+	"/todos/batch": {
+		post: {
+			tag: "Todos",
+			summary: "Apply several operations at once (all or nothing)",
+			body: ref("BatchRequest"),
+			responses: {
+				200: {
+					description: "The result of each operation",
+					content: json(message({ results: { type: "array" } })),
+				},
+				403: responseRef("QuotaReached"),
+				409: responseRef("Conflict"),
+			},
+		},
+	},
+	"/todos/clear-completed": {
+		post: {
+			tag: "Todos",
+			summary: "Move all completed todos to the trash",
+			responses: {
+				200: {
+					description: "The trashed todos",
+					content: json(message({ deleted: { type: "integer" } })),
+				},
+			},
+		},
+	},
+	"/todos/complete-all": {
+		post: {
+			tag: "Todos",
+			summary: "Complete all todos matching the filters",
+			parameters: FILTERS,
+			responses: {
+				200: {
+					description: "The number of todos completed",
+					content: json(message({ updated: { type: "integer" } })),
+				},
+			},
+		},
+	},
+	"/todos/events": {
+		get: {
+			tag: "Todos",
+			summary: "Live updates as a Server-Sent Events stream",
+			responses: {
+				200: {
+					description: "The event stream",
+					content: { "text/event-stream": { schema: { type: "string" } } },
+				},
+			},
+		},
+	},
+	"/todos/trash": {
+		get: {
+			tag: "Trash",
+			summary: "Trashed todos, most recently deleted first",
+			responses: {
+				200: { description: "The trash", content: json(listOf("Todo")) },
+			},
+		},
+		delete: {
+			tag: "Trash",
+			summary: "Empty the trash (permanently)",
+			responses: {
+				200: {
+					description: "The number of todos deleted",
+					content: json(message({ deleted: { type: "integer" } })),
+				},
+			},
+		},
+	},
+	"/todos/trash/:id": {
+		delete: {
+			tag: "Trash",
+			summary: "Permanently delete a trashed todo",
+			parameters: [TODO_ID],
+			responses: { 200: { description: "Deleted", content: json(message()) } },
+		},
+	},
+	"/todos/:id": {
+		get: {
+			tag: "Todos",
+			summary: "Get a todo (its version is the ETag)",
+			parameters: [TODO_ID],
+			responses: { 200: TODO, 304: { description: "Not modified" } },
+		},
+		put: {
+			tag: "Todos",
+			summary: "Replace a todo (fields left out get their defaults)",
+			parameters: [TODO_ID, IF_MATCH],
+			body: ref("Todo"),
+			responses: {
+				200: TODO,
+				409: responseRef("Conflict"),
+				412: responseRef("PreconditionFailed"),
+			},
+		},
+		patch: {
+			tag: "Todos",
+			summary: "Change part of a todo",
+			parameters: [TODO_ID, IF_MATCH],
+			bodies: {
+				"application/merge-patch+json": ref("TodoChanges"),
+				"application/json-patch+json": {
+					type: "array",
+					items: anyObject("{ op, path, from?, value? }"),
+				},
+			},
+			responses: {
+				200: TODO,
+				409: responseRef("Conflict"),
+				412: responseRef("PreconditionFailed"),
+				415: {
+					description: "Not a merge patch or JSON Patch",
+					content: json(ref("Error")),
+				},
+			},
+		},
+		delete: {
+			tag: "Todos",
+			summary: "Move a todo to the trash",
+			parameters: [TODO_ID, IF_MATCH],
+			responses: {
+				200: { description: "Trashed", content: json(message()) },
+				412: responseRef("PreconditionFailed"),
+			},
+		},
+	},
+	"/todos/:id/restore": {
+		post: {
+			tag: "Trash",
+			summary: "Take a todo out of the trash",
+			parameters: [TODO_ID],
+			responses: { 200: TODO },
+		},
+	},
+	"/todos/:id/occurrences": {
+		get: {
+			tag: "Todos",
+			summary: "Every occurrence in a recurring todo's series",
+			parameters: [TODO_ID],
+			responses: {
+				200: { description: "The series", content: json(listOf("Todo")) },
+			},
+		},
+	},
+	"/todos/:id/history": {
+		get: {
+			tag: "Activity",
+			summary: "The activity entries of a todo, newest first",
+			parameters: [TODO_ID],
+			responses: {
+				200: {
+					description: "The entries",
+					content: json({ type: "array", items: anyObject() }),
+				},
+			},
+		},
+	},
+	"/todos/:id/items": {
+		get: {
+			tag: "Checklists",
+			summary: "The checklist items of a todo",
+			parameters: [TODO_ID],
+			responses: {
+				200: {
+					description: "The items",
+					content: json(listOf("ChecklistItem")),
+				},
+			},
+		},
+		post: {
+			tag: "Checklists",
+			summary: "Add a checklist item (at the end, or at position)",
+			parameters: [TODO_ID],
+			body: ref("ChecklistItem"),
+			responses: { 201: ITEM_AND_TODO },
+		},
+	},
+	"/todos/:id/items/:itemId": {
+		put: {
+			tag: "Checklists",
+			summary: "Update or move a checklist item (send only what changes)",
+			parameters: [TODO_ID, ITEM_ID],
+			body: ref("ChecklistItem"),
+			responses: { 200: ITEM_AND_TODO },
+		},
+		delete: {
+			tag: "Checklists",
+			summary: "Delete a checklist item",
+			parameters: [TODO_ID, ITEM_ID],
+			responses: { 200: ITEM_AND_TODO },
+		},
+	},
+	"/lists": {
+		get: {
+			tag: "Lists",
+			summary: "All lists with the counts of their todos",
+			responses: {
+				200: { description: "The lists", content: json(listOf("List")) },
+			},
+		},
+		post: {
+			tag: "Lists",
+			summary: "Create a list",
+			body: ref("List"),
+			responses: {
+				201: LIST,
+				409: {
+					description: "A list with this name already exists",
+					content: json(ref("Error")),
+				},
+			},
+		},
+	},
+	"/lists/:listId": {
+		get: {
+			tag: "Lists",
+			summary: "Get a list",
+			parameters: [LIST_ID],
+			responses: { 200: LIST },
+		},
+		put: {
+			tag: "Lists",
+			summary: "Rename, archive or unarchive a list (send only what changes)",
+			parameters: [LIST_ID],
+			body: ref("List"),
+			responses: {
+				200: LIST,
+				409: {
+					description: "A list with this name already exists",
+					content: json(ref("Error")),
+				},
+			},
+		},
+		delete: {
+			tag: "Lists",
+			summary: "Delete a list, trashing or moving its todos",
+			parameters: [LIST_ID, param("moveTodosTo")],
+			responses: { 200: { description: "Deleted", content: json(message()) } },
+		},
+	},
+	"/lists/:listId/stats": {
+		get: {
+			tag: "Lists",
+			summary: "Statistics about the list's todos",
+			parameters: [LIST_ID],
+			responses: {
+				200: { description: "Counts", content: json(anyObject()) },
+			},
+		},
+	},
+	"/lists/:listId/stats/history": {
+		get: {
+			tag: "Lists",
+			summary: "The stats history of one list",
+			parameters: [LIST_ID, ...HISTORY_PARAMETERS],
+			responses: {
+				200: { description: "History", content: json(anyObject()) },
+			},
+		},
+	},
+	"/lists/:listId/shares": {
+		get: {
+			tag: "Sharing",
+			summary: "Who the list is shared with",
+			parameters: [LIST_ID],
+			responses: {
+				200: { description: "The grants", content: json(listOf("Share")) },
+			},
+		},
+	},
+	"/lists/:listId/shares/:userId": {
+		put: {
+			tag: "Sharing",
+			summary: "Share the list with a user, or change their role",
+			parameters: [LIST_ID, SHARE_USER_ID],
+			body: ref("Share"),
+			responses: {
+				200: { description: "Role changed", content: json(ref("Share")) },
+				201: { description: "Shared", content: json(ref("Share")) },
+			},
+		},
+		delete: {
+			tag: "Sharing",
+			summary: "Stop sharing the list with a user",
+			parameters: [LIST_ID, SHARE_USER_ID],
+			responses: {
+				200: {
+					description: "Revoked",
+					content: json(message({ share: ref("Share") })),
+				},
+			},
+		},
+	},
+	"/shared": {
+		get: {
+			tag: "Sharing",
+			summary: "Lists other users share with you",
+			responses: {
+				200: {
+					description: "The shared lists",
+					content: json({
+						type: "array",
+						items: {
+							type: "object",
+							properties: {
+								ownerId: { type: "string" },
+								role: { type: "string" },
+								grantedAt: { type: "string", format: "date-time" },
+								list: ref("List"),
+							},
+						},
+					}),
+				},
+			},
+		},
+	},
+	"/activity": {
+		get: {
+			tag: "Activity",
+			summary: "The activity feed, newest first",
+			parameters: ["limit", "cursor", "action"].map(param),
+			responses: {
+				200: {
+					description: "A page of entries",
+					content: json(page("entries", anyObject())),
+				},
+			},
+		},
+	},
+	"/auth/register": {
+		post: {
+			tag: "Accounts",
+			summary: "Create an account, optionally claiming an anonymous user ID",
+			public: true,
+			body: ref("Credentials"),
+			responses: { 201: SESSION },
+		},
+	},
+	"/auth/login": {
+		post: {
+			tag: "Accounts",
+			summary: "Exchange username and password for a bearer token",
+			public: true,
+			body: ref("Login"),
+			responses: { 200: SESSION },
+		},
+	},
+	"/auth/logout": {
+		post: {
+			tag: "Accounts",
+			summary: "Revoke the current bearer token",
+			responses: {
+				200: { description: "Logged out", content: json(message()) },
+			},
+		},
+	},
+	"/auth/me": {
+		get: {
+			tag: "Accounts",
+			summary: "The logged in account",
+			responses: {
+				200: {
+					description: "The account",
+					content: json(anyObject("{ userId, username, createdAt }")),
+				},
+			},
+		},
+	},
+	"/health": {
+		get: {
+			tag: "Server",
+			summary: "Health and readiness check",
+			public: true,
+			unlimited: true,
+			responses: {
+				200: { description: "Ready", content: json(HEALTH) },
+				503: {
+					description: "A readiness check failed",
+					content: json(HEALTH),
+				},
+			},
+		},
+	},
+	"/metrics": {
+		get: {
+			tag: "Server",
+			summary: "Metrics in the Prometheus text format",
+			public: true,
+			unlimited: true,
+			responses: {
+				200: {
+					description: "Request, storage and cache metrics",
+					content: { "text/plain": { schema: { type: "string" } } },
+				},
+			},
+		},
+	},
+	"/openapi.json": {
+		get: {
+			tag: "Server",
+			summary: "This document",
+			public: true,
+			responses: {
+				200: { description: "OpenAPI 3 document", content: json(anyObject()) },
+			},
+		},
+	},
+};
+
+// Routes that also exist per list, under /lists/{listId}
+const LIST_ROUTES = [
+	"/todos",
+	"/todos/export",
+	"/todos/import",
+	"/todos/clear-completed",
+	"/todos/complete-all",
+];
+
+// Operations also available for lists other users share, under
+// /shared/:ownerId, by route and method. Viewers can only use the GETs.
+const SHARED_ROUTES = {
+	"/lists/:listId": ["get"],
+	"/lists/:listId/todos": ["get", "post"],
+	"/lists/:listId/todos/export": ["get"],
+	"/lists/:listId/todos/clear-completed": ["post"],
+	"/lists/:listId/todos/complete-all": ["post"],
+	"/todos/:id": ["get", "put", "patch", "delete"],
+	"/todos/:id/occurrences": ["get"],
+	"/todos/:id/history": ["get"],
+	"/todos/:id/items": ["get", "post"],
+	"/todos/:id/items/:itemId": ["put", "delete"],
+};
+
+function toOperation(method, spec) {
+	const parameters = spec.parameters || [];
+	const operation = {
+		tags: [spec.tag],
+		summary: spec.summary,
+		parameters,
+		responses: { ...spec.responses },
+	};
+	if (spec.public) {
+		operation.security = [];
+	}
+
+	const bodies =
+		spec.bodies || (spec.body && { "application/json": spec.body });
+	if (bodies) {
+		operation.requestBody = {
+			required: true,
+			content: Object.fromEntries(
+				Object.entries(bodies).map(([type, schema]) => [type, { schema }]),
+			),
+		};
+		operation.responses[413] = responseRef("TooLarge");
+	}
+	if (bodies || parameters.some((parameter) => parameter.$ref)) {
+		operation.responses[400] = responseRef("Invalid");
+	}
+	if (parameters.some((parameter) => parameter.in === "path")) {
+		operation.responses[404] = responseRef("NotFound");
+	}
+	if (!spec.unlimited) {
+		operation.responses[429] = responseRef("TooManyRequests");
+	}
+	return operation;
+}
+
+// Express paths to OpenAPI ones, e.g. /todos/:id to /todos/{id}
+function toOpenApiPath(route) {
+	return route.replace(/:(\w+)/g, "{$1}");
+}
+
+function buildPaths() {
+	const paths = {};
+	Object.entries(ROUTES).forEach(([route, methods]) => {
+		const operations = Object.entries(methods).map(([method, spec]) => [
+			method,
+			toOperation(method, spec),
+		]);
+		paths[toOpenApiPath(route)] = Object.fromEntries(operations);
+
+		if (LIST_ROUTES.includes(route)) {
+			paths[toOpenApiPath(`/lists/:listId${route}`)] = Object.fromEntries(
+				operations.map(([method, operation]) => [
+					method,
+					{
+						...operation,
+						summary: `${operation.summary} (in one list)`,
+						parameters: [LIST_ID, ...operation.parameters],
+						responses: {
+							...operation.responses,
+							404: responseRef("NotFound"),
+						},
+					},
+				]),
+			);
+		}
+	});
+
+	Object.entries(SHARED_ROUTES).forEach(([route, methods]) => {
+		paths[toOpenApiPath(`/shared/:ownerId${route}`)] = Object.fromEntries(
+			methods.map((method) => {
+				const operation = paths[toOpenApiPath(route)][method];
+				const responses = { ...operation.responses };
+				if (method !== "get") {
+					responses[403] = responseRef("ViewOnly");
+				}
+				return [
+					method,
+					{
+						...operation,
+						tags: ["Sharing"],
+						summary: `${operation.summary} (in a shared list)`,
+						parameters: [OWNER_ID, ...operation.parameters],
+						responses,
+					},
+				];
+			}),
+		);
+	});
+	return paths;
+}
+
+// The OpenAPI document, with version as the API's version
+function buildOpenApiDocument(version) {
+	return {
+		openapi: "3.0.3",
+		info: {
+			title: "Todo API",
+			version,
+			description:
+				"Todos, lists and checklists per user. Invalid requests get 400 with { error, errors }, where errors lists every invalid field.",
+		},
+		servers: [{ url: "/" }],
+		security: [{ bearerAuth: [] }, { userId: [] }],
+		paths: buildPaths(),
+		components: {
+			schemas: SCHEMAS,
+			parameters: PARAMETERS,
+			responses: RESPONSES,
+			securitySchemes: {
+				bearerAuth: {
+					type: "http",
+					scheme: "bearer",
+					description: "A token from POST /auth/login",
+				},
+				userId: {
+					type: "apiKey",
+					in: "header",
+					name: "X-User-Id",
+					description:
+						"An anonymous user ID (8-64 letters, numbers, - or _). Only accepted when the server runs with ALLOW_ANONYMOUS=true",
+				},
+			},
+		},
+	};
+}
+
+module.exports = { buildOpenApiDocument };
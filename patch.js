@@ -0,0 +1,292 @@
+// ================================
+// JSON Merge Patch & JSON Patch
+// ================================
+//
+// The two patch formats PATCH /todos/:id accepts. Both work on plain JSON
+// values and return a patched copy, leaving the original untouched.
+//
+//   JSON Merge Patch (RFC 7396) - an object with the members to change;
+//     null removes a member, objects are merged recursively and anything
+//     else (arrays included) replaces the current value.
+//
+//   JSON Patch (RFC 6902) - a list of operations applied in order:
+//     { op: "add" | "remove" | "replace", path, value? }
+//     { op: "move" | "copy", from, path }
+//     { op: "test", path, value }
+//     where path and from are JSON Pointers (RFC 6901), e.g. "/tags/0".
+//     A failed test stops the patch like any other error.
+
+const PATCH_OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+
+function isObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Deep equality of JSON values, ignoring the order of object members
+function isEqual(a, b) {
+	if (Array.isArray(a) || Array.isArray(b)) {
+		return (
+			Array.isArray(a) &&
+			Array.isArray(b) &&
+			a.length === b.length &&
+			a.every((value, index) => isEqual(value, b[index]))
+		);
+	}
+	if (isObject(a) && isObject(b)) {
+		const keys = Object.keys(a);
+		return (
+			keys.length === Object.keys(b).length &&
+			keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]))
+		);
+	}
+	return a === b;
+}
+
+// ================================
+// JSON Merge Patch
+// ================================
+
+function applyMergePatch(target, patch) {
+	if (!isObject(patch)) {
+		return structuredClone(patch);
+	}
+
+	const result = isObject(target) ? structuredClone(target) : {};
+	Object.keys(patch).forEach((key) => {
+		if (patch[key] === null) {
+			delete result[key];
+		} else {
+			result[key] = applyMergePatch(result[key], patch[key]);
+		}
+	});
+	return result;
+}
+
+// ================================
+// JSON Patch
+// ================================
+
+// The reference tokens of a JSON Pointer ("" is the whole document), or null
+// if it isn't one
+function parsePointer(pointer) {
+	if (typeof pointer !== "string" || (pointer && !pointer.startsWith("/"))) {
+		return null;
+	}
+	return pointer
+		.split("/")
+		.slice(1)
+		.map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+// Array index for a token: a number within the array, or its length for "-"
+// when appending. Returns -1 if the token isn't a valid index.
+function getArrayIndex(array, token, appending) {
+	if (appending && token === "-") {
+		return array.length;
+	}
+	if (!/^(0|[1-9]\d*)$/.test(token)) {
+		return -1;
+	}
+	const index = Number(token);
+	const max = appending ? array.length : array.length - 1;
+	return index <= max ? index : -1;
+}
+
+// The value at the tokens, or undefined if there is none
+function getValue(document, tokens) {
+	let value = document;
+	for (const token of tokens) {
+		if (Array.isArray(value)) {
+			const index = getArrayIndex(value, token, false);
+			if (index === -1) {
+				return undefined;
+			}
+			value = value[index];
+		} else if (isObject(value) && Object.hasOwn(value, token)) {
+			value = value[token];
+		} else {
+			return undefined;
+		}
+	}
+	return value;
+}
+
+// The container holding the last token, or throws if there is none
+function getParent(document, tokens, pointer) {
+	const parent = getValue(document, tokens.slice(0, -1));
+	if (!Array.isArray(parent) && !isObject(parent)) {
+		throw new Error(`${pointer} does not exist`);
+	}
+	return parent;
+}
+
+// Each of these returns the new document (the root can be replaced)
+function addValue(document, tokens, pointer, value) {
+	if (tokens.length === 0) {
+		return value;
+	}
+	const parent = getParent(document, tokens, pointer);
+	const token = tokens[tokens.length - 1];
+	if (Array.isArray(parent)) {
+		const index = getArrayIndex(parent, token, true);
+		if (index === -1) {
+			throw new Error(`${pointer} is not a valid position in the list`);
+		}
+		parent.splice(index, 0, value);
+	} else {
+		parent[token] = value;
+	}
+	return document;
+}
+
+function removeValue(document, tokens, pointer) {
+	if (tokens.length === 0) {
+		throw new Error("The whole document can't be removed");
+	}
+	if (getValue(document, tokens) === undefined) {
+		throw new Error(`${pointer} does not exist`);
+	}
+	const parent = getParent(document, tokens, pointer);
+	const token = tokens[tokens.length - 1];
+	if (Array.isArray(parent)) {
+		parent.splice(Number(token), 1);
+	} else {
+		delete parent[token];
+	}
+	return document;
+}
+
+function getExistingValue(document, tokens, pointer) {
+	const value = getValue(document, tokens);
+	if (value === undefined) {
+		throw new Error(`${pointer} does not exist`);
+	}
+	return value;
+}
+
+// Check an operation's members, returning an error message or null
+function getOperationError(operation) {
+	if (!isObject(operation)) {
+		return "Each operation must be an object";
+	}
+	if (!PATCH_OPERATIONS.includes(operation.op)) {
+		return `op must be one of: ${PATCH_OPERATIONS.join(", ")}`;
+	}
+	if (!parsePointer(operation.path)) {
+		return "path must be a JSON Pointer, e.g. /title";
+	}
+	if (
+		["move", "copy"].includes(operation.op) &&
+		!parsePointer(operation.from)
+	) {
+		return "from must be a JSON Pointer, e.g. /title";
+	}
+	if (
+		["add", "replace", "test"].includes(operation.op) &&
+		!Object.hasOwn(operation, "value")
+	) {
+		return `${operation.op} needs a value`;
+	}
+	return null;
+}
+
+function applyOperation(document, operation) {
+	const { op, path: pointer, from } = operation;
+	const tokens = parsePointer(pointer);
+
+	switch (op) {
+		case "add":
+			return addValue(
+				document,
+				tokens,
+				pointer,
+				structuredClone(operation.value),
+			);
+		case "remove":
+			return removeValue(document, tokens, pointer);
+		case "replace":
+			if (tokens.length === 0) {
+				return structuredClone(operation.value);
+			}
+			return addValue(
+				removeValue(document, tokens, pointer),
+				tokens,
+				pointer,
+				structuredClone(operation.value),
+			);
+		case "move": {
+			if (pointer.startsWith(`${from}/`)) {
+				throw new Error(`${from} can't be moved into itself`);
+			}
+			const fromTokens = parsePointer(from);
+			const value = getExistingValue(document, fromTokens, from);
+			return addValue(
+				removeValue(document, fromTokens, from),
+				tokens,
+				pointer,
+				value,
+			);
+		}
+		case "copy": {
+			const value = getExistingValue(document, parsePointer(from), from);
+			return addValue(document, tokens, pointer, structuredClone(value));
+		}
+		default: {
+			// test
+			const value = getValue(document, tokens);
+			if (!isEqual(value, operation.value)) {
+				const error = new Error(
+					value === undefined
+						? `${pointer} does not exist`
+						: `${pointer} is ${JSON.stringify(value)}`,
+				);
+				error.testFailed = true;
+				throw error;
+			}
+			return document;
+		}
+	}
+}
+
+// Apply the operations to a copy of the document. Returns { document }, or
+// { index, error, testFailed } for the first operation that can't be applied.
+function applyJsonPatch(document, operations) {
+	if (!Array.isArray(operations)) {
+		return { index: null, error: "A JSON Patch must be a list of operations" };
+	}
+
+	let patched = structuredClone(document);
+	for (let index = 0; index < operations.length; index++) {
+		const operation = operations[index];
+		const operationError = getOperationError(operation);
+		if (operationError) {
+			return { index, error: operationError, testFailed: false };
+		}
+		try {
+			patched = applyOperation(patched, operation);
+		} catch (error) {
+			return {
+				index,
+				error: error.message,
+				testFailed: Boolean(error.testFailed),
+			};
+		}
+	}
+	return { document: patched };
+}
+
+// The top-level member an operation changes (or "" for the whole document),
+// used to tell which operation caused an invalid result
+function getChangedMembers(operation) {
+	return [operation.path, operation.op === "move" ? operation.from : null]
+		.map(parsePointer)
+		.filter((tokens) => tokens && operation.op !== "test")
+		.map((tokens) => (tokens.length > 0 ? tokens[0] : ""));
+}
+
+module.exports = {
+	applyMergePatch,
+	applyJsonPatch,
+	getChangedMembers,
+	isEqual,
+};
@@ -0,0 +1,280 @@
+// ================================
+// API Explorer
+// ================================
+//
+// Lists the operations in /openapi.json by tag and sends requests to them,
+// as the signed in user (the app's bearer token) or the X-User-Id given.
+
+let spec = null;
+const operations = []; // { method, path, operation } by index
+
+const elements = {
+	apiInfo: document.getElementById("apiInfo"),
+	identityInput: document.getElementById("identityInput"),
+	identityNote: document.getElementById("identityNote"),
+	operations: document.getElementById("operations"),
+	schemas: document.getElementById("schemas"),
+};
+
+// Same theme and identity as the app
+if (localStorage.getItem("darkMode") === "true") {
+	document.documentElement.setAttribute("data-theme", "dark");
+}
+const authToken = localStorage.getItem("authToken");
+elements.identityInput.value = localStorage.getItem("userId") || "";
+if (authToken) {
+	elements.identityNote.textContent =
+		"Signed in: requests use your bearer token";
+	elements.identityInput.disabled = true;
+}
+
+// ================================
+// Schemas
+// ================================
+
+function resolveRef(object) {
+	if (!object || !object.$ref) {
+		return object;
+	}
+	return object.$ref
+		.replace("#/", "")
+		.split("/")
+		.reduce((value, key) => value[key], spec);
+}
+
+// An example value for a schema: its default, or the simplest valid value
+// for each required property
+function exampleFor(schema, depth = 0) {
+	const resolved = { ...resolveRef(schema), ...schema, $ref: undefined };
+	if (resolved.default !== undefined) {
+		return resolved.default;
+	}
+	if (resolved.oneOf) {
+		return exampleFor(resolved.oneOf[resolved.oneOf.length - 1], depth);
+	}
+	if (resolved.enum) {
+		return resolved.enum[0];
+	}
+	switch (resolved.type) {
+		case "object": {
+			const example = {};
+			if (depth > 3) {
+				return example;
+			}
+			Object.entries(resolved.properties || {}).forEach(([name, property]) => {
+				const required = (resolved.required || []).includes(name);
+				if (required && !resolveRef(property).readOnly) {
+					example[name] = exampleFor(property, depth + 1);
+				}
+			});
+			return example;
+		}
+		case "array":
+			return [];
+		case "integer":
+		case "number":
+			return resolved.minimum || 0;
+		case "boolean":
+			return false;
+		case "string":
+			return resolved.format === "date" ? "2030-01-01" : "";
+		default:
+			return null;
+	}
+}
+
+function schemaName(schema) {
+	return schema && schema.$ref ? schema.$ref.split("/").pop() : null;
+}
+
+// ================================
+// Rendering
+// ================================
+
+function renderParameter(index, parameter) {
+	const { name, in: location, required, description } = resolveRef(parameter);
+	const schema = resolveRef(parameter).schema || {};
+	const id = `param-${index}-${location}-${name}`;
+	const input = schema.enum
+		? `<select id="${id}"><option value=""></option>${schema.enum
+				.map((value) => `<option>${escapeHtml(value)}</option>`)
+				.join("")}</select>`
+		: `<input type="text" id="${id}" placeholder="${escapeHtml(schema.type || "")}">`;
+	return `
+		<div class="parameter">
+			<label for="${id}">${escapeHtml(name)}${required ? " *" : ""} <small>(${location})</small></label>
+			${input}
+			${description ? `<small>${escapeHtml(description)}</small>` : ""}
+		</div>`;
+}
+
+function renderOperation(index) {
+	const { method, path, operation } = operations[index];
+	const parameters = (operation.parameters || [])
+		.map((parameter) => renderParameter(index, parameter))
+		.join("");
+
+	const content = operation.requestBody ? operation.requestBody.content : null;
+	let body = "";
+	if (content) {
+		const types = Object.keys(content);
+		const name = schemaName(content[types[0]].schema);
+		body = `
+			<div class="parameter">
+				<label for="type-${index}">Content-Type</label>
+				<select id="type-${index}" onchange="fillBody(${index})">
+					${types.map((type) => `<option>${type}</option>`).join("")}
+				</select>
+			</div>
+			${name ? `<p>Body: <a href="#schema-${name}">${name}</a></p>` : ""}
+			<textarea id="body-${index}" spellcheck="false"></textarea>`;
+	}
+
+	return `
+		<details class="operation" ontoggle="fillBody(${index}, true)">
+			<summary>
+				<span class="method method-${method}">${method}</span>
+				<span class="operation-path">${escapeHtml(path)}</span>
+				<span class="operation-summary">${escapeHtml(operation.summary || "")}</span>
+			</summary>
+			<div class="operation-body">
+				${parameters}
+				${body}
+				<p><button type="button" onclick="sendRequest(${index})">Send</button></p>
+				<div id="response-${index}"></div>
+			</div>
+		</details>`;
+}
+
+function render() {
+	const { info, paths, components } = spec;
+	elements.apiInfo.innerHTML = `${escapeHtml(info.title)} ${escapeHtml(info.version)} - ${escapeHtml(info.description || "")} (<a href="/openapi.json">openapi.json</a>)`;
+
+	const byTag = new Map();
+	Object.entries(paths).forEach(([path, methods]) => {
+		Object.entries(methods).forEach(([method, operation]) => {
+			const tag = (operation.tags || ["Other"])[0];
+			if (!byTag.has(tag)) {
+				byTag.set(tag, []);
+			}
+			operations.push({ method, path, operation });
+			byTag.get(tag).push(operations.length - 1);
+		});
+	});
+
+	elements.operations.innerHTML = [...byTag.entries()]
+		.map(
+			([tag, indexes]) =>
+				`<h2 class="explorer-tag">${escapeHtml(tag)}</h2>${indexes
+					.map(renderOperation)
+					.join("")}`,
+		)
+		.join("");
+
+	elements.schemas.innerHTML = Object.entries(components.schemas)
+		.map(
+			([name, schema]) => `
+				<details class="operation" id="schema-${name}">
+					<summary><span class="operation-path">${name}</span>
+					<span class="operation-summary">${escapeHtml(schema.description || "")}</span></summary>
+					<div class="operation-body"><pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre></div>
+				</details>`,
+		)
+		.join("");
+}
+
+// Fill a body textarea with an example for the selected content type
+// (only once when the operation is opened)
+function fillBody(index, onOpen = false) {
+	const textarea = document.getElementById(`body-${index}`);
+	if (!textarea || (onOpen && textarea.value)) {
+		return;
+	}
+	const { content } = operations[index].operation.requestBody;
+	const type = document.getElementById(`type-${index}`).value;
+	const example =
+		type === "application/json-patch+json"
+			? [{ op: "replace", path: "/title", value: "" }]
+			: exampleFor(content[type].schema);
+	textarea.value = JSON.stringify(example, null, 2);
+}
+
+// ================================
+// Requests
+// ================================
+
+async function sendRequest(index) {
+	const { method, path, operation } = operations[index];
+	const output = document.getElementById(`response-${index}`);
+	const headers = {};
+	const query = new URLSearchParams();
+	let url = path;
+
+	for (const parameter of operation.parameters || []) {
+		const { name, in: location } = resolveRef(parameter);
+		const value = document
+			.getElementById(`param-${index}-${location}-${name}`)
+			.value.trim();
+		if (!value) {
+			continue;
+		}
+		if (location === "path") {
+			url = url.replace(`{${name}}`, encodeURIComponent(value));
+		} else if (location === "query") {
+			query.append(name, value);
+		} else {
+			headers[name] = value;
+		}
+	}
+	if (query.toString()) {
+		url += `?${query}`;
+	}
+
+	if (authToken) {
+		headers.Authorization = `Bearer ${authToken}`;
+	} else if (elements.identityInput.value.trim()) {
+		headers["X-User-Id"] = elements.identityInput.value.trim();
+	}
+
+	const options = { method: method.toUpperCase(), headers };
+	if (operation.requestBody) {
+		headers["Content-Type"] = document.getElementById(`type-${index}`).value;
+		options.body = document.getElementById(`body-${index}`).value;
+	}
+
+	output.innerHTML = "<p>Sending...</p>";
+	try {
+		const response = await fetch(url, options);
+		const text = await response.text();
+		let shown = text;
+		try {
+			shown = JSON.stringify(JSON.parse(text), null, 2);
+		} catch (error) {
+			// Not JSON, shown as it is
+		}
+		const etag = response.headers.get("ETag");
+		output.innerHTML = `
+			<p class="response-status">${response.status} ${escapeHtml(response.statusText)}${etag ? ` - ETag ${escapeHtml(etag)}` : ""}</p>
+			<pre>${escapeHtml(shown)}</pre>`;
+	} catch (error) {
+		output.innerHTML = `<p class="response-status">Request failed: ${escapeHtml(error.message)}</p>`;
+	}
+}
+
+function escapeHtml(text) {
+	const div = document.createElement("div");
+	div.textContent = text;
+	return div.innerHTML;
+}
+
+async function init() {
+	try {
+		const response = await fetch("/openapi.json");
+		spec = await response.json();
+		render();
+	} catch (error) {
+		elements.apiInfo.textContent = `Could not load the API description: ${error.message}`;
+	}
+}
+
+init();
@@ -3,40 +3,83 @@
 // ================================
 
 const API_BASE_URL = "http://localhost:3000";
+const TODO_SORT = "completed,priority,createdAt";
+const PAGE_SIZE = 20;
 
 // ================================
-// User ID Management
+// Authentication
 // ================================
 
-// Generate or retrieve user ID
-function getUserId() {
-	let userId = localStorage.getItem("userId");
-	if (!userId) {
-		// Generate unique user ID using timestamp + random string
-		userId = generateUserId();
-		localStorage.setItem("userId", userId);
-		console.log("🆔 New user ID generated:", userId);
-	}
-	return userId;
+let authToken = localStorage.getItem("authToken");
+let currentUser = JSON.parse(localStorage.getItem("currentUser") || "null");
+let authMode = "login";
+
+// Anonymous user ID generated before accounts existed. It is claimed on
+// registration so the todos stored under it move into the new account.
+function getAnonymousUserId() {
+	return localStorage.getItem("userId");
 }
 
-// Generate unique user ID
-function generateUserId() {
-	const timestamp = Date.now().toString(36);
-	const randomStr = Math.random().toString(36).substring(2, 15);
-	return `user_${timestamp}_${randomStr}`;
+function saveSession(session) {
+	authToken = session.token;
+	currentUser = session.user;
+	localStorage.setItem("authToken", authToken);
+	localStorage.setItem("currentUser", JSON.stringify(currentUser));
 }
 
-// Get the user ID on app load
-const USER_ID = getUserId();
+function clearSession() {
+	authToken = null;
+	currentUser = null;
+	localStorage.removeItem("authToken");
+	localStorage.removeItem("currentUser");
+}
 
 // ================================
 // State Management
 // ================================
 
 let currentFilter = "all";
-let searchQuery = "";
+let currentTag = ""; // Tag filter, empty for all tags
+let currentListId = null; // Selected list, null for all lists
+let lists = []; // The user's lists with their todo counts
+let showArchivedLists = false;
+let selectionMode = false; // Multi-select for bulk actions
+const selectedTodos = new Set(); // IDs of the selected todos
+let searchQuery = ""; // Search box text, sent as the search query
+let searchFilter = null; // searchQuery parsed (see query.js), null for none
+let nextCursor = null; // Cursor for the next page of todos, null when all are loaded
+let isLoadingMore = false;
+let todosRequestId = 0; // Incremented on reload so stale pages are discarded
+let eventStream = null; // AbortController of the open live update stream
+let lastEventId = null; // Resume point when the stream reconnects
+let liveUpdatesConnected = false; // Changes arrive as events, no need to reload
+let isOffline = !navigator.onLine; // The server can't be reached
+let pendingChanges = 0; // Changes queued offline, not on the server yet
+let isSyncing = false;
+let syncConflicts = []; // Messages about queued changes the server didn't take as-is
+const syncedTodoIds = new Map(); // Temporary ID of a todo created offline -> its ID
+const expandedChecklists = new Set(); // IDs of todos with their checklist open
+const expandedRecurrence = new Set(); // IDs of todos with their repeat editor open
+let historyTodoId = null; // Todo whose history drawer is open
+let trends = null; // Last stats history (GET /todos/stats/history)
+let trendsPeriod = "daily"; // Series the trends chart shows: daily or weekly
 let isDarkMode = localStorage.getItem("darkMode") === "true";
+let toastTimer = null;
+let toastAction = null; // Callback of the toast's action button, if any
+
+// Rules offered by the "Repeat" select of the add form. Weekly and monthly
+// rules repeat on the due date's weekday or day of the month.
+const RECURRENCE_PRESETS = {
+	daily: { frequency: "daily" },
+	weekdays: {
+		frequency: "weekly",
+		weekdays: ["mon", "tue", "wed", "thu", "fri"],
+	},
+	weekly: { frequency: "weekly" },
+	monthly: { frequency: "monthly" },
+};
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
 // ================================
 // DOM Elements
@@ -47,18 +90,77 @@ const elements = {
 	addTodoForm: document.getElementById("addTodoForm"),
 	todoInput: document.getElementById("todoInput"),
 	prioritySelect: document.getElementById("prioritySelect"),
+	dueDateInput: document.getElementById("dueDateInput"),
+	dueTimeInput: document.getElementById("dueTimeInput"),
+	tagsInput: document.getElementById("tagsInput"),
+	recurrenceSelect: document.getElementById("recurrenceSelect"),
 	searchInput: document.getElementById("searchInput"),
+	searchSuggestions: document.getElementById("searchSuggestions"),
+	searchHint: document.getElementById("searchHint"),
 	filterButtons: document.querySelectorAll(".filter-btn"),
+	tagFilter: document.getElementById("tagFilter"),
 	loadingSpinner: document.getElementById("loadingSpinner"),
 	errorMessage: document.getElementById("errorMessage"),
 	emptyState: document.getElementById("emptyState"),
 	themeToggle: document.getElementById("themeToggle"),
 	toast: document.getElementById("toast"),
 	toastMessage: document.getElementById("toastMessage"),
+	toastActionBtn: document.getElementById("toastActionBtn"),
 	statTotal: document.getElementById("statTotal"),
 	statPending: document.getElementById("statPending"),
 	statCompleted: document.getElementById("statCompleted"),
 	statRate: document.getElementById("statRate"),
+	trendsChart: document.getElementById("trendsChart"),
+	trendsPeriodButtons: document.querySelectorAll(".trends-period-btn"),
+	trendsStreak: document.getElementById("trendsStreak"),
+	trendsLongestStreak: document.getElementById("trendsLongestStreak"),
+	trendsLeadTime: document.getElementById("trendsLeadTime"),
+	trendsLeadTimes: document.getElementById("trendsLeadTimes"),
+	appContainer: document.getElementById("appContainer"),
+	authScreen: document.getElementById("authScreen"),
+	authForm: document.getElementById("authForm"),
+	authTitle: document.getElementById("authTitle"),
+	authSubtitle: document.getElementById("authSubtitle"),
+	authUsername: document.getElementById("authUsername"),
+	authPassword: document.getElementById("authPassword"),
+	authError: document.getElementById("authError"),
+	authSubmit: document.getElementById("authSubmit"),
+	authSwitch: document.getElementById("authSwitch"),
+	userBar: document.getElementById("userBar"),
+	userName: document.getElementById("userName"),
+	logoutBtn: document.getElementById("logoutBtn"),
+	loadMoreSentinel: document.getElementById("loadMoreSentinel"),
+	listNav: document.getElementById("listNav"),
+	addListForm: document.getElementById("addListForm"),
+	listNameInput: document.getElementById("listNameInput"),
+	showArchivedInput: document.getElementById("showArchivedInput"),
+	currentListTitle: document.getElementById("currentListTitle"),
+	selectModeBtn: document.getElementById("selectModeBtn"),
+	completeAllBtn: document.getElementById("completeAllBtn"),
+	clearCompletedBtn: document.getElementById("clearCompletedBtn"),
+	bulkBar: document.getElementById("bulkBar"),
+	bulkCount: document.getElementById("bulkCount"),
+	bulkSelectAllBtn: document.getElementById("bulkSelectAllBtn"),
+	bulkCompleteBtn: document.getElementById("bulkCompleteBtn"),
+	bulkPrioritySelect: document.getElementById("bulkPrioritySelect"),
+	bulkDeleteBtn: document.getElementById("bulkDeleteBtn"),
+	syncStatus: document.getElementById("syncStatus"),
+	transferBtn: document.getElementById("transferBtn"),
+	transferPanel: document.getElementById("transferPanel"),
+	exportFormatSelect: document.getElementById("exportFormatSelect"),
+	exportBtn: document.getElementById("exportBtn"),
+	importForm: document.getElementById("importForm"),
+	importFileInput: document.getElementById("importFileInput"),
+	importFormatSelect: document.getElementById("importFormatSelect"),
+	importDuplicatesSelect: document.getElementById("importDuplicatesSelect"),
+	importMappingInput: document.getElementById("importMappingInput"),
+	importIntoListInput: document.getElementById("importIntoListInput"),
+	importPreviewBtn: document.getElementById("importPreviewBtn"),
+	importReport: document.getElementById("importReport"),
+	historyDrawer: document.getElementById("historyDrawer"),
+	historyTitle: document.getElementById("historyTitle"),
+	historyCloseBtn: document.getElementById("historyCloseBtn"),
+	historyList: document.getElementById("historyList"),
 };
 
 // ================================
@@ -68,8 +170,12 @@ const elements = {
 document.addEventListener("DOMContentLoaded", () => {
 	initializeApp();
 	setupEventListeners();
-	loadTodos();
-	loadStats();
+
+	if (authToken) {
+		showApp();
+	} else {
+		showAuthScreen();
+	}
 });
 
 function initializeApp() {
@@ -77,6 +183,15 @@ function initializeApp() {
 	if (isDarkMode) {
 		document.documentElement.setAttribute("data-theme", "dark");
 	}
+
+	// Cache the app shell so the app opens without a connection
+	if ("serviceWorker" in navigator) {
+		navigator.serviceWorker
+			.register("sw.js")
+			.catch((error) =>
+				console.error("Service worker registration failed:", error),
+			);
+	}
 }
 
 function setupEventListeners() {
@@ -85,14 +200,80 @@ function setupEventListeners() {
 
 	// Search input
 	elements.searchInput.addEventListener("input", debounce(handleSearch, 300));
+	elements.searchInput.addEventListener("input", renderSearchSuggestions);
 
 	// Filter buttons
 	elements.filterButtons.forEach((btn) => {
 		btn.addEventListener("click", () => handleFilter(btn.dataset.filter));
 	});
+	elements.tagFilter.addEventListener("change", (e) =>
+		handleTagFilter(e.target.value),
+	);
+
+	// Trends chart period
+	elements.trendsPeriodButtons.forEach((btn) => {
+		btn.addEventListener("click", () => handleTrendsPeriod(btn.dataset.period));
+	});
+
+	// Lists
+	elements.addListForm.addEventListener("submit", handleAddList);
+	elements.showArchivedInput.addEventListener("change", (e) => {
+		showArchivedLists = e.target.checked;
+		renderLists();
+	});
+
+	// Bulk actions
+	elements.selectModeBtn.addEventListener("click", handleToggleSelectMode);
+	elements.completeAllBtn.addEventListener("click", handleCompleteAll);
+	elements.clearCompletedBtn.addEventListener("click", handleClearCompleted);
+	elements.bulkSelectAllBtn.addEventListener("click", handleSelectAll);
+	elements.bulkCompleteBtn.addEventListener("click", handleBulkComplete);
+	elements.bulkDeleteBtn.addEventListener("click", handleBulkDelete);
+	elements.bulkPrioritySelect.addEventListener("change", (e) =>
+		handleBulkPriority(e.target.value),
+	);
+
+	// Import / Export
+	elements.transferBtn.addEventListener("click", handleToggleTransferPanel);
+	elements.exportBtn.addEventListener("click", handleExport);
+	elements.importForm.addEventListener("submit", handleImport);
+
+	// History drawer
+	elements.historyCloseBtn.addEventListener("click", handleCloseHistory);
+	document.addEventListener("keydown", (e) => {
+		if (e.key === "Escape" && historyTodoId !== null) {
+			handleCloseHistory();
+		}
+	});
+
+	// Toast action (e.g. Undo)
+	elements.toastActionBtn.addEventListener("click", handleToastAction);
 
 	// Theme toggle
 	elements.themeToggle.addEventListener("click", toggleTheme);
+
+	// Authentication
+	elements.authForm.addEventListener("submit", handleAuthSubmit);
+	elements.authSwitch.addEventListener("click", () =>
+		setAuthMode(authMode === "login" ? "register" : "login"),
+	);
+	elements.logoutBtn.addEventListener("click", handleLogout);
+
+	// Offline support
+	elements.syncStatus.addEventListener("click", handleSyncStatusClick);
+	window.addEventListener("online", syncPendingChanges);
+	window.addEventListener("offline", () => setOffline(true));
+
+	// Infinite scroll
+	const observer = new IntersectionObserver(
+		(entries) => {
+			if (entries.some((entry) => entry.isIntersecting)) {
+				loadMoreTodos();
+			}
+		},
+		{ rootMargin: "200px" },
+	);
+	observer.observe(elements.loadMoreSentinel);
 }
 
 // ================================
@@ -116,85 +297,540 @@ function toggleTheme() {
 // API Functions
 // ================================
 
-async function fetchTodos(filter = null, search = null) {
-	const params = new URLSearchParams();
-	if (filter && filter !== "all") params.append("filter", filter);
-	if (search) params.append("search", search);
+// fetch() with the bearer token attached. A 401 means the session is gone,
+// so the user is sent back to the login screen.
+async function apiFetch(path, options = {}) {
+	const response = await fetch(`${API_BASE_URL}${path}`, {
+		...options,
+		headers: {
+			...options.headers,
+			Authorization: `Bearer ${authToken}`,
+			"X-Client": "web", // Shown as the source of changes in their history
+		},
+	});
+
+	if (response.status === 401) {
+		clearSession();
+		showAuthScreen();
+		throw new Error("Your session has expired. Please log in again.");
+	}
 
-	const url = `${API_BASE_URL}/todos${params.toString() ? "?" + params.toString() : ""}`;
+	return response;
+}
 
-	const response = await fetch(url, {
+async function registerAccount(username, password) {
+	const claimUserId = getAnonymousUserId();
+	const response = await fetch(`${API_BASE_URL}/auth/register`, {
+		method: "POST",
 		headers: {
-			"X-User-Id": USER_ID,
+			"Content-Type": "application/json",
+			// Proves the anonymous ID is ours to claim
+			...(claimUserId ? { "X-User-Id": claimUserId } : {}),
 		},
+		body: JSON.stringify({
+			username,
+			password,
+			...(claimUserId ? { claimUserId } : {}),
+		}),
 	});
+
 	if (!response.ok) {
-		throw new Error("Failed to fetch todos");
+		const error = await response.json();
+		throw new Error(error.error || "Failed to register");
 	}
+
 	return response.json();
 }
 
-async function createTodo(title, priority) {
-	const response = await fetch(`${API_BASE_URL}/todos`, {
+async function loginAccount(username, password) {
+	const response = await fetch(`${API_BASE_URL}/auth/login`, {
 		method: "POST",
 		headers: {
 			"Content-Type": "application/json",
-			"X-User-Id": USER_ID,
 		},
-		body: JSON.stringify({ title, priority }),
+		body: JSON.stringify({ username, password }),
 	});
 
 	if (!response.ok) {
 		const error = await response.json();
-		throw new Error(error.error || "Failed to create todo");
+		throw new Error(error.error || "Failed to log in");
 	}
 
 	return response.json();
 }
 
+async function logoutAccount() {
+	await apiFetch("/auth/logout", { method: "POST" });
+}
+
+// Fetch one page of todos in display order: pending first, high→med→low
+// (best search matches first when sorting by relevance too)
+async function fetchTodos({
+	listId = null,
+	filter = null,
+	search = null,
+	tag = null,
+	sort = TODO_SORT,
+	cursor = null,
+} = {}) {
+	const params = new URLSearchParams();
+	if (filter && filter !== "all") params.append("filter", filter);
+	if (search) params.append("search", search);
+	if (tag) params.append("tag", tag);
+	params.append("sort", sort);
+	params.append("limit", PAGE_SIZE);
+	if (cursor) params.append("cursor", cursor);
+
+	const path = listId ? `/lists/${listId}/todos` : "/todos";
+	const url = `${path}${params.toString() ? "?" + params.toString() : ""}`;
+
+	const response = await apiFetch(url);
+	if (!response.ok) {
+		throw new Error("Failed to fetch todos");
+	}
+	return response.json();
+}
+
+async function createTodo(
+	title,
+	priority,
+	dueDate = null,
+	dueTime = null,
+	tags = [],
+	listId = null,
+	recurrence = null,
+) {
+	const body = { title, priority, dueDate, dueTime, tags, recurrence };
+	if (listId) {
+		body.listId = listId;
+	}
+
+	return sendOrQueue(
+		async () => {
+			const response = await apiFetch("/todos", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(body),
+			});
+
+			if (!response.ok) {
+				const error = await response.json();
+				throw new Error(error.error || "Failed to create todo");
+			}
+
+			return response.json();
+		},
+		() => queueCreateTodo(body),
+	);
+}
+
+// Todos of lists other users share have their owner's IDs, so the app tells
+// todos apart by key: the ID for the user's own, "<ownerId>:<id>" for shared
+// ones, which are read and changed through their owner (their href)
+function getTodoKey(todo) {
+	return todo.owner ? `${todo.owner.userId}:${todo.id}` : todo.id;
+}
+
+function isSharedKey(key) {
+	return typeof key === "string";
+}
+
+function getTodoPath(key) {
+	if (isSharedKey(key)) {
+		const [ownerId, id] = key.split(":");
+		return `/shared/${ownerId}/todos/${id}`;
+	}
+	return `/todos/${key}`;
+}
+
+// A todo's key as a literal for inline event handlers (user IDs are only
+// letters, digits, "_" and "-", so they need no escaping)
+function getTodoKeyArg(todo) {
+	const key = getTodoKey(todo);
+	return isSharedKey(key) ? `'${key}'` : key;
+}
+
+// Whether the todo is shared with the user as a viewer, who can't change it
+function isReadOnly(todo) {
+	return Boolean(todo.owner) && todo.owner.role !== "editor";
+}
+
+// Todos changed through their owner come back without the owner marker
+// GET /todos adds, so put it back (only editors can change them)
+function withOwner(key, todo) {
+	if (!isSharedKey(key)) {
+		return todo;
+	}
+	const [userId] = key.split(":");
+	return { ...todo, owner: { userId, role: "editor" }, href: getTodoPath(key) };
+}
+
+// Updates are sent with the version of the todo on screen (If-Match), so a
+// change made elsewhere in the meantime isn't silently overwritten
 async function updateTodo(id, updates) {
-	const response = await fetch(`${API_BASE_URL}/todos/${id}`, {
+	const todoId = resolveTodoId(id);
+	return sendOrQueue(
+		async () => {
+			let response = await patchTodo(todoId, updates, getShownVersion(todoId));
+
+			if (response.status === 412) {
+				const latest = withOwner(todoId, (await response.json()).todo);
+				if (!confirmOverwrite(latest)) {
+					applyTodoChange(latest);
+					throw new Error(
+						`Kept the latest version of "${latest.title}" - your change was not saved`,
+					);
+				}
+				response = await patchTodo(todoId, updates, latest.version);
+			}
+
+			if (!response.ok) {
+				const error = await response.json();
+				throw new Error(error.error || "Failed to update todo");
+			}
+
+			return withOwner(todoId, await response.json());
+		},
+		() => queueUnlessShared(todoId, () => queueUpdateTodo(todoId, updates)),
+	);
+}
+
+// Send only the changed fields, as a JSON Merge Patch (null clears a field)
+function patchTodo(todoId, updates, version) {
+	const headers = { "Content-Type": "application/merge-patch+json" };
+	if (version) {
+		headers["If-Match"] = `"${version}"`;
+	}
+	return apiFetch(getTodoPath(todoId), {
+		method: "PATCH",
+		headers,
+		body: JSON.stringify(toMergePatch(updates)),
+	});
+}
+
+const RECURRENCE_MEMBERS = [
+	"frequency",
+	"interval",
+	"weekdays",
+	"monthDay",
+	"until",
+	"count",
+];
+
+// A merge patch merges objects member by member, so a new repeat rule has to
+// clear the members of the old one it doesn't set
+function toMergePatch(updates) {
+	if (!updates.recurrence) {
+		return updates;
+	}
+	const recurrence = {};
+	RECURRENCE_MEMBERS.forEach((member) => {
+		const value = updates.recurrence[member];
+		recurrence[member] = value === undefined ? null : value;
+	});
+	return { ...updates, recurrence };
+}
+
+// The version of the todo as shown, or null if it isn't on screen
+function getShownVersion(todoId) {
+	const element = findTodoElement(todoId);
+	return element && element.dataset.version
+		? Number(element.dataset.version)
+		: null;
+}
+
+// Ask whether to apply a change on top of a todo that was changed elsewhere
+function confirmOverwrite(latest) {
+	return confirm(
+		`"${latest.title}" was changed somewhere else since it was loaded.\n\n` +
+			"OK applies your change on top of the latest version. " +
+			"Cancel keeps the latest version and drops your change.",
+	);
+}
+
+async function deleteTodo(id) {
+	const todoId = resolveTodoId(id);
+	return sendOrQueue(
+		async () => {
+			const response = await apiFetch(getTodoPath(todoId), {
+				method: "DELETE",
+			});
+
+			if (!response.ok) {
+				const error = await response.json();
+				throw new Error(error.error || "Failed to delete todo");
+			}
+
+			if (!isSharedKey(todoId)) {
+				updateOfflineCopy(() => offlineStore.deleteTodo(todoId));
+			}
+			return response.json();
+		},
+		() => queueUnlessShared(todoId, () => queueDeleteTodo(todoId)),
+	);
+}
+
+async function restoreTodo(id) {
+	const response = await apiFetch(`/todos/${id}/restore`, {
+		method: "POST",
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to restore todo");
+	}
+
+	return response.json();
+}
+
+async function createChecklistItem(todoId, title) {
+	const response = await apiFetch(`${getTodoPath(todoId)}/items`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ title }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to add checklist item");
+	}
+
+	const result = await response.json();
+	return { ...result, todo: withOwner(todoId, result.todo) };
+}
+
+async function updateChecklistItem(todoId, itemId, updates) {
+	const response = await apiFetch(`${getTodoPath(todoId)}/items/${itemId}`, {
 		method: "PUT",
 		headers: {
 			"Content-Type": "application/json",
-			"X-User-Id": USER_ID,
 		},
 		body: JSON.stringify(updates),
 	});
 
 	if (!response.ok) {
 		const error = await response.json();
-		throw new Error(error.error || "Failed to update todo");
+		throw new Error(error.error || "Failed to update checklist item");
 	}
 
-	return response.json();
+	const result = await response.json();
+	return { ...result, todo: withOwner(todoId, result.todo) };
 }
 
-async function deleteTodo(id) {
-	const response = await fetch(`${API_BASE_URL}/todos/${id}`, {
+async function deleteChecklistItem(todoId, itemId) {
+	const response = await apiFetch(`${getTodoPath(todoId)}/items/${itemId}`, {
 		method: "DELETE",
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to delete checklist item");
+	}
+
+	const result = await response.json();
+	return { ...result, todo: withOwner(todoId, result.todo) };
+}
+
+async function fetchTags() {
+	const response = await apiFetch("/todos/tags");
+	if (!response.ok) {
+		throw new Error("Failed to fetch tags");
+	}
+	return response.json();
+}
+
+async function fetchStats(listId = null) {
+	const response = await apiFetch(
+		listId ? `/lists/${listId}/stats` : "/todos/stats",
+	);
+	if (!response.ok) {
+		throw new Error("Failed to fetch stats");
+	}
+	return response.json();
+}
+
+// Created vs completed per day and week, time to complete and streaks, with
+// days in the browser's time zone
+async function fetchStatsHistory(listId = null) {
+	const params = new URLSearchParams({
+		timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+	});
+	const response = await apiFetch(
+		`${listId ? `/lists/${listId}/stats` : "/todos/stats"}/history?${params}`,
+	);
+	if (!response.ok) {
+		throw new Error("Failed to fetch stats history");
+	}
+	return response.json();
+}
+
+async function batchTodos(operations) {
+	const response = await apiFetch("/todos/batch", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ operations }),
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to update todos");
+	}
+
+	return response.json();
+}
+
+async function clearCompletedTodos(listId = null) {
+	const path = listId ? `/lists/${listId}/todos` : "/todos";
+	const response = await apiFetch(`${path}/clear-completed`, {
+		method: "POST",
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to clear completed todos");
+	}
+
+	return response.json();
+}
+
+// Complete every todo matching the same query as fetchTodos
+async function completeAllTodos({
+	listId = null,
+	filter = null,
+	search = null,
+	tag = null,
+} = {}) {
+	const params = new URLSearchParams();
+	if (filter && filter !== "all") params.append("filter", filter);
+	if (search) params.append("search", search);
+	if (tag) params.append("tag", tag);
+
+	const path = listId ? `/lists/${listId}/todos` : "/todos";
+	const query = params.toString() ? "?" + params.toString() : "";
+	const response = await apiFetch(`${path}/complete-all${query}`, {
+		method: "POST",
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to complete todos");
+	}
+
+	return response.json();
+}
+
+async function fetchLists() {
+	const response = await apiFetch("/lists");
+	if (!response.ok) {
+		throw new Error("Failed to fetch lists");
+	}
+	return response.json();
+}
+
+async function createList(name) {
+	const response = await apiFetch("/lists", {
+		method: "POST",
 		headers: {
-			"X-User-Id": USER_ID,
+			"Content-Type": "application/json",
 		},
+		body: JSON.stringify({ name }),
 	});
 
 	if (!response.ok) {
 		const error = await response.json();
-		throw new Error(error.error || "Failed to delete todo");
+		throw new Error(error.error || "Failed to create list");
 	}
 
 	return response.json();
 }
 
-async function fetchStats() {
-	const response = await fetch(`${API_BASE_URL}/todos/stats`, {
+async function updateList(listId, updates) {
+	const response = await apiFetch(`/lists/${listId}`, {
+		method: "PUT",
 		headers: {
-			"X-User-Id": USER_ID,
+			"Content-Type": "application/json",
 		},
+		body: JSON.stringify(updates),
 	});
+
 	if (!response.ok) {
-		throw new Error("Failed to fetch stats");
+		const error = await response.json();
+		throw new Error(error.error || "Failed to update list");
+	}
+
+	return response.json();
+}
+
+async function deleteList(listId, moveTodosTo) {
+	const response = await apiFetch(
+		`/lists/${listId}?moveTodosTo=${moveTodosTo}`,
+		{ method: "DELETE" },
+	);
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to delete list");
+	}
+
+	return response.json();
+}
+
+// Download the todos matching a query as a file (json, csv, md or ics)
+async function exportTodos(
+	format,
+	{ listId = null, filter = null, search = null, tag = null } = {},
+) {
+	const params = new URLSearchParams({ format });
+	if (filter) params.append("filter", filter);
+	if (search) params.append("search", search);
+	if (tag) params.append("tag", tag);
+
+	const path = listId ? `/lists/${listId}/todos/export` : "/todos/export";
+	const response = await apiFetch(`${path}?${params.toString()}`);
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to export todos");
+	}
+
+	return response.blob();
+}
+
+// Import a file's contents ({ format, data, mapping, duplicates, dryRun }),
+// into one list if listId is given
+async function importTodos(request, listId = null) {
+	const path = listId ? `/lists/${listId}/todos/import` : "/todos/import";
+	const response = await apiFetch(path, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify(request),
+	});
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to import todos");
+	}
+
+	return response.json();
+}
+
+// Activity entries of a todo, newest first
+async function fetchTodoHistory(id) {
+	const response = await apiFetch(`${getTodoPath(id)}/history`);
+
+	if (!response.ok) {
+		const error = await response.json();
+		throw new Error(error.error || "Failed to load history");
 	}
+
 	return response.json();
 }
 
@@ -202,31 +838,119 @@ async function fetchStats() {
 // Event Handlers
 // ================================
 
+async function handleAuthSubmit(e) {
+	e.preventDefault();
+
+	const username = elements.authUsername.value.trim();
+	const password = elements.authPassword.value;
+
+	try {
+		elements.authSubmit.disabled = true;
+		elements.authError.classList.add("hidden");
+
+		const session =
+			authMode === "register"
+				? await registerAccount(username, password)
+				: await loginAccount(username, password);
+
+		// The anonymous ID now belongs to the account
+		if (authMode === "register") {
+			localStorage.removeItem("userId");
+		}
+
+		saveSession(session);
+		elements.authForm.reset();
+		showApp();
+		showToast(`Welcome, ${session.user.username}! 👋`);
+	} catch (error) {
+		elements.authError.textContent = error.message;
+		elements.authError.classList.remove("hidden");
+	} finally {
+		elements.authSubmit.disabled = false;
+	}
+}
+
+async function handleLogout() {
+	if (
+		pendingChanges > 0 &&
+		!confirm(
+			`${pendingChanges} change(s) made offline haven't been synced yet and will be lost. Log out anyway?`,
+		)
+	) {
+		return;
+	}
+
+	try {
+		await logoutAccount();
+	} catch (error) {
+		console.error("Failed to log out:", error);
+	}
+
+	clearSession();
+	updateOfflineCopy(() => offlineStore.clear());
+	pendingChanges = 0;
+	syncConflicts = [];
+	currentTag = "";
+	currentListId = null;
+	lists = [];
+	if (selectionMode) {
+		handleToggleSelectMode();
+	}
+	showAuthScreen();
+}
+
 async function handleAddTodo(e) {
 	e.preventDefault();
 
 	const title = elements.todoInput.value.trim();
 	const priority = elements.prioritySelect.value;
+	const dueDate = elements.dueDateInput.value || null;
+	const dueTime = elements.dueTimeInput.value || null;
+	const tags = elements.tagsInput.value
+		.split(",")
+		.map((tag) => tag.trim())
+		.filter(Boolean);
+	const recurrence =
+		RECURRENCE_PRESETS[elements.recurrenceSelect.value] || null;
 
 	if (!title) {
 		showError("Please enter a todo title");
 		return;
 	}
 
+	if (dueTime && !dueDate) {
+		showError("Please pick a due date for the due time");
+		return;
+	}
+
 	try {
 		showLoading(true);
 		hideError();
 
-		await createTodo(title, priority);
+		const todo = await createTodo(
+			title,
+			priority,
+			dueDate,
+			dueTime,
+			tags,
+			currentListId,
+			recurrence,
+		);
 
 		// Reset form
 		elements.todoInput.value = "";
 		elements.prioritySelect.value = "medium";
-
-		// Reload todos and stats
-		await Promise.all([loadTodos(), loadStats()]);
-
-		showToast("Todo added successfully! 🎉");
+		elements.dueDateInput.value = "";
+		elements.dueTimeInput.value = "";
+		elements.tagsInput.value = "";
+		elements.recurrenceSelect.value = "";
+
+		await refreshAfterChange();
+		showToast(
+			todo.unsynced
+				? "Todo saved offline - it will be added once you're back online"
+				: "Todo added successfully! 🎉",
+		);
 	} catch (error) {
 		showError(error.message);
 	} finally {
@@ -237,24 +961,512 @@ async function handleAddTodo(e) {
 async function handleToggleComplete(id, currentStatus) {
 	try {
 		console.log(`Toggling todo ${id} to ${!currentStatus}`);
-		await updateTodo(id, { completed: !currentStatus });
-		await Promise.all([loadTodos(), loadStats()]);
-		showToast(currentStatus ? "Todo marked as pending" : "Todo completed! ✅");
+		const todo = await updateTodo(id, { completed: !currentStatus });
+		await refreshAfterChange();
+
+		if (currentStatus) {
+			showToast("Todo marked as pending");
+		} else if (todo.recurrence && todo.nextOccurrenceId !== undefined) {
+			showToast("Todo completed! ✅ The next one has been added");
+		} else {
+			showToast("Todo completed! ✅");
+		}
 	} catch (error) {
 		showError(error.message);
 	}
 }
 
+// Deleted todos go to the trash, so the toast offers Undo instead of a confirm
 async function handleDeleteTodo(id) {
-	if (!confirm("Are you sure you want to delete this todo?")) {
+	try {
+		showLoading(true);
+		const result = await deleteTodo(id);
+		await refreshAfterChange();
+		if (result.unsynced) {
+			showToast(
+				"Todo deleted - it will be moved to trash once you're back online",
+			);
+			return;
+		}
+		// The trash of a shared todo is its owner's, so only they can restore it
+		if (isSharedKey(id)) {
+			showToast("Todo moved to the owner's trash");
+			return;
+		}
+		showToast("Todo moved to trash", {
+			label: "Undo",
+			run: async () => {
+				await restoreTodo(id);
+				await refreshAfterChange();
+				showToast("Todo restored");
+			},
+		});
+	} catch (error) {
+		showError(error.message);
+	} finally {
+		showLoading(false);
+	}
+}
+
+// Toast action that takes several todos back out of the trash
+function createUndoDeleteAction(ids) {
+	return {
+		label: "Undo",
+		run: async () => {
+			await batchTodos(ids.map((id) => ({ op: "restore", id })));
+			await refreshAfterChange();
+			showToast(`${ids.length} todo(s) restored`);
+		},
+	};
+}
+
+// Reload todos, stats, tags and list counts after a change, unless the live
+// update stream is connected and delivers the change by itself (changes made
+// offline only show up in the offline copy, so those always reload)
+function refreshAfterChange() {
+	if (liveUpdatesConnected && !isWorkingOffline()) {
+		return Promise.resolve();
+	}
+	return Promise.all([loadTodos(), loadStats(), loadTags(), loadLists()]);
+}
+
+function handleToggleChecklist(todoId) {
+	if (expandedChecklists.has(todoId)) {
+		expandedChecklists.delete(todoId);
+	} else {
+		expandedChecklists.add(todoId);
+	}
+
+	const todoElement = findTodoElement(todoId);
+	if (todoElement) {
+		todoElement
+			.querySelector(".checklist")
+			.classList.toggle("hidden", !expandedChecklists.has(todoId));
+	}
+}
+
+function handleToggleRecurrenceEditor(todoId) {
+	if (expandedRecurrence.has(todoId)) {
+		expandedRecurrence.delete(todoId);
+	} else {
+		expandedRecurrence.add(todoId);
+	}
+
+	const todoElement = findTodoElement(todoId);
+	if (todoElement) {
+		todoElement
+			.querySelector(".recurrence-editor")
+			.classList.toggle("hidden", !expandedRecurrence.has(todoId));
+	}
+}
+
+async function handleSaveRecurrence(e, todoId) {
+	e.preventDefault();
+
+	const form = e.target;
+	const frequency = form.elements.frequency.value;
+	let recurrence = null;
+
+	if (frequency) {
+		recurrence = {
+			frequency,
+			interval: Number(form.elements.interval.value) || 1,
+		};
+		if (frequency === "weekly") {
+			const weekdays = [...form.elements.weekday]
+				.filter((checkbox) => checkbox.checked)
+				.map((checkbox) => checkbox.value);
+			if (weekdays.length > 0) {
+				recurrence.weekdays = weekdays;
+			}
+		}
+		if (frequency === "monthly" && form.elements.monthDay.value) {
+			recurrence.monthDay = Number(form.elements.monthDay.value);
+		}
+	}
+
+	try {
+		const todo = await updateTodo(todoId, { recurrence });
+		expandedRecurrence.delete(todoId);
+		replaceTodoElement(todo);
+		showToast(recurrence ? "Repeat saved 🔁" : "Todo no longer repeats");
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleAddChecklistItem(e, todoId) {
+	e.preventDefault();
+
+	const input = e.target.elements.title;
+	const title = input.value.trim();
+	if (!title) {
+		return;
+	}
+
+	try {
+		const { todo } = await createChecklistItem(todoId, title);
+		replaceTodoElement(todo);
+		loadStats();
+
+		// Keep typing the next step
+		const todoElement = findTodoElement(todoId);
+		if (todoElement) {
+			todoElement.querySelector(".checklist-add input").focus();
+		}
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleToggleChecklistItem(todoId, itemId, completed) {
+	try {
+		const { todo } = await updateChecklistItem(todoId, itemId, { completed });
+		replaceTodoElement(todo);
+		loadStats();
+
+		if (completed && todo.autoComplete && todo.completed) {
+			showToast("All steps done - todo completed! ✅");
+		}
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleDeleteChecklistItem(todoId, itemId) {
+	try {
+		const { todo } = await deleteChecklistItem(todoId, itemId);
+		replaceTodoElement(todo);
+		loadStats();
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleToggleAutoComplete(todoId, autoComplete) {
+	try {
+		const todo = await updateTodo(todoId, { autoComplete });
+		replaceTodoElement(todo);
+		loadStats();
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleMoveTodo(id, listId) {
+	try {
+		await updateTodo(id, { listId: Number(listId) });
+		await refreshAfterChange();
+
+		const list = lists.find((l) => l.id === Number(listId));
+		showToast(`Moved to ${list ? list.name : "list"}`);
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+function handleSelectList(listId) {
+	currentListId = listId;
+	elements.importIntoListInput.disabled = currentListId === null;
+	renderLists();
+	loadTodos();
+	loadStats();
+}
+
+async function handleAddList(e) {
+	e.preventDefault();
+
+	const name = elements.listNameInput.value.trim();
+	if (!name) {
+		return;
+	}
+
+	try {
+		const list = await createList(name);
+		elements.listNameInput.value = "";
+		await loadLists();
+		handleSelectList(list.id);
+		showToast(`List "${list.name}" created`);
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleRenameList(listId) {
+	const list = lists.find((l) => l.id === listId);
+	const name = prompt("Rename list", list ? list.name : "");
+	if (!name || !name.trim()) {
+		return;
+	}
+
+	try {
+		await updateList(listId, { name: name.trim() });
+		await loadLists();
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleArchiveList(listId, archived) {
+	try {
+		await updateList(listId, { archived });
+		await loadLists();
+
+		// Archived lists are read-only, so leave them for the overview
+		if (archived && currentListId === listId) {
+			handleSelectList(null);
+		} else {
+			await Promise.all([loadTodos(), loadStats()]);
+		}
+		showToast(archived ? "List archived" : "List restored");
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleDeleteList(listId) {
+	const list = lists.find((l) => l.id === listId);
+	const inbox = lists.find((l) => l.isDefault);
+	if (
+		!list ||
+		!confirm(
+			`Delete the list "${list.name}"? Its todos will be moved to ${inbox.name}.`,
+		)
+	) {
+		return;
+	}
+
+	try {
+		await deleteList(listId, inbox.id);
+		await loadLists();
+
+		if (currentListId === listId) {
+			handleSelectList(null);
+		} else {
+			await Promise.all([loadTodos(), loadStats()]);
+		}
+		showToast("List deleted");
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+function handleToggleSelectMode() {
+	selectionMode = !selectionMode;
+
+	elements.selectModeBtn.textContent = selectionMode ? "Done" : "Select";
+	elements.todosList.classList.toggle("selecting", selectionMode);
+	clearSelection();
+}
+
+function clearSelection() {
+	selectedTodos.clear();
+	elements.todosList
+		.querySelectorAll(".todo-select")
+		.forEach((checkbox) => (checkbox.checked = false));
+	elements.todosList
+		.querySelectorAll(".todo-item.selected")
+		.forEach((item) => item.classList.remove("selected"));
+	updateBulkBar();
+}
+
+function handleSelectTodo(id, selected) {
+	if (selected) {
+		selectedTodos.add(id);
+	} else {
+		selectedTodos.delete(id);
+	}
+
+	const todoElement = findTodoElement(id);
+	if (todoElement) {
+		todoElement.classList.toggle("selected", selected);
+	}
+	updateBulkBar();
+}
+
+// Select every todo loaded so far
+function handleSelectAll() {
+	elements.todosList.querySelectorAll(".todo-item").forEach((item) => {
+		const checkbox = item.querySelector(".todo-select");
+		if (checkbox.disabled) {
+			return;
+		}
+		checkbox.checked = true;
+		handleSelectTodo(Number(item.dataset.todoId), true);
+	});
+}
+
+// Apply the same operation to every selected todo in one batch. createAction
+// optionally builds a toast action (such as Undo) for the affected IDs.
+async function runBulkAction(buildOperation, successMessage, createAction) {
+	if (selectedTodos.size === 0) {
+		return;
+	}
+
+	try {
+		showLoading(true);
+		const ids = [...selectedTodos];
+		await batchTodos(ids.map(buildOperation));
+
+		clearSelection();
+		await refreshAfterChange();
+		showToast(
+			successMessage(ids.length),
+			createAction ? createAction(ids) : null,
+		);
+	} catch (error) {
+		showError(error.message);
+	} finally {
+		showLoading(false);
+	}
+}
+
+function handleBulkComplete() {
+	runBulkAction(
+		(id) => ({ op: "update", id, changes: { completed: true } }),
+		(count) => `${count} todo(s) completed ✅`,
+	);
+}
+
+function handleBulkPriority(priority) {
+	elements.bulkPrioritySelect.value = "";
+	if (!priority) {
+		return;
+	}
+
+	runBulkAction(
+		(id) => ({ op: "update", id, changes: { priority } }),
+		(count) => `Priority set to ${priority} for ${count} todo(s)`,
+	);
+}
+
+function handleBulkDelete() {
+	runBulkAction(
+		(id) => ({ op: "delete", id }),
+		(count) => `${count} todo(s) moved to trash`,
+		createUndoDeleteAction,
+	);
+}
+
+async function handleCompleteAll() {
+	try {
+		const result = await completeAllTodos(getTodosQuery());
+		await refreshAfterChange();
+		showToast(`${result.updated} todo(s) completed ✅`);
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+async function handleClearCompleted() {
+	try {
+		const result = await clearCompletedTodos(currentListId);
+		await refreshAfterChange();
+		showToast(
+			`${result.deleted} completed todo(s) moved to trash`,
+			result.deleted > 0 ? createUndoDeleteAction(result.ids) : null,
+		);
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+function handleToggleTransferPanel() {
+	const open = elements.transferPanel.classList.toggle("hidden") === false;
+	elements.transferBtn.classList.toggle("active", open);
+	elements.importIntoListInput.disabled = currentListId === null;
+}
+
+async function handleExport() {
+	const format = elements.exportFormatSelect.value;
+	try {
+		const blob = await exportTodos(format, getTodosQuery());
+
+		// Save the file through a temporary download link
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = `todos-${new Date().toISOString().slice(0, 10)}.${format}`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+
+		showToast("Todos exported 📦");
+	} catch (error) {
+		showError(error.message);
+	}
+}
+
+// File extensions the import format is guessed from
+const IMPORT_EXTENSIONS = {
+	json: "json",
+	csv: "csv",
+	md: "md",
+	markdown: "md",
+	txt: "txt",
+	ics: "ics",
+};
+
+// "title=Task, dueDate=Due date" -> { title: "Task", dueDate: "Due date" }
+function parseMappingInput(text) {
+	const mapping = {};
+	text
+		.split(",")
+		.map((pair) => pair.trim())
+		.filter(Boolean)
+		.forEach((pair) => {
+			const [field, column] = pair.split("=").map((part) => part.trim());
+			if (!field || !column) {
+				throw new Error(`Column mapping "${pair}" must look like field=Column`);
+			}
+			mapping[field] = column;
+		});
+	return mapping;
+}
+
+// The Preview button runs the import as a dry run, Import runs it for real
+async function handleImport(e) {
+	e.preventDefault();
+	const dryRun = e.submitter === elements.importPreviewBtn;
+
+	const file = elements.importFileInput.files[0];
+	if (!file) {
+		showError("Please choose a file to import");
+		return;
+	}
+	const extension = file.name.split(".").pop().toLowerCase();
+	const format =
+		elements.importFormatSelect.value || IMPORT_EXTENSIONS[extension];
+	if (!format) {
+		showError("Please pick the format of the file");
 		return;
 	}
 
 	try {
 		showLoading(true);
-		await deleteTodo(id);
-		await Promise.all([loadTodos(), loadStats()]);
-		showToast("Todo deleted successfully");
+		hideError();
+
+		const mapping = parseMappingInput(elements.importMappingInput.value);
+		const intoList =
+			elements.importIntoListInput.checked && currentListId !== null;
+		const report = await importTodos(
+			{
+				format,
+				data: await file.text(),
+				mapping,
+				duplicates: elements.importDuplicatesSelect.value,
+				dryRun,
+			},
+			intoList ? currentListId : null,
+		);
+		renderImportReport(report);
+
+		if (!dryRun) {
+			await refreshAfterChange();
+			const { created, updated } = report.summary;
+			showToast(`${created} todo(s) imported, ${updated} updated 📥`);
+		}
 	} catch (error) {
 		showError(error.message);
 	} finally {
@@ -262,11 +1474,84 @@ async function handleDeleteTodo(id) {
 	}
 }
 
+// Open the history drawer of a todo
+function handleOpenHistory(id) {
+	historyTodoId = id;
+	const element = findTodoElement(id);
+	elements.historyTitle.textContent = element
+		? element.querySelector(".todo-title").textContent
+		: "History";
+	elements.historyList.innerHTML = '<li class="history-empty">Loading...</li>';
+	elements.historyDrawer.classList.remove("hidden");
+	loadHistory();
+}
+
+function handleCloseHistory() {
+	historyTodoId = null;
+	elements.historyDrawer.classList.add("hidden");
+}
+
+// (Re)load the history of the todo whose drawer is open
+async function loadHistory() {
+	const id = historyTodoId;
+	try {
+		const entries = await fetchTodoHistory(id);
+		if (historyTodoId === id) {
+			renderHistory(entries);
+		}
+	} catch (error) {
+		if (historyTodoId === id) {
+			const message = isNetworkError(error)
+				? "History isn't available offline"
+				: error.message;
+			elements.historyList.innerHTML = `<li class="history-empty">${escapeHtml(message)}</li>`;
+		}
+	}
+}
+
+// Search with the query typed, or point out where it is wrong without
+// searching
 function handleSearch(e) {
-	searchQuery = e.target.value.trim();
+	const text = e.target.value.trim();
+	const parsed = todoQuery.parseQuery(text);
+	elements.searchInput.classList.toggle("invalid", Boolean(parsed.error));
+	elements.searchHint.textContent = parsed.error || "";
+	elements.searchHint.classList.toggle("hidden", !parsed.error);
+	if (parsed.error || text === searchQuery) {
+		return;
+	}
+
+	searchQuery = text;
+	searchFilter = parsed.query;
 	loadTodos();
 }
 
+// Offer completions of the field name or value being typed
+function renderSearchSuggestions() {
+	const suggestions = todoQuery.suggest(elements.searchInput.value, {
+		tags: [...elements.tagFilter.options]
+			.map((option) => option.value)
+			.filter(Boolean),
+		lists: lists.map((list) => list.name),
+	});
+	elements.searchSuggestions.innerHTML = suggestions
+		.map(
+			({ value, description }) =>
+				`<option value="${escapeHtml(value)}" label="${escapeHtml(description)}"></option>`,
+		)
+		.join("");
+}
+
+function handleTrendsPeriod(period) {
+	trendsPeriod = period;
+	elements.trendsPeriodButtons.forEach((btn) => {
+		btn.classList.toggle("active", btn.dataset.period === period);
+	});
+	if (trends) {
+		renderTrends(trends);
+	}
+}
+
 function handleFilter(filter) {
 	currentFilter = filter;
 
@@ -278,21 +1563,72 @@ function handleFilter(filter) {
 	loadTodos();
 }
 
+// Show only todos with this tag (empty string shows all)
+function handleTagFilter(tag) {
+	currentTag = tag;
+	elements.tagFilter.value = tag;
+	loadTodos();
+}
+
 // ================================
 // Render Functions
 // ================================
 
+// Query for the todos currently shown
+function getTodosQuery() {
+	return {
+		listId: currentListId,
+		filter: currentFilter !== "all" ? currentFilter : null,
+		search: searchQuery || null,
+		tag: currentTag || null,
+		sort: isRankedSearch() ? `relevance,${TODO_SORT}` : TODO_SORT,
+	};
+}
+
+// Whether the search has text to rank todos by
+function isRankedSearch() {
+	return todoQuery.getTextTerms(searchFilter).length > 0;
+}
+
+// A todo with how it matched the search's text (score and matches, like
+// GET /todos adds them), worked out here for todos that didn't come from the
+// search
+function withSearchMatch(todo) {
+	const match = isRankedSearch()
+		? todoSearch.matchText(todoQuery.getTextTerms(searchFilter), todo.title)
+		: null;
+	return match ? { ...withoutSearchMatch(todo), ...match } : todo;
+}
+
+function withoutSearchMatch(todo) {
+	const { score, matches, ...rest } = todo;
+	return rest;
+}
+
 async function loadTodos() {
 	try {
 		showLoading(true);
 		hideError();
 
-		const todos = await fetchTodos(
-			currentFilter !== "all" ? currentFilter : null,
-			searchQuery || null,
+		const requestId = ++todosRequestId;
+		const page = await loadWithFallback(
+			async () => {
+				const page = await fetchTodos(getTodosQuery());
+				updateOfflineCopy(() =>
+					offlineStore.putTodos(
+						page.todos.filter((todo) => !todo.owner).map(withoutSearchMatch),
+					),
+				);
+				return page;
+			},
+			async () => ({ todos: await getOfflineTodos(), nextCursor: null }),
 		);
+		if (requestId !== todosRequestId) {
+			return;
+		}
 
-		renderTodos(todos);
+		nextCursor = page.nextCursor;
+		renderTodos(page.todos);
 	} catch (error) {
 		showError(error.message);
 	} finally {
@@ -300,19 +1636,491 @@ async function loadTodos() {
 	}
 }
 
-async function loadStats() {
-	try {
-		const stats = await fetchStats();
-		renderStats(stats);
-	} catch (error) {
-		console.error("Failed to load stats:", error);
+// Append the next page when the end of the list scrolls into view
+async function loadMoreTodos() {
+	if (!nextCursor || isLoadingMore) {
+		return;
+	}
+
+	const requestId = todosRequestId;
+	try {
+		isLoadingMore = true;
+		const page = await fetchTodos({ ...getTodosQuery(), cursor: nextCursor });
+		if (requestId !== todosRequestId) {
+			return;
+		}
+
+		nextCursor = page.nextCursor;
+		renderTodos(page.todos, true);
+	} catch (error) {
+		showError(error.message);
+	} finally {
+		isLoadingMore = false;
+	}
+}
+
+async function loadStats() {
+	try {
+		const stats = await loadWithFallback(
+			() => fetchStats(currentListId),
+			getOfflineStats,
+		);
+		renderStats(stats);
+	} catch (error) {
+		console.error("Failed to load stats:", error);
+	}
+	loadTrends();
+}
+
+// Offline the chart keeps showing what the server last sent
+async function loadTrends() {
+	try {
+		trends = await loadWithFallback(
+			() => fetchStatsHistory(currentListId),
+			async () => trends,
+		);
+		if (trends) {
+			renderTrends(trends);
+		}
+	} catch (error) {
+		console.error("Failed to load trends:", error);
+	}
+}
+
+async function loadLists() {
+	try {
+		lists = await loadWithFallback(
+			async () => {
+				const lists = await fetchLists();
+				updateOfflineCopy(() => offlineStore.setMeta("lists", lists));
+				return lists;
+			},
+			async () => (await offlineStore.getMeta("lists")) || [],
+		);
+		renderLists();
+	} catch (error) {
+		console.error("Failed to load lists:", error);
+	}
+}
+
+async function loadTags() {
+	try {
+		const tags = await loadWithFallback(fetchTags, getOfflineTags);
+		renderTagFilter(tags);
+	} catch (error) {
+		console.error("Failed to load tags:", error);
+	}
+}
+
+// ================================
+// Live Updates
+// ================================
+//
+// GET /todos/events streams every change made in any tab (or device) as
+// Server-Sent Events. The stream is read with fetch rather than EventSource,
+// which can't send the Authorization header, so reconnecting (with
+// Last-Event-ID) is done here as well.
+
+const EVENT_STREAM_RETRY_MS = 3000;
+
+async function connectEventStream() {
+	disconnectEventStream();
+	const controller = new AbortController();
+	eventStream = controller;
+
+	try {
+		const headers = { Accept: "text/event-stream" };
+		if (lastEventId) {
+			headers["Last-Event-ID"] = lastEventId;
+		}
+		const response = await apiFetch("/todos/events", {
+			headers,
+			signal: controller.signal,
+		});
+		if (!response.ok) {
+			throw new Error(`Event stream failed with status ${response.status}`);
+		}
+
+		liveUpdatesConnected = true;
+		setOffline(false);
+		syncPendingChanges();
+		await readEventStream(response.body, handleServerEvent);
+	} catch (error) {
+		if (controller.signal.aborted) {
+			return;
+		}
+		if (isNetworkError(error)) {
+			setOffline(true);
+		}
+		console.error("Live updates disconnected:", error.message);
+	}
+
+	// The stream ended or failed - reconnect unless it was closed on purpose
+	liveUpdatesConnected = false;
+	if (eventStream === controller && authToken) {
+		setTimeout(() => {
+			if (eventStream === controller) {
+				connectEventStream();
+			}
+		}, EVENT_STREAM_RETRY_MS);
+	}
+}
+
+function disconnectEventStream() {
+	if (eventStream) {
+		eventStream.abort();
+		eventStream = null;
+	}
+	liveUpdatesConnected = false;
+}
+
+// Parse a text/event-stream body, calling onEvent(type, data) per event
+async function readEventStream(body, onEvent) {
+	const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+	let buffer = "";
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) {
+			return;
+		}
+
+		buffer += value;
+		let end;
+		while ((end = buffer.indexOf("\n\n")) !== -1) {
+			const block = buffer.slice(0, end);
+			buffer = buffer.slice(end + 2);
+
+			let type = "message";
+			let data = "";
+			block.split("\n").forEach((line) => {
+				const separator = line.indexOf(":");
+				if (separator <= 0) {
+					return; // Blank line or ": comment" (keep-alive)
+				}
+				const field = line.slice(0, separator);
+				const fieldValue = line.slice(separator + 1).replace(/^ /, "");
+				if (field === "id") {
+					lastEventId = fieldValue;
+				} else if (field === "event") {
+					type = fieldValue;
+				} else if (field === "data") {
+					data += fieldValue;
+				}
+			});
+
+			if (data) {
+				onEvent(type, JSON.parse(data));
+			}
+		}
+	}
+}
+
+function handleServerEvent(type, data) {
+	switch (type) {
+		case "created":
+		case "updated":
+			applyTodoChange(data);
+			if (!data.owner) {
+				updateOfflineCopy(() => offlineStore.putTodos([data]));
+			}
+			if (getTodoKey(data) === historyTodoId) {
+				loadHistory();
+			}
+			break;
+		case "deleted":
+			removeTodoElement(getTodoKey(data));
+			if (!data.owner) {
+				updateOfflineCopy(() => offlineStore.deleteTodo(data.id));
+			}
+			if (getTodoKey(data) === historyTodoId) {
+				loadHistory();
+			}
+			break;
+		case "stats":
+			// Stats events cover all lists
+			if (currentListId === null) {
+				renderStats(data);
+				loadTrends();
+			} else {
+				loadStats();
+			}
+			renderTagFilter(getTagsFromStats(data));
+			break;
+		case "lists":
+			applyListsChange(data);
+			updateOfflineCopy(() => offlineStore.setMeta("lists", data));
+			break;
+		case "reset":
+			// Missed events are gone, so start over
+			loadLists().then(loadTodos);
+			loadStats();
+			loadTags();
+			refreshOfflineCopy();
+			break;
+	}
+}
+
+// Tag filter entries, most used first, from the tagCounts of a stats event
+function getTagsFromStats(stats) {
+	return Object.keys(stats.tagCounts)
+		.map((tag) => ({ tag, count: stats.tagCounts[tag].total }))
+		.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+function applyListsChange(updatedLists) {
+	const wasArchived = (list) =>
+		lists.some((l) => l.id === list.id && l.archived);
+	const archiveChanged = updatedLists.some(
+		(list) => list.archived !== wasArchived(list),
+	);
+
+	lists = updatedLists;
+	if (currentListId !== null && !lists.some((l) => l.id === currentListId)) {
+		handleSelectList(null); // The selected list was deleted
+		return;
+	}
+	renderLists();
+
+	// Archiving shows or hides a whole list's todos in the overview
+	if (archiveChanged && currentListId === null) {
+		loadTodos();
+	}
+}
+
+// Show, move or hide a created or updated todo, depending on whether it still
+// matches the current list, filter, tag and search
+function applyTodoChange(todo) {
+	const current = findTodoElement(getTodoKey(todo));
+	if (current) {
+		current.remove();
+	}
+
+	if (matchesCurrentView(todo)) {
+		const element = createTodoElement(withSearchMatch(todo), 0);
+		if (current) {
+			element.style.animation = "none";
+		}
+		insertTodoElement(element);
+	} else {
+		selectedTodos.delete(getTodoKey(todo));
+		updateBulkBar();
+	}
+	updateEmptyState();
+}
+
+function removeTodoElement(todoId) {
+	const current = findTodoElement(todoId);
+	if (current) {
+		current.remove();
+	}
+	selectedTodos.delete(todoId);
+	updateBulkBar();
+	updateEmptyState();
+}
+
+// Mirrors the filters GET /todos applies for getTodosQuery()
+// (shared todos only show in the overview, their list IDs are the owner's)
+function matchesCurrentView(todo) {
+	if (currentListId !== null) {
+		if (todo.owner || todo.listId !== currentListId) {
+			return false;
+		}
+	} else if (
+		!todo.owner &&
+		lists.some((l) => l.id === todo.listId && l.archived)
+	) {
+		return false;
+	}
+
+	if (currentFilter === "completed" && !todo.completed) {
+		return false;
+	}
+	if (currentFilter === "pending" && todo.completed) {
+		return false;
+	}
+	if (currentFilter === "overdue" && !isOverdue(todo)) {
+		return false;
+	}
+	if (currentTag && !(todo.tags || []).includes(currentTag)) {
+		return false;
+	}
+	return todoQuery.matchesQuery(searchFilter, todo, {
+		getListName: (t) => {
+			const list = !t.owner && lists.find((l) => l.id === t.listId);
+			return list ? list.name : null;
+		},
+		matchText: (node, t) => todoSearch.matchText([node], t.title) !== null,
+	});
+}
+
+// Compare two todos in the order getTodosQuery() asks for (best search
+// matches first when ranking, then pending first, by priority and creation
+// time; the user's own todos before shared ones with the same ID)
+const PRIORITY_RANK = { high: 1, medium: 2, low: 3 };
+
+function compareTodos(a, b) {
+	return (
+		(isRankedSearch() ? (b.score || 0) - (a.score || 0) : 0) ||
+		Number(a.completed) - Number(b.completed) ||
+		PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+		a.createdAt.localeCompare(b.createdAt) ||
+		a.id - b.id ||
+		getOwnerId(a).localeCompare(getOwnerId(b))
+	);
+}
+
+// Whose todo it is, "" for the user's own
+function getOwnerId(todo) {
+	return todo.owner ? todo.owner.userId : "";
+}
+
+// Insert a todo element at its sorted position. Todos sorting after the last
+// loaded one are left to the next page, so they aren't shown twice.
+function insertTodoElement(element) {
+	const order = getTodoOrder(element);
+	const next = [...elements.todosList.querySelectorAll(".todo-item")].find(
+		(item) => compareTodos(getTodoOrder(item), order) > 0,
+	);
+
+	if (next) {
+		elements.todosList.insertBefore(element, next);
+	} else if (!nextCursor) {
+		elements.todosList.appendChild(element);
+	}
+}
+
+// The fields a rendered todo is sorted by
+function getTodoOrder(item) {
+	return {
+		id: Number(item.dataset.todoId.split(":").pop()),
+		owner: item.dataset.ownerId ? { userId: item.dataset.ownerId } : null,
+		completed: item.dataset.completed === "true",
+		priority: item.dataset.priority,
+		createdAt: item.dataset.createdAt,
+		score: Number(item.dataset.score) || 0,
+	};
+}
+
+function updateEmptyState() {
+	const empty = !elements.todosList.querySelector(".todo-item");
+	elements.emptyState.classList.toggle("hidden", !empty);
+	elements.todosList.classList.toggle("hidden", empty);
+}
+
+function createTagsMarkup(todo) {
+	const tags = todo.tags || [];
+	if (tags.length === 0) {
+		return "";
+	}
+
+	const chips = tags
+		.map(
+			(tag) =>
+				`<button class="tag-chip ${tag === currentTag ? "active" : ""}" onclick="handleTagFilter('${escapeHtml(tag)}')">#${escapeHtml(tag)}</button>`,
+		)
+		.join("");
+	return `<div class="todo-tags">${chips}</div>`;
+}
+
+function renderTagFilter(tags) {
+	// Keep the selected tag listed even if no todo carries it anymore
+	if (currentTag && !tags.some((entry) => entry.tag === currentTag)) {
+		tags.push({ tag: currentTag, count: 0 });
+	}
+
+	elements.tagFilter.innerHTML =
+		`<option value="">All tags</option>` +
+		tags
+			.map(
+				(entry) =>
+					`<option value="${escapeHtml(entry.tag)}">#${escapeHtml(entry.tag)} (${entry.count})</option>`,
+			)
+			.join("");
+	elements.tagFilter.value = currentTag;
+}
+
+function renderLists() {
+	const visibleLists = lists.filter(
+		(list) => showArchivedLists || !list.archived || list.id === currentListId,
+	);
+	const pendingTotal = lists
+		.filter((list) => !list.archived)
+		.reduce((sum, list) => sum + list.counts.pending, 0);
+
+	const entries = visibleLists
+		.map((list) => {
+			const actions = list.isDefault
+				? `<button class="list-action" onclick="handleRenameList(${list.id})" aria-label="Rename list">✎</button>`
+				: `<button class="list-action" onclick="handleRenameList(${list.id})" aria-label="Rename list">✎</button>
+                   <button class="list-action" onclick="handleArchiveList(${list.id}, ${!list.archived})" aria-label="${list.archived ? "Restore list" : "Archive list"}">${list.archived ? "↩" : "🗄"}</button>
+                   <button class="list-action" onclick="handleDeleteList(${list.id})" aria-label="Delete list">🗑</button>`;
+
+			return `
+            <div class="list-entry ${list.id === currentListId ? "active" : ""} ${list.archived ? "archived" : ""}">
+                <button class="list-button" onclick="handleSelectList(${list.id})">
+                    <span class="list-name">${escapeHtml(list.name)}</span>
+                    <span class="list-count">${list.counts.pending}</span>
+                </button>
+                <div class="list-actions">${actions}</div>
+            </div>`;
+		})
+		.join("");
+
+	elements.listNav.innerHTML = `
+        <div class="list-entry ${currentListId === null ? "active" : ""}">
+            <button class="list-button" onclick="handleSelectList(null)">
+                <span class="list-name">All lists</span>
+                <span class="list-count">${pendingTotal}</span>
+            </button>
+        </div>
+        ${entries}
+    `;
+
+	const currentList = lists.find((list) => list.id === currentListId);
+	elements.currentListTitle.textContent = currentList
+		? currentList.name
+		: "All lists";
+}
+
+// Dropdown for moving a todo to another list (hidden with a single list)
+function createListSelectMarkup(todo) {
+	if (todo.owner) {
+		return ""; // The lists are the user's own
+	}
+	const targets = lists.filter(
+		(list) => !list.archived || list.id === todo.listId,
+	);
+	if (targets.length < 2) {
+		return "";
 	}
+
+	const options = targets
+		.map(
+			(list) =>
+				`<option value="${list.id}" ${list.id === todo.listId ? "selected" : ""}>${escapeHtml(list.name)}</option>`,
+		)
+		.join("");
+	return `<select class="todo-list-select" onchange="handleMoveTodo(${todo.id}, this.value)" aria-label="Move to list">${options}</select>`;
+}
+
+function updateBulkBar() {
+	elements.bulkBar.classList.toggle("hidden", !selectionMode);
+	elements.bulkCount.textContent = `${selectedTodos.size} selected`;
+
+	const none = selectedTodos.size === 0;
+	elements.bulkCompleteBtn.disabled = none;
+	elements.bulkDeleteBtn.disabled = none;
+	elements.bulkPrioritySelect.disabled = none;
 }
 
-function renderTodos(todos) {
-	elements.todosList.innerHTML = "";
+function renderTodos(todos, append = false) {
+	if (!append) {
+		elements.todosList.innerHTML = "";
+	}
+	elements.loadMoreSentinel.classList.toggle("hidden", !nextCursor);
 
-	if (todos.length === 0) {
+	if (!append && todos.length === 0) {
 		elements.emptyState.classList.remove("hidden");
 		elements.todosList.classList.add("hidden");
 		return;
@@ -321,10 +2129,8 @@ function renderTodos(todos) {
 	elements.emptyState.classList.add("hidden");
 	elements.todosList.classList.remove("hidden");
 
-	// Sort todos: pending first (high→med→low), then completed (high→med→low)
-	const sortedTodos = sortTodos(todos);
-
-	sortedTodos.forEach((todo, index) => {
+	// Todos arrive sorted by the server: pending first (high→med→low), then completed
+	todos.forEach((todo, index) => {
 		const todoElement = createTodoElement(todo, index);
 		elements.todosList.appendChild(todoElement);
 	});
@@ -332,39 +2138,332 @@ function renderTodos(todos) {
 
 function createTodoElement(todo, index) {
 	const div = document.createElement("div");
-	div.className = `todo-item priority-${todo.priority} ${todo.completed ? "completed" : ""}`;
+	const key = getTodoKeyArg(todo);
+	const selected = selectedTodos.has(getTodoKey(todo));
+	const readOnly = isReadOnly(todo);
+	div.className = `todo-item priority-${todo.priority} ${todo.completed ? "completed" : ""} ${selected ? "selected" : ""} ${todo.unsynced ? "unsynced" : ""} ${todo.owner ? "shared" : ""} ${readOnly ? "read-only" : ""}`;
 	div.style.animationDelay = `${index * 0.05}s`;
+	div.dataset.todoId = getTodoKey(todo);
+	div.dataset.ownerId = getOwnerId(todo);
+	div.dataset.completed = todo.completed;
+	div.dataset.priority = todo.priority;
+	div.dataset.createdAt = todo.createdAt;
+	div.dataset.version = todo.version || "";
+	div.dataset.score = todo.score || "";
 
 	const formattedDate = formatDate(todo.createdAt);
+	const dueLabel = todo.dueDate
+		? `<span class="todo-due ${isOverdue(todo) ? "overdue" : ""}">
+                📅 Due ${formatDueDate(todo.dueDate, todo.dueTime)}
+           </span>`
+		: "";
+	// Todos created offline have no history until they are synced
+	const historyButton =
+		todo.id >= 0
+			? `<button class="btn-icon btn-history" onclick="handleOpenHistory(${key})" aria-label="Show history" title="History">🕘</button>`
+			: "";
+	const ownerLabel = todo.owner
+		? `<span class="todo-owner" title="Shared with you by ${escapeHtml(todo.owner.userId)}">👥 ${escapeHtml(todo.owner.userId)}${readOnly ? " · view only" : ""}</span>`
+		: "";
+	// Batch changes only cover the user's own todos
+	const selectAttributes = todo.owner
+		? 'disabled title="Shared todos can\'t be selected"'
+		: `${selected ? "checked" : ""} onchange="handleSelectTodo(${key}, this.checked)"`;
+
+	// Viewers can't delete shared todos
+	const deleteButton = readOnly
+		? ""
+		: `
+            <button class="btn-icon btn-delete" onclick="handleDeleteTodo(${key})" aria-label="Delete todo">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="3 6 5 6 21 6"></polyline>
+                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                <line x1="10" y1="11" x2="10" y2="17"></line>
+                <line x1="14" y1="11" x2="14" y2="17"></line>
+            </svg>
+            </button>`;
 
 	div.innerHTML = `
+        <input type="checkbox" class="todo-select" ${selectAttributes}
+               aria-label="Select todo">
         <div class="todo-checkbox ${todo.completed ? "checked" : ""}"
-             onclick="handleToggleComplete(${todo.id}, ${todo.completed})">
+             ${readOnly ? "" : `onclick="handleToggleComplete(${key}, ${todo.completed})"`}>
         </div>
         <div class="todo-content">
             <div class="todo-header">
-                <span class="todo-title">${escapeHtml(todo.title)}</span>
+                <span class="todo-title">${createTitleMarkup(todo)}</span>
                 <span class="priority-badge ${todo.priority}">${todo.priority}</span>
             </div>
             <div class="todo-date">
                 ${formattedDate}
+                ${dueLabel}
+                ${todo.unsynced ? '<span class="todo-unsynced">⏳ Not synced yet</span>' : ""}
+                ${ownerLabel}
             </div>
+            ${createTagsMarkup(todo)}
+            ${createRecurrenceMarkup(todo)}
+            ${createChecklistMarkup(todo)}
         </div>
         <div class="todo-actions">
-            <button class="btn-icon btn-delete" onclick="handleDeleteTodo(${todo.id})" aria-label="Delete todo">
-            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="3 6 5 6 21 6"></polyline>
-                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                <line x1="10" y1="11" x2="10" y2="17"></line>
-                <line x1="14" y1="11" x2="14" y2="17"></line>
-            </svg>
-            </button>
+            ${createListSelectMarkup(todo)}
+            ${historyButton}
+            ${deleteButton}
         </div>
     `;
 
 	return div;
 }
 
+// The title, with the parts that matched the search marked
+function createTitleMarkup(todo) {
+	let markup = "";
+	let index = 0;
+	(todo.matches || []).forEach(({ start, end }) => {
+		markup += `${escapeHtml(todo.title.slice(index, start))}<mark class="search-match">${escapeHtml(todo.title.slice(start, end))}</mark>`;
+		index = end;
+	});
+	return markup + escapeHtml(todo.title.slice(index));
+}
+
+// Repeat indicator, which opens an editor for the todo's recurrence rule
+function createRecurrenceMarkup(todo) {
+	const recurrence = todo.recurrence;
+	const frequency = recurrence ? recurrence.frequency : "";
+	const expanded = expandedRecurrence.has(getTodoKey(todo));
+	const key = getTodoKeyArg(todo);
+
+	const label = recurrence
+		? `🔁 ${escapeHtml(describeRecurrence(recurrence))}`
+		: "🔁 Repeat";
+	const frequencyOptions = [
+		["", "Doesn't repeat"],
+		["daily", "Days"],
+		["weekly", "Weeks"],
+		["monthly", "Months"],
+	]
+		.map(
+			([value, name]) =>
+				`<option value="${value}" ${value === frequency ? "selected" : ""}>${name}</option>`,
+		)
+		.join("");
+	const weekdayOptions = WEEKDAY_NAMES.map(
+		(name, index) => `
+            <label>
+                <input type="checkbox" name="weekday" value="${WEEKDAYS[index]}"
+                       ${recurrence && (recurrence.weekdays || []).includes(WEEKDAYS[index]) ? "checked" : ""}>
+                ${name}
+            </label>`,
+	).join("");
+
+	return `
+        <button class="recurrence-summary ${recurrence ? "active" : ""}"
+                onclick="handleToggleRecurrenceEditor(${key})" aria-expanded="${expanded}"
+                ${isReadOnly(todo) ? "disabled" : ""}>
+            ${label}
+        </button>
+        <form class="recurrence-editor ${expanded ? "" : "hidden"}" data-frequency="${frequency}"
+              onsubmit="handleSaveRecurrence(event, ${key})">
+            <label class="recurrence-interval">
+                Every
+                <input type="number" name="interval" min="1" max="365"
+                       value="${recurrence ? recurrence.interval : 1}" aria-label="Interval">
+            </label>
+            <select name="frequency" aria-label="Repeat unit"
+                    onchange="this.form.dataset.frequency = this.value">
+                ${frequencyOptions}
+            </select>
+            <div class="recurrence-weekdays">${weekdayOptions}</div>
+            <label class="recurrence-month-day">
+                on day
+                <input type="number" name="monthDay" min="1" max="31"
+                       value="${recurrence && recurrence.monthDay ? recurrence.monthDay : ""}"
+                       placeholder="due day" aria-label="Day of the month">
+            </label>
+            <button type="submit" class="btn-link">Save</button>
+        </form>
+    `;
+}
+
+function createChecklistMarkup(todo) {
+	const items = todo.items || [];
+	const completedCount = items.filter((item) => item.completed).length;
+	const percent =
+		items.length > 0 ? Math.round((completedCount / items.length) * 100) : 0;
+	const expanded = expandedChecklists.has(getTodoKey(todo));
+	const key = getTodoKeyArg(todo);
+	const disabled = isReadOnly(todo) ? "disabled" : "";
+
+	const summary =
+		items.length > 0
+			? `<div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+               <span>${completedCount}/${items.length} steps</span>`
+			: `<span>☰ Add steps</span>`;
+
+	const itemsMarkup = items
+		.map(
+			(item) => `
+            <li class="checklist-item ${item.completed ? "completed" : ""}">
+                <input type="checkbox" ${item.completed ? "checked" : ""} ${disabled}
+                       onchange="handleToggleChecklistItem(${key}, ${item.id}, this.checked)"
+                       aria-label="Mark step as done">
+                <span class="checklist-title">${escapeHtml(item.title)}</span>
+                <button class="checklist-delete" onclick="handleDeleteChecklistItem(${key}, ${item.id})" aria-label="Delete step">×</button>
+            </li>`,
+		)
+		.join("");
+
+	return `
+        <button class="checklist-summary" onclick="handleToggleChecklist(${key})" aria-expanded="${expanded}">
+            ${summary}
+        </button>
+        <div class="checklist ${expanded ? "" : "hidden"}">
+            <ul class="checklist-items">${itemsMarkup}</ul>
+            <form class="checklist-add" onsubmit="handleAddChecklistItem(event, ${key})">
+                <input type="text" name="title" placeholder="Add a step..." maxlength="500" required>
+                <button type="submit" class="btn-link">Add</button>
+            </form>
+            <label class="checklist-auto">
+                <input type="checkbox" ${todo.autoComplete ? "checked" : ""} ${disabled}
+                       onchange="handleToggleAutoComplete(${key}, this.checked)">
+                Complete automatically when all steps are done
+            </label>
+        </div>
+    `;
+}
+
+function findTodoElement(todoId) {
+	return elements.todosList.querySelector(`[data-todo-id="${todoId}"]`);
+}
+
+// Re-render a single todo in place (no entry animation)
+function replaceTodoElement(todo) {
+	const current = findTodoElement(getTodoKey(todo));
+	if (current) {
+		const updated = createTodoElement(todo, 0);
+		updated.style.animation = "none";
+		current.replaceWith(updated);
+	}
+}
+
+// Summary of an import (or its preview) with a line per imported todo
+const HISTORY_ACTIONS = {
+	created: "Created",
+	updated: "Edited",
+	deleted: "Moved to trash",
+	restored: "Restored",
+	purged: "Deleted for good",
+};
+const HISTORY_FIELDS = {
+	title: "Title",
+	completed: "Completed",
+	priority: "Priority",
+	dueDate: "Due date",
+	dueTime: "Due time",
+	tags: "Tags",
+	listId: "List",
+	recurrence: "Repeat",
+	items: "Steps",
+	autoComplete: "Auto-complete",
+};
+
+// A field value of a history entry as text
+function formatHistoryValue(field, value) {
+	if (value === null) {
+		return "none";
+	}
+	switch (field) {
+		case "listId": {
+			const list = lists.find((l) => l.id === value);
+			return list ? list.name : "a deleted list";
+		}
+		case "tags":
+			return value.map((tag) => `#${tag}`).join(" ");
+		case "recurrence":
+			return describeRecurrence(value);
+		case "items":
+			return `${value.filter((item) => item.completed).length}/${value.length} done`;
+		default:
+			return typeof value === "boolean"
+				? value
+					? "yes"
+					: "no"
+				: String(value);
+	}
+}
+
+function renderHistory(entries) {
+	if (entries.length === 0) {
+		elements.historyList.innerHTML =
+			'<li class="history-empty">No changes recorded yet</li>';
+		return;
+	}
+
+	elements.historyTitle.textContent = entries[0].title;
+	elements.historyList.innerHTML = entries
+		.map((entry) => {
+			// A new todo's fields are its starting values, not changes
+			const fields =
+				entry.action === "created" ? [] : Object.keys(entry.changes);
+			const changes = fields
+				.map((field) => {
+					const { from, to } = entry.changes[field];
+					return `<li><strong>${escapeHtml(HISTORY_FIELDS[field] || field)}:</strong>
+                        <del>${escapeHtml(formatHistoryValue(field, from))}</del> →
+                        <ins>${escapeHtml(formatHistoryValue(field, to))}</ins></li>`;
+				})
+				.join("");
+			const { method, path, client } = entry.source;
+			const source =
+				client === "retention"
+					? "Emptied from the trash automatically"
+					: `${client === "web" ? "In the app" : `Via ${client}`} · ${method} ${path}`;
+
+			return `
+            <li class="history-entry">
+                <div class="history-entry-header">
+                    <span class="history-action history-${entry.action}">${HISTORY_ACTIONS[entry.action] || escapeHtml(entry.action)}</span>
+                    <time datetime="${entry.at}" title="${new Date(entry.at).toLocaleString()}">${formatDate(entry.at)}</time>
+                </div>
+                ${changes ? `<ul class="history-changes">${changes}</ul>` : ""}
+                <div class="history-source">${escapeHtml(source)}</div>
+            </li>`;
+		})
+		.join("");
+}
+
+function renderImportReport(report) {
+	const { created, updated, skipped, failed } = report.summary;
+	const labels = report.dryRun
+		? { create: "will be added", update: "will be updated" }
+		: { create: "added", update: "updated" };
+
+	const rows = report.results
+		.map((result) => {
+			const label =
+				result.action === "error"
+					? result.error
+					: result.action === "skip"
+						? "duplicate, skipped"
+						: `${labels[result.action]} to ${result.list}`;
+			return `<li class="import-row-${result.action}">
+                #${result.index + 1} ${escapeHtml(result.title || "(no title)")}: ${escapeHtml(label)}
+            </li>`;
+		})
+		.join("");
+	const newLists =
+		report.listsCreated.length > 0
+			? `<p>New lists: ${escapeHtml(report.listsCreated.join(", "))}</p>`
+			: "";
+
+	elements.importReport.innerHTML = `
+        <strong>${report.dryRun ? "Preview - nothing has been imported yet" : "Import finished"}</strong>
+        <p>${created} new, ${updated} updated, ${skipped} skipped as duplicates, ${failed} failed</p>
+        ${newLists}
+        <ul>${rows}</ul>
+    `;
+	elements.importReport.classList.remove("hidden");
+}
+
 function renderStats(stats) {
 	elements.statTotal.textContent = stats.total;
 	elements.statPending.textContent = stats.pending;
@@ -372,10 +2471,617 @@ function renderStats(stats) {
 	elements.statRate.textContent = `${stats.completionRate}%`;
 }
 
+// "3.5h" or "2.1d", "-" for no completions
+function formatLeadTime(hours) {
+	if (hours === null) {
+		return "-";
+	}
+	return hours < 24 ? `${hours}h` : `${Math.round(hours / 2.4) / 10}d`;
+}
+
+const formatStreak = (days) => `${days} ${days === 1 ? "day" : "days"}`;
+
+// Bars of created and completed todos per day or week, scaled to the
+// busiest one, with the first and last dates underneath
+function renderTrendsChart(series, period) {
+	const max = Math.max(
+		1,
+		...series.map((entry) => Math.max(entry.created, entry.completed)),
+	);
+	const height = (count) => `${Math.round((count / max) * 100)}%`;
+	const dateOf = (entry) => (period === "daily" ? entry.date : entry.weekStart);
+	const label = (entry) =>
+		new Date(`${dateOf(entry)}T00:00:00`).toLocaleDateString(undefined, {
+			month: "short",
+			day: "numeric",
+		});
+
+	const columns = series
+		.map((entry) => {
+			const title = `${period === "daily" ? "" : "Week of "}${label(entry)}: ${entry.created} created, ${entry.completed} completed`;
+			return `
+                <div class="trends-column" title="${escapeHtml(title)}">
+                    <span class="trends-bar trends-bar-created" style="height: ${height(entry.created)}"></span>
+                    <span class="trends-bar trends-bar-completed" style="height: ${height(entry.completed)}"></span>
+                </div>
+            `;
+		})
+		.join("");
+
+	const created = series.reduce((sum, entry) => sum + entry.created, 0);
+	const completed = series.reduce((sum, entry) => sum + entry.completed, 0);
+	elements.trendsChart.setAttribute(
+		"aria-label",
+		`${created} todos created and ${completed} completed from ${label(series[0])} to ${label(series[series.length - 1])}`,
+	);
+	elements.trendsChart.innerHTML = `
+        <div class="trends-bars">${columns}</div>
+        <div class="trends-axis">
+            <span>${escapeHtml(label(series[0]))}</span>
+            <span>${escapeHtml(label(series[series.length - 1]))}</span>
+        </div>
+    `;
+}
+
+function renderTrends(history) {
+	renderTrendsChart(history[trendsPeriod], trendsPeriod);
+
+	const { streaks, leadTime } = history;
+	elements.trendsStreak.textContent = formatStreak(streaks.current);
+	elements.trendsLongestStreak.textContent = formatStreak(streaks.longest);
+	elements.trendsLeadTime.textContent =
+		leadTime.count > 0
+			? `${formatLeadTime(leadTime.averageHours)} average, ${formatLeadTime(leadTime.medianHours)} median`
+			: "-";
+
+	// Average time to complete per priority, as bars against the slowest
+	const priorities = ["high", "medium", "low"];
+	const slowest = Math.max(
+		1,
+		...priorities.map((p) => leadTime.byPriority[p].averageHours || 0),
+	);
+	elements.trendsLeadTimes.innerHTML = priorities
+		.map((priority) => {
+			const { averageHours, count } = leadTime.byPriority[priority];
+			const width = Math.round(((averageHours || 0) / slowest) * 100);
+			return `
+                <div class="trends-lead-time" title="${count} completed in the last ${history.daily.length} days">
+                    <span class="trends-lead-label">${priority}</span>
+                    <span class="trends-lead-track">
+                        <span class="trends-lead-bar trends-lead-bar-${priority}" style="width: ${width}%"></span>
+                    </span>
+                    <span class="trends-lead-value">${formatLeadTime(averageHours)}</span>
+                </div>
+            `;
+		})
+		.join("");
+}
+
+// ================================
+// Offline Support
+// ================================
+//
+// The todos and lists are mirrored in IndexedDB (offline.js). While the server
+// can't be reached they are read from there, and created, updated and deleted
+// todos are changed there and queued. The queue is replayed in order once the
+// server is back; todos created offline have a negative ID until then.
+//
+// An update is only sent for the fields nobody changed on the server in the
+// meantime. If a field was changed on both sides the server's value is kept
+// and the conflict is shown in the sync status.
+
+// fetch() rejects with a TypeError when the request couldn't be sent at all
+function isNetworkError(error) {
+	return error instanceof TypeError;
+}
+
+// Changes are queued behind earlier ones so they reach the server in order,
+// and reads come from the offline copy so queued changes stay visible
+function isWorkingOffline() {
+	return isOffline || pendingChanges > 0;
+}
+
+function setOffline(offline) {
+	const backOnline = isOffline && !offline;
+	isOffline = offline;
+	updateSyncStatus();
+	if (backOnline) {
+		syncPendingChanges();
+	}
+}
+
+// Writes to the offline copy are best effort - IndexedDB may be unavailable,
+// e.g. in private browsing
+function updateOfflineCopy(update) {
+	return update().catch((error) =>
+		console.error("Failed to update the offline copy:", error),
+	);
+}
+
+// Run send() against the server, or queue() the change for later if it can't
+// be reached
+async function sendOrQueue(send, queue) {
+	if (isWorkingOffline()) {
+		return queue();
+	}
+	try {
+		return await send();
+	} catch (error) {
+		if (!isNetworkError(error)) {
+			throw error;
+		}
+		setOffline(true);
+		return queue();
+	}
+}
+
+// Run load(), falling back to loadOffline() from the offline copy
+async function loadWithFallback(load, loadOffline) {
+	if (!isWorkingOffline()) {
+		try {
+			return await load();
+		} catch (error) {
+			if (!isNetworkError(error)) {
+				throw error;
+			}
+			setOffline(true);
+		}
+	}
+	return loadOffline();
+}
+
+// Shared todos aren't in the offline copy, so changes to them can't wait
+// for the connection to come back
+function queueUnlessShared(key, queue) {
+	if (isSharedKey(key)) {
+		throw new Error("Shared todos can't be changed while offline");
+	}
+	return queue();
+}
+
+// The ID a todo created offline got from the server once it was synced
+function resolveTodoId(id) {
+	return syncedTodoIds.has(id) ? syncedTodoIds.get(id) : id;
+}
+
+// Make sure the offline copy belongs to the logged in user, and pick up the
+// changes still queued from an earlier visit
+async function prepareOfflineCopy() {
+	try {
+		const userId = currentUser ? currentUser.userId : null;
+		if ((await offlineStore.getMeta("userId")) !== userId) {
+			await offlineStore.clear();
+			await offlineStore.setMeta("userId", userId);
+		}
+		pendingChanges = (await offlineStore.getQueue()).length;
+	} catch (error) {
+		console.error("Offline storage is unavailable:", error);
+	}
+	updateSyncStatus();
+}
+
+// Replace the offline copy with the server's todos. Skipped while changes are
+// queued, as they are only in the offline copy so far. Todos of archived
+// lists aren't included, nor are those other users share.
+async function refreshOfflineCopy() {
+	if (isWorkingOffline()) {
+		return;
+	}
+	try {
+		const response = await apiFetch("/todos?shared=false");
+		if (!response.ok) {
+			throw new Error("Failed to fetch todos");
+		}
+		const todos = await response.json();
+		if (!isWorkingOffline()) {
+			await offlineStore.replaceTodos(todos);
+		}
+	} catch (error) {
+		console.error("Failed to refresh the offline copy:", error);
+	}
+}
+
+// Offline todos that match the current view, in display order
+async function getOfflineTodos() {
+	const todos = await offlineStore.getTodos();
+	return todos
+		.filter(matchesCurrentView)
+		.map(withSearchMatch)
+		.sort(compareTodos);
+}
+
+async function getOfflineStats() {
+	const todos = (await offlineStore.getTodos()).filter((todo) =>
+		currentListId !== null
+			? todo.listId === currentListId
+			: !lists.some((l) => l.id === todo.listId && l.archived),
+	);
+	const completed = todos.filter((todo) => todo.completed).length;
+	return {
+		total: todos.length,
+		pending: todos.length - completed,
+		completed,
+		completionRate:
+			todos.length > 0 ? Math.round((completed / todos.length) * 100) : 0,
+	};
+}
+
+// Tags of the offline todos, most used first, like GET /todos/tags
+async function getOfflineTags() {
+	const counts = {};
+	(await offlineStore.getTodos()).forEach((todo) => {
+		(todo.tags || []).forEach((tag) => {
+			counts[tag] = (counts[tag] || 0) + 1;
+		});
+	});
+	return Object.keys(counts)
+		.map((tag) => ({ tag, count: counts[tag] }))
+		.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Same normalization as the server: lowercase, spaces become dashes
+function normalizeTags(tags) {
+	const normalized = (tags || []).map((tag) =>
+		tag.trim().toLowerCase().replace(/\s+/g, "-"),
+	);
+	return [...new Set(normalized)];
+}
+
+async function queueChange(change) {
+	await offlineStore.enqueue({ ...change, queuedAt: new Date().toISOString() });
+	pendingChanges++;
+	updateSyncStatus();
+	if (!isOffline) {
+		syncPendingChanges();
+	}
+}
+
+// Add a todo to the offline copy the way the server would create it
+async function queueCreateTodo(body) {
+	const todos = await offlineStore.getTodos();
+	const defaultList = lists.find((list) => list.isDefault);
+	const createdAt = new Date().toISOString();
+
+	// Repeats on the due date's day of the month, as the server will set it
+	let recurrence = body.recurrence ? { interval: 1, ...body.recurrence } : null;
+	if (recurrence && recurrence.frequency === "monthly") {
+		const startDate = body.dueDate || createdAt.slice(0, 10);
+		recurrence = { ...recurrence, monthDay: Number(startDate.slice(8, 10)) };
+	}
+
+	const todo = {
+		id:
+			todos.reduce((lowest, existing) => Math.min(lowest, existing.id), 0) - 1,
+		listId: body.listId || (defaultList ? defaultList.id : null),
+		title: body.title.trim(),
+		completed: false,
+		priority: body.priority || "medium",
+		dueDate: body.dueDate || null,
+		dueTime: body.dueTime || null,
+		tags: normalizeTags(body.tags),
+		items: [],
+		autoComplete: false,
+		progress: { completed: 0, total: 0 },
+		recurrence,
+		createdAt,
+		deletedAt: null,
+		unsynced: true,
+	};
+
+	await offlineStore.putTodos([todo]);
+	await queueChange({ type: "create", todoId: todo.id, body });
+	return todo;
+}
+
+async function queueUpdateTodo(id, updates) {
+	const todo = await offlineStore.getTodo(id);
+	if (!todo) {
+		throw new Error("This todo isn't available offline");
+	}
+
+	// The fields' values before the change, to detect conflicting changes on
+	// replay. Todos created offline can't have been changed by anyone else.
+	let base = null;
+	if (id >= 0) {
+		base = {};
+		Object.keys(updates).forEach((field) => {
+			base[field] = todo[field] === undefined ? null : todo[field];
+		});
+	}
+
+	const updated = { ...todo, ...updates, unsynced: true };
+	if (updates.tags) {
+		updated.tags = normalizeTags(updates.tags);
+	}
+	await offlineStore.putTodos([updated]);
+	await queueChange({
+		type: "update",
+		todoId: id,
+		title: todo.title,
+		changes: updates,
+		base,
+	});
+	return updated;
+}
+
+async function queueDeleteTodo(id) {
+	await offlineStore.deleteTodo(id);
+	await queueChange({ type: "delete", todoId: id });
+	return { message: "Todo will be moved to trash", unsynced: true };
+}
+
+// Send the queued changes to the server, oldest first. Stops if the server
+// can't be reached; the rest stays queued until the next attempt.
+async function syncPendingChanges() {
+	if (isSyncing || pendingChanges === 0) {
+		return;
+	}
+
+	isSyncing = true;
+	updateSyncStatus();
+	const conflictCount = syncConflicts.length;
+	let synced = 0;
+	try {
+		// Changes made while syncing are picked up by the next round
+		let queue;
+		while ((queue = await offlineStore.getQueue()).length > 0) {
+			for (const change of queue) {
+				const conflict = await replayChange({
+					...change,
+					todoId: resolveTodoId(change.todoId),
+				});
+				if (conflict) {
+					syncConflicts.push(conflict);
+				}
+				await offlineStore.removeQueued(change.seq);
+				pendingChanges = Math.max(pendingChanges - 1, 0);
+				synced++;
+				updateSyncStatus();
+			}
+		}
+		pendingChanges = 0;
+		isOffline = false;
+	} catch (error) {
+		if (isNetworkError(error)) {
+			isOffline = true;
+		} else {
+			console.error("Failed to sync offline changes:", error);
+		}
+	} finally {
+		isSyncing = false;
+		updateSyncStatus();
+	}
+
+	if (pendingChanges > 0 || synced === 0) {
+		return;
+	}
+
+	// Show the server's version of everything
+	await refreshOfflineCopy();
+	loadLists().then(loadTodos);
+	loadStats();
+	loadTags();
+
+	const conflicts = syncConflicts.length - conflictCount;
+	showToast(
+		conflicts > 0
+			? `${synced} offline change(s) synced, ${conflicts} with conflicts ⚠️`
+			: `${synced} offline change(s) synced ✅`,
+	);
+}
+
+// Send one queued change. Returns a message if the server didn't take it
+// as it was.
+async function replayChange(change) {
+	if (change.todoId < 0 && change.type !== "create") {
+		return null; // The todo was never created on the server
+	}
+
+	if (change.type === "create") {
+		return replayCreate(change);
+	}
+	if (change.type === "update") {
+		return replayUpdate(change);
+	}
+
+	const response = await apiFetch(`/todos/${change.todoId}`, {
+		method: "DELETE",
+	});
+	// Deleted elsewhere already is fine too
+	return response.status === 404 ? null : getReplayError(response);
+}
+
+async function replayCreate(change) {
+	const response = await apiFetch("/todos", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify(change.body),
+	});
+	const error = await getReplayError(response);
+	if (error) {
+		await offlineStore.deleteTodo(change.todoId);
+		removeTodoElement(change.todoId);
+		return `"${change.body.title}" couldn't be added: ${error}`;
+	}
+
+	const todo = await response.json();
+	syncedTodoIds.set(change.todoId, todo.id);
+	await offlineStore.deleteTodo(change.todoId);
+	await offlineStore.putTodos([todo]);
+
+	// Point later changes to the todo at its real ID
+	const queue = await offlineStore.getQueue();
+	for (const queued of queue) {
+		if (queued.todoId === change.todoId) {
+			await offlineStore.updateQueued({ ...queued, todoId: todo.id });
+		}
+	}
+
+	removeTodoElement(change.todoId);
+	applyTodoChange(todo);
+	return null;
+}
+
+async function replayUpdate(change) {
+	let changes = change.changes;
+	const conflicts = [];
+
+	if (change.base) {
+		const response = await apiFetch(`/todos/${change.todoId}`);
+		if (response.status === 404) {
+			return `"${change.title}" was deleted elsewhere, so your changes to it were dropped`;
+		}
+		const error = await getReplayError(response);
+		if (error) {
+			return `Your changes to "${change.title}" couldn't be synced: ${error}`;
+		}
+
+		// Keep only the fields that are unchanged on the server
+		const current = await response.json();
+		changes = {};
+		Object.keys(change.changes).forEach((field) => {
+			if (isSameValue(current[field], change.base[field])) {
+				changes[field] = change.changes[field];
+			} else if (!isSameValue(current[field], change.changes[field])) {
+				conflicts.push(field);
+			}
+		});
+	}
+
+	if (Object.keys(changes).length > 0) {
+		const response = await apiFetch(`/todos/${change.todoId}`, {
+			method: "PATCH",
+			headers: {
+				"Content-Type": "application/merge-patch+json",
+			},
+			body: JSON.stringify(toMergePatch(changes)),
+		});
+		const error = await getReplayError(response);
+		if (error) {
+			return `Your changes to "${change.title}" were rejected: ${error}`;
+		}
+	}
+
+	return conflicts.length > 0
+		? `"${change.title}" was changed elsewhere too - kept the other ${conflicts.join(", ")}`
+		: null;
+}
+
+// null if the server took a replayed change, otherwise its error message.
+// Server errors throw instead, so the change stays queued and is retried.
+async function getReplayError(response) {
+	if (response.ok) {
+		return null;
+	}
+	if (response.status >= 500) {
+		throw new Error(`Sync failed with status ${response.status}`);
+	}
+	const error = await response.json().catch(() => ({}));
+	return error.error || `Request failed with status ${response.status}`;
+}
+
+function isSameValue(a, b) {
+	return (
+		JSON.stringify(a === undefined ? null : a) ===
+		JSON.stringify(b === undefined ? null : b)
+	);
+}
+
+function updateSyncStatus() {
+	const changes = `${pendingChanges} unsynced change(s)`;
+	let state = "synced";
+	let label = "Synced";
+
+	if (isSyncing) {
+		state = "syncing";
+		label = `Syncing ${changes}…`;
+	} else if (isOffline) {
+		state = "offline";
+		label = pendingChanges > 0 ? `Offline · ${changes}` : "Offline";
+	} else if (pendingChanges > 0) {
+		state = "pending";
+		label = changes;
+	} else if (syncConflicts.length > 0) {
+		state = "conflict";
+		label = `${syncConflicts.length} sync conflict(s)`;
+	}
+
+	elements.syncStatus.dataset.state = state;
+	elements.syncStatus.textContent = label;
+	elements.syncStatus.title =
+		state === "conflict"
+			? "Click to see the conflicts"
+			: state === "pending"
+				? "Click to sync now"
+				: "";
+}
+
+// Retry syncing, or list the conflicts of the last sync
+function handleSyncStatusClick() {
+	if (pendingChanges > 0) {
+		syncPendingChanges();
+		return;
+	}
+	if (syncConflicts.length > 0) {
+		alert(syncConflicts.join("\n\n"));
+		syncConflicts = [];
+		updateSyncStatus();
+	}
+}
+
 // ================================
 // UI Helper Functions
 // ================================
 
+function showApp() {
+	elements.authScreen.classList.add("hidden");
+	elements.appContainer.classList.remove("hidden");
+	elements.userBar.classList.remove("hidden");
+	elements.userName.textContent = currentUser ? currentUser.username : "";
+
+	prepareOfflineCopy().then(() => {
+		// Lists first, so each todo can offer the lists it can be moved to
+		loadLists().then(loadTodos);
+		loadStats();
+		loadTags();
+		connectEventStream();
+		refreshOfflineCopy();
+	});
+}
+
+function showAuthScreen() {
+	disconnectEventStream();
+	lastEventId = null; // Event IDs belong to the user that logged out
+	elements.appContainer.classList.add("hidden");
+	elements.userBar.classList.add("hidden");
+	elements.authScreen.classList.remove("hidden");
+	setAuthMode(authMode);
+}
+
+function setAuthMode(mode) {
+	authMode = mode;
+	const isRegister = mode === "register";
+
+	elements.authTitle.textContent = isRegister
+		? "Create an account"
+		: "Welcome back";
+	elements.authSubtitle.textContent = isRegister
+		? getAnonymousUserId()
+			? "Your existing todos will be moved into your new account"
+			: "Sign up to keep your todos safe"
+		: "Log in to see your todos";
+	elements.authSubmit.textContent = isRegister ? "Register" : "Log In";
+	elements.authSwitch.textContent = isRegister
+		? "Already have an account? Log in"
+		: "Don't have an account? Register";
+	elements.authPassword.autocomplete = isRegister
+		? "new-password"
+		: "current-password";
+	elements.authError.classList.add("hidden");
+}
+
 function showLoading(show) {
 	if (show) {
 		elements.loadingSpinner.classList.remove("hidden");
@@ -400,42 +3106,48 @@ function hideError() {
 	elements.errorMessage.classList.add("hidden");
 }
 
-function showToast(message) {
+// Show a message, optionally with an action button ({ label, run }). Toasts
+// with an action stay up longer so there is time to click it.
+function showToast(message, action = null) {
+	clearTimeout(toastTimer);
+	toastAction = action;
+
 	elements.toastMessage.textContent = message;
+	elements.toastActionBtn.textContent = action ? action.label : "";
+	elements.toastActionBtn.classList.toggle("hidden", !action);
 	elements.toast.classList.remove("hidden");
 	elements.toast.classList.add("show");
 
-	setTimeout(() => {
-		elements.toast.classList.remove("show");
-		setTimeout(() => {
-			elements.toast.classList.add("hidden");
-		}, 300);
-	}, 3000);
+	toastTimer = setTimeout(hideToast, action ? 6000 : 3000);
 }
 
-// ================================
-// Utility Functions
-// ================================
-
-function sortTodos(todos) {
-	// Priority order mapping for sorting
-	const priorityOrder = {
-		high: 1,
-		medium: 2,
-		low: 3,
-	};
+function hideToast() {
+	clearTimeout(toastTimer);
+	toastAction = null;
+	elements.toast.classList.remove("show");
+	toastTimer = setTimeout(() => {
+		elements.toast.classList.add("hidden");
+	}, 300);
+}
 
-	return todos.sort((a, b) => {
-		// First, sort by completion status (pending first)
-		if (a.completed !== b.completed) {
-			return a.completed ? 1 : -1;
-		}
+async function handleToastAction() {
+	const action = toastAction;
+	if (!action) {
+		return;
+	}
 
-		// Then, sort by priority (high → medium → low)
-		return priorityOrder[a.priority] - priorityOrder[b.priority];
-	});
+	hideToast();
+	try {
+		await action.run();
+	} catch (error) {
+		showError(error.message);
+	}
 }
 
+// ================================
+// Utility Functions
+// ================================
+
 function formatDate(dateString) {
 	const date = new Date(dateString);
 	const now = new Date();
@@ -461,6 +3173,53 @@ function formatDate(dateString) {
 	}
 }
 
+// Due moment of a todo in local time (end of day when no time is set)
+function getDueMoment(todo) {
+	const [year, month, day] = todo.dueDate.split("-").map(Number);
+	if (todo.dueTime) {
+		const [hours, minutes] = todo.dueTime.split(":").map(Number);
+		return new Date(year, month - 1, day, hours, minutes);
+	}
+	return new Date(year, month - 1, day, 23, 59, 59, 999);
+}
+
+function isOverdue(todo) {
+	return !todo.completed && todo.dueDate && getDueMoment(todo) < new Date();
+}
+
+function formatDueDate(dueDate, dueTime) {
+	const [year, month, day] = dueDate.split("-").map(Number);
+	const date = new Date(year, month - 1, day);
+	const formatted = date.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+	});
+	return dueTime ? `${formatted} at ${dueTime}` : formatted;
+}
+
+// Human readable recurrence, e.g. "Every 2 weeks on Mon, Thu"
+function describeRecurrence(recurrence) {
+	const { frequency, interval, weekdays, monthDay, until, count } = recurrence;
+	const unit = { daily: "day", weekly: "week", monthly: "month" }[frequency];
+	let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+	if (frequency === "weekly" && weekdays) {
+		const names = weekdays.map((day) => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]);
+		text += ` on ${names.join(", ")}`;
+	}
+	if (frequency === "monthly") {
+		text += ` on day ${monthDay}`;
+	}
+	if (until) {
+		text += ` until ${formatDueDate(until)}`;
+	}
+	if (count) {
+		text += `, ${count} times`;
+	}
+	return text;
+}
+
 function escapeHtml(text) {
 	const div = document.createElement("div");
 	div.textContent = text;
@@ -478,11 +3237,3 @@ function debounce(func, wait) {
 		timeout = setTimeout(later, wait);
 	};
 }
-
-// ================================
-// Auto-refresh stats periodically
-// ================================
-
-setInterval(() => {
-	loadStats();
-}, 30000); // Refresh stats every 30 seconds
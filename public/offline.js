@@ -0,0 +1,126 @@
+// ================================
+// Offline Storage (IndexedDB)
+// ================================
+//
+// Keeps a copy of the user's todos and lists so the app can show them while
+// the server can't be reached, and the queue of changes made in the meantime.
+// Loaded before app.js, which uses it through offlineStore.
+//
+//   todos - todos by id (changes made offline are applied here right away)
+//   meta  - key/value pairs: the lists and the account the data belongs to
+//   queue - changes waiting for the server, in the order they were made
+
+const offlineStore = (() => {
+	const DB_NAME = "todo-app";
+	const DB_VERSION = 1;
+	let dbPromise = null;
+
+	function openDatabase() {
+		if (!dbPromise) {
+			dbPromise = new Promise((resolve, reject) => {
+				const request = indexedDB.open(DB_NAME, DB_VERSION);
+				request.onupgradeneeded = () => {
+					const db = request.result;
+					db.createObjectStore("todos", { keyPath: "id" });
+					db.createObjectStore("meta");
+					db.createObjectStore("queue", {
+						keyPath: "seq",
+						autoIncrement: true,
+					});
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+		return dbPromise;
+	}
+
+	// Run fn(...stores) in one transaction. Resolves once it has committed, with
+	// the result of the request fn returns (if any).
+	async function withStores(storeNames, mode, fn) {
+		const db = await openDatabase();
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(storeNames, mode);
+			const request = fn(
+				...storeNames.map((name) => transaction.objectStore(name)),
+			);
+			transaction.oncomplete = () =>
+				resolve(request ? request.result : undefined);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+
+	function getTodos() {
+		return withStores(["todos"], "readonly", (todos) => todos.getAll());
+	}
+
+	function getTodo(id) {
+		return withStores(["todos"], "readonly", (todos) => todos.get(id));
+	}
+
+	function putTodos(updated) {
+		return withStores(["todos"], "readwrite", (todos) => {
+			updated.forEach((todo) => todos.put(todo));
+		});
+	}
+
+	// Replace the whole copy, e.g. with a fresh one from the server
+	function replaceTodos(updated) {
+		return withStores(["todos"], "readwrite", (todos) => {
+			todos.clear();
+			updated.forEach((todo) => todos.put(todo));
+		});
+	}
+
+	function deleteTodo(id) {
+		return withStores(["todos"], "readwrite", (todos) => todos.delete(id));
+	}
+
+	function getMeta(key) {
+		return withStores(["meta"], "readonly", (meta) => meta.get(key));
+	}
+
+	function setMeta(key, value) {
+		return withStores(["meta"], "readwrite", (meta) => meta.put(value, key));
+	}
+
+	// Queued changes, oldest first. Each gets a seq number when queued.
+	function getQueue() {
+		return withStores(["queue"], "readonly", (queue) => queue.getAll());
+	}
+
+	function enqueue(change) {
+		return withStores(["queue"], "readwrite", (queue) => queue.add(change));
+	}
+
+	function updateQueued(change) {
+		return withStores(["queue"], "readwrite", (queue) => queue.put(change));
+	}
+
+	function removeQueued(seq) {
+		return withStores(["queue"], "readwrite", (queue) => queue.delete(seq));
+	}
+
+	// Forget everything, e.g. when another account logs in
+	function clear() {
+		return withStores(["todos", "meta", "queue"], "readwrite", (...stores) => {
+			stores.forEach((store) => store.clear());
+		});
+	}
+
+	return {
+		getTodos,
+		getTodo,
+		putTodos,
+		replaceTodos,
+		deleteTodo,
+		getMeta,
+		setMeta,
+		getQueue,
+		enqueue,
+		updateQueued,
+		removeQueued,
+		clear,
+	};
+})();
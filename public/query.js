@@ -0,0 +1,506 @@
+// ================================
+// Search Queries
+// ================================
+//
+// The query language of the search parameter (GET /todos, the export and
+// bulk routes) and of the app's search box. The server requires this file;
+// the app loads it before app.js and uses it through todoQuery.
+//
+//   milk            title matches "milk" (case-insensitive; see search.js for
+//                   prefixes and typos)
+//   "buy milk"      title contains the exact phrase
+//   a b             todos matching both terms
+//   a OR b          todos matching either (terms without OR bind tighter)
+//   (a OR b) c      grouping
+//   -term           todos not matching the term, e.g. -tag:work
+//   field:value     see FIELDS, e.g. priority:high is:pending tag:home; a
+//                   word that isn't one (re: or note:x) is searched as text
+//   field:>value    priority, due and created also take >, >=, < and <=,
+//                   e.g. created:>2026-01-01 priority:>=medium
+//
+// parseQuery(text) returns { query } (null for a blank text) or
+// { error, position }, position being the 0-based offset in text the error
+// points at. The parsed query is a tree of:
+//   { type: "and" | "or", clauses }
+//   { type: "not", clause }
+//   { type: "text", value, phrase }       phrase is true for "quoted" text
+//   { type: "field", field, op, value }   op is =, >, >=, < or <=
+// matchesQuery(query, todo, context) tests a todo against it, where context
+// is { now, getListName(todo), matchText(node, todo) }; without matchText,
+// text terms are plain substrings of the title. getTextTerms(query) lists the
+// text terms a matching todo matched (the ones not excluded with -).
+
+const todoQuery = (() => {
+	const PRIORITIES = ["low", "medium", "high"];
+	const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+	// Fields a term can name. values lists the accepted values (any text
+	// otherwise); compare is set for fields taking > >= < <=.
+	const FIELDS = {
+		title: { description: "Title contains the text" },
+		is: {
+			description: "Status",
+			values: ["pending", "completed", "overdue", "recurring", "shared"],
+		},
+		priority: {
+			description: "Priority",
+			values: PRIORITIES,
+			compare: "priority",
+		},
+		tag: { description: "Has the tag" },
+		list: { description: "In the list with this name" },
+		due: { description: "Due date: YYYY-MM-DD or today", compare: "date" },
+		created: {
+			description: "Creation date: YYYY-MM-DD or today",
+			compare: "date",
+		},
+		has: {
+			description: "Has a due date, tags, a checklist or a recurrence",
+			values: ["due", "tags", "items", "recurrence"],
+		},
+	};
+
+	const OPERATORS = [">=", "<=", ">", "<"];
+
+	class QueryError extends Error {
+		constructor(message, position) {
+			super(message);
+			this.position = position;
+		}
+	}
+
+	// ================================
+	// Parsing
+	// ================================
+
+	// Read a "quoted phrase" starting at start. Returns { value, end }.
+	function readPhrase(text, start) {
+		const close = text.indexOf('"', start + 1);
+		if (close === -1) {
+			throw new QueryError("Missing closing quote", start);
+		}
+		const value = text.slice(start + 1, close).trim();
+		if (!value) {
+			throw new QueryError("Empty quotes", start);
+		}
+		return { value, end: close + 1 };
+	}
+
+	// Index after the unquoted word starting at start
+	function readWord(text, start) {
+		let end = start;
+		while (end < text.length && !/[\s()"]/.test(text[end])) {
+			end++;
+		}
+		return end;
+	}
+
+	// YYYY-MM-DD for a real calendar date
+	function isValidDate(value) {
+		if (!DATE_PATTERN.test(value)) {
+			return false;
+		}
+		const [year, month, day] = value.split("-").map(Number);
+		const date = new Date(Date.UTC(year, month - 1, day));
+		return (
+			date.getUTCFullYear() === year &&
+			date.getUTCMonth() === month - 1 &&
+			date.getUTCDate() === day
+		);
+	}
+
+	// Check a field term's operator and value, returning its node
+	function toFieldTerm(field, op, rawValue, position, valuePosition) {
+		const spec = FIELDS[field];
+		if (op !== "=" && !spec.compare) {
+			throw new QueryError(`Can't compare ${field}: with ${op}`, position);
+		}
+
+		const value = rawValue.trim().toLowerCase();
+		if (!value) {
+			throw new QueryError(`Missing a value after ${field}:`, valuePosition);
+		}
+		if (spec.values && !spec.values.includes(value)) {
+			throw new QueryError(
+				`Unknown value "${rawValue}" for ${field}: (use ${spec.values.join(", ")})`,
+				valuePosition,
+			);
+		}
+		if (spec.compare === "date" && value !== "today" && !isValidDate(value)) {
+			throw new QueryError(
+				`Invalid date "${rawValue}" for ${field}: (use YYYY-MM-DD or today)`,
+				valuePosition,
+			);
+		}
+		return {
+			type: "field",
+			field,
+			op,
+			value: field === "tag" ? value.replace(/\s+/g, "-") : value,
+		};
+	}
+
+	// Read the term starting at start. Returns { node, end }.
+	function readTerm(text, start) {
+		if (text[start] === '"') {
+			const phrase = readPhrase(text, start);
+			return {
+				node: {
+					type: "text",
+					value: phrase.value.toLowerCase(),
+					phrase: true,
+				},
+				end: phrase.end,
+			};
+		}
+
+		const end = readWord(text, start);
+		const word = text.slice(start, end);
+		const textTerm = {
+			node: { type: "text", value: word.toLowerCase(), phrase: false },
+			end,
+		};
+		const field = /^([a-z]+):/i.exec(word);
+		// Words that aren't field terms, such as "re:" or "note:x", are text
+		if (!field || !Object.hasOwn(FIELDS, field[1].toLowerCase())) {
+			return textTerm;
+		}
+
+		const name = field[1].toLowerCase();
+		let valueStart = start + field[0].length;
+		let rest = text.slice(valueStart, end);
+		const op = OPERATORS.find((operator) => rest.startsWith(operator)) || "=";
+		if (op !== "=") {
+			valueStart += op.length;
+			rest = rest.slice(op.length);
+		}
+		// So is a field without a value yet ("due:" or "due:>"), while typed
+		if (!rest && text[valueStart] !== '"') {
+			return textTerm;
+		}
+
+		// field:"a phrase"
+		if (!rest && text[valueStart] === '"') {
+			const phrase = readPhrase(text, valueStart);
+			return {
+				node: toFieldTerm(name, op, phrase.value, start, valueStart),
+				end: phrase.end,
+			};
+		}
+		return { node: toFieldTerm(name, op, rest, start, valueStart), end };
+	}
+
+	// Split text into ( ) OR - and term tokens, each with its position
+	function tokenize(text) {
+		const tokens = [];
+		let index = 0;
+		while (index < text.length) {
+			const char = text[index];
+			if (/\s/.test(char)) {
+				index++;
+			} else if (char === "(" || char === ")") {
+				tokens.push({ type: char, position: index });
+				index++;
+			} else if (
+				char === "-" &&
+				index + 1 < text.length &&
+				!/\s/.test(text[index + 1])
+			) {
+				tokens.push({ type: "-", position: index });
+				index++;
+			} else if (char === "-") {
+				throw new QueryError("Nothing to exclude after -", index);
+			} else if (text.slice(index, readWord(text, index)) === "OR") {
+				tokens.push({ type: "OR", position: index });
+				index += 2;
+			} else {
+				const term = readTerm(text, index);
+				tokens.push({ type: "term", node: term.node, position: index });
+				index = term.end;
+			}
+		}
+		return tokens;
+	}
+
+	// Recursive descent over the tokens:
+	//   or    = and { OR and }
+	//   and   = unary { unary }
+	//   unary = "-" unary | "(" or ")" | term
+	function parseTokens(tokens, length) {
+		let index = 0;
+		const peek = () => tokens[index];
+
+		// The and/or node of clauses, or the clause itself when there is one
+		const combine = (type, clauses) =>
+			clauses.length === 1 ? clauses[0] : { type, clauses };
+
+		function parseUnary() {
+			const token = tokens[index++];
+			if (token.type === "-") {
+				const next = peek();
+				if (!next || next.type === ")" || next.type === "OR") {
+					throw new QueryError("Nothing to exclude after -", token.position);
+				}
+				return { type: "not", clause: parseUnary() };
+			}
+			if (token.type === "(") {
+				const clause = parseOr();
+				if (!peek() || peek().type !== ")") {
+					throw new QueryError("Missing ) for this (", token.position);
+				}
+				index++;
+				return clause;
+			}
+			return token.node;
+		}
+
+		function parseAnd() {
+			const clauses = [];
+			while (peek() && peek().type !== ")" && peek().type !== "OR") {
+				clauses.push(parseUnary());
+			}
+			if (clauses.length === 0) {
+				const token = peek();
+				if (!token) {
+					throw new QueryError("Missing a term at the end", length);
+				}
+				throw new QueryError(
+					token.type === "OR" ? "Missing a term before OR" : "Unexpected )",
+					token.position,
+				);
+			}
+			return combine("and", clauses);
+		}
+
+		function parseOr() {
+			const clauses = [parseAnd()];
+			while (peek() && peek().type === "OR") {
+				index++;
+				clauses.push(parseAnd());
+			}
+			return combine("or", clauses);
+		}
+
+		const query = parseOr();
+		if (peek()) {
+			throw new QueryError("Unexpected )", peek().position);
+		}
+		return query;
+	}
+
+	function parseQuery(text) {
+		try {
+			const tokens = tokenize(text);
+			return {
+				query: tokens.length > 0 ? parseTokens(tokens, text.length) : null,
+			};
+		} catch (error) {
+			if (!(error instanceof QueryError)) {
+				throw error;
+			}
+			return {
+				error: `${error.message} at position ${error.position}`,
+				position: error.position,
+			};
+		}
+	}
+
+	// ================================
+	// Matching
+	// ================================
+
+	// Format a date as YYYY-MM-DD in local time
+	function toDateString(date) {
+		const year = date.getFullYear();
+		const month = String(date.getMonth() + 1).padStart(2, "0");
+		const day = String(date.getDate()).padStart(2, "0");
+		return `${year}-${month}-${day}`;
+	}
+
+	// When a todo is due: its due time, or the end of its due date
+	function getDueMoment(todo) {
+		const [year, month, day] = todo.dueDate.split("-").map(Number);
+		if (todo.dueTime) {
+			const [hours, minutes] = todo.dueTime.split(":").map(Number);
+			return new Date(year, month - 1, day, hours, minutes);
+		}
+		return new Date(year, month - 1, day, 23, 59, 59, 999);
+	}
+
+	// Compare a todo's value with a term's value using op (-1, 0 and 1 from
+	// order())
+	function compare(op, order) {
+		switch (op) {
+			case ">":
+				return order > 0;
+			case ">=":
+				return order >= 0;
+			case "<":
+				return order < 0;
+			case "<=":
+				return order <= 0;
+			default:
+				return order === 0;
+		}
+	}
+
+	function compareDates(date, value, op, now) {
+		if (!date) {
+			return false;
+		}
+		const other = value === "today" ? toDateString(now) : value;
+		return compare(op, date.localeCompare(other));
+	}
+
+	const STATUS = {
+		pending: (todo) => !todo.completed,
+		completed: (todo) => todo.completed,
+		overdue: (todo, now) =>
+			!todo.completed && Boolean(todo.dueDate) && getDueMoment(todo) < now,
+		recurring: (todo) => Boolean(todo.recurrence),
+		shared: (todo) => Boolean(todo.owner),
+	};
+
+	const PRESENCE = {
+		due: (todo) => Boolean(todo.dueDate),
+		tags: (todo) => (todo.tags || []).length > 0,
+		items: (todo) => (todo.items || []).length > 0,
+		recurrence: (todo) => Boolean(todo.recurrence),
+	};
+
+	function matchesField({ field, op, value }, todo, context) {
+		switch (field) {
+			case "title":
+				return todo.title.toLowerCase().includes(value);
+			case "is":
+				return STATUS[value](todo, context.now);
+			case "priority":
+				return compare(
+					op,
+					Math.sign(
+						PRIORITIES.indexOf(todo.priority) - PRIORITIES.indexOf(value),
+					),
+				);
+			case "tag":
+				return (todo.tags || []).includes(value);
+			case "list":
+				return (context.getListName(todo) || "").toLowerCase() === value;
+			case "due":
+				return compareDates(todo.dueDate, value, op, context.now);
+			case "created":
+				return compareDates(
+					toDateString(new Date(todo.createdAt)),
+					value,
+					op,
+					context.now,
+				);
+			case "has":
+				return PRESENCE[value](todo);
+			default:
+				return false;
+		}
+	}
+
+	function matchesQuery(query, todo, context = {}) {
+		if (!query) {
+			return true;
+		}
+		const fullContext = {
+			now: context.now || new Date(),
+			getListName: context.getListName || (() => null),
+			matchText:
+				context.matchText ||
+				((node, t) => t.title.toLowerCase().includes(node.value)),
+		};
+
+		const matches = (node) => {
+			switch (node.type) {
+				case "and":
+					return node.clauses.every(matches);
+				case "or":
+					return node.clauses.some(matches);
+				case "not":
+					return !matches(node.clause);
+				case "text":
+					return fullContext.matchText(node, todo);
+				default:
+					return matchesField(node, todo, fullContext);
+			}
+		};
+		return matches(query);
+	}
+
+	// ================================
+	// Suggestions
+	// ================================
+
+	// Completions of the word being typed at the end of text, as
+	// { value, description } where value is the whole text completed.
+	// options.tags and options.lists (names) complete tag: and list: values.
+	function suggest(text, options = {}) {
+		let start = text.search(/[^\s(]*$/);
+		if (text[start] === "-") {
+			start++;
+		}
+		const before = text.slice(0, start);
+		const word = text.slice(start);
+		if (!word) {
+			return [];
+		}
+
+		const field = /^([a-z]+):(.*)$/i.exec(word);
+		if (!field) {
+			return Object.keys(FIELDS)
+				.filter((name) => name.startsWith(word.toLowerCase()))
+				.map((name) => ({
+					value: `${before}${name}:`,
+					description: FIELDS[name].description,
+				}));
+		}
+
+		const name = field[1].toLowerCase();
+		if (!Object.hasOwn(FIELDS, name)) {
+			return [];
+		}
+		const given = field[2].toLowerCase();
+		const values =
+			FIELDS[name].values ||
+			(name === "tag"
+				? options.tags
+				: name === "list"
+					? options.lists
+					: null) ||
+			[];
+		return values
+			.filter((value) => value.toLowerCase().startsWith(given))
+			.map((value) => ({
+				value: /[\s()"]/.test(value)
+					? `${before}${name}:"${value}"`
+					: `${before}${name}:${value}`,
+				description: FIELDS[name].description,
+			}));
+	}
+
+	// The text terms outside of exclusions, e.g. milk and bread in
+	// "milk -cheese OR bread", for ranking and highlighting matches
+	function getTextTerms(query) {
+		if (!query) {
+			return [];
+		}
+		switch (query.type) {
+			case "and":
+			case "or":
+				return query.clauses.flatMap(getTextTerms);
+			case "text":
+				return [query];
+			default:
+				return [];
+		}
+	}
+
+	return { FIELDS, parseQuery, matchesQuery, getTextTerms, suggest };
+})();
+
+if (typeof module !== "undefined") {
+	module.exports = todoQuery;
+}
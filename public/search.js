@@ -0,0 +1,295 @@
+// ================================
+// Full-Text Search
+// ================================
+//
+// Matches the text terms of a search query (see query.js) against todo
+// titles. The server keeps one index per user; the app uses the same code to
+// match and highlight todos it has locally. Loaded like query.js, as
+// todoSearch in the app.
+//
+// Titles and terms are folded before they are compared: lowercased, with
+// diacritics removed ("Café" matches "cafe"). A word of the query matches a
+// word of a title:
+//   exactly                        score 1
+//   as its beginning ("mil")       score 0.5 to 1, more the more of it is typed
+//   with typos ("mlik")            score 0.6 (one edit) or 0.4 (two edits);
+//                                  words of 4+ letters allow one, 8+ two
+// and failing those, a title containing the word anywhere ("port" in
+// "report") scores 0.3, so plain substring search still finds it.
+// A "quoted phrase", or a term with several words ("e-mail"), must appear
+// as it is and scores 1 per word. A todo's score is the sum over the terms.
+//
+// Matches are { score, matches: [{ start, end }] }, the offsets of the
+// matched text in the title (end exclusive).
+
+const todoSearch = (() => {
+	const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+	const MIN_PREFIX_LENGTH = 2;
+	const SUBSTRING_SCORE = 0.3;
+
+	// Fold text for comparison. starts[i] and ends[i] are where the character
+	// at folded[i] came from in text.
+	function foldText(text) {
+		let folded = "";
+		const starts = [];
+		const ends = [];
+		let index = 0;
+		for (const char of text) {
+			const foldedChar = char
+				.normalize("NFD")
+				.replace(/\p{M}/gu, "")
+				.toLowerCase();
+			for (let i = 0; i < foldedChar.length; i++) {
+				starts.push(index);
+				ends.push(index + char.length);
+			}
+			folded += foldedChar;
+			index += char.length;
+		}
+		return { folded, starts, ends };
+	}
+
+	// The words of folded text, with their offsets in it
+	function getWords(folded) {
+		return [...folded.matchAll(WORD_PATTERN)].map((match) => ({
+			word: match[0],
+			start: match.index,
+			end: match.index + match[0].length,
+		}));
+	}
+
+	// Edit distance (insertions, deletions, substitutions and swaps of two
+	// neighbours) between a and b, or max + 1 once it is known to exceed max
+	function editDistance(a, b, max) {
+		if (Math.abs(a.length - b.length) > max) {
+			return max + 1;
+		}
+		let previous2 = null;
+		let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+		for (let i = 1; i <= a.length; i++) {
+			const row = [i];
+			let rowMin = i;
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				row[j] = Math.min(
+					previous[j] + 1,
+					row[j - 1] + 1,
+					previous[j - 1] + cost,
+				);
+				if (
+					previous2 &&
+					j > 1 &&
+					a[i - 1] === b[j - 2] &&
+					a[i - 2] === b[j - 1]
+				) {
+					row[j] = Math.min(row[j], previous2[j - 2] + 1);
+				}
+				rowMin = Math.min(rowMin, row[j]);
+			}
+			if (rowMin > max) {
+				return max + 1;
+			}
+			previous2 = previous;
+			previous = row;
+		}
+		return previous[b.length];
+	}
+
+	// Typos allowed in a word of the query
+	function getMaxEdits(word) {
+		if (word.length >= 8) {
+			return 2;
+		}
+		return word.length >= 4 ? 1 : 0;
+	}
+
+	// How well a query word matches a title word: { score, length } (length of
+	// the title word that matched), or null
+	function compareWords(queryWord, word) {
+		if (word === queryWord) {
+			return { score: 1, length: word.length };
+		}
+		if (queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord)) {
+			return {
+				score: 0.5 + (0.5 * queryWord.length) / word.length,
+				length: queryWord.length,
+			};
+		}
+		const maxEdits = getMaxEdits(queryWord);
+		if (maxEdits > 0) {
+			const edits = editDistance(queryWord, word, maxEdits);
+			if (edits <= maxEdits) {
+				return { score: edits === 1 ? 0.6 : 0.4, length: word.length };
+			}
+		}
+		return null;
+	}
+
+	// Sort ranges and merge the ones that overlap or touch
+	function mergeRanges(ranges) {
+		const merged = [];
+		[...ranges]
+			.sort((a, b) => a.start - b.start)
+			.forEach((range) => {
+				const last = merged[merged.length - 1];
+				if (last && range.start <= last.end) {
+					last.end = Math.max(last.end, range.end);
+				} else {
+					merged.push({ ...range });
+				}
+			});
+		return merged;
+	}
+
+	// One match of several terms: scores added up, ranges merged. Null if
+	// there is nothing to combine.
+	function combineMatches(matches) {
+		const found = matches.filter(Boolean);
+		if (found.length === 0) {
+			return null;
+		}
+		const score = found.reduce((sum, match) => sum + match.score, 0);
+		return {
+			score: Math.round(score * 1000) / 1000,
+			matches: mergeRanges(found.flatMap((match) => match.matches)),
+		};
+	}
+
+	// An index of texts by id: add(id, text) (again to change the text),
+	// remove(id), and search(term), the matches of a text term of a query as
+	// id -> match. Results are kept per term until the index changes.
+	function createSearchIndex() {
+		const documents = new Map(); // id -> { folded, starts, ends, words }
+		const postings = new Map(); // word -> Set of ids
+		let results = new WeakMap(); // term -> id -> match
+
+		function remove(id) {
+			const document = documents.get(id);
+			if (!document) {
+				return;
+			}
+			document.words.forEach(({ word }) => {
+				const ids = postings.get(word);
+				ids.delete(id);
+				if (ids.size === 0) {
+					postings.delete(word);
+				}
+			});
+			documents.delete(id);
+			results = new WeakMap();
+		}
+
+		function add(id, text) {
+			remove(id);
+			const document = foldText(text);
+			document.words = getWords(document.folded);
+			document.words.forEach(({ word }) => {
+				if (!postings.has(word)) {
+					postings.set(word, new Set());
+				}
+				postings.get(word).add(id);
+			});
+			documents.set(id, document);
+			results = new WeakMap();
+		}
+
+		// Offsets in folded text -> offsets in the original text
+		function toRange(document, start, end) {
+			return { start: document.starts[start], end: document.ends[end - 1] };
+		}
+
+		// Ranges of every occurrence of folded text in a document
+		function findOccurrences(document, folded) {
+			const matches = [];
+			let index = document.folded.indexOf(folded);
+			while (index !== -1) {
+				matches.push(toRange(document, index, index + folded.length));
+				index = document.folded.indexOf(folded, index + folded.length);
+			}
+			return matches;
+		}
+
+		// Every title containing the folded text as it is, unless found already
+		function searchPhrase(folded, score, found = new Map()) {
+			documents.forEach((document, id) => {
+				if (found.has(id)) {
+					return;
+				}
+				const matches = findOccurrences(document, folded);
+				if (matches.length > 0) {
+					found.set(id, { score, matches });
+				}
+			});
+			return found;
+		}
+
+		// Every title with a word matching queryWord, scored by its best word
+		function searchWord(queryWord) {
+			const found = new Map();
+			postings.forEach((ids, word) => {
+				const compared = compareWords(queryWord, word);
+				if (!compared) {
+					return;
+				}
+				ids.forEach((id) => {
+					const document = documents.get(id);
+					const matches = document.words
+						.filter((entry) => entry.word === word)
+						.map((entry) =>
+							toRange(document, entry.start, entry.start + compared.length),
+						);
+					const current = found.get(id);
+					found.set(id, {
+						score: Math.max(current ? current.score : 0, compared.score),
+						matches: mergeRanges([
+							...(current ? current.matches : []),
+							...matches,
+						]),
+					});
+				});
+			});
+			// Titles with the word inside one of theirs
+			return searchPhrase(queryWord, SUBSTRING_SCORE, found);
+		}
+
+		function search(term) {
+			if (!results.has(term)) {
+				const folded = foldText(term.value).folded.trim();
+				const words = getWords(folded);
+				results.set(
+					term,
+					!term.phrase && words.length === 1
+						? searchWord(words[0].word)
+						: searchPhrase(folded, Math.max(words.length, 1)),
+				);
+			}
+			return results.get(term);
+		}
+
+		return {
+			add,
+			remove,
+			search,
+			size: () => documents.size,
+		};
+	}
+
+	// Match the terms against a single text, like an index holding just it
+	function matchText(terms, text) {
+		const index = createSearchIndex();
+		index.add(0, text);
+		return combineMatches(terms.map((term) => index.search(term).get(0)));
+	}
+
+	return {
+		foldText,
+		editDistance,
+		createSearchIndex,
+		combineMatches,
+		matchText,
+	};
+})();
+
+if (typeof module !== "undefined") {
+	module.exports = todoSearch;
+}
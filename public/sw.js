@@ -0,0 +1,76 @@
+// ================================
+// Service Worker
+// ================================
+//
+// Caches the app shell so the app still opens without a connection. API
+// requests are left alone - app.js keeps its own offline copy of the todos
+// in IndexedDB (see offline.js).
+
+const CACHE_NAME = "todo-shell-v6";
+const APP_SHELL = [
+	"./",
+	"index.html",
+	"styles.css",
+	"offline.js",
+	"query.js",
+	"search.js",
+	"app.js",
+];
+
+const shellPaths = new Set(
+	APP_SHELL.map((path) => new URL(path, self.registration.scope).pathname),
+);
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches
+			.open(CACHE_NAME)
+			.then((cache) => cache.addAll(APP_SHELL))
+			.then(() => self.skipWaiting()),
+	);
+});
+
+// Drop the caches of older versions
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((names) =>
+				Promise.all(
+					names
+						.filter((name) => name !== CACHE_NAME)
+						.map((name) => caches.delete(name)),
+				),
+			)
+			.then(() => self.clients.claim()),
+	);
+});
+
+// Network first, so a new version shows up on the next load; the cached copy
+// is only used when the network fails
+self.addEventListener("fetch", (event) => {
+	const { request } = event;
+	const url = new URL(request.url);
+	const isShell =
+		request.mode === "navigate" ||
+		(url.origin === self.location.origin && shellPaths.has(url.pathname));
+	if (request.method !== "GET" || !isShell) {
+		return;
+	}
+
+	event.respondWith(
+		fetch(request)
+			.then((response) => {
+				if (response.ok) {
+					const copy = response.clone();
+					caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+				}
+				return response;
+			})
+			.catch(() =>
+				caches
+					.match(request, { ignoreSearch: true })
+					.then((cached) => cached || caches.match("index.html")),
+			),
+	);
+});
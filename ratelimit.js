@@ -0,0 +1,64 @@
+// ================================
+// Rate Limiting
+// ================================
+//
+// Fixed-window request counters: each key (a user ID or an IP address) may
+// make `limit` requests per window of windowMs. Counters live in memory, so
+// they start over when the server restarts, and expired ones are swept as
+// new requests come in.
+//
+// Options:
+//   limit    - requests per key and window (0 turns the limiter off)
+//   windowMs - length of a window (default one minute)
+//   now      - clock returning milliseconds, for tests
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+function createRateLimiter(options = {}) {
+	const limit = options.limit || 0;
+	const windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+	const now = options.now || Date.now;
+
+	const windows = new Map(); // key -> { count, resetAt }
+	let nextSweep = now() + windowMs;
+
+	function sweep(time) {
+		windows.forEach((window, key) => {
+			if (window.resetAt <= time) {
+				windows.delete(key);
+			}
+		});
+		nextSweep = time + windowMs;
+	}
+
+	// Count one request for key. Returns { allowed, limit, remaining, resetAt }
+	// (resetAt in milliseconds), or null when the limiter is off.
+	function consume(key) {
+		if (limit <= 0) {
+			return null;
+		}
+
+		const time = now();
+		if (time >= nextSweep) {
+			sweep(time);
+		}
+
+		let window = windows.get(key);
+		if (!window || window.resetAt <= time) {
+			window = { count: 0, resetAt: time + windowMs };
+			windows.set(key, window);
+		}
+		window.count++;
+
+		return {
+			allowed: window.count <= limit,
+			limit,
+			remaining: Math.max(0, limit - window.count),
+			resetAt: window.resetAt,
+		};
+	}
+
+	return { consume };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,300 @@
+// ================================
+// Recurrence Rules
+// ================================
+//
+// A recurring todo carries a rule describing when it repeats:
+//   { frequency, interval, weekdays?, monthDay?, until?, count? }
+//
+//   frequency - "daily", "weekly" or "monthly"
+//   interval  - repeat every N days/weeks/months (default 1)
+//   weekdays  - weekly only: days of the week, e.g. ["mon", "thu"]
+//   monthDay  - monthly only: day of the month (1-31, clamped to short months)
+//   until     - last possible date (YYYY-MM-DD), optional
+//   count     - total number of occurrences, optional
+//
+// Rules can also be given as a subset of an iCalendar RRULE, e.g.
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH". Dates are plain YYYY-MM-DD calendar
+// dates, so all arithmetic is done in UTC to stay clear of DST shifts.
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two-letter iCalendar weekday codes, indexed like WEEKDAYS
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function parseDate(dateString) {
+	const [year, month, day] = dateString.split("-").map(Number);
+	return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+function isValidDate(dateString) {
+	if (
+		typeof dateString !== "string" ||
+		!/^\d{4}-\d{2}-\d{2}$/.test(dateString)
+	) {
+		return false;
+	}
+	return formatDate(parseDate(dateString)) === dateString;
+}
+
+function addDays(date, days) {
+	return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+	return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Day monthDay of the given month, or its last day if the month is shorter
+function clampToMonth(year, month, monthDay) {
+	return new Date(
+		Date.UTC(year, month, Math.min(monthDay, daysInMonth(year, month))),
+	);
+}
+
+// Turn "FREQ=WEEKLY;BYDAY=MO,TH" (optionally prefixed with "RRULE:") into the
+// object form. Returns { error } for parts outside the supported subset.
+function parseRRule(rrule) {
+	const rule = {};
+	const parts = rrule.replace(/^RRULE:/i, "").split(";");
+
+	for (const part of parts) {
+		const [key, value] = part.split("=");
+		if (!key || value === undefined) {
+			return { error: `Invalid RRULE part "${part}"` };
+		}
+
+		switch (key.toUpperCase()) {
+			case "FREQ":
+				rule.frequency = value.toLowerCase();
+				break;
+			case "INTERVAL":
+				rule.interval = Number(value);
+				break;
+			case "BYDAY":
+				rule.weekdays = value
+					.split(",")
+					.map((code) => WEEKDAYS[RRULE_WEEKDAYS.indexOf(code.toUpperCase())]);
+				break;
+			case "BYMONTHDAY":
+				rule.monthDay = Number(value);
+				break;
+			case "COUNT":
+				rule.count = Number(value);
+				break;
+			case "UNTIL": {
+				// YYYYMMDD, optionally followed by a time that is ignored
+				const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+				rule.until = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+				break;
+			}
+			default:
+				return { error: `RRULE part ${key} is not supported` };
+		}
+	}
+
+	return { rule };
+}
+
+// The normalized rule as an RRULE string, e.g. "FREQ=WEEKLY;BYDAY=MO,TH"
+function formatRRule(recurrence) {
+	const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+	if (recurrence.interval > 1) {
+		parts.push(`INTERVAL=${recurrence.interval}`);
+	}
+	if (recurrence.weekdays) {
+		const codes = recurrence.weekdays.map(
+			(day) => RRULE_WEEKDAYS[WEEKDAYS.indexOf(day)],
+		);
+		parts.push(`BYDAY=${codes.join(",")}`);
+	}
+	if (recurrence.monthDay) {
+		parts.push(`BYMONTHDAY=${recurrence.monthDay}`);
+	}
+	if (recurrence.until) {
+		parts.push(`UNTIL=${recurrence.until.replace(/-/g, "")}`);
+	}
+	if (recurrence.count) {
+		parts.push(`COUNT=${recurrence.count}`);
+	}
+	return parts.join(";");
+}
+
+// Validate a recurrence given as a rule object or an RRULE string and return
+// it in normalized form. startDate (YYYY-MM-DD) fills in the weekday or day of
+// the month when a weekly or monthly rule doesn't name one.
+// Returns { error } if the rule is invalid, otherwise { recurrence }.
+function normalizeRecurrence(input, startDate) {
+	let rule = input;
+	if (typeof input === "string") {
+		const parsed = parseRRule(input.trim());
+		if (parsed.error) {
+			return { error: parsed.error };
+		}
+		rule = parsed.rule;
+	}
+
+	if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+		return { error: "Recurrence must be a rule object or an RRULE string" };
+	}
+
+	const { frequency, interval = 1, weekdays, monthDay, until, count } = rule;
+
+	if (!FREQUENCIES.includes(frequency)) {
+		return {
+			error: `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}`,
+		};
+	}
+	if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+		return {
+			error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}`,
+		};
+	}
+	if (weekdays !== undefined && frequency !== "weekly") {
+		return { error: "Weekdays can only be set on weekly recurrences" };
+	}
+	if (
+		weekdays !== undefined &&
+		(!Array.isArray(weekdays) ||
+			weekdays.length === 0 ||
+			!weekdays.every((day) => WEEKDAYS.includes(day)))
+	) {
+		return {
+			error: `Recurrence weekdays must be a list of: ${WEEKDAYS.join(", ")}`,
+		};
+	}
+	if (monthDay !== undefined && frequency !== "monthly") {
+		return {
+			error: "A day of the month can only be set on monthly recurrences",
+		};
+	}
+	if (
+		monthDay !== undefined &&
+		(!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31)
+	) {
+		return { error: "Recurrence day of the month must be from 1 to 31" };
+	}
+	if (until !== undefined && until !== null && !isValidDate(until)) {
+		return {
+			error: "Recurrence end date must be a valid date in YYYY-MM-DD format",
+		};
+	}
+	if (
+		count !== undefined &&
+		count !== null &&
+		(!Number.isInteger(count) || count < 1 || count > MAX_COUNT)
+	) {
+		return {
+			error: `Recurrence count must be a whole number from 1 to ${MAX_COUNT}`,
+		};
+	}
+
+	const start = parseDate(startDate);
+	const recurrence = { frequency, interval };
+	if (frequency === "weekly") {
+		// Keep weekdays unique and in calendar order
+		const days = weekdays || [WEEKDAYS[start.getUTCDay()]];
+		recurrence.weekdays = WEEKDAYS.filter((day) => days.includes(day));
+	}
+	if (frequency === "monthly") {
+		recurrence.monthDay = monthDay || start.getUTCDate();
+	}
+	if (until) {
+		recurrence.until = until;
+	}
+	if (count) {
+		recurrence.count = count;
+	}
+
+	return { recurrence };
+}
+
+// First date the rule produces strictly after the given date (YYYY-MM-DD).
+// Ignores until and count - see getNextOccurrence.
+function getNextDate(recurrence, afterDate) {
+	const date = parseDate(afterDate);
+	const { frequency, interval } = recurrence;
+
+	if (frequency === "daily") {
+		return formatDate(addDays(date, interval));
+	}
+
+	if (frequency === "weekly") {
+		// Later weekdays in the same week (weeks start on Monday), otherwise the
+		// first weekday of the week `interval` weeks on
+		const days = recurrence.weekdays.map((day) => WEEKDAYS.indexOf(day));
+		const toMondayBased = (day) => (day + 6) % 7;
+		const current = toMondayBased(date.getUTCDay());
+		const offsets = days.map(toMondayBased).sort((a, b) => a - b);
+
+		const later = offsets.find((offset) => offset > current);
+		if (later !== undefined) {
+			return formatDate(addDays(date, later - current));
+		}
+		const monday = addDays(date, -current);
+		return formatDate(addDays(monday, interval * 7 + offsets[0]));
+	}
+
+	// Monthly: this month's day if it is still ahead, otherwise `interval` months on
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth();
+	const thisMonth = clampToMonth(year, month, recurrence.monthDay);
+	if (thisMonth > date) {
+		return formatDate(thisMonth);
+	}
+	return formatDate(clampToMonth(year, month + interval, recurrence.monthDay));
+}
+
+// Due date of the occurrence after one due on fromDate. Occurrences already
+// in the past (before today) are skipped so a late completion doesn't spawn
+// an overdue todo. occurrence is the 1-based number of the current one.
+// Returns null when the series has ended (past until or count).
+function getNextOccurrence(recurrence, fromDate, today, occurrence = 1) {
+	if (recurrence.count && occurrence >= recurrence.count) {
+		return null;
+	}
+
+	let next = getNextDate(recurrence, fromDate);
+	while (next < today) {
+		next = getNextDate(recurrence, next);
+	}
+
+	if (recurrence.until && next > recurrence.until) {
+		return null;
+	}
+	return next;
+}
+
+// Due dates of up to `limit` occurrences after the current one, for previews
+function getUpcomingDates(recurrence, fromDate, today, occurrence, limit) {
+	const dates = [];
+	let date = fromDate;
+	let number = occurrence;
+
+	while (dates.length < limit) {
+		date = getNextOccurrence(recurrence, date, today, number);
+		if (!date) {
+			break;
+		}
+		dates.push(date);
+		number++;
+	}
+	return dates;
+}
+
+module.exports = {
+	FREQUENCIES,
+	WEEKDAYS,
+	isValidDate,
+	normalizeRecurrence,
+	formatRRule,
+	getNextOccurrence,
+	getUpcomingDates,
+};
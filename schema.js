@@ -0,0 +1,959 @@
+const { FREQUENCIES, WEEKDAYS, isValidDate } = require("./recurrence");
+const { FORMATS } = require("./formats");
+const { ACTIONS } = require("./activity");
+const { ROLES } = require("./sharing");
+
+// ================================
+// Resource Schemas
+// ================================
+//
+// One declarative description of the resources the API accepts and returns,
+// written as OpenAPI 3 schema objects. validate() checks request bodies
+// against them and openapi.js publishes them as the API's components, so the
+// rules (and the documentation of them) live in one place.
+//
+// Properties marked readOnly are managed by the server: validate() skips
+// them, and routes decide whether a request may send them. Messages come
+// from each schema's title ("Priority must be one of: ..."), or from its
+// x-messages for a keyword when a generic message would read badly.
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_TAGS = 10;
+const MAX_LIST_NAME_LENGTH = 100;
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_BATCH_OPERATIONS = 100;
+const PRIORITIES = ["low", "medium", "high"];
+const IMPORT_DUPLICATE_MODES = ["skip", "update", "create"];
+const MAX_PAGE_SIZE = 100;
+const MAX_UPCOMING = 10;
+const USER_ID_PATTERN = "^[a-zA-Z0-9_-]{8,64}$";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const title = (label) => ({
+	title: label,
+	type: "string",
+	maxLength: MAX_TITLE_LENGTH,
+	pattern: "\\S",
+	"x-messages": {
+		required: `${label} is required and must be a string`,
+		type: `${label} is required and must be a string`,
+		pattern: `${label} cannot be empty`,
+	},
+});
+
+const readOnlyInteger = (description) => ({
+	type: "integer",
+	readOnly: true,
+	description,
+});
+
+const SCHEMAS = {
+	Recurrence: {
+		title: "Recurrence",
+		type: "object",
+		description:
+			"A repeat rule. It can also be given as a subset of an iCalendar RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TH.",
+		required: ["frequency"],
+		additionalProperties: false,
+		properties: {
+			frequency: {
+				title: "Recurrence frequency",
+				type: "string",
+				enum: FREQUENCIES,
+			},
+			interval: {
+				title: "Recurrence interval",
+				type: "integer",
+				minimum: 1,
+				maximum: 365,
+				default: 1,
+				description: "Repeat every N days, weeks or months",
+			},
+			weekdays: {
+				title: "Recurrence weekdays",
+				type: "array",
+				minItems: 1,
+				items: { title: "Weekday", type: "string", enum: WEEKDAYS },
+				description: "Weekly rules only (defaults to the due date's weekday)",
+			},
+			monthDay: {
+				title: "Recurrence day of the month",
+				type: "integer",
+				minimum: 1,
+				maximum: 31,
+				description:
+					"Monthly rules only (defaults to the due date's day, clamped to short months)",
+			},
+			until: {
+				title: "Recurrence end date",
+				type: "string",
+				format: "date",
+				nullable: true,
+			},
+			count: {
+				title: "Recurrence count",
+				type: "integer",
+				minimum: 1,
+				maximum: 1000,
+				nullable: true,
+				description: "Total number of occurrences",
+			},
+		},
+	},
+
+	ChecklistItem: {
+		title: "Checklist item",
+		type: "object",
+		required: ["title"],
+		additionalProperties: false,
+		properties: {
+			id: readOnlyInteger("Unique within the todo"),
+			title: title("Title"),
+			completed: { title: "Completed", type: "boolean", default: false },
+			position: {
+				title: "Position",
+				type: "integer",
+				minimum: 0,
+				writeOnly: true,
+				description:
+					"Where to put the item in the checklist (defaults to the end)",
+			},
+			createdAt: { type: "string", format: "date-time", readOnly: true },
+		},
+	},
+
+	Todo: {
+		title: "Todo",
+		type: "object",
+		required: ["title"],
+		additionalProperties: false,
+		properties: {
+			id: readOnlyInteger("Unique per user, starting at 0"),
+			listId: {
+				title: "List",
+				type: "integer",
+				description: "Defaults to the Inbox",
+			},
+			title: title("Title"),
+			completed: { title: "Completed", type: "boolean", default: false },
+			priority: {
+				title: "Priority",
+				type: "string",
+				enum: PRIORITIES,
+				default: "medium",
+			},
+			dueDate: {
+				title: "Due date",
+				type: "string",
+				format: "date",
+				nullable: true,
+				default: null,
+			},
+			dueTime: {
+				title: "Due time",
+				type: "string",
+				pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+				nullable: true,
+				default: null,
+				description: "HH:MM (24-hour clock). Requires a due date.",
+				"x-messages": { pattern: "Due time must be in HH:MM format" },
+			},
+			tags: {
+				title: "Tags",
+				type: "array",
+				maxItems: MAX_TAGS,
+				default: [],
+				items: {
+					title: "Tag",
+					type: "string",
+					pattern: "^[a-z0-9_-]{1,30}$",
+					"x-normalize": "tag",
+					"x-messages": {
+						pattern:
+							"Tags must be 1-30 letters, numbers, hyphens or underscores",
+					},
+				},
+				description:
+					"Trimmed and lowercased, with inner spaces turned into hyphens, before they are checked. Duplicates are dropped.",
+				"x-messages": {
+					maxItems: `A todo can have at most ${MAX_TAGS} tags`,
+				},
+			},
+			autoComplete: {
+				title: "Auto-complete",
+				type: "boolean",
+				default: false,
+				description: "Complete the todo once every checklist item is done",
+			},
+			recurrence: {
+				title: "Recurrence",
+				nullable: true,
+				default: null,
+				oneOf: [{ type: "string", description: "An RRULE" }, ref("Recurrence")],
+				"x-messages": {
+					type: "Recurrence must be a rule object or an RRULE string",
+				},
+			},
+			items: {
+				type: "array",
+				items: ref("ChecklistItem"),
+				maxItems: MAX_CHECKLIST_ITEMS,
+				readOnly: true,
+				description: "Managed through /todos/{id}/items",
+			},
+			nextItemId: readOnlyInteger("ID of the next checklist item"),
+			progress: {
+				type: "object",
+				readOnly: true,
+				properties: {
+					completed: { type: "integer" },
+					total: { type: "integer" },
+				},
+			},
+			createdAt: { type: "string", format: "date-time", readOnly: true },
+			completedAt: {
+				type: "string",
+				format: "date-time",
+				nullable: true,
+				readOnly: true,
+				description: "When the todo was last completed; null while pending",
+			},
+			deletedAt: {
+				type: "string",
+				format: "date-time",
+				nullable: true,
+				readOnly: true,
+				description: "Set while the todo is in the trash",
+			},
+			version: readOnlyInteger(
+				"Increased by every change. Send it back to detect conflicting edits.",
+			),
+			seriesId: readOnlyInteger("ID of the first todo of a recurring series"),
+			occurrence: readOnlyInteger("Number of this todo within its series"),
+			nextOccurrenceId: readOnlyInteger(
+				"ID of the next occurrence, once this one is completed",
+			),
+			upcoming: {
+				type: "array",
+				items: { type: "string", format: "date" },
+				readOnly: true,
+				description: "Only with GET /todos?upcoming=N",
+			},
+			extras: {
+				type: "array",
+				items: { type: "string" },
+				readOnly: true,
+				description:
+					"The todo.txt tokens after the title, from the last import (written back in place on export)",
+			},
+			owner: {
+				type: "object",
+				readOnly: true,
+				description:
+					"Only on todos of lists other users share with you (in GET /todos): whose todo it is and your role",
+				properties: {
+					userId: { type: "string" },
+					role: { type: "string", enum: ROLES },
+				},
+			},
+			href: {
+				type: "string",
+				readOnly: true,
+				description:
+					"Only on todos of lists other users share with you: the path to read and change the todo through (/shared/{ownerId}/todos/{id}), as its ID is the owner's",
+			},
+			score: {
+				type: "number",
+				readOnly: true,
+				description:
+					"Only in GET /todos results for a search with text: how well the title matched (higher is better)",
+			},
+			matches: {
+				type: "array",
+				readOnly: true,
+				description:
+					"Only in GET /todos results for a search with text: the parts of the title that matched, as offsets (end exclusive)",
+				items: {
+					type: "object",
+					properties: {
+						start: { type: "integer" },
+						end: { type: "integer" },
+					},
+				},
+			},
+		},
+	},
+
+	List: {
+		title: "List",
+		type: "object",
+		required: ["name"],
+		additionalProperties: false,
+		properties: {
+			id: readOnlyInteger("The Inbox is list 1"),
+			name: {
+				title: "List name",
+				type: "string",
+				maxLength: MAX_LIST_NAME_LENGTH,
+				pattern: "\\S",
+				description: "Unique per user, ignoring case",
+				"x-messages": {
+					type: "List name is required",
+					pattern: "List name is required",
+				},
+			},
+			isDefault: { type: "boolean", readOnly: true },
+			archived: { title: "Archived", type: "boolean", default: false },
+			createdAt: { type: "string", format: "date-time", readOnly: true },
+			counts: {
+				type: "object",
+				readOnly: true,
+				properties: {
+					total: { type: "integer" },
+					completed: { type: "integer" },
+					pending: { type: "integer" },
+				},
+			},
+		},
+	},
+
+	Share: {
+		title: "Share",
+		type: "object",
+		required: ["role"],
+		additionalProperties: false,
+		properties: {
+			userId: {
+				type: "string",
+				readOnly: true,
+				description: "The user the list is shared with",
+			},
+			role: {
+				title: "Role",
+				type: "string",
+				enum: ROLES,
+				description:
+					"viewer: can read the list's todos; editor: can also add, change and delete them",
+			},
+			grantedAt: { type: "string", format: "date-time", readOnly: true },
+		},
+	},
+
+	Credentials: {
+		title: "Credentials",
+		type: "object",
+		required: ["username", "password"],
+		additionalProperties: false,
+		properties: {
+			username: {
+				title: "Username",
+				type: "string",
+				pattern: "^[a-zA-Z0-9_.-]{3,32}$",
+				"x-messages": {
+					type: "Username must be 3-32 characters (letters, numbers, dots, hyphens, underscores)",
+					pattern:
+						"Username must be 3-32 characters (letters, numbers, dots, hyphens, underscores)",
+				},
+			},
+			password: {
+				title: "Password",
+				type: "string",
+				minLength: 8,
+				maxLength: 128,
+				writeOnly: true,
+				"x-messages": {
+					type: "Password must be between 8 and 128 characters",
+					minLength: "Password must be between 8 and 128 characters",
+					maxLength: "Password must be between 8 and 128 characters",
+				},
+			},
+			claimUserId: {
+				title: "claimUserId",
+				type: "string",
+				pattern: USER_ID_PATTERN,
+				description:
+					"An anonymous user ID whose todos the new account takes over",
+				"x-messages": {
+					type: "Invalid User ID format",
+					pattern: "Invalid User ID format",
+				},
+			},
+		},
+	},
+
+	Login: {
+		title: "Login",
+		type: "object",
+		required: ["username", "password"],
+		properties: {
+			username: {
+				title: "Username",
+				type: "string",
+				"x-messages": { type: "Username and password are required" },
+			},
+			password: {
+				title: "Password",
+				type: "string",
+				writeOnly: true,
+				"x-messages": { type: "Username and password are required" },
+			},
+		},
+	},
+
+	BatchOperation: {
+		title: "Operation",
+		type: "object",
+		required: ["op"],
+		additionalProperties: false,
+		properties: {
+			op: {
+				title: "op",
+				type: "string",
+				enum: ["create", "update", "delete", "restore"],
+			},
+			id: {
+				title: "Todo ID",
+				type: "integer",
+				description: "The todo to update, delete or restore",
+			},
+			todo: {
+				...ref("Todo"),
+				description: "create: the new todo",
+			},
+			changes: {
+				...ref("TodoChanges"),
+				description: "update: the fields to change",
+			},
+			version: {
+				title: "Version",
+				type: "integer",
+				description: "update and delete: the version the change is based on",
+			},
+		},
+	},
+
+	BatchRequest: {
+		title: "Batch",
+		type: "object",
+		required: ["operations"],
+		additionalProperties: false,
+		properties: {
+			operations: {
+				title: "operations",
+				type: "array",
+				minItems: 1,
+				maxItems: MAX_BATCH_OPERATIONS,
+				items: ref("BatchOperation"),
+				"x-messages": {
+					type: `operations must be a list of 1-${MAX_BATCH_OPERATIONS} operations`,
+					minItems: `operations must be a list of 1-${MAX_BATCH_OPERATIONS} operations`,
+					maxItems: `operations must be a list of 1-${MAX_BATCH_OPERATIONS} operations`,
+				},
+			},
+		},
+	},
+
+	ImportRequest: {
+		title: "Import",
+		type: "object",
+		required: ["format", "data"],
+		additionalProperties: false,
+		properties: {
+			format: {
+				title: "Format",
+				type: "string",
+				enum: Object.keys(FORMATS),
+			},
+			data: {
+				title: "Data",
+				description:
+					"The file's contents as a string (json can also be sent as a parsed value)",
+			},
+			mapping: {
+				title: "Mapping",
+				type: "object",
+				additionalProperties: { type: "string" },
+				description:
+					"csv and json: the column or property to read each field from, e.g. { title: 'Task' }",
+			},
+			duplicates: {
+				title: "duplicates",
+				type: "string",
+				enum: IMPORT_DUPLICATE_MODES,
+				default: "skip",
+			},
+			dryRun: {
+				title: "dryRun",
+				type: "boolean",
+				default: false,
+				description: "Only report what would be imported",
+			},
+		},
+	},
+
+	FieldError: {
+		type: "object",
+		properties: {
+			field: {
+				type: "string",
+				description:
+					'Path of the invalid field, e.g. "tags[2]" or "recurrence.interval" ("" for the whole body)',
+			},
+			code: {
+				type: "string",
+				description:
+					"The rule that failed: a schema keyword such as required, type, enum or maxLength, or invalid, conflict or readOnly",
+			},
+			message: { type: "string" },
+			position: {
+				type: "integer",
+				description:
+					"Search queries only: the 0-based offset in the query the error points at",
+			},
+		},
+	},
+
+	Error: {
+		type: "object",
+		required: ["error"],
+		properties: {
+			error: { type: "string", description: "What went wrong" },
+			errors: {
+				type: "array",
+				items: ref("FieldError"),
+				description: "Validation errors only: every invalid field",
+			},
+			index: {
+				type: "integer",
+				description: "Batches and JSON Patches: the operation that failed",
+			},
+		},
+	},
+};
+
+// The fields of a todo to change: a Todo where nothing is required
+SCHEMAS.TodoChanges = {
+	...SCHEMAS.Todo,
+	title: "Changes",
+	required: undefined,
+};
+
+// ================================
+// Query Parameters
+// ================================
+//
+// OpenAPI parameter objects for the query strings routes accept. Query
+// values arrive as strings, so validateQuery() converts the ones declared as
+// integers or booleans before checking them.
+
+const query = (name, schema, description) => ({
+	name,
+	in: "query",
+	required: false,
+	description,
+	schema: { title: name, ...schema },
+});
+
+const PARAMETERS = {
+	filter: query(
+		"filter",
+		{ type: "string", enum: ["all", "completed", "pending", "overdue"] },
+		"Narrow by status",
+	),
+	search: query(
+		"search",
+		{ type: "string" },
+		'A search query: words and "phrases" the title must contain, field terms such as priority:high, is:pending, tag:home, list:Inbox, due:<=today or created:>2026-01-01, -term to exclude and OR between alternatives',
+	),
+	dueBefore: query(
+		"dueBefore",
+		{ type: "string", format: "date" },
+		"Due on or before this date",
+	),
+	dueAfter: query(
+		"dueAfter",
+		{ type: "string", format: "date" },
+		"Due on or after this date",
+	),
+	dueToday: query("dueToday", { type: "boolean" }, "Only todos due today"),
+	tag: {
+		...query(
+			"tag",
+			{
+				type: "array",
+				minItems: 1,
+				maxItems: MAX_TAGS,
+				items: SCHEMAS.Todo.properties.tags.items,
+			},
+			"Todos with these tags: tag=a,b or tag=a&tag=b",
+		),
+		explode: true,
+	},
+	tagMatch: query(
+		"tagMatch",
+		{ type: "string", enum: ["any", "all"], default: "any" },
+		"Whether todos need any or all of the tags",
+	),
+	sort: query(
+		"sort",
+		{ type: "string" },
+		"Comma-separated fields to sort by (priority, createdAt, title, completed, relevance), prefix with - for descending. Searches with text default to relevance.",
+	),
+	limit: query(
+		"limit",
+		{ type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 },
+		"Page size. With limit or cursor the response is a page.",
+	),
+	cursor: query(
+		"cursor",
+		{ type: "string" },
+		"nextCursor of the previous page (only valid for the same query)",
+	),
+	shared: query(
+		"shared",
+		{ type: "boolean", default: true },
+		"false leaves out the todos of lists other users share with you",
+	),
+	upcoming: query(
+		"upcoming",
+		{ type: "integer", minimum: 0, maximum: MAX_UPCOMING, default: 0 },
+		"Number of upcoming occurrences to show on recurring todos",
+	),
+	timezone: query(
+		"timezone",
+		{ type: "string", default: "UTC" },
+		"IANA time zone whose calendar days to count in, e.g. Europe/Paris",
+	),
+	days: query(
+		"days",
+		{ type: "integer", minimum: 1, maximum: 365, default: 30 },
+		"Number of days in the daily series, ending today",
+	),
+	weeks: query(
+		"weeks",
+		{ type: "integer", minimum: 1, maximum: 104, default: 12 },
+		"Number of weeks in the weekly series, ending this week",
+	),
+	format: query(
+		"format",
+		{ type: "string", enum: Object.keys(FORMATS), default: "json" },
+		"File format",
+	),
+	action: query(
+		"action",
+		{ type: "string", enum: ACTIONS },
+		"Only entries with this action",
+	),
+	moveTodosTo: query(
+		"moveTodosTo",
+		{ type: "integer" },
+		"Move the list's todos to this list instead of deleting them",
+	),
+};
+
+// ================================
+// Path Parameters
+// ================================
+//
+// The :id, :listId, ... parameters of the routes. They arrive as strings
+// like query values and are converted the same way, so "12abc" is not the
+// todo 12 but an invalid ID.
+
+const pathParameter = (name, schema, description) => ({
+	name,
+	in: "path",
+	required: true,
+	description,
+	schema: { title: name, ...schema },
+});
+
+const idSchema = (label) => ({
+	type: "integer",
+	minimum: 0,
+	"x-messages": { type: `Invalid ${label}`, minimum: `Invalid ${label}` },
+});
+
+const userIdSchema = {
+	type: "string",
+	pattern: USER_ID_PATTERN,
+	"x-messages": { pattern: "Invalid User ID format" },
+};
+
+const PATH_PARAMETERS = {
+	id: pathParameter("id", idSchema("todo ID"), "Todo ID"),
+	listId: pathParameter("listId", idSchema("list ID"), "List ID"),
+	itemId: pathParameter("itemId", idSchema("item ID"), "Checklist item ID"),
+	ownerId: pathParameter(
+		"ownerId",
+		userIdSchema,
+		"User ID of the list's owner",
+	),
+	userId: pathParameter(
+		"userId",
+		userIdSchema,
+		"User ID to share the list with",
+	),
+};
+
+// ================================
+// Validation
+// ================================
+
+// Strings are checked in the form they are stored in, e.g. "Long Weekend" as
+// the tag "long-weekend"
+const NORMALIZERS = {
+	tag: (value) => value.trim().toLowerCase().replace(/\s+/g, "-"),
+};
+
+const TYPE_NAMES = {
+	string: "a string",
+	integer: "a whole number",
+	number: "a number",
+	boolean: "true or false",
+	array: "a list",
+	object: "an object",
+};
+
+function resolve(schema) {
+	return schema.$ref ? SCHEMAS[schema.$ref.split("/").pop()] : schema;
+}
+
+function typeOf(value) {
+	if (Array.isArray(value)) {
+		return "array";
+	}
+	if (Number.isInteger(value)) {
+		return "integer";
+	}
+	return value === null ? "null" : typeof value;
+}
+
+function matchesType(type, value) {
+	const actual = typeOf(value);
+	return actual === type || (type === "number" && actual === "integer");
+}
+
+// A { field, code, message } error object
+function fieldError(field, message, code = "invalid") {
+	return { field, code, message };
+}
+
+function getMessage(schema, keyword, label, fallback) {
+	const messages = schema["x-messages"] || {};
+	return messages[keyword] || `${label} ${fallback}`;
+}
+
+// Check value against schema. Returns the { field, code, message } errors,
+// empty if it is valid. With partial, the top-level required properties may
+// be left out (for changes to an existing resource).
+function validate(schema, value, options = {}, field = "") {
+	const resolved = resolve(schema);
+	const merged = schema.$ref
+		? { ...resolved, ...schema, $ref: undefined }
+		: schema;
+	const label = merged.title || field || "Value";
+	const error = (keyword, fallback) =>
+		fieldError(field, getMessage(merged, keyword, label, fallback), keyword);
+
+	if (value === null) {
+		return merged.nullable ? [] : [error("type", `must not be null`)];
+	}
+
+	if (merged.oneOf) {
+		// The variants differ by type, so the value is checked against the one
+		// of its type
+		const variant = merged.oneOf.find((candidate) =>
+			matchesType(resolve(candidate).type, value),
+		);
+		if (!variant) {
+			return [error("type", "is not valid")];
+		}
+		return validate(variant, value, {}, field);
+	}
+
+	if (merged.type && !matchesType(merged.type, value)) {
+		return [error("type", `must be ${TYPE_NAMES[merged.type]}`)];
+	}
+	if (merged.enum && !merged.enum.includes(value)) {
+		return [error("enum", `must be one of: ${merged.enum.join(", ")}`)];
+	}
+
+	const errors = [];
+	if (typeof value === "string") {
+		if (merged["x-normalize"]) {
+			value = NORMALIZERS[merged["x-normalize"]](value);
+		}
+		if (merged.minLength !== undefined && value.length < merged.minLength) {
+			errors.push(
+				error("minLength", `must be at least ${merged.minLength} characters`),
+			);
+		}
+		if (merged.maxLength !== undefined && value.length > merged.maxLength) {
+			errors.push(
+				error("maxLength", `must be at most ${merged.maxLength} characters`),
+			);
+		}
+		if (merged.pattern && !new RegExp(merged.pattern).test(value)) {
+			errors.push(error("pattern", "is not valid"));
+		}
+		if (merged.format === "date" && !isValidDate(value)) {
+			errors.push(error("format", "must be a valid date in YYYY-MM-DD format"));
+		}
+		if (merged.format === "date-time" && isNaN(Date.parse(value))) {
+			errors.push(error("format", "must be a date and time"));
+		}
+	}
+
+	if (typeof value === "number") {
+		const { minimum, maximum } = merged;
+		const outOfRange =
+			(minimum !== undefined && value < minimum) ||
+			(maximum !== undefined && value > maximum);
+		if (outOfRange) {
+			const keyword =
+				minimum !== undefined && value < minimum ? "minimum" : "maximum";
+			errors.push(
+				error(
+					keyword,
+					minimum !== undefined && maximum !== undefined
+						? `must be from ${minimum} to ${maximum}`
+						: keyword === "minimum"
+							? `must be at least ${minimum}`
+							: `must be at most ${maximum}`,
+				),
+			);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (merged.minItems !== undefined && value.length < merged.minItems) {
+			errors.push(
+				error("minItems", `must have at least ${merged.minItems} items`),
+			);
+		}
+		if (merged.maxItems !== undefined && value.length > merged.maxItems) {
+			errors.push(
+				error("maxItems", `can have at most ${merged.maxItems} items`),
+			);
+		}
+		if (merged.items) {
+			value.forEach((item, index) => {
+				errors.push(...validate(merged.items, item, {}, `${field}[${index}]`));
+			});
+		}
+	}
+
+	if (typeOf(value) === "object") {
+		const properties = merged.properties || {};
+		const prefix = field ? `${field}.` : "";
+		if (!options.partial) {
+			(merged.required || []).forEach((name) => {
+				if (value[name] === undefined) {
+					const property = resolve(properties[name] || {});
+					errors.push(
+						fieldError(
+							prefix + name,
+							getMessage(
+								property,
+								"required",
+								property.title || name,
+								"is required",
+							),
+							"required",
+						),
+					);
+				}
+			});
+		}
+		Object.keys(value).forEach((name) => {
+			const property = properties[name];
+			if (value[name] === undefined || (property && property.readOnly)) {
+				return;
+			}
+			if (property) {
+				errors.push(...validate(property, value[name], {}, prefix + name));
+			} else if (merged.additionalProperties === false) {
+				errors.push(
+					fieldError(
+						prefix + name,
+						`Unknown field: ${prefix + name}`,
+						"additionalProperties",
+					),
+				);
+			} else if (typeof merged.additionalProperties === "object") {
+				errors.push(
+					...validate(
+						merged.additionalProperties,
+						value[name],
+						{},
+						prefix + name,
+					),
+				);
+			}
+		});
+	}
+
+	return errors;
+}
+
+// Convert a query string value to the type its parameter declares. Values
+// that don't convert are left as they are, for validate() to reject.
+function coerceQueryValue(schema, value) {
+	if (schema.type === "array") {
+		const values = (Array.isArray(value) ? value : [value]).flatMap((entry) =>
+			typeof entry === "string" ? entry.split(",") : [entry],
+		);
+		return values.map((entry) => coerceQueryValue(schema.items, entry));
+	}
+	if (typeof value !== "string") {
+		return value;
+	}
+	if (schema.type === "integer" && /^-?\d+$/.test(value)) {
+		return Number(value);
+	}
+	if (schema.type === "boolean" && (value === "true" || value === "false")) {
+		return value === "true";
+	}
+	return value;
+}
+
+// Check the named query parameters. Returns { values } with each present
+// parameter converted to its type (and defaults filled in), or { errors }.
+function validateQuery(names, query) {
+	const values = {};
+	const errors = [];
+	names.forEach((name) => {
+		const { schema } = PARAMETERS[name];
+		if (query[name] === undefined) {
+			if (schema.default !== undefined) {
+				values[name] = schema.default;
+			}
+			return;
+		}
+		values[name] = coerceQueryValue(schema, query[name]);
+		errors.push(...validate(schema, values[name], {}, name));
+	});
+	return errors.length > 0 ? { errors } : { values };
+}
+
+// Check one path parameter. Returns { value }, converted to its type, or
+// { errors }.
+function validatePathParameter(name, value) {
+	const { schema } = PATH_PARAMETERS[name];
+	const converted = coerceQueryValue(schema, value);
+	const errors = validate(schema, converted, {}, name);
+	return errors.length > 0 ? { errors } : { value: converted };
+}
+
+module.exports = {
+	SCHEMAS,
+	PARAMETERS,
+	PATH_PARAMETERS,
+	MAX_CHECKLIST_ITEMS,
+	validate,
+	validateQuery,
+	validatePathParameter,
+	fieldError,
+	normalizeTag: NORMALIZERS.tag,
+};
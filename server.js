@@ -1,29 +1,179 @@
 const express = require("express");
 const cors = require("cors");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { createStorage, StorageError } = require("./storage");
+const { createAuth, AuthError } = require("./auth");
+const { createEventHub } = require("./events");
+const { createActivityLog } = require("./activity");
+const { createRateLimiter } = require("./ratelimit");
+const { allows, createShareStore } = require("./sharing");
+const { createLogger } = require("./logger");
+const { createMetrics } = require("./metrics");
+const {
+	normalizeRecurrence,
+	getNextOccurrence,
+	getUpcomingDates,
+} = require("./recurrence");
+const { FORMATS, exportRecords, parseImport } = require("./formats");
+const { computeHistory, isValidTimeZone } = require("./analytics");
+// Shared with the app, which loads them as scripts
+const { parseQuery, matchesQuery, getTextTerms } = require("./public/query");
+const { createSearchIndex, combineMatches } = require("./public/search");
+const {
+	applyMergePatch,
+	applyJsonPatch,
+	getChangedMembers,
+	isEqual,
+} = require("./patch");
+const {
+	SCHEMAS,
+	MAX_CHECKLIST_ITEMS,
+	validate,
+	validateQuery,
+	validatePathParameter,
+	PATH_PARAMETERS,
+	fieldError,
+	normalizeTag,
+} = require("./schema");
+const { buildOpenApiDocument } = require("./openapi");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_DIR = path.join(__dirname, "user_data");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "user_data");
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "json";
+const STORAGE_FSYNC = process.env.STORAGE_FSYNC === "true";
+// Trusting a bare X-User-Id is opt-in: anyone can send any ID in it
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS === "true";
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const ACTIVITY_RETENTION_DAYS =
+	Number(process.env.ACTIVITY_RETENTION_DAYS) || 90;
+const MAX_ACTIVITY_ENTRIES = Number(process.env.MAX_ACTIVITY_ENTRIES) || 1000;
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || "2mb";
+const MAX_TODOS_PER_USER = Number(process.env.MAX_TODOS_PER_USER) || 10000;
+const MAX_CACHED_USERS = Number(process.env.MAX_CACHED_USERS) || 1000;
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000;
+// Requests per window; 0 turns a limit off
+const RATE_LIMIT_PER_USER = getLimitSetting("RATE_LIMIT_PER_USER", 300);
+const RATE_LIMIT_PER_IP = getLimitSetting("RATE_LIMIT_PER_IP", 1000);
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+
+// A numeric setting where 0 is allowed (it turns the limit off)
+function getLimitSetting(name, defaultValue) {
+	const value = Number(process.env[name]);
+	return process.env[name] !== undefined &&
+		Number.isInteger(value) &&
+		value >= 0
+		? value
+		: defaultValue;
+}
+
+// JSON logs, one line per entry; requests log through a child logger that
+// adds their request ID
+const logger = createLogger({ level: LOG_LEVEL });
 
 // Create user_data directory if it doesn't exist
 if (!fs.existsSync(DATA_DIR)) {
-	fs.mkdirSync(DATA_DIR);
+	fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// Rate limits: requests per IP address (every API request) and per user
+// (requests that pass validateUserId), counted in fixed windows
+const ipRateLimiter = createRateLimiter({
+	limit: RATE_LIMIT_PER_IP,
+	windowMs: RATE_LIMIT_WINDOW_MS,
+});
+const userRateLimiter = createRateLimiter({
+	limit: RATE_LIMIT_PER_USER,
+	windowMs: RATE_LIMIT_WINDOW_MS,
+});
+
 // Middleware
 app.use(cors());
-app.use(express.json());
 app.use(express.static("public"));
+app.use(trackRequest);
+app.use(limitByIp);
+// Large enough for imports (MAX_BODY_SIZE); application/*+json covers the
+// PATCH formats
+app.use(
+	express.json({
+		limit: MAX_BODY_SIZE,
+		type: ["application/json", "application/*+json"],
+	}),
+);
 
-// In-memory storage with file persistence (per user)
-const userDataCache = new Map(); // Cache user data in memory
+// In-memory storage with pluggable persistence (per user)
+const storage = createStorage(STORAGE_BACKEND, DATA_DIR, {
+	fsync: STORAGE_FSYNC,
+	logger,
+});
+const userDataCache = new Map(); // Cache user data in memory, least recently used first
+const writeQueues = new Map(); // Pending save per user, so writes never interleave
+const searchIndexes = new Map(); // Title search index per user, built on the first search
 
-// Get user data file path
-function getUserDataFile(userId) {
-	return path.join(DATA_DIR, `todos_${userId}.json`);
-}
+// Accounts and sessions
+const auth = createAuth(DATA_DIR, {
+	secret: process.env.AUTH_SECRET,
+	fsync: STORAGE_FSYNC,
+	logger,
+});
+
+// List shares: which of a user's lists other users may see or change
+const shares = createShareStore(DATA_DIR, { fsync: STORAGE_FSYNC, logger });
+
+// Live updates: open event streams per user, and the todos (and lists) each
+// user's streams last heard about, to work out what changed on every save
+const liveSnapshots = new Map();
+const liveEvents = createEventHub({
+	onInactive: (userId) => liveSnapshots.delete(userId),
+});
+
+// Activity history: every change to a user's todos and lists, worked out on
+// each save by comparing with the user's todos and lists as of the last save
+const activityLog = createActivityLog(DATA_DIR, {
+	retentionDays: ACTIVITY_RETENTION_DAYS,
+	maxEntries: MAX_ACTIVITY_ENTRIES,
+	fsync: STORAGE_FSYNC,
+});
+const historySnapshots = new Map();
+
+// Metrics for GET /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter(
+	"http_requests_total",
+	"API requests by method, route and status",
+);
+const httpRequestDuration = metrics.histogram(
+	"http_request_duration_seconds",
+	"Time taken to answer API requests, by method and route",
+);
+const saveDuration = metrics.histogram(
+	"storage_save_duration_seconds",
+	"Time taken to write a user's todos to storage, by result",
+);
+const cacheLookups = metrics.counter(
+	"user_data_cache_lookups_total",
+	"Loads of a user's todos, by whether they were cached (hit) or read (miss)",
+);
+metrics.gauge(
+	"user_data_cache_entries",
+	"Users whose todos are cached in memory",
+	() => userDataCache.size,
+);
+const cacheEvictions = metrics.counter(
+	"user_data_cache_evictions_total",
+	"Users dropped from the cache to stay within MAX_CACHED_USERS",
+);
+metrics.gauge(
+	"user_data_cache_hit_ratio",
+	"Share of loads answered from the cache since the server started",
+	() => {
+		const hits = cacheLookups.get({ result: "hit" });
+		const total = hits + cacheLookups.get({ result: "miss" });
+		return total > 0 ? hits / total : 0;
+	},
+);
 
 // Validate user ID format
 function isValidUserId(userId) {
@@ -38,328 +188,3455 @@ function loadUserTodos(userId) {
 	try {
 		// Check cache first
 		if (userDataCache.has(userId)) {
-			return userDataCache.get(userId);
-		}
-
-		const userFile = getUserDataFile(userId);
-		if (fs.existsSync(userFile)) {
-			const data = fs.readFileSync(userFile, "utf8");
-			const parsed = JSON.parse(data);
-			const userData = {
-				todos: parsed.todos || [],
-				nextId: parsed.nextId || 1,
-			};
+			cacheLookups.inc({ result: "hit" });
+			const userData = userDataCache.get(userId);
+			// Move the user to the end, as the most recently used
+			userDataCache.delete(userId);
 			userDataCache.set(userId, userData);
 			return userData;
 		}
+		cacheLookups.inc({ result: "miss" });
+		searchIndexes.delete(userId);
 
-		// Create new user data
-		const userData = { todos: [], nextId: 0 };
+		// Create new user data when nothing is stored yet
+		const userData = storage.load(userId) || { todos: [], nextId: 0 };
+		ensureDefaultList(userData);
+		// Todos saved before versions were added start at version 1, and those
+		// completed before completion times were recorded have none
+		userData.todos.forEach((todo) => {
+			todo.version = todo.version || 1;
+			todo.completedAt = todo.completedAt || null;
+		});
+		// Snapshot before purging, so the purge is recorded with the next save
+		historySnapshots.set(userId, takeHistorySnapshot(userData));
+		purgeExpiredTrash(userData);
 		userDataCache.set(userId, userData);
+		evictCachedUsers();
 		return userData;
 	} catch (error) {
-		console.error(`Error loading todos for user ${userId}:`, error.message);
-		return { todos: [], nextId: 1 };
+		logger.error("Error loading todos", { userId, error });
+		throw new StorageError("Your todos could not be loaded", error);
+	}
+}
+
+// Drop the least recently used users once more than MAX_CACHED_USERS are
+// cached, along with what the storage adapter and activity log keep for them.
+// Users with a save in progress stay until it is written.
+function evictCachedUsers() {
+	for (const userId of userDataCache.keys()) {
+		if (userDataCache.size <= MAX_CACHED_USERS) {
+			return;
+		}
+		if (!writeQueues.has(userId)) {
+			userDataCache.delete(userId);
+			historySnapshots.delete(userId);
+			searchIndexes.delete(userId);
+			storage.evict(userId);
+			activityLog.evict(userId);
+			cacheEvictions.inc();
+		}
 	}
 }
 
-// Save todos for specific user
-function saveUserTodos(userId, todos, nextId) {
+// Save todos (and lists) for specific user. Saves are queued per user and the
+// returned promise rejects with a StorageError if the data did not reach the disk.
+// req is the request making the changes, recorded as their source in the
+// activity log.
+function saveUserTodos(userId, userData, req) {
+	purgeExpiredTrash(userData);
+	const { todos, nextId, lists, nextListId } = userData;
+	const activity = trackChanges(userId, userData, getRequestSource(req));
+	updateSearchIndex(userId, activity);
+
+	// Update cache
+	userDataCache.set(userId, userData);
+
+	const previousWrite = writeQueues.get(userId) || Promise.resolve();
+	const write = previousWrite
+		.catch(() => {}) // A failed write must not block the ones queued after it
+		.then(() =>
+			timeSave(() =>
+				storage.save(userId, { todos, nextId, lists, nextListId }),
+			),
+		);
+
+	writeQueues.set(userId, write);
+	const dequeue = () => {
+		if (writeQueues.get(userId) === write) {
+			writeQueues.delete(userId);
+		}
+	};
+	write.then(dequeue, dequeue);
+
+	return write.then(
+		() => {
+			// A lost activity entry isn't worth failing a saved change for
+			activityLog.record(userId, activity).catch((error) => {
+				logger.error("Error saving activity", { userId, error });
+			});
+			publishChanges(userId, userData);
+		},
+		(error) => {
+			logger.error("Error saving todos", { userId, error });
+
+			// Drop unsaved changes so the next request reloads what is on disk
+			userDataCache.delete(userId);
+			historySnapshots.delete(userId);
+			searchIndexes.delete(userId);
+			throw new StorageError("Your changes could not be saved", error);
+		},
+	);
+}
+
+// Run a storage save, observing how long it took in saveDuration
+async function timeSave(save) {
+	const endTimer = saveDuration.startTimer({ backend: storage.name });
 	try {
-		const data = JSON.stringify({ todos, nextId }, null, 2);
-		const userFile = getUserDataFile(userId);
-		fs.writeFileSync(userFile, data, "utf8");
+		const result = await save();
+		endTimer({ result: "ok" });
+		return result;
+	} catch (error) {
+		endTimer({ result: "error" });
+		throw error;
+	}
+}
+
+// Todos of shared lists have their owner's IDs, so live snapshots key them by
+// owner and ID
+function getLiveKey(todo) {
+	return todo.owner ? `${todo.owner.userId}:${todo.id}` : String(todo.id);
+}
+
+// What a user's event streams know about: serialized todos (trashed ones left
+// out) by key, the todos of lists shared with the user included, and the
+// serialized lists
+function takeLiveSnapshot(userId, userData) {
+	const todos = userData.todos
+		.filter((todo) => !todo.deletedAt)
+		.concat(getSharedTodos(userId));
+	return {
+		todos: new Map(
+			todos.map((todo) => [getLiveKey(todo), JSON.stringify(todo)]),
+		),
+		lists: JSON.stringify(userData.lists),
+	};
+}
+
+// Send a save's changes to the user's event streams and to those of everyone
+// the user shares lists with
+function publishChanges(userId, userData) {
+	publishLiveChanges(userId, userData);
+	shares
+		.getGrantees(userId)
+		.forEach((granteeId) => publishLiveChanges(granteeId));
+}
+
+// Send the changes since the last snapshot to the user's event streams: one
+// created/updated/deleted event per todo (shared ones with their owner), then
+// the new stats and lists. Trashing a todo is a delete and restoring it a
+// create. userData is loaded when not given.
+function publishLiveChanges(userId, userData = null) {
+	const snapshot = liveSnapshots.get(userId);
+	if (!snapshot || !liveEvents.isActive(userId)) {
+		return;
+	}
 
-		// Update cache
-		userDataCache.set(userId, { todos, nextId });
+	let current;
+	try {
+		userData = userData || loadUserTodos(userId);
+		current = takeLiveSnapshot(userId, userData);
 	} catch (error) {
-		console.error(`Error saving todos for user ${userId}:`, error.message);
+		// The change is saved; the streams catch up with the next one
+		logger.warn("Skipping live updates", { userId, error });
+		return;
+	}
+	const changes = [];
+
+	current.todos.forEach((serialized, key) => {
+		if (!snapshot.todos.has(key)) {
+			changes.push({ type: "created", data: JSON.parse(serialized) });
+		} else if (snapshot.todos.get(key) !== serialized) {
+			changes.push({ type: "updated", data: JSON.parse(serialized) });
+		}
+	});
+	snapshot.todos.forEach((serialized, key) => {
+		if (!current.todos.has(key)) {
+			const { id, owner } = JSON.parse(serialized);
+			changes.push({ type: "deleted", data: owner ? { id, owner } : { id } });
+		}
+	});
+
+	if (changes.length === 0 && current.lists === snapshot.lists) {
+		return;
+	}
+
+	changes.push({
+		type: "stats",
+		data: computeStats(getVisibleTodos(userData)),
+	});
+	changes.push({
+		type: "lists",
+		data: userData.lists.map((list) => withListCounts(list, userData)),
+	});
+
+	liveSnapshots.set(userId, current);
+	liveEvents.publish(userId, changes);
+}
+
+// ================================
+// Activity History
+// ================================
+
+// Fields left out of an entry's changes: bookkeeping, deletedAt, whose
+// change is the entry's action, and completedAt, which follows completed
+const ACTIVITY_IGNORED_FIELDS = [
+	"id",
+	"version",
+	"createdAt",
+	"deletedAt",
+	"completedAt",
+	"progress",
+	"nextItemId",
+];
+
+// Source of the todos purged from the trash when their retention ends
+const RETENTION_SOURCE = { method: null, path: null, client: "retention" };
+
+// Copies of the todos and lists by ID, to compare the next save with
+function takeHistorySnapshot(userData) {
+	return {
+		todos: new Map(
+			userData.todos.map((todo) => [todo.id, structuredClone(todo)]),
+		),
+		lists: new Map(
+			userData.lists.map((list) => [list.id, structuredClone(list)]),
+		),
+	};
+}
+
+// Where a change came from: the request, and the client that sent it (the
+// X-Client header, e.g. "web"; "api" when there is none). Changes made by
+// someone a list is shared with also name that user.
+function getRequestSource(req) {
+	const client = req.get("X-Client");
+	const source = {
+		method: req.method,
+		path: req.path,
+		client: client && /^[\w.-]{1,40}$/.test(client) ? client : "api",
+	};
+	if (req.ownerId !== req.userId) {
+		source.userId = req.userId;
+	}
+	return source;
+}
+
+// { field: { from, to } } for every field that differs. Missing fields and
+// empty lists count as the same, so older todos don't show spurious changes.
+function getFieldChanges(before, after) {
+	const normalize = (field, value) => {
+		if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+			return null;
+		}
+		// Checklist items are compared (and shown) without their IDs
+		return field === "items"
+			? value.map(({ title, completed }) => ({ title, completed }))
+			: value;
+	};
+
+	const changes = {};
+	new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+		if (ACTIVITY_IGNORED_FIELDS.includes(field)) {
+			return;
+		}
+		const from = normalize(field, before[field]);
+		const to = normalize(field, after[field]);
+		if (JSON.stringify(from) !== JSON.stringify(to)) {
+			changes[field] = { from, to };
+		}
+	});
+	return changes;
+}
+
+// Set completedAt when a todo is completed and clear it when it is reopened,
+// whichever route did it. New todos keep a completion time they came with
+// (from an imported file).
+function trackCompletion(todo, before, now) {
+	if (!todo.completed) {
+		todo.completedAt = null;
+	} else if (!before) {
+		todo.completedAt = todo.completedAt || now;
+	} else if (!before.completed) {
+		todo.completedAt = now;
+	}
+}
+
+// Activity entries for everything that changed since the last save, and the
+// new snapshot to compare the next save with. Todos can be created, updated,
+// deleted (moved to the trash), restored or purged (deleted for good); lists
+// created, updated or deleted. Every created or changed todo also gets its
+// next version here, and its completion time, so no route has to set them.
+function trackChanges(userId, userData, source) {
+	const snapshot =
+		historySnapshots.get(userId) || takeHistorySnapshot(userData);
+	const entries = [];
+
+	const now = new Date().toISOString();
+	userData.todos.forEach((todo) => {
+		const id = todo.id;
+		const before = snapshot.todos.get(id);
+		trackCompletion(todo, before, now);
+		const changes = getFieldChanges(before || {}, todo);
+		let action = null;
+		if (!before) {
+			action = "created";
+		} else if (!before.deletedAt && todo.deletedAt) {
+			action = "deleted";
+		} else if (before.deletedAt && !todo.deletedAt) {
+			action = "restored";
+		} else if (Object.keys(changes).length > 0) {
+			action = "updated";
+		}
+		if (action) {
+			todo.version = before ? (before.version || 1) + 1 : 1;
+			entries.push({ action, todoId: id, title: todo.title, changes, source });
+		}
+	});
+	const current = takeHistorySnapshot(userData);
+	snapshot.todos.forEach((todo, id) => {
+		if (!current.todos.has(id)) {
+			// Todos past the trash retention period weren't purged by the request
+			const expired = todo.deletedAt && getPurgeDate(todo) <= new Date();
+			entries.push({
+				action: "purged",
+				todoId: id,
+				title: todo.title,
+				changes: {},
+				source: expired ? RETENTION_SOURCE : source,
+			});
+		}
+	});
+
+	current.lists.forEach((list, id) => {
+		const before = snapshot.lists.get(id);
+		const changes = getFieldChanges(before || {}, list);
+		if (!before || Object.keys(changes).length > 0) {
+			entries.push({
+				action: before ? "updated" : "created",
+				listId: id,
+				name: list.name,
+				changes,
+				source,
+			});
+		}
+	});
+	snapshot.lists.forEach((list, id) => {
+		if (!current.lists.has(id)) {
+			entries.push({
+				action: "deleted",
+				listId: id,
+				name: list.name,
+				changes: {},
+				source,
+			});
+		}
+	});
+
+	historySnapshots.set(userId, current);
+	return entries;
+}
+
+// Send a 500 response for an error caught in a route handler, logging the
+// error with the request's ID
+function sendServerError(res, error) {
+	(res.req.log || logger).error("Request failed", { error });
+	if (error instanceof StorageError) {
+		return res.status(500).json({ error: error.message });
 	}
+	res.status(500).json({ error: "Internal server error" });
 }
 
-// User ID validation middleware
+// Authentication middleware - resolves req.userId from a bearer token, or from
+// the X-User-Id header for anonymous users whose ID has not been claimed (when
+// ALLOW_ANONYMOUS is on). Also sets req.ownerId, whose todos the request works
+// on (see resolveOwner).
 function validateUserId(req, res, next) {
+	const authorization = req.headers.authorization;
+
+	if (authorization) {
+		const [scheme, token] = authorization.split(" ");
+		const session =
+			scheme === "Bearer" && token ? auth.verifyToken(token) : null;
+
+		if (!session) {
+			return res.status(401).json({
+				error: "Invalid or expired token. Please log in again.",
+			});
+		}
+
+		req.userId = session.user.userId;
+		req.user = session.user;
+		req.sessionId = session.sessionId;
+		return limitByUser(req, res, () => resolveOwner(req, res, next));
+	}
+
 	const userId = req.headers["x-user-id"];
 
-	if (!userId) {
+	if (!userId || !ALLOW_ANONYMOUS) {
 		return res.status(401).json({
-			error: "User ID is required. Please provide X-User-Id header.",
+			error: "Authentication required. Please log in.",
 		});
 	}
 
 	if (!isValidUserId(userId)) {
-		return res.status(400).json({
-			error: "Invalid User ID format",
+		return sendFailure(
+			res,
+			invalidField("X-User-Id", "Invalid User ID format", "pattern"),
+		);
+	}
+
+	if (auth.isClaimed(userId)) {
+		return res.status(401).json({
+			error: "This user ID belongs to an account. Please log in.",
 		});
 	}
 
 	req.userId = userId;
-	next();
+	limitByUser(req, res, () => resolveOwner(req, res, next));
 }
 
-// Input validation middleware
-function validateTodo(req, res, next) {
-	const { title } = req.body;
+// ================================
+// Request Logging & Metrics
+// ================================
 
-	if (!title || typeof title !== "string") {
-		return res.status(400).json({
-			error: "Title is required and must be a string",
-		});
+// Request IDs sent by clients (or proxies) are kept if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The route a request matched, as registered ("/todos/:id"), so metrics have
+// one series per route rather than per URL. Routes registered for both
+// /todos and /lists/:listId/todos are told apart by the listId parameter.
+function getRouteLabel(req) {
+	if (!req.route) {
+		return "unmatched";
 	}
+	const routePath = req.route.path;
+	if (!Array.isArray(routePath)) {
+		return String(routePath);
+	}
+	const inList = req.params.listId !== undefined;
+	return (
+		routePath.find((route) => route.includes(":listId") === inList) ||
+		String(routePath[0])
+	);
+}
 
-	if (title.trim().length === 0) {
-		return res.status(400).json({
-			error: "Title cannot be empty",
+// Give every API request an ID (echoed as X-Request-Id and added to its log
+// lines as req.log), and log and count it once the response is done
+function trackRequest(req, res, next) {
+	const requestId = REQUEST_ID_PATTERN.test(req.get("X-Request-Id") || "")
+		? req.get("X-Request-Id")
+		: crypto.randomUUID();
+	req.id = requestId;
+	req.log = logger.child({ requestId });
+	res.set("X-Request-Id", requestId);
+
+	const start = process.hrtime.bigint();
+	res.on("close", () => {
+		const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+		const route = getRouteLabel(req);
+		const status = res.statusCode;
+		httpRequests.inc({ method: req.method, route, status });
+		httpRequestDuration.observe({ method: req.method, route }, seconds);
+
+		const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+		req.log[level]("Request completed", {
+			method: req.method,
+			path: req.path,
+			route,
+			status,
+			durationMs: Math.round(seconds * 1e6) / 1e3,
+			userId: req.userId,
+			ip: req.ip,
+			// The client went away before the response was sent
+			aborted: res.writableFinished ? undefined : true,
 		});
+	});
+	next();
+}
+
+// ================================
+// Rate Limits & Quotas
+// ================================
+
+// Count a request against a limiter and set the RateLimit-* headers. Sends
+// 429 with Retry-After (in seconds) once the key is over its limit, and
+// returns whether the request may go on.
+function checkRateLimit(limiter, key, res) {
+	const result = limiter.consume(key);
+	if (!result) {
+		return true;
 	}
 
-	if (title.length > 500) {
-		return res.status(400).json({
-			error: "Title must be less than 500 characters",
+	const resetSeconds = Math.max(
+		1,
+		Math.ceil((result.resetAt - Date.now()) / 1000),
+	);
+	res.set({
+		"RateLimit-Limit": String(result.limit),
+		"RateLimit-Remaining": String(result.remaining),
+		"RateLimit-Reset": String(resetSeconds),
+	});
+	if (!result.allowed) {
+		res.set("Retry-After", String(resetSeconds));
+		res.status(429).json({
+			error: `Too many requests. Please try again in ${resetSeconds} seconds.`,
 		});
+		return false;
 	}
+	return true;
+}
 
-	next();
+// Monitoring endpoints, polled too often to count against anyone's limit
+const UNLIMITED_PATHS = ["/health", "/metrics"];
+
+// Per-IP limit for every API request (monitoring endpoints aren't counted)
+function limitByIp(req, res, next) {
+	if (
+		UNLIMITED_PATHS.includes(req.path) ||
+		checkRateLimit(ipRateLimiter, req.ip, res)
+	) {
+		next();
+	}
 }
 
-// Validate priority if provided
-function validatePriority(priority) {
-	const validPriorities = ["low", "medium", "high"];
-	return !priority || validPriorities.includes(priority);
+// Per-user limit, once validateUserId knows who the user is
+function limitByUser(req, res, next) {
+	if (checkRateLimit(userRateLimiter, req.userId, res)) {
+		next();
+	}
 }
 
-// API Routes
+// Todos a user can store (the trash included) and how many are left
+function getTodoQuota(userData) {
+	const used = userData.todos.length;
+	return {
+		maxTodos: MAX_TODOS_PER_USER,
+		used,
+		remaining: Math.max(0, MAX_TODOS_PER_USER - used),
+	};
+}
 
-// GET /todos - Get all todos with optional filtering
-app.get("/todos", validateUserId, (req, res) => {
-	try {
-		const { filter, search } = req.query;
-		const userData = loadUserTodos(req.userId);
-		let filteredTodos = [...userData.todos];
+// Require a bearer token (anonymous X-User-Id is not enough)
+function requireAccount(req, res, next) {
+	if (!req.user) {
+		return res.status(401).json({ error: "Please log in" });
+	}
+	next();
+}
 
-		// Apply completion filter
-		if (filter === "completed") {
-			filteredTodos = filteredTodos.filter((todo) => todo.completed);
-		} else if (filter === "pending") {
-			filteredTodos = filteredTodos.filter((todo) => !todo.completed);
-		}
+// Resolve the :listId route parameter to req.list (null on routes without one)
+function resolveList(req, res, next) {
+	if (req.params.listId === undefined) {
+		req.list = null;
+		return next();
+	}
 
-		// Apply search
-		if (search && typeof search === "string") {
-			const searchLower = search.toLowerCase().trim();
-			filteredTodos = filteredTodos.filter((todo) =>
-				todo.title.toLowerCase().includes(searchLower),
-			);
+	try {
+		const list = findList(loadUserTodos(req.ownerId), req.params.listId);
+		if (!list || !canAccessList(req.sharedLists, list.id)) {
+			return res.status(404).json({ error: "List not found" });
 		}
-
-		res.json(filteredTodos);
+		req.list = list;
+		next();
 	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+		sendServerError(res, error);
 	}
-});
+}
 
-// GET /todos/stats - Get statistics about todos
-app.get("/todos/stats", validateUserId, (req, res) => {
-	try {
-		const userData = loadUserTodos(req.userId);
-		const todos = userData.todos;
+// ================================
+// List Sharing
+// ================================
+//
+// An owner can share lists with other users as viewers or editors (see
+// sharing.js). Grantees reach them through the /shared/:ownerId variants of
+// the list and todo routes, which work on the owner's data but only on the
+// shared lists. Routes without such a variant only ever see the user's own
+// todos.
 
-		const completed = todos.filter((todo) => todo.completed).length;
-		const pending = todos.filter((todo) => !todo.completed).length;
-		const total = todos.length;
+const VIEW_ONLY_ERROR = "You can only view this list";
 
-		const priorityCounts = {
-			low: todos.filter((todo) => todo.priority === "low").length,
-			medium: todos.filter((todo) => todo.priority === "medium").length,
-			high: todos.filter((todo) => todo.priority === "high").length,
-		};
+// Resolve the :ownerId route parameter: req.ownerId is whose todos the request
+// works on, and req.sharedLists the lists (listId -> role) it may touch when
+// they aren't the user's own (null otherwise)
+function resolveOwner(req, res, next) {
+	const ownerId = req.params.ownerId;
+	if (ownerId === undefined || ownerId === req.userId) {
+		req.ownerId = req.userId;
+		req.sharedLists = null;
+		return next();
+	}
 
-		res.json({
-			total,
-			completed,
-			pending,
-			completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
-			priorityCounts,
-		});
-	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+	const sharedLists = shares.getSharedLists(ownerId, req.userId);
+	if (sharedLists.size === 0) {
+		return res
+			.status(404)
+			.json({ error: "This user hasn't shared any lists with you" });
 	}
-});
+	req.ownerId = ownerId;
+	req.sharedLists = sharedLists;
+	next();
+}
 
-// GET /todos/:id - Get a specific todo
-app.get("/todos/:id", validateUserId, (req, res) => {
-	try {
-		const id = parseInt(req.params.id, 10);
+// Whether a list may be viewed (or, with "edit", changed). Always true for
+// the user's own lists.
+function canAccessList(sharedLists, listId, permission = "view") {
+	return !sharedLists || allows(sharedLists.get(listId), permission);
+}
 
-		if (isNaN(id)) {
-			return res.status(400).json({ error: "Invalid todo ID" });
-		}
+// The failure to send for a todo the user can't see (or change), or null.
+// Todos of lists that aren't shared are reported as missing.
+function getTodoAccessError(req, todo, permission = "view") {
+	if (!todo || !canAccessList(req.sharedLists, todo.listId)) {
+		return { status: 404, error: "Todo not found" };
+	}
+	if (!canAccessList(req.sharedLists, todo.listId, permission)) {
+		return { status: 403, error: VIEW_ONLY_ERROR };
+	}
+	return null;
+}
 
-		const userData = loadUserTodos(req.userId);
-		const todo = userData.todos.find((t) => t.id === id);
+// For list routes that change todos: viewers of a shared list may not
+function requireListEditor(req, res, next) {
+	if (req.list && !canAccessList(req.sharedLists, req.list.id, "edit")) {
+		return res.status(403).json({ error: VIEW_ONLY_ERROR });
+	}
+	next();
+}
 
-		if (!todo) {
-			return res.status(404).json({ error: "Todo not found" });
+// The todos of every list shared with the user (archived lists and trashed
+// todos left out), each marked with its owner and the user's role. Their IDs
+// are the owner's, so href names the route to read and change each through.
+function getSharedTodos(userId) {
+	const byOwner = new Map();
+	shares.getGrantsFor(userId).forEach((grant) => {
+		if (!byOwner.has(grant.ownerId)) {
+			byOwner.set(grant.ownerId, []);
 		}
+		byOwner.get(grant.ownerId).push(grant);
+	});
 
-		res.json(todo);
+	const todos = [];
+	byOwner.forEach((grants, ownerId) => {
+		let userData;
+		try {
+			userData = loadUserTodos(ownerId);
+		} catch (error) {
+			// One owner's unreadable file shouldn't hide everyone else's todos
+			logger.warn("Skipping shared todos", { ownerId, error });
+			return;
+		}
+		grants.forEach(({ listId, role }) => {
+			const list = findList(userData, listId);
+			if (!list || list.archived) {
+				return;
+			}
+			getVisibleTodos(userData, list).forEach((todo) => {
+				todos.push({
+					...todo,
+					owner: { userId: ownerId, role },
+					href: `/shared/${ownerId}/todos/${todo.id}`,
+				});
+			});
+		});
+	});
+	return todos;
+}
+
+// A grant as the list's owner sees it
+function toShare(grant) {
+	return { userId: grant.userId, role: grant.role, grantedAt: grant.grantedAt };
+}
+
+// A list shared with the user, as GET /shared returns it, or null if it
+// can't be read
+function toSharedList(grant) {
+	try {
+		const userData = loadUserTodos(grant.ownerId);
+		const list = findList(userData, grant.listId);
+		return list
+			? {
+					ownerId: grant.ownerId,
+					role: grant.role,
+					grantedAt: grant.grantedAt,
+					list: withListCounts(list, userData),
+				}
+			: null;
 	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+		logger.warn("Skipping shared list", { ownerId: grant.ownerId, error });
+		return null;
 	}
-});
+}
 
-// POST /todos - Create a new todo
-app.post("/todos", validateUserId, validateTodo, (req, res) => {
-	try {
-		const { title, completed = false, priority = "medium" } = req.body;
+// ================================
+// Request Validation
+// ================================
+//
+// Bodies, query strings and route parameters are checked against schema.js,
+// so every invalid request gets the same { error, errors } response: errors
+// lists each invalid field as { field, code, message } and error repeats the
+// first message.
 
-		// Validate priority
-		if (!validatePriority(priority)) {
-			return res.status(400).json({
-				error: "Priority must be one of: low, medium, high",
-			});
+// { status, error, errors } for a request that failed validation
+function invalidRequest(errors, status = 400) {
+	return { status, error: errors[0].message, errors };
+}
+
+// Same, for one field breaking a rule the schemas can't express
+function invalidField(field, message, code = "invalid", status = 400) {
+	return invalidRequest([fieldError(field, message, code)], status);
+}
+
+// Check a body against a schema, returning invalidRequest() or null
+function checkBody(schemaName, body, options) {
+	const errors = validate(SCHEMAS[schemaName], body, options);
+	return errors.length > 0 ? invalidRequest(errors) : null;
+}
+
+// Send a { status, error, ... } failure, e.g. from invalidRequest()
+function sendFailure(res, failure) {
+	const { status, ...body } = failure;
+	res.status(status).json(body);
+}
+
+// Middleware checking req.body against a schema
+function validateBody(schemaName, options) {
+	return (req, res, next) => {
+		const invalid = checkBody(schemaName, req.body, options);
+		if (invalid) {
+			return sendFailure(res, invalid);
 		}
+		next();
+	};
+}
 
-		const userData = loadUserTodos(req.userId);
+// Route parameters (:id, :listId, ...) are checked before any route handler
+// runs and replaced by their converted values, e.g. req.params.id is a number
+Object.keys(PATH_PARAMETERS).forEach((name) => {
+	app.param(name, (req, res, next, value) => {
+		const checked = validatePathParameter(name, value);
+		if (checked.errors) {
+			return sendFailure(res, invalidRequest(checked.errors));
+		}
+		req.params[name] = checked.value;
+		next();
+	});
+});
 
-		const newTodo = {
-			id: userData.nextId++,
-			title: title.trim(),
-			completed: Boolean(completed),
-			priority,
-			createdAt: new Date().toISOString(),
-		};
+// Tags as they are stored (see normalizeTag in schema.js), without
+// duplicates. The tags must already be valid.
+function normalizeTags(tags) {
+	return [...new Set(tags.map(normalizeTag))];
+}
 
-		userData.todos.push(newTodo);
-		saveUserTodos(req.userId, userData.todos, userData.nextId);
+// Format a date as YYYY-MM-DD in server local time
+function toDateString(date) {
+	const year = date.getFullYear();
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${year}-${month}-${day}`;
+}
 
-		res.status(201).json(newTodo);
-	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+// Get the moment a todo is due (end of the day when no time is set)
+function getDueMoment(todo) {
+	if (!todo.dueDate) {
+		return null;
 	}
-});
 
-// PUT /todos/:id - Update a todo
-app.put("/todos/:id", validateUserId, (req, res) => {
-	try {
-		const id = parseInt(req.params.id, 10);
+	const [year, month, day] = todo.dueDate.split("-").map(Number);
+	if (todo.dueTime) {
+		const [hours, minutes] = todo.dueTime.split(":").map(Number);
+		return new Date(year, month - 1, day, hours, minutes);
+	}
+	return new Date(year, month - 1, day, 23, 59, 59, 999);
+}
 
-		if (isNaN(id)) {
-			return res.status(400).json({ error: "Invalid todo ID" });
-		}
+// A todo is overdue when it is pending and its due moment has passed
+function isOverdue(todo, now = new Date()) {
+	const dueMoment = getDueMoment(todo);
+	return !todo.completed && dueMoment !== null && dueMoment < now;
+}
 
-		const userData = loadUserTodos(req.userId);
-		const todoIndex = userData.todos.findIndex((t) => t.id === id);
+// Recompute checklist progress. With autoComplete on, the todo's completion
+// follows its items: done once every item is done, reopened otherwise.
+function updateChecklistProgress(todo) {
+	const items = todo.items || [];
+	const completed = items.filter((item) => item.completed).length;
 
-		if (todoIndex === -1) {
-			return res.status(404).json({ error: "Todo not found" });
-		}
+	todo.progress = { completed, total: items.length };
+	if (todo.autoComplete && items.length > 0) {
+		todo.completed = completed === items.length;
+	}
+}
 
-		const { title, completed, priority } = req.body;
+// Recurring todos form a series: every occurrence is a todo of its own with
+// the same seriesId (the ID of the first one) and a 1-based occurrence number.
+// Completing the latest occurrence adds the next one, so completed occurrences
+// stay around as the series' history.
 
-		// Validate title if provided
-		if (title !== undefined) {
-			if (typeof title !== "string") {
-				return res.status(400).json({
-					error: "Title must be a string",
-				});
-			}
-			if (title.trim().length === 0) {
-				return res.status(400).json({
-					error: "Title cannot be empty",
-				});
-			}
-			if (title.length > 500) {
-				return res.status(400).json({
-					error: "Title must be less than 500 characters",
-				});
-			}
-		}
+// Add the next occurrence of a completed recurring todo, unless it was already
+// added, the series has ended or the todo quota is full. Returns the new todo
+// or null.
+function spawnNextOccurrence(userData, todo) {
+	if (
+		!todo.recurrence ||
+		!todo.completed ||
+		todo.nextOccurrenceId !== undefined ||
+		todo.deletedAt
+	) {
+		return null;
+	}
 
-		// Validate priority if provided
-		if (priority !== undefined && !validatePriority(priority)) {
-			return res.status(400).json({
-				error: "Priority must be one of: low, medium, high",
-			});
-		}
+	// Without room the occurrence is skipped rather than pushing the user past
+	// the quota; nextOccurrenceId stays unset, so completing the todo again
+	// once there is room adds it
+	if (userData.todos.length >= MAX_TODOS_PER_USER) {
+		return null;
+	}
 
-		// Update todo
-		if (title !== undefined) {
-			userData.todos[todoIndex].title = title.trim();
-		}
-		if (completed !== undefined) {
-			userData.todos[todoIndex].completed = Boolean(completed);
-		}
-		if (priority !== undefined) {
-			userData.todos[todoIndex].priority = priority;
-		}
+	const today = toDateString(new Date());
+	const dueDate = getNextOccurrence(
+		todo.recurrence,
+		todo.dueDate || today,
+		today,
+		todo.occurrence,
+	);
+	if (!dueDate) {
+		return null;
+	}
 
-		saveUserTodos(req.userId, userData.todos, userData.nextId);
+	const next = {
+		id: userData.nextId++,
+		listId: todo.listId,
+		title: todo.title,
+		completed: false,
+		priority: todo.priority,
+		dueDate,
+		dueTime: todo.dueTime,
+		tags: [...todo.tags],
+		// Steps start over on every occurrence
+		items: (todo.items || []).map((item) => ({ ...item, completed: false })),
+		nextItemId: todo.nextItemId || 1,
+		autoComplete: todo.autoComplete,
+		progress: { completed: 0, total: (todo.items || []).length },
+		recurrence: todo.recurrence,
+		seriesId: todo.seriesId,
+		occurrence: todo.occurrence + 1,
+		createdAt: new Date().toISOString(),
+		deletedAt: null,
+	};
 
-		res.json(userData.todos[todoIndex]);
-	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+	todo.nextOccurrenceId = next.id;
+	userData.todos.push(next);
+	return next;
+}
+
+// A todo as returned by GET /todos when upcoming occurrences are requested
+function withUpcoming(todo, limit) {
+	if (!todo.recurrence || todo.nextOccurrenceId !== undefined) {
+		return todo;
 	}
-});
 
-// DELETE /todos/:id - Delete a todo
-app.delete("/todos/:id", validateUserId, (req, res) => {
-	try {
-		const id = parseInt(req.params.id, 10);
+	const today = toDateString(new Date());
+	return {
+		...todo,
+		upcoming: getUpcomingDates(
+			todo.recurrence,
+			todo.dueDate || today,
+			today,
+			todo.occurrence,
+			limit,
+		),
+	};
+}
 
-		if (isNaN(id)) {
-			return res.status(400).json({ error: "Invalid todo ID" });
-		}
+// Every user has a default "Inbox" list that can't be archived or deleted.
+// Data stored before lists existed is moved into it when it is loaded.
+const MAX_LISTS = 100;
 
-		const userData = loadUserTodos(req.userId);
-		const todoIndex = userData.todos.findIndex((t) => t.id === id);
+function ensureDefaultList(userData) {
+	if (!Array.isArray(userData.lists) || userData.lists.length === 0) {
+		userData.lists = [
+			{
+				id: 1,
+				name: "Inbox",
+				isDefault: true,
+				archived: false,
+				createdAt: new Date().toISOString(),
+			},
+		];
+		userData.nextListId = 2;
+	}
 
-		if (todoIndex === -1) {
-			return res.status(404).json({ error: "Todo not found" });
+	const defaultList = getDefaultList(userData);
+	userData.todos.forEach((todo) => {
+		if (todo.listId === undefined) {
+			todo.listId = defaultList.id;
 		}
+	});
+}
 
-		const deletedTodo = userData.todos.splice(todoIndex, 1)[0];
-		saveUserTodos(req.userId, userData.todos, userData.nextId);
+function getDefaultList(userData) {
+	return userData.lists.find((list) => list.isDefault);
+}
 
-		res.json({
-			message: "Todo deleted successfully",
-			todo: deletedTodo,
-		});
-	} catch (error) {
-		res.status(500).json({ error: "Internal server error" });
+// Find a list by its (numeric or string) ID, or null
+function findList(userData, listId) {
+	const id = typeof listId === "number" ? listId : parseInt(listId, 10);
+	return userData.lists.find((list) => list.id === id) || null;
+}
+
+// Todos of one list, or of all lists that aren't archived. Trashed todos are
+// left out unless includeTrashed is set.
+function getVisibleTodos(
+	userData,
+	list = null,
+	{ includeTrashed = false } = {},
+) {
+	const todos = includeTrashed
+		? userData.todos
+		: userData.todos.filter((todo) => !todo.deletedAt);
+	if (list) {
+		return todos.filter((todo) => todo.listId === list.id);
 	}
-});
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-	res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+	const archivedIds = new Set(
+		userData.lists.filter((l) => l.archived).map((l) => l.id),
+	);
+	return todos.filter((todo) => !archivedIds.has(todo.listId));
+}
 
-// 404 handler
-app.use((req, res) => {
-	res.status(404).json({ error: "Route not found" });
-});
+// Deleting a todo only sets its deletedAt and keeps it in the todo array, so
+// it can be restored. Trashed todos are hidden from every route except the
+// trash routes and purged after TRASH_RETENTION_DAYS.
 
-// Error handler
-app.use((err, req, res, next) => {
-	console.error(err.stack);
-	res.status(500).json({ error: "Something went wrong!" });
-});
+// Find a todo by ID, ignoring trashed todos
+function findTodo(userData, id) {
+	return (
+		userData.todos.find((todo) => todo.id === id && !todo.deletedAt) || null
+	);
+}
 
-// Start server (no need to load todos upfront - loaded per user on demand)
-const server = app.listen(PORT, () => {
-	console.log(`✅ Todo API server running on http://localhost:${PORT}`);
-	console.log(`📝 API endpoints available at http://localhost:${PORT}/todos`);
-	console.log(`🌐 Frontend UI available at http://localhost:${PORT}`);
+function findTrashedTodo(userData, id) {
+	return (
+		userData.todos.find((todo) => todo.id === id && todo.deletedAt) || null
+	);
+}
+
+function getTrashedTodos(userData) {
+	return userData.todos.filter((todo) => todo.deletedAt);
+}
+
+function moveToTrash(todo) {
+	todo.deletedAt = new Date().toISOString();
+}
+
+// Take a todo out of the trash, into the default list if its list is gone
+function restoreFromTrash(userData, todo) {
+	todo.deletedAt = null;
+	if (!findList(userData, todo.listId)) {
+		todo.listId = getDefaultList(userData).id;
+	}
+}
+
+// When a trashed todo will be purged
+function getPurgeDate(todo) {
+	const retention = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+	return new Date(Date.parse(todo.deletedAt) + retention);
+}
+
+// Permanently drop trashed todos past the retention period
+function purgeExpiredTrash(userData, now = new Date()) {
+	userData.todos = userData.todos.filter(
+		(todo) => !todo.deletedAt || getPurgeDate(todo) > now,
+	);
+}
+
+// A list as returned by the API, with the counts of its todos
+function withListCounts(list, userData) {
+	const todos = getVisibleTodos(userData, list);
+	const completed = todos.filter((todo) => todo.completed).length;
+	return {
+		...list,
+		counts: {
+			total: todos.length,
+			completed,
+			pending: todos.length - completed,
+		},
+	};
+}
+
+// Validate a list name, returning an error response or null if it is valid
+function validateListName(name, userData, exceptListId = null) {
+	const invalid = checkBody("List", { name });
+	if (invalid) {
+		return invalid;
+	}
+
+	const normalized = name.trim().toLowerCase();
+	const taken = userData.lists.some(
+		(list) =>
+			list.id !== exceptListId && list.name.toLowerCase() === normalized,
+	);
+	if (taken) {
+		return invalidField(
+			"name",
+			"A list with this name already exists",
+			"conflict",
+			409,
+		);
+	}
+	return null;
+}
+
+// Add a list with a validated name to the user's lists
+function addList(userData, name) {
+	const list = {
+		id: userData.nextListId++,
+		name: name.trim(),
+		isDefault: false,
+		archived: false,
+		createdAt: new Date().toISOString(),
+	};
+	userData.lists.push(list);
+	return list;
+}
+
+// Statistics for a set of todos, as returned by GET /todos/stats
+function computeStats(todos) {
+	const completed = todos.filter((todo) => todo.completed).length;
+	const pending = todos.filter((todo) => !todo.completed).length;
+	const total = todos.length;
+
+	const priorityCounts = {
+		low: todos.filter((todo) => todo.priority === "low").length,
+		medium: todos.filter((todo) => todo.priority === "medium").length,
+		high: todos.filter((todo) => todo.priority === "high").length,
+	};
+
+	// Pending todos overdue now, and pending todos due within the next 7 days
+	const now = new Date();
+	const today = toDateString(now);
+	const weekEnd = new Date(now);
+	weekEnd.setDate(weekEnd.getDate() + 6);
+	const lastDayOfWeek = toDateString(weekEnd);
+
+	const overdue = todos.filter((todo) => isOverdue(todo, now)).length;
+	const dueThisWeek = todos.filter(
+		(todo) =>
+			!todo.completed &&
+			todo.dueDate &&
+			todo.dueDate >= today &&
+			todo.dueDate <= lastDayOfWeek,
+	).length;
+
+	// Checklist progress across all todos
+	const allItems = todos.flatMap((todo) => todo.items || []);
+	const completedItems = allItems.filter((item) => item.completed).length;
+	const checklist = {
+		total: allItems.length,
+		completed: completedItems,
+		completionRate:
+			allItems.length > 0
+				? Math.round((completedItems / allItems.length) * 100)
+				: 0,
+		todosWithChecklist: todos.filter(
+			(todo) => todo.items && todo.items.length > 0,
+		).length,
+	};
+
+	// Counts per tag (a todo with several tags counts towards each)
+	// (no prototype, so a tag named "__proto__" is just another key)
+	const tagCounts = Object.create(null);
+	let untagged = 0;
+	todos.forEach((todo) => {
+		if (!todo.tags || todo.tags.length === 0) {
+			untagged++;
+		}
+		(todo.tags || []).forEach((tag) => {
+			if (!tagCounts[tag]) {
+				tagCounts[tag] = { total: 0, completed: 0, pending: 0 };
+			}
+			tagCounts[tag].total++;
+			tagCounts[tag][todo.completed ? "completed" : "pending"]++;
+		});
+	});
+
+	return {
+		total,
+		completed,
+		pending,
+		completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+		priorityCounts,
+		overdue,
+		dueThisWeek,
+		checklist,
+		tagCounts,
+		untagged,
+	};
+}
+
+// Sortable fields for GET /todos, mapped to the value each todo is ordered by
+// (given the todo and how it matched the search, if it did). Ascending
+// priority means high first, ascending completed means pending first and
+// ascending relevance means best search match first, matching the order the
+// web UI shows.
+const PRIORITY_RANK = { high: 1, medium: 2, low: 3 };
+const SORT_FIELDS = {
+	priority: (todo) => PRIORITY_RANK[todo.priority] || PRIORITY_RANK.medium,
+	createdAt: (todo) => todo.createdAt,
+	title: (todo) => todo.title.toLowerCase(),
+	completed: (todo) => (todo.completed ? 1 : 0),
+	relevance: (todo, match) => (match ? -match.score : 0),
+};
+const MAX_IMPORT_TODOS = 1000;
+
+// Parse a sort parameter like "completed,-priority" (leading "-" = descending).
+// Returns null if any field is unknown.
+function parseSort(sort) {
+	if (sort === undefined || sort === "") {
+		return [];
+	}
+	if (typeof sort !== "string") {
+		return null;
+	}
+
+	const spec = sort.split(",").map((part) => {
+		const descending = part.startsWith("-");
+		const field = descending ? part.slice(1) : part;
+		return { field, direction: descending ? -1 : 1 };
+	});
+
+	const valid = spec.every((entry) =>
+		Object.prototype.hasOwnProperty.call(SORT_FIELDS, entry.field),
+	);
+	return valid ? spec : null;
+}
+
+// Values a todo is ordered by, always ending with its id and owner (shared
+// todos can have the same id as the user's own) so order is total
+function getSortKey(todo, sortSpec, match = null) {
+	return [
+		...sortSpec.map((entry) => SORT_FIELDS[entry.field](todo, match)),
+		todo.id,
+		todo.owner ? todo.owner.userId : "",
+	];
+}
+
+function compareSortKeys(a, b, sortSpec) {
+	for (let i = 0; i < a.length; i++) {
+		if (a[i] !== b[i]) {
+			const direction = i < sortSpec.length ? sortSpec[i].direction : 1;
+			return (a[i] < b[i] ? -1 : 1) * direction;
+		}
+	}
+	return 0;
+}
+
+// Fingerprint of the query a cursor was issued for, so it can't be replayed
+// against a different filter or sort
+function getQueryFingerprint(query) {
+	const { cursor, limit, ...rest } = query;
+	const normalized = Object.keys(rest)
+		.sort()
+		.map((key) => [key, rest[key]]);
+	return crypto
+		.createHash("sha1")
+		.update(JSON.stringify(normalized))
+		.digest("hex")
+		.slice(0, 12);
+}
+
+// Opaque cursor: the sort key of the last todo on the page plus the query fingerprint
+function encodeCursor(sortKey, fingerprint) {
+	return Buffer.from(JSON.stringify({ k: sortKey, q: fingerprint })).toString(
+		"base64url",
+	);
+}
+
+// Decode a cursor, returning its sort key (of keyLength values) or null if it
+// is invalid for this query
+function decodeCursor(cursor, fingerprint, keyLength) {
+	try {
+		const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+		if (
+			decoded.q !== fingerprint ||
+			!Array.isArray(decoded.k) ||
+			decoded.k.length !== keyLength
+		) {
+			return null;
+		}
+		return decoded.k;
+	} catch (error) {
+		return null;
+	}
+}
+
+// ================================
+// Versions & Conditional Requests
+// ================================
+//
+// Every todo has a version, starting at 1 and bumped with each saved change
+// (see trackChanges). It is the todo's ETag, so clients can make a change
+// only if nobody else changed the todo since they read it: with If-Match on
+// PUT and DELETE, or a version in the body of PUT and batch operations.
+
+const CONFLICT_ERROR = "The todo was changed since you last read it";
+
+function getTodoETag(todo) {
+	return `"${todo.version}"`;
+}
+
+// Whether the request's If-Match header (if any) names the todo's version
+function matchesIfMatch(req, todo) {
+	const ifMatch = req.get("If-Match");
+	if (!ifMatch) {
+		return true;
+	}
+	const etag = getTodoETag(todo);
+	return ifMatch
+		.split(",")
+		.map((value) => value.trim())
+		.some((value) => value === "*" || value === etag);
+}
+
+// { status, error } if the request was made against an older version of the
+// todo: 412 for a stale If-Match header, 409 for a stale version in the body
+function getVersionConflict(req, todo, version) {
+	if (!matchesIfMatch(req, todo)) {
+		return { status: 412, error: CONFLICT_ERROR };
+	}
+	if (version !== undefined && version !== todo.version) {
+		return { status: 409, error: CONFLICT_ERROR };
+	}
+	return null;
+}
+
+// Send a conflict with the todo as it is now, so the client can resolve it
+function sendVersionConflict(res, conflict, todo) {
+	res.set("ETag", getTodoETag(todo));
+	res.status(conflict.status).json({ error: conflict.error, todo });
+}
+
+// ================================
+// Creating & Updating Todos
+// ================================
+//
+// Shared by the single-todo routes and POST /todos/batch. Both functions
+// check the input against the Todo schema and the rules it can't express
+// before changing anything, and return invalidRequest() for invalid input.
+
+// Create a todo from request input and add it to the user's todos.
+// routeList is the list from the URL, if any; otherwise input.listId or the
+// default list is used.
+function createTodoFromInput(userData, input, routeList = null) {
+	const invalid = checkBody("Todo", input);
+	if (invalid) {
+		return invalid;
+	}
+	if (userData.todos.length >= MAX_TODOS_PER_USER) {
+		return {
+			status: 403,
+			error: `Todo quota reached: you can have at most ${MAX_TODOS_PER_USER} todos, the trash included`,
+		};
+	}
+
+	const {
+		title,
+		completed = false,
+		priority = "medium",
+		dueDate = null,
+		dueTime = null,
+		tags = [],
+		autoComplete = false,
+		recurrence = null,
+		listId,
+	} = input;
+
+	if (dueTime && !dueDate) {
+		return invalidField("dueTime", "Due time requires a due date");
+	}
+
+	// Validate the recurrence rule, if any (weekly and monthly rules default to
+	// the due date's weekday or day of the month)
+	let normalizedRecurrence = null;
+	if (recurrence !== null) {
+		const result = normalizeRecurrence(
+			recurrence,
+			dueDate || toDateString(new Date()),
+		);
+		if (result.error) {
+			return invalidField("recurrence", result.error);
+		}
+		normalizedRecurrence = result.recurrence;
+	}
+
+	const list =
+		routeList ||
+		(listId !== undefined
+			? findList(userData, listId)
+			: getDefaultList(userData));
+	if (!list) {
+		return invalidField("listId", "List not found");
+	}
+	if (list.archived) {
+		return invalidField("listId", "Todos can't be added to an archived list");
+	}
+
+	const todo = {
+		id: userData.nextId++,
+		listId: list.id,
+		title: title.trim(),
+		completed: Boolean(completed),
+		priority,
+		dueDate: dueDate || null,
+		dueTime: dueTime || null,
+		tags: normalizeTags(tags),
+		items: [],
+		nextItemId: 1,
+		autoComplete: Boolean(autoComplete),
+		progress: { completed: 0, total: 0 },
+		recurrence: normalizedRecurrence,
+		createdAt: new Date().toISOString(),
+		deletedAt: null,
+	};
+	if (normalizedRecurrence) {
+		todo.seriesId = todo.id;
+		todo.occurrence = 1;
+	}
+
+	userData.todos.push(todo);
+	return { todo };
+}
+
+// Apply request input to an existing todo. Only the fields present are changed.
+// sharedLists (see resolveOwner) limits the lists it can be moved to.
+function updateTodoFromInput(userData, todo, input, sharedLists = null) {
+	const invalid = checkBody("Todo", input, { partial: true });
+	if (invalid) {
+		return invalid;
+	}
+
+	const {
+		title,
+		completed,
+		priority,
+		dueDate,
+		dueTime,
+		tags,
+		autoComplete,
+		recurrence,
+		listId,
+	} = input;
+
+	// null clears the due date (and its time)
+	const resultingDueDate = dueDate !== undefined ? dueDate : todo.dueDate;
+	if (dueTime && !resultingDueDate) {
+		return invalidField("dueTime", "Due time requires a due date");
+	}
+
+	// Validate the recurrence rule if provided (null stops the todo repeating)
+	let normalizedRecurrence = null;
+	if (recurrence !== undefined && recurrence !== null) {
+		const result = normalizeRecurrence(
+			recurrence,
+			resultingDueDate || toDateString(new Date()),
+		);
+		if (result.error) {
+			return invalidField("recurrence", result.error);
+		}
+		normalizedRecurrence = result.recurrence;
+	}
+
+	// Validate the list the todo moves to, if provided
+	let targetList = listId !== undefined ? findList(userData, listId) : null;
+	if (
+		targetList &&
+		targetList.id !== todo.listId &&
+		!canAccessList(sharedLists, targetList.id, "edit")
+	) {
+		targetList = null;
+	}
+	if (listId !== undefined && !targetList) {
+		return invalidField("listId", "List not found");
+	}
+	if (targetList && targetList.archived && targetList.id !== todo.listId) {
+		return invalidField("listId", "Todos can't be moved to an archived list");
+	}
+
+	// Update todo
+	if (title !== undefined) {
+		todo.title = title.trim();
+	}
+	if (completed !== undefined) {
+		todo.completed = Boolean(completed);
+	}
+	if (priority !== undefined) {
+		todo.priority = priority;
+	}
+	if (dueDate !== undefined) {
+		todo.dueDate = dueDate || null;
+		// Clearing the date also clears its time
+		if (!dueDate) {
+			todo.dueTime = null;
+		}
+	}
+	if (dueTime !== undefined) {
+		todo.dueTime = dueTime || null;
+	}
+	if (tags !== undefined) {
+		todo.tags = normalizeTags(tags);
+	}
+	if (targetList) {
+		todo.listId = targetList.id;
+	}
+	if (autoComplete !== undefined) {
+		todo.autoComplete = Boolean(autoComplete);
+		updateChecklistProgress(todo);
+	}
+	if (recurrence !== undefined) {
+		todo.recurrence = normalizedRecurrence;
+		if (normalizedRecurrence && todo.seriesId === undefined) {
+			todo.seriesId = todo.id;
+			todo.occurrence = 1;
+		}
+	}
+
+	// Completing a recurring todo adds its next occurrence
+	spawnNextOccurrence(userData, todo);
+
+	return { todo };
+}
+
+// ================================
+// Replacing & Patching Todos
+// ================================
+//
+// PUT /todos/:id replaces a todo with a whole new representation, and PATCH
+// changes part of one with a JSON Merge Patch or JSON Patch (see patch.js).
+// A patch is applied to the todo as GET returns it, and the result is then
+// checked like a PUT body, so a patch that removes a field clears it.
+
+const PATCH_TYPES = [
+	"application/merge-patch+json",
+	"application/json-patch+json",
+];
+
+// The value of each field a client can set when it is left out of a
+// replacement, from the Todo schema. listId defaults to the Inbox.
+const TODO_FIELD_DEFAULTS = Object.fromEntries(
+	Object.entries(SCHEMAS.Todo.properties)
+		.filter(([, property]) => property.default !== undefined)
+		.map(([field, property]) => [field, property.default]),
+);
+
+// Fields managed by the server (or, for items, the checklist routes). They
+// may be sent back as they are, but not changed. The fields GET /todos adds
+// to shared todos and search results aren't stored, so they are ignored.
+const RESPONSE_ONLY_TODO_FIELDS = ["owner", "href", "score", "matches"];
+const READ_ONLY_TODO_FIELDS = Object.keys(SCHEMAS.Todo.properties).filter(
+	(field) =>
+		SCHEMAS.Todo.properties[field].readOnly &&
+		!RESPONSE_ONLY_TODO_FIELDS.includes(field),
+);
+
+// Replace a todo's fields with a full representation. Returns
+// invalidRequest() if it isn't a valid todo, otherwise { todo }.
+function replaceTodoFromInput(userData, todo, input, sharedLists = null) {
+	const invalid = checkBody("Todo", input);
+	if (invalid) {
+		return invalid;
+	}
+	const changed = READ_ONLY_TODO_FIELDS.filter(
+		(field) =>
+			input[field] !== undefined && !isEqual(input[field], todo[field]),
+	);
+	if (changed.length > 0) {
+		return invalidRequest(
+			changed.map((field) =>
+				fieldError(field, `${field} can't be changed`, "readOnly"),
+			),
+		);
+	}
+
+	const replacement = structuredClone(TODO_FIELD_DEFAULTS);
+	Object.keys(TODO_FIELD_DEFAULTS).forEach((field) => {
+		if (input[field] !== undefined) {
+			replacement[field] = input[field];
+		}
+	});
+	replacement.title = input.title;
+	// Someone the list is shared with can't see the owner's Inbox, so for them
+	// the todo stays in its list
+	const defaultListId = sharedLists ? todo.listId : getDefaultList(userData).id;
+	replacement.listId =
+		input.listId !== undefined ? input.listId : defaultListId;
+	// A time left over from a due date that is being cleared goes with it
+	if (!replacement.dueDate && replacement.dueTime === todo.dueTime) {
+		replacement.dueTime = null;
+	}
+
+	return updateTodoFromInput(userData, todo, replacement, sharedLists);
+}
+
+// Apply a PATCH body of the given type to a todo. Returns { todo }, or
+// { status, error, errors, index? } naming the operation that failed.
+function patchTodoFromInput(userData, todo, type, patch, sharedLists = null) {
+	if (type === "application/merge-patch+json") {
+		if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+			return invalidField("", "A merge patch must be a JSON object", "type");
+		}
+		return replaceTodoFromInput(
+			userData,
+			todo,
+			applyMergePatch(todo, patch),
+			sharedLists,
+		);
+	}
+
+	// e.g. "Operation 2 (replace /priority)"
+	const describe = (index) => {
+		const { op, path: pointer } = patch[index] || {};
+		return typeof op === "string" && typeof pointer === "string"
+			? `Operation ${index} (${op} ${pointer})`
+			: `Operation ${index}`;
+	};
+	const patched = applyJsonPatch(todo, patch);
+	if (patched.error) {
+		if (patched.index === null) {
+			return invalidField("", patched.error, "type");
+		}
+		// A failed test means the todo isn't in the state the client expected
+		const failure = invalidField(
+			`[${patched.index}]`,
+			`${describe(patched.index)}: ${patched.error}`,
+			patched.testFailed ? "test" : "invalid",
+			patched.testFailed ? 409 : 400,
+		);
+		return { ...failure, index: patched.index };
+	}
+
+	const replaced = replaceTodoFromInput(
+		userData,
+		todo,
+		patched.document,
+		sharedLists,
+	);
+	if (replaced.errors) {
+		// Blame the last operation that changed the first invalid field
+		const member = replaced.errors[0].field.split(/[.[]/)[0];
+		let index = patch.length - 1;
+		while (index >= 0 && !getChangedMembers(patch[index]).includes(member)) {
+			index--;
+		}
+		if (index >= 0) {
+			return {
+				...replaced,
+				error: `${describe(index)}: ${replaced.error}`,
+				index,
+			};
+		}
+	}
+	return replaced;
+}
+
+// ================================
+// Filtering
+// ================================
+
+// Parse the filter parameters shared by GET /todos and the bulk routes.
+// Returns invalidRequest() if one is invalid, otherwise { filters }.
+function parseTodoFilters(query) {
+	const checked = validateQuery(
+		[
+			"filter",
+			"search",
+			"dueBefore",
+			"dueAfter",
+			"dueToday",
+			"tag",
+			"tagMatch",
+		],
+		query,
+	);
+	if (checked.errors) {
+		return invalidRequest(checked.errors);
+	}
+
+	const { filter, search, dueBefore, dueAfter, dueToday, tag, tagMatch } =
+		checked.values;
+
+	// search is a query (see public/query.js); errors say where it went wrong
+	const parsedSearch = parseQuery(search || "");
+	if (parsedSearch.error) {
+		return invalidRequest([
+			{
+				...fieldError("search", `Invalid search: ${parsedSearch.error}`),
+				position: parsedSearch.position,
+			},
+		]);
+	}
+
+	return {
+		filters: {
+			filter,
+			search: parsedSearch.query,
+			dueBefore,
+			dueAfter,
+			dueToday: dueToday === true,
+			// tag=a,b or tag=a&tag=b
+			tags: tag ? normalizeTags(tag) : null,
+			tagMatch,
+		},
+	};
+}
+
+// Keep the todos matching parsed filters. ownerId is whose todos they are
+// (shared todos name their own owner).
+function applyTodoFilters(todos, filters, ownerId) {
+	let filteredTodos = todos;
+
+	// Apply status filter
+	if (filters.filter === "completed") {
+		filteredTodos = filteredTodos.filter((todo) => todo.completed);
+	} else if (filters.filter === "pending") {
+		filteredTodos = filteredTodos.filter((todo) => !todo.completed);
+	} else if (filters.filter === "overdue") {
+		const now = new Date();
+		filteredTodos = filteredTodos.filter((todo) => isOverdue(todo, now));
+	}
+
+	// Apply due date filters (inclusive, todos without a due date never match)
+	if (filters.dueBefore) {
+		filteredTodos = filteredTodos.filter(
+			(todo) => todo.dueDate && todo.dueDate <= filters.dueBefore,
+		);
+	}
+	if (filters.dueAfter) {
+		filteredTodos = filteredTodos.filter(
+			(todo) => todo.dueDate && todo.dueDate >= filters.dueAfter,
+		);
+	}
+	if (filters.dueToday) {
+		const today = toDateString(new Date());
+		filteredTodos = filteredTodos.filter((todo) => todo.dueDate === today);
+	}
+
+	// Apply tag filter (todos with any, or all, of the requested tags)
+	if (filters.tags) {
+		filteredTodos = filteredTodos.filter((todo) => {
+			const todoTags = todo.tags || [];
+			return filters.tagMatch === "all"
+				? filters.tags.every((t) => todoTags.includes(t))
+				: filters.tags.some((t) => todoTags.includes(t));
+		});
+	}
+
+	// Apply search
+	if (filters.search) {
+		const getOwnerId = (todo) => (todo.owner ? todo.owner.userId : ownerId);
+		const context = {
+			now: new Date(),
+			getListName: (todo) => {
+				const list = findList(loadUserTodos(getOwnerId(todo)), todo.listId);
+				return list ? list.name : null;
+			},
+			matchText: (node, todo) =>
+				getSearchIndex(getOwnerId(todo)).search(node).has(todo.id),
+		};
+		filteredTodos = filteredTodos.filter((todo) =>
+			matchesQuery(filters.search, todo, context),
+		);
+	}
+
+	return filteredTodos;
+}
+
+// ================================
+// Full-Text Search
+// ================================
+//
+// The text terms of search queries are matched with a per-user index of todo
+// titles (see public/search.js), built on a user's first search and kept up
+// to date by saveUserTodos. It is dropped whenever the user's data is
+// (re)loaded from storage.
+
+function getSearchIndex(userId) {
+	if (!searchIndexes.has(userId)) {
+		const index = createSearchIndex();
+		loadUserTodos(userId).todos.forEach((todo) =>
+			index.add(todo.id, todo.title),
+		);
+		searchIndexes.set(userId, index);
+	}
+	return searchIndexes.get(userId);
+}
+
+// Apply the todo changes of a save (trackChanges entries) to the user's index
+function updateSearchIndex(userId, activity) {
+	const index = searchIndexes.get(userId);
+	if (!index) {
+		return;
+	}
+	activity.forEach((entry) => {
+		if (entry.todoId === undefined) {
+			return;
+		}
+		if (entry.action === "purged") {
+			index.remove(entry.todoId);
+		} else if (entry.action === "created" || entry.changes.title) {
+			index.add(entry.todoId, entry.title);
+		}
+	});
+}
+
+// How todos found by a search matched its text terms, as todo -> { score,
+// matches }. Null when the search has no text terms to rank by.
+function getSearchMatches(todos, query, ownerId) {
+	const terms = getTextTerms(query);
+	if (terms.length === 0) {
+		return null;
+	}
+	return new Map(
+		todos.map((todo) => {
+			const index = getSearchIndex(todo.owner ? todo.owner.userId : ownerId);
+			return [
+				todo,
+				combineMatches(terms.map((term) => index.search(term).get(todo.id))),
+			];
+		}),
+	);
+}
+
+// ================================
+// Import / Export
+// ================================
+
+// A todo as an export record (see formats.js)
+function toExportRecord(userData, todo) {
+	const list = findList(userData, todo.listId);
+	return {
+		id: todo.id,
+		title: todo.title,
+		completed: todo.completed,
+		priority: todo.priority,
+		dueDate: todo.dueDate || null,
+		dueTime: todo.dueTime || null,
+		tags: todo.tags || [],
+		list: list ? list.name : null,
+		recurrence: todo.recurrence || null,
+		items: (todo.items || []).map(({ title, completed }) => ({
+			title,
+			completed,
+		})),
+		createdAt: todo.createdAt,
+		completedAt: todo.completedAt || null,
+		extras: todo.extras || [],
+	};
+}
+
+// The todos as a todo.txt file
+function toTodoTxt(userData, todos) {
+	return exportRecords(
+		"txt",
+		todos.map((todo) => toExportRecord(userData, todo)),
+		{ defaultList: getDefaultList(userData).name },
+	);
+}
+
+// An imported todo is a duplicate of a todo in the same list with the same
+// title (ignoring case) and due date
+function findDuplicateTodo(userData, list, title, dueDate) {
+	const normalized = title.trim().toLowerCase();
+	return (
+		getVisibleTodos(userData, list).find(
+			(todo) =>
+				todo.title.toLowerCase() === normalized &&
+				todo.dueDate === (dueDate || null),
+		) || null
+	);
+}
+
+// The list an imported todo goes to: the list with its list name (created if
+// there is none yet) or the default list. Returns { list } or
+// invalidRequest().
+function resolveImportList(userData, name, listsCreated) {
+	if (name === undefined || name === null) {
+		return { list: getDefaultList(userData) };
+	}
+	if (typeof name !== "string") {
+		return invalidField("list", "List must be a list name", "type");
+	}
+
+	const existing = userData.lists.find(
+		(list) => list.name.toLowerCase() === name.trim().toLowerCase(),
+	);
+	if (existing) {
+		return existing.archived
+			? invalidField("list", `List "${existing.name}" is archived`)
+			: { list: existing };
+	}
+
+	const invalid = validateListName(name, userData);
+	if (invalid) {
+		return invalidField("list", invalid.error, invalid.errors[0].code);
+	}
+	if (userData.lists.length >= MAX_LISTS) {
+		return invalidField("list", `You can have at most ${MAX_LISTS} lists`);
+	}
+	const list = addList(userData, name);
+	listsCreated.push(list.name);
+	return { list };
+}
+
+// Check a record's checklist against the ChecklistItem schema, returning its
+// errors
+function getImportedItemsErrors(items) {
+	if (!Array.isArray(items) || items.length > MAX_CHECKLIST_ITEMS) {
+		return [
+			fieldError(
+				"items",
+				`Checklist must be a list of up to ${MAX_CHECKLIST_ITEMS} items`,
+				"maxItems",
+			),
+		];
+	}
+	return items.flatMap((item, index) =>
+		validate(SCHEMAS.ChecklistItem, item, {}, `items[${index}]`),
+	);
+}
+
+// The import report entry of a record that can't be imported
+function importFailure({ error, errors }) {
+	return { action: "error", error, errors };
+}
+
+// Import one parsed record into the user's data. Duplicates are skipped,
+// updated or created anyway, depending on options.duplicates.
+// Returns the record's entry of the import report.
+function importRecord(userData, record, options) {
+	const {
+		list: listName,
+		items = [],
+		extras,
+		createdAt: fileCreatedAt,
+		completedAt: fileCompletedAt,
+	} = record;
+	// Anything in the record a client couldn't send is left out
+	const fields = Object.fromEntries(
+		Object.entries(record).filter(
+			([field]) =>
+				field in SCHEMAS.Todo.properties &&
+				!READ_ONLY_TODO_FIELDS.includes(field),
+		),
+	);
+
+	const invalid = checkBody("Todo", fields);
+	if (invalid) {
+		return importFailure(invalid);
+	}
+	const itemsErrors = getImportedItemsErrors(items);
+	if (itemsErrors.length > 0) {
+		return importFailure(invalidRequest(itemsErrors));
+	}
+
+	const resolved = options.targetList
+		? { list: options.targetList }
+		: resolveImportList(userData, listName, options.listsCreated);
+	if (resolved.error) {
+		return importFailure(resolved);
+	}
+	const { list } = resolved;
+
+	const duplicate =
+		options.duplicates !== "create" &&
+		findDuplicateTodo(userData, list, fields.title, fields.dueDate);
+	if (duplicate && options.duplicates === "skip") {
+		return {
+			action: "skip",
+			id: duplicate.id,
+			list: list.name,
+			reason: "A todo with this title and due date already exists",
+		};
+	}
+	if (duplicate) {
+		const updated = updateTodoFromInput(userData, duplicate, fields);
+		if (updated.error) {
+			return importFailure(updated);
+		}
+		if (extras) {
+			duplicate.extras = extras;
+		}
+		return { action: "update", id: duplicate.id, list: list.name };
+	}
+
+	const created = createTodoFromInput(userData, fields, list);
+	if (created.error) {
+		return importFailure(created);
+	}
+
+	const createdAt = new Date().toISOString();
+	created.todo.items = items.map((item, index) => ({
+		id: index + 1,
+		title: item.title.trim(),
+		completed: item.completed === true,
+		createdAt,
+	}));
+	created.todo.nextItemId = items.length + 1;
+	updateChecklistProgress(created.todo);
+
+	// todo.txt lines carry their creation (and completion) date and tokens the
+	// app doesn't use, which are written back on export
+	if (fileCreatedAt && !isNaN(Date.parse(fileCreatedAt))) {
+		created.todo.createdAt = new Date(fileCreatedAt).toISOString();
+	}
+	if (
+		created.todo.completed &&
+		fileCompletedAt &&
+		!isNaN(Date.parse(fileCompletedAt))
+	) {
+		created.todo.completedAt = new Date(fileCompletedAt).toISOString();
+	}
+	if (extras) {
+		created.todo.extras = extras;
+	}
+
+	return { action: "create", id: created.todo.id, list: list.name };
+}
+
+// API Routes
+
+// GET /todos - Get all todos with optional filtering (as todo.txt with
+// Accept: text/plain)
+// GET /lists/:listId/todos - Same, limited to one list
+// GET /shared/:ownerId/lists/:listId/todos - Same, for a list shared with the user
+app.get(
+	["/todos", "/lists/:listId/todos", "/shared/:ownerId/lists/:listId/todos"],
+	validateUserId,
+	resolveList,
+	(req, res) => {
+		try {
+			// Accept: text/plain returns the todos as a todo.txt file
+			const wantsTodoTxt =
+				req.accepts(["application/json", "text/plain"]) === "text/plain";
+
+			const parsed = parseTodoFilters(req.query);
+			const checked = validateQuery(
+				["sort", "limit", "cursor", "upcoming", "shared"],
+				req.query,
+			);
+			const errors = [...(parsed.errors || []), ...(checked.errors || [])];
+			if (errors.length > 0) {
+				return sendFailure(res, invalidRequest(errors));
+			}
+			const {
+				sort,
+				limit: pageSize,
+				cursor,
+				upcoming,
+				shared,
+			} = checked.values;
+
+			// Validate sorting. Searches for text are ranked by relevance unless
+			// a sort is given.
+			const rankByRelevance =
+				sort === undefined && getTextTerms(parsed.filters.search).length > 0;
+			const sortSpec = rankByRelevance
+				? [{ field: "relevance", direction: 1 }]
+				: parseSort(sort);
+			if (!sortSpec) {
+				return sendFailure(
+					res,
+					invalidField(
+						"sort",
+						`sort must be a comma-separated list of: ${Object.keys(SORT_FIELDS).join(", ")} (prefix with - for descending)`,
+					),
+				);
+			}
+
+			const paginate = req.query.limit !== undefined || cursor !== undefined;
+			// Preview the upcoming occurrences of recurring todos, and show how
+			// todos matched the search
+			const present = (entry) => {
+				const todo =
+					upcoming > 0 ? withUpcoming(entry.todo, upcoming) : entry.todo;
+				return entry.match ? { ...todo, ...entry.match } : todo;
+			};
+
+			const fingerprint = getQueryFingerprint(
+				req.list
+					? { ...req.query, listId: req.list.id, ownerId: req.ownerId }
+					: req.query,
+			);
+			let cursorKey = null;
+			if (cursor !== undefined) {
+				cursorKey = decodeCursor(cursor, fingerprint, sortSpec.length + 2);
+				if (!cursorKey) {
+					return sendFailure(
+						res,
+						invalidField("cursor", "Invalid cursor for this query"),
+					);
+				}
+			}
+
+			const userData = loadUserTodos(req.ownerId);
+			const todos = getVisibleTodos(userData, req.list);
+			// The todos of lists shared with the user come along when no list is
+			// asked for (todo.txt has no room for their owner)
+			if (!req.list && !wantsTodoTxt && shared) {
+				todos.push(...getSharedTodos(req.userId));
+			}
+			const filteredTodos = applyTodoFilters(
+				todos,
+				parsed.filters,
+				req.ownerId,
+			);
+
+			const searchMatches = getSearchMatches(
+				filteredTodos,
+				parsed.filters.search,
+				req.ownerId,
+			);
+
+			// Apply sorting (creation order when no sort is given)
+			let sortedTodos = filteredTodos
+				.map((todo) => {
+					const match = searchMatches ? searchMatches.get(todo) : null;
+					return { todo, match, key: getSortKey(todo, sortSpec, match) };
+				})
+				.sort((a, b) => compareSortKeys(a.key, b.key, sortSpec));
+
+			// Without limit or cursor the whole list is returned as a plain array
+			if (!paginate) {
+				if (wantsTodoTxt) {
+					return res.type(FORMATS.txt.contentType).send(
+						toTodoTxt(
+							userData,
+							sortedTodos.map((entry) => entry.todo),
+						),
+					);
+				}
+				return res.json(sortedTodos.map(present));
+			}
+
+			// Keyset pagination: continue right after the last todo of the previous page
+			if (cursorKey) {
+				sortedTodos = sortedTodos.filter(
+					(entry) => compareSortKeys(entry.key, cursorKey, sortSpec) > 0,
+				);
+			}
+
+			const page = sortedTodos.slice(0, pageSize);
+			const nextCursor =
+				sortedTodos.length > pageSize
+					? encodeCursor(page[page.length - 1].key, fingerprint)
+					: null;
+
+			// todo.txt has no room for the cursor, so it goes in a header
+			if (wantsTodoTxt) {
+				if (nextCursor) {
+					res.set("X-Next-Cursor", nextCursor);
+				}
+				return res.type(FORMATS.txt.contentType).send(
+					toTodoTxt(
+						userData,
+						page.map((entry) => entry.todo),
+					),
+				);
+			}
+
+			res.json({ todos: page.map(present), nextCursor });
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/stats - Get statistics about todos (overall)
+// GET /lists/:listId/stats - Same, for one list
+app.get(
+	["/todos/stats", "/lists/:listId/stats"],
+	validateUserId,
+	resolveList,
+	(req, res) => {
+		try {
+			const userData = loadUserTodos(req.userId);
+			res.json({
+				...computeStats(getVisibleTodos(userData, req.list)),
+				quota: getTodoQuota(userData),
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/stats/history - Created vs completed todos per day and week,
+// time to complete and completion streaks (see analytics.js)
+// GET /lists/:listId/stats/history - Same, for one list
+app.get(
+	["/todos/stats/history", "/lists/:listId/stats/history"],
+	validateUserId,
+	resolveList,
+	(req, res) => {
+		try {
+			const checked = validateQuery(["timezone", "days", "weeks"], req.query);
+			if (checked.errors) {
+				return sendFailure(res, invalidRequest(checked.errors));
+			}
+			const { timezone, days, weeks } = checked.values;
+			if (!isValidTimeZone(timezone)) {
+				return sendFailure(
+					res,
+					invalidField(
+						"timezone",
+						"timezone must be an IANA time zone such as Europe/Paris",
+					),
+				);
+			}
+
+			// Deleting a completed todo (or clearing completed ones) doesn't undo
+			// its completion, so the trash counts until it is purged
+			const userData = loadUserTodos(req.userId);
+			const todos = getVisibleTodos(userData, req.list, {
+				includeTrashed: true,
+			});
+			res.json(
+				computeHistory(todos, {
+					timeZone: timezone,
+					days,
+					weeks,
+				}),
+			);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/tags - List every tag in use with the number of todos carrying it
+app.get("/todos/tags", validateUserId, (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+
+		const counts = new Map();
+		getVisibleTodos(userData).forEach((todo) => {
+			(todo.tags || []).forEach((tag) => {
+				counts.set(tag, (counts.get(tag) || 0) + 1);
+			});
+		});
+
+		// Most used first, then alphabetical
+		const tags = [...counts.entries()]
+			.map(([tag, count]) => ({ tag, count }))
+			.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+		res.json(tags);
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /todos/export?format=json|csv|md|ics - Download the todos of all lists
+// that aren't archived, optionally narrowed with the GET /todos filters
+// GET /lists/:listId/todos/export - Same, for one list
+// GET /shared/:ownerId/lists/:listId/todos/export - Same, for a shared list
+app.get(
+	[
+		"/todos/export",
+		"/lists/:listId/todos/export",
+		"/shared/:ownerId/lists/:listId/todos/export",
+	],
+	validateUserId,
+	resolveList,
+	(req, res) => {
+		try {
+			const checked = validateQuery(["format"], req.query);
+			if (checked.errors) {
+				return sendFailure(res, invalidRequest(checked.errors));
+			}
+			const { format } = checked.values;
+
+			const parsed = parseTodoFilters(req.query);
+			if (parsed.error) {
+				return sendFailure(res, parsed);
+			}
+
+			const userData = loadUserTodos(req.ownerId);
+			const todos = applyTodoFilters(
+				getVisibleTodos(userData, req.list),
+				parsed.filters,
+				req.ownerId,
+			);
+			const records = todos.map((todo) => toExportRecord(userData, todo));
+
+			res.attachment(`todos-${toDateString(new Date())}.${format}`);
+			res.set("Content-Type", FORMATS[format].contentType);
+			res.send(
+				exportRecords(format, records, {
+					defaultList: getDefaultList(userData).name,
+				}),
+			);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/events - Live updates as a Server-Sent Events stream (see
+// publishChanges). Send Last-Event-ID to resume after a dropped connection.
+app.get("/todos/events", validateUserId, (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		if (!liveSnapshots.has(req.userId)) {
+			liveSnapshots.set(req.userId, takeLiveSnapshot(req.userId, userData));
+		}
+		liveEvents.subscribe(req.userId, req, res);
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /todos/trash - Get trashed todos, most recently deleted first
+app.get("/todos/trash", validateUserId, (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		const trashed = getTrashedTodos(userData)
+			.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+			.map((todo) => ({ ...todo, purgeAt: getPurgeDate(todo).toISOString() }));
+
+		res.json(trashed);
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// DELETE /todos/trash - Empty the trash (permanently)
+app.delete("/todos/trash", validateUserId, async (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		const count = getTrashedTodos(userData).length;
+
+		if (count > 0) {
+			userData.todos = userData.todos.filter((todo) => !todo.deletedAt);
+			await saveUserTodos(req.userId, userData, req);
+		}
+
+		res.json({
+			message: `${count} todo(s) permanently deleted`,
+			deleted: count,
+		});
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// DELETE /todos/trash/:id - Permanently delete one trashed todo
+app.delete("/todos/trash/:id", validateUserId, async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		const userData = loadUserTodos(req.userId);
+		const todo = findTrashedTodo(userData, id);
+
+		if (!todo) {
+			return res.status(404).json({ error: "Todo not found in trash" });
+		}
+
+		userData.todos = userData.todos.filter((t) => t !== todo);
+		await saveUserTodos(req.userId, userData, req);
+
+		res.json({
+			message: "Todo permanently deleted",
+			todo,
+		});
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// POST /todos/:id/restore - Take a todo out of the trash
+app.post("/todos/:id/restore", validateUserId, async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		const userData = loadUserTodos(req.userId);
+		const todo = findTrashedTodo(userData, id);
+
+		if (!todo) {
+			return res.status(404).json({ error: "Todo not found in trash" });
+		}
+
+		restoreFromTrash(userData, todo);
+		await saveUserTodos(req.userId, userData, req);
+
+		res.json(todo);
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /todos/:id - Get a specific todo
+// GET /shared/:ownerId/todos/:id - Same, for a todo of a shared list
+app.get(
+	["/todos/:id", "/shared/:ownerId/todos/:id"],
+	validateUserId,
+	(req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo);
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			// Express answers a matching If-None-Match with 304 Not Modified
+			res.set("ETag", getTodoETag(todo));
+			res.set("Accept-Patch", PATCH_TYPES.join(", "));
+			res.json(todo);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/:id/occurrences - Every occurrence in a recurring todo's series,
+// completed ones included, oldest first
+// GET /shared/:ownerId/todos/:id/occurrences - Same, in a shared list
+app.get(
+	["/todos/:id/occurrences", "/shared/:ownerId/todos/:id/occurrences"],
+	validateUserId,
+	(req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo);
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const occurrences =
+				todo.seriesId !== undefined
+					? userData.todos
+							.filter((t) => t.seriesId === todo.seriesId && !t.deletedAt)
+							.sort((a, b) => a.occurrence - b.occurrence)
+					: [todo];
+			res.json(occurrences);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/:id/history - Get the activity entries of a todo, newest first.
+// Also works for todos in the trash and ones deleted for good.
+// GET /shared/:ownerId/todos/:id/history - Same, in a shared list
+app.get(
+	["/todos/:id/history", "/shared/:ownerId/todos/:id/history"],
+	validateUserId,
+	(req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const entries = activityLog.getEntries(req.ownerId, { todoId: id });
+			const todo = userData.todos.find((t) => t.id === id);
+
+			// In a shared list only the history of the list's todos can be seen
+			const missing = req.sharedLists
+				? !todo || !canAccessList(req.sharedLists, todo.listId)
+				: entries.length === 0 && !todo;
+			if (missing) {
+				return res.status(404).json({ error: "Todo not found" });
+			}
+
+			res.json(entries);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// POST /todos - Create a new todo (in the default list unless listId is given)
+// POST /lists/:listId/todos - Create a new todo in a list
+// POST /shared/:ownerId/lists/:listId/todos - Same, in a shared list (editors
+// only; the todo counts against the owner's quota)
+app.post(
+	["/todos", "/lists/:listId/todos", "/shared/:ownerId/lists/:listId/todos"],
+	validateUserId,
+	resolveList,
+	requireListEditor,
+	validateBody("Todo"),
+	async (req, res) => {
+		try {
+			const userData = loadUserTodos(req.ownerId);
+
+			const created = createTodoFromInput(userData, req.body, req.list);
+			if (created.error) {
+				return sendFailure(res, created);
+			}
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.status(201).json(created.todo);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// PUT /todos/:id - Replace a todo. Fields left out get their defaults.
+// PUT /shared/:ownerId/todos/:id - Same, in a shared list (editors only)
+app.put(
+	["/todos/:id", "/shared/:ownerId/todos/:id"],
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const conflict = getVersionConflict(req, todo, req.body.version);
+			if (conflict) {
+				return sendVersionConflict(res, conflict, todo);
+			}
+
+			const replaced = replaceTodoFromInput(
+				userData,
+				todo,
+				req.body,
+				req.sharedLists,
+			);
+			if (replaced.error) {
+				return sendFailure(res, replaced);
+			}
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.set("ETag", getTodoETag(todo));
+			res.json(todo);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// PATCH /todos/:id - Change part of a todo with a JSON Merge Patch
+// (application/merge-patch+json) or JSON Patch (application/json-patch+json)
+// PATCH /shared/:ownerId/todos/:id - Same, in a shared list (editors only)
+app.patch(
+	["/todos/:id", "/shared/:ownerId/todos/:id"],
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const type = req.is(PATCH_TYPES);
+			if (!type) {
+				res.set("Accept-Patch", PATCH_TYPES.join(", "));
+				return res.status(415).json({
+					error: `Content-Type must be one of: ${PATCH_TYPES.join(", ")}`,
+				});
+			}
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			// A merge patch can carry the version it is based on, like a PUT body
+			// (a JSON Patch uses a test operation on /version instead)
+			const conflict = getVersionConflict(
+				req,
+				todo,
+				Array.isArray(req.body) ? undefined : req.body.version,
+			);
+			if (conflict) {
+				return sendVersionConflict(res, conflict, todo);
+			}
+
+			const patched = patchTodoFromInput(
+				userData,
+				todo,
+				type,
+				req.body,
+				req.sharedLists,
+			);
+			if (patched.error) {
+				return sendFailure(res, patched);
+			}
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.set("ETag", getTodoETag(todo));
+			res.json(todo);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// DELETE /todos/:id - Move a todo to the trash
+// DELETE /shared/:ownerId/todos/:id - Same, in a shared list (editors only)
+app.delete(
+	["/todos/:id", "/shared/:ownerId/todos/:id"],
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const conflict = getVersionConflict(req, todo);
+			if (conflict) {
+				return sendVersionConflict(res, conflict, todo);
+			}
+
+			moveToTrash(todo);
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.json({
+				message: "Todo moved to trash",
+				todo,
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// Prefix the fields of a failure's errors, e.g. "title" to "todo.title"
+function prefixFields(failure, prefix) {
+	if (!failure.errors) {
+		return failure;
+	}
+	return {
+		...failure,
+		errors: failure.errors.map((error) => ({
+			...error,
+			field: error.field ? `${prefix}.${error.field}` : prefix,
+		})),
+	};
+}
+
+// Apply one POST /todos/batch operation (already checked against the
+// BatchOperation schema) to the user's data. Returns { status, error } if it
+// can't be applied, otherwise { result }.
+function applyBatchOperation(userData, operation) {
+	const { op, id } = operation;
+
+	if (op === "create") {
+		const created = createTodoFromInput(userData, operation.todo || {});
+		return created.error
+			? prefixFields(created, "todo")
+			: { result: { op, todo: created.todo } };
+	}
+
+	if (!Number.isInteger(id)) {
+		return invalidField("id", "Invalid todo ID", "required");
+	}
+
+	if (op === "restore") {
+		const trashed = findTrashedTodo(userData, id);
+		if (!trashed) {
+			return { status: 404, error: `Todo ${id} not found in trash` };
+		}
+		restoreFromTrash(userData, trashed);
+		return { result: { op, todo: trashed } };
+	}
+
+	const todo = findTodo(userData, id);
+	if (!todo) {
+		return { status: 404, error: `Todo ${id} not found` };
+	}
+	if (operation.version !== undefined && operation.version !== todo.version) {
+		return { status: 409, error: `Todo ${id}: ${CONFLICT_ERROR}` };
+	}
+
+	if (op === "update") {
+		const updated = updateTodoFromInput(
+			userData,
+			todo,
+			operation.changes || {},
+		);
+		return updated.error
+			? prefixFields(updated, "changes")
+			: { result: { op, todo } };
+	}
+
+	moveToTrash(todo);
+	return { result: { op, id } };
+}
+
+// A batch failure naming the operation it belongs to
+function operationFailure(failure, index) {
+	return {
+		...prefixFields(failure, `operations[${index}]`),
+		error: `Operation ${index}: ${failure.error}`,
+		index,
+	};
+}
+
+// POST /todos/batch - Apply several create/update/delete/restore operations at once.
+// Operations run in order on a copy of the data, which is saved only if all of
+// them succeed - so either every operation is applied or none is.
+app.post("/todos/batch", validateUserId, async (req, res) => {
+	try {
+		const errors = validate(SCHEMAS.BatchRequest, req.body);
+		if (errors.length > 0) {
+			const invalid = invalidRequest(errors);
+			const match = /^operations\[(\d+)\]/.exec(errors[0].field);
+			if (!match) {
+				return sendFailure(res, invalid);
+			}
+			const index = Number(match[1]);
+			return sendFailure(res, {
+				...invalid,
+				error: `Operation ${index}: ${invalid.error}`,
+				index,
+			});
+		}
+
+		const { operations } = req.body;
+		const draft = structuredClone(loadUserTodos(req.userId));
+		const results = [];
+
+		for (let index = 0; index < operations.length; index++) {
+			const applied = applyBatchOperation(draft, operations[index]);
+			if (applied.error) {
+				return sendFailure(res, operationFailure(applied, index));
+			}
+			results.push(applied.result);
+		}
+
+		await saveUserTodos(req.userId, draft, req);
+
+		res.json({ results });
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// POST /todos/import - Import todos from a json, csv, md or ics file
+// POST /lists/:listId/todos/import - Same, with every todo going into that list
+// Body: { format, data, mapping?, duplicates?, dryRun? } where data is the
+// file's contents. Todos go into the list named in the file (created if
+// needed) or the default list. Invalid todos are reported and left out. With
+// dryRun the report shows what would change without saving anything.
+app.post(
+	["/todos/import", "/lists/:listId/todos/import"],
+	validateUserId,
+	resolveList,
+	validateBody("ImportRequest"),
+	async (req, res) => {
+		try {
+			const {
+				format,
+				data,
+				mapping,
+				duplicates = "skip",
+				dryRun = false,
+			} = req.body;
+
+			if (req.list && req.list.archived) {
+				return sendFailure(
+					res,
+					invalidField("listId", "Todos can't be added to an archived list"),
+				);
+			}
+
+			const parsed = parseImport(format, data, mapping);
+			if (parsed.error) {
+				return sendFailure(res, invalidField("data", parsed.error));
+			}
+			if (parsed.records.length === 0) {
+				return sendFailure(
+					res,
+					invalidField("data", "No todos found to import", "minItems"),
+				);
+			}
+			if (parsed.records.length > MAX_IMPORT_TODOS) {
+				return sendFailure(
+					res,
+					invalidField(
+						"data",
+						`An import can have at most ${MAX_IMPORT_TODOS} todos`,
+						"maxItems",
+					),
+				);
+			}
+
+			// Import into a copy, which is only saved if this isn't a dry run
+			const draft = structuredClone(loadUserTodos(req.userId));
+			const options = {
+				targetList: req.list ? findList(draft, req.list.id) : null,
+				duplicates,
+				listsCreated: [],
+			};
+			const results = parsed.records.map((record, index) => {
+				const result = {
+					index,
+					title: typeof record.title === "string" ? record.title.trim() : null,
+					...importRecord(draft, record, options),
+				};
+				if (dryRun && result.action === "create") {
+					delete result.id; // Not created yet
+				}
+				return result;
+			});
+
+			const count = (action) =>
+				results.filter((result) => result.action === action).length;
+			const summary = {
+				created: count("create"),
+				updated: count("update"),
+				skipped: count("skip"),
+				failed: count("error"),
+			};
+
+			const changed =
+				summary.created + summary.updated + options.listsCreated.length > 0;
+			if (!dryRun && changed) {
+				await saveUserTodos(req.userId, draft, req);
+			}
+
+			res.json({
+				dryRun: Boolean(dryRun),
+				summary,
+				listsCreated: options.listsCreated,
+				results,
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// POST /todos/clear-completed - Move all completed todos to the trash
+// POST /lists/:listId/todos/clear-completed - Same, in one list
+// POST /shared/:ownerId/lists/:listId/todos/clear-completed - Same, in a
+// shared list (editors only)
+app.post(
+	[
+		"/todos/clear-completed",
+		"/lists/:listId/todos/clear-completed",
+		"/shared/:ownerId/lists/:listId/todos/clear-completed",
+	],
+	validateUserId,
+	resolveList,
+	requireListEditor,
+	async (req, res) => {
+		try {
+			const userData = loadUserTodos(req.ownerId);
+			const cleared = getVisibleTodos(userData, req.list).filter(
+				(todo) => todo.completed,
+			);
+
+			if (cleared.length > 0) {
+				cleared.forEach(moveToTrash);
+				await saveUserTodos(req.ownerId, userData, req);
+			}
+
+			res.json({
+				message: `${cleared.length} completed todo(s) moved to trash`,
+				deleted: cleared.length,
+				ids: cleared.map((todo) => todo.id),
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// POST /todos/complete-all - Complete all todos matching the GET /todos filters
+// POST /lists/:listId/todos/complete-all - Same, in one list
+// POST /shared/:ownerId/lists/:listId/todos/complete-all - Same, in a shared
+// list (editors only)
+app.post(
+	[
+		"/todos/complete-all",
+		"/lists/:listId/todos/complete-all",
+		"/shared/:ownerId/lists/:listId/todos/complete-all",
+	],
+	validateUserId,
+	resolveList,
+	requireListEditor,
+	async (req, res) => {
+		try {
+			const parsed = parseTodoFilters(req.query);
+			if (parsed.error) {
+				return sendFailure(res, parsed);
+			}
+
+			const userData = loadUserTodos(req.ownerId);
+			const matching = applyTodoFilters(
+				getVisibleTodos(userData, req.list),
+				parsed.filters,
+				req.ownerId,
+			).filter((todo) => !todo.completed);
+
+			if (matching.length > 0) {
+				matching.forEach((todo) => {
+					todo.completed = true;
+					spawnNextOccurrence(userData, todo);
+				});
+				await saveUserTodos(req.ownerId, userData, req);
+			}
+
+			res.json({
+				message: `${matching.length} todo(s) completed`,
+				updated: matching.length,
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /todos/:id/items - Get the checklist items of a todo
+// GET /shared/:ownerId/todos/:id/items - Same, in a shared list
+app.get(
+	["/todos/:id/items", "/shared/:ownerId/todos/:id/items"],
+	validateUserId,
+	(req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo);
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			res.json(todo.items || []);
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// POST /todos/:id/items - Add a checklist item (at the end, or at position)
+// POST /shared/:ownerId/todos/:id/items - Same, in a shared list (editors only)
+app.post(
+	["/todos/:id/items", "/shared/:ownerId/todos/:id/items"],
+	validateUserId,
+	validateBody("ChecklistItem"),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const items = todo.items || [];
+			const { title, completed = false, position = items.length } = req.body;
+
+			if (items.length >= MAX_CHECKLIST_ITEMS) {
+				return sendFailure(
+					res,
+					invalidField(
+						"",
+						`A todo can have at most ${MAX_CHECKLIST_ITEMS} checklist items`,
+						"maxItems",
+					),
+				);
+			}
+			if (position > items.length) {
+				return sendFailure(
+					res,
+					invalidField(
+						"position",
+						`Position must be an integer between 0 and ${items.length}`,
+						"maximum",
+					),
+				);
+			}
+
+			// Todos created before checklists existed start their item IDs at 1
+			const nextItemId =
+				todo.nextItemId ||
+				items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+			const newItem = {
+				id: nextItemId,
+				title: title.trim(),
+				completed,
+				createdAt: new Date().toISOString(),
+			};
+
+			items.splice(position, 0, newItem);
+			todo.items = items;
+			todo.nextItemId = nextItemId + 1;
+			updateChecklistProgress(todo);
+
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.status(201).json({ item: newItem, todo });
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// PUT /todos/:id/items/:itemId - Update or move a checklist item
+// PUT /shared/:ownerId/todos/:id/items/:itemId - Same, in a shared list
+// (editors only)
+app.put(
+	["/todos/:id/items/:itemId", "/shared/:ownerId/todos/:id/items/:itemId"],
+	validateUserId,
+	validateBody("ChecklistItem", { partial: true }),
+	async (req, res) => {
+		try {
+			const { id, itemId } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const items = todo.items || [];
+			const itemIndex = items.findIndex((item) => item.id === itemId);
+
+			if (itemIndex === -1) {
+				return res.status(404).json({ error: "Checklist item not found" });
+			}
+
+			const { title, completed, position } = req.body;
+
+			if (position !== undefined && position >= items.length) {
+				return sendFailure(
+					res,
+					invalidField(
+						"position",
+						`Position must be an integer between 0 and ${items.length - 1}`,
+						"maximum",
+					),
+				);
+			}
+
+			// Update item
+			const item = items[itemIndex];
+			if (title !== undefined) {
+				item.title = title.trim();
+			}
+			if (completed !== undefined) {
+				item.completed = completed;
+			}
+			if (position !== undefined) {
+				items.splice(itemIndex, 1);
+				items.splice(position, 0, item);
+			}
+			updateChecklistProgress(todo);
+			// Checking off the last step can complete a recurring todo
+			spawnNextOccurrence(userData, todo);
+
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.json({ item, todo });
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// DELETE /todos/:id/items/:itemId - Delete a checklist item
+// DELETE /shared/:ownerId/todos/:id/items/:itemId - Same, in a shared list
+// (editors only)
+app.delete(
+	["/todos/:id/items/:itemId", "/shared/:ownerId/todos/:id/items/:itemId"],
+	validateUserId,
+	async (req, res) => {
+		try {
+			const { id, itemId } = req.params;
+
+			const userData = loadUserTodos(req.ownerId);
+			const todo = findTodo(userData, id);
+			const denied = getTodoAccessError(req, todo, "edit");
+
+			if (denied) {
+				return sendFailure(res, denied);
+			}
+
+			const items = todo.items || [];
+			const itemIndex = items.findIndex((item) => item.id === itemId);
+
+			if (itemIndex === -1) {
+				return res.status(404).json({ error: "Checklist item not found" });
+			}
+
+			const deletedItem = items.splice(itemIndex, 1)[0];
+			updateChecklistProgress(todo);
+			spawnNextOccurrence(userData, todo);
+
+			await saveUserTodos(req.ownerId, userData, req);
+
+			res.json({
+				message: "Checklist item deleted successfully",
+				item: deletedItem,
+				todo,
+			});
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /lists - Get all lists with the counts of their todos
+app.get("/lists", validateUserId, (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		res.json(userData.lists.map((list) => withListCounts(list, userData)));
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// POST /lists - Create a list
+app.post("/lists", validateUserId, validateBody("List"), async (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		const { name } = req.body;
+
+		const invalid = validateListName(name, userData);
+		if (invalid) {
+			return sendFailure(res, invalid);
+		}
+		if (userData.lists.length >= MAX_LISTS) {
+			return sendFailure(
+				res,
+				invalidField(
+					"name",
+					`You can have at most ${MAX_LISTS} lists`,
+					"maxItems",
+				),
+			);
+		}
+
+		const list = addList(userData, name);
+		await saveUserTodos(req.userId, userData, req);
+
+		res.status(201).json(withListCounts(list, userData));
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /lists/:listId - Get a list
+// GET /shared/:ownerId/lists/:listId - Same, for a list shared with the user
+app.get(
+	["/lists/:listId", "/shared/:ownerId/lists/:listId"],
+	validateUserId,
+	resolveList,
+	(req, res) => {
+		try {
+			res.json(withListCounts(req.list, loadUserTodos(req.ownerId)));
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// PUT /lists/:listId - Rename, archive or unarchive a list
+app.put(
+	"/lists/:listId",
+	validateUserId,
+	resolveList,
+	validateBody("List", { partial: true }),
+	async (req, res) => {
+		try {
+			const userData = loadUserTodos(req.userId);
+			const { name, archived } = req.body;
+
+			if (name !== undefined) {
+				const invalid = validateListName(name, userData, req.list.id);
+				if (invalid) {
+					return sendFailure(res, invalid);
+				}
+			}
+			if (archived && req.list.isDefault) {
+				return sendFailure(
+					res,
+					invalidField("archived", "The default list can't be archived"),
+				);
+			}
+
+			if (name !== undefined) {
+				req.list.name = name.trim();
+			}
+			if (archived !== undefined) {
+				req.list.archived = archived;
+			}
+			await saveUserTodos(req.userId, userData, req);
+
+			res.json(withListCounts(req.list, userData));
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// DELETE /lists/:listId - Delete a list and move its todos to the trash, or
+// move its todos to another list with ?moveTodosTo=<listId>
+app.delete("/lists/:listId", validateUserId, resolveList, async (req, res) => {
+	try {
+		const userData = loadUserTodos(req.userId);
+		const checked = validateQuery(["moveTodosTo"], req.query);
+		if (checked.errors) {
+			return sendFailure(res, invalidRequest(checked.errors));
+		}
+		const { moveTodosTo } = checked.values;
+
+		if (req.list.isDefault) {
+			return sendFailure(
+				res,
+				invalidField("listId", "The default list can't be deleted"),
+			);
+		}
+
+		let targetList = null;
+		if (moveTodosTo !== undefined) {
+			targetList = findList(userData, moveTodosTo);
+			if (!targetList || targetList.id === req.list.id) {
+				return sendFailure(
+					res,
+					invalidField(
+						"moveTodosTo",
+						"moveTodosTo must be another existing list",
+					),
+				);
+			}
+			if (targetList.archived) {
+				return sendFailure(
+					res,
+					invalidField(
+						"moveTodosTo",
+						"Todos can't be moved to an archived list",
+					),
+				);
+			}
+		}
+
+		// Trashed todos move along, so restoring them lands in the new list
+		const listTodos = getVisibleTodos(userData, req.list);
+		if (targetList) {
+			userData.todos.forEach((todo) => {
+				if (todo.listId === req.list.id) {
+					todo.listId = targetList.id;
+				}
+			});
+		} else {
+			listTodos.forEach(moveToTrash);
+		}
+		userData.lists = userData.lists.filter((list) => list.id !== req.list.id);
+		await saveUserTodos(req.userId, userData, req);
+		// List IDs aren't reused, so grants left behind by a failure here can't
+		// give access to anything
+		shares.revokeAll(req.userId, req.list.id).catch((error) => {
+			req.log.error("Error revoking shares", { listId: req.list.id, error });
+		});
+
+		res.json({
+			message: "List deleted successfully",
+			list: req.list,
+			movedTodos: targetList ? listTodos.length : 0,
+			deletedTodos: targetList ? 0 : listTodos.length,
+		});
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /lists/:listId/shares - Who the list is shared with, and as what
+app.get("/lists/:listId/shares", validateUserId, resolveList, (req, res) => {
+	res.json(shares.getGrants(req.userId, req.list.id).map(toShare));
+});
+
+// PUT /lists/:listId/shares/:userId - Share the list with a user as viewer or
+// editor, or change their role
+app.put(
+	"/lists/:listId/shares/:userId",
+	validateUserId,
+	resolveList,
+	validateBody("Share"),
+	async (req, res) => {
+		try {
+			const { userId } = req.params;
+			if (userId === req.userId) {
+				return sendFailure(
+					res,
+					invalidField("userId", "You can't share a list with yourself"),
+				);
+			}
+
+			const { grant, created } = await shares.grant(
+				req.userId,
+				req.list.id,
+				userId,
+				req.body.role,
+			);
+			// The user's open event streams get the list's todos
+			publishLiveChanges(userId);
+			res.status(created ? 201 : 200).json(toShare(grant));
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// DELETE /lists/:listId/shares/:userId - Stop sharing the list with a user
+app.delete(
+	"/lists/:listId/shares/:userId",
+	validateUserId,
+	resolveList,
+	async (req, res) => {
+		try {
+			const revoked = await shares.revoke(
+				req.userId,
+				req.list.id,
+				req.params.userId,
+			);
+			if (!revoked) {
+				return res
+					.status(404)
+					.json({ error: "The list isn't shared with this user" });
+			}
+			publishLiveChanges(req.params.userId);
+			res.json({ message: "Access revoked", share: toShare(revoked) });
+		} catch (error) {
+			sendServerError(res, error);
+		}
+	},
+);
+
+// GET /shared - Lists other users share with the user, with their owner and
+// the user's role. Their todos are reached under /shared/:ownerId.
+app.get("/shared", validateUserId, (req, res) => {
+	res.json(shares.getGrantsFor(req.userId).map(toSharedList).filter(Boolean));
+});
+
+// GET /activity - The user's activity feed, newest first. Paginated like
+// GET /todos (limit, cursor) and optionally narrowed to one action.
+app.get("/activity", validateUserId, (req, res) => {
+	try {
+		const checked = validateQuery(["limit", "cursor", "action"], req.query);
+		if (checked.errors) {
+			return sendFailure(res, invalidRequest(checked.errors));
+		}
+		const { limit: pageSize, cursor, action } = checked.values;
+
+		// The cursor holds the ID of the last entry on the previous page
+		const fingerprint = getQueryFingerprint(req.query);
+		let afterId = null;
+		if (cursor !== undefined) {
+			const key = decodeCursor(cursor, fingerprint, 1);
+			if (!key || !Number.isInteger(key[0])) {
+				return sendFailure(
+					res,
+					invalidField("cursor", "Invalid cursor for this query"),
+				);
+			}
+			afterId = key[0];
+		}
+
+		const entries = activityLog
+			.getEntries(req.userId, action ? { action } : {})
+			.filter((entry) => afterId === null || entry.id < afterId);
+		const page = entries.slice(0, pageSize);
+
+		res.json({
+			entries: page,
+			nextCursor:
+				entries.length > pageSize
+					? encodeCursor([page[page.length - 1].id], fingerprint)
+					: null,
+		});
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// POST /auth/register - Create an account, optionally claiming an anonymous user ID
+app.post("/auth/register", validateBody("Credentials"), async (req, res) => {
+	try {
+		const { username, password, claimUserId } = req.body;
+
+		// Only the holder of an anonymous ID may claim it, shown by sending it
+		// as X-User-Id on the same request
+		if (claimUserId && req.headers["x-user-id"] !== claimUserId) {
+			return res.status(403).json({
+				error: "You can only claim the user ID sent as X-User-Id.",
+			});
+		}
+
+		const session = await auth.register(username, password, claimUserId);
+		res.status(201).json(session);
+	} catch (error) {
+		if (error instanceof AuthError) {
+			return res.status(error.statusCode).json({ error: error.message });
+		}
+		sendServerError(res, error);
+	}
+});
+
+// POST /auth/login - Exchange username and password for a bearer token
+app.post("/auth/login", validateBody("Login"), async (req, res) => {
+	try {
+		const { username, password } = req.body;
+
+		const session = await auth.login(username, password);
+		res.json(session);
+	} catch (error) {
+		if (error instanceof AuthError) {
+			return res.status(error.statusCode).json({ error: error.message });
+		}
+		sendServerError(res, error);
+	}
+});
+
+// POST /auth/logout - Revoke the current bearer token
+app.post("/auth/logout", validateUserId, requireAccount, async (req, res) => {
+	try {
+		await auth.logout(req.sessionId);
+		res.json({ message: "Logged out successfully" });
+	} catch (error) {
+		sendServerError(res, error);
+	}
+});
+
+// GET /auth/me - Get the logged in account
+app.get("/auth/me", validateUserId, requireAccount, (req, res) => {
+	res.json(req.user);
+});
+
+// GET /openapi.json - The API as an OpenAPI 3 document (browse it at /api.html)
+const openApiDocument = buildOpenApiDocument(require("./package.json").version);
+app.get("/openapi.json", (req, res) => {
+	res.json(openApiDocument);
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-	console.log("SIGTERM received, closing server...");
-	server.close(() => {
-		console.log("Server closed");
-		process.exit(0);
+// Health check endpoint
+// Readiness checks: DATA_DIR must exist and take writes, checked by writing
+// (and removing) a small file
+function checkDataDir() {
+	const probe = path.join(DATA_DIR, `.health_${process.pid}`);
+	try {
+		fs.writeFileSync(probe, new Date().toISOString());
+		fs.unlinkSync(probe);
+		return { status: "ok" };
+	} catch (error) {
+		logger.error("Data directory check failed", { dataDir: DATA_DIR, error });
+		return { status: "error", error: error.code || error.message };
+	}
+}
+
+// GET /health - 200 while the server can serve requests, 503 when a check
+// fails
+app.get("/health", (req, res) => {
+	const checks = { dataDir: checkDataDir() };
+	const ready = Object.values(checks).every((check) => check.status === "ok");
+	res.status(ready ? 200 : 503).json({
+		status: ready ? "ok" : "unavailable",
+		timestamp: new Date().toISOString(),
+		checks,
 	});
 });
 
+// GET /metrics - Request, storage and cache metrics for Prometheus
+app.get("/metrics", (req, res) => {
+	res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// 404 handler
+app.use((req, res) => {
+	res.status(404).json({ error: "Route not found" });
+});
+
+// Error handler. Bodies over MAX_BODY_SIZE and malformed JSON are the
+// client's fault.
+app.use((err, req, res, next) => {
+	if (err.type === "entity.too.large") {
+		return res.status(413).json({
+			error: `Request body must be at most ${MAX_BODY_SIZE}`,
+		});
+	}
+	if (err.type === "entity.parse.failed") {
+		return sendFailure(
+			res,
+			invalidField("", "Request body is not valid JSON", "type"),
+		);
+	}
+	(req.log || logger).error("Unhandled error", { error: err });
+	res.status(500).json({ error: "Something went wrong!" });
+});
+
+// Serve when run directly; tests require the app to inspect its routes
+if (require.main === module) {
+	// Check stored data before serving, restoring corrupt files from their
+	// backups (the cache is still filled per user on demand)
+	const unrecoverable = storage.recover().filter((result) => !result.ok);
+	unrecoverable.forEach((result) => {
+		logger.error("Stored data is unreadable", {
+			userId: result.userId,
+			error: result.error,
+		});
+	});
+
+	// Start server
+	const server = app.listen(PORT, () => {
+		logger.info("Todo API server running", {
+			url: `http://localhost:${PORT}`,
+			storage: storage.name,
+			dataDir: DATA_DIR,
+		});
+	});
+
+	// Graceful shutdown
+	process.on("SIGTERM", () => {
+		logger.info("SIGTERM received, closing server");
+		liveEvents.closeAll(); // Open event streams would keep the server running
+		server.close(async () => {
+			// Let queued writes finish before exiting
+			await Promise.allSettled([...writeQueues.values()]);
+			logger.info("Server closed");
+			process.exit(0);
+		});
+	});
+}
+
 module.exports = app;
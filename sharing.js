@@ -0,0 +1,144 @@
+const path = require("path");
+const { createJsonFileWriter, readWithRecovery } = require("./storage");
+
+// ================================
+// List Sharing
+// ================================
+//
+// Grants live in <dataDir>/shares.json, one per list and grantee:
+//   { ownerId, listId, userId, role, grantedAt }
+// A viewer can read the todos of a shared list; an editor can also change
+// them. Grants are kept outside the owners' todo files so a grantee's lists
+// can be found without reading every user's data.
+
+const ROLES = ["viewer", "editor"];
+
+// What each role allows, "view" or "edit"
+const PERMISSIONS = {
+	viewer: ["view"],
+	editor: ["view", "edit"],
+};
+
+// True when role allows the permission ("view" or "edit")
+function allows(role, permission) {
+	return Boolean(role) && PERMISSIONS[role].includes(permission);
+}
+
+function createShareStore(dataDir, options = {}) {
+	const sharesFile = path.join(dataDir, "shares.json");
+
+	const data = readWithRecovery(sharesFile, JSON.parse, options.logger) || {
+		grants: [],
+	};
+
+	const sharesWriter = createJsonFileWriter(sharesFile, {
+		fsync: Boolean(options.fsync),
+	});
+
+	// Replace the grants and write them, putting the old ones back if the
+	// write fails
+	async function update(grants) {
+		const previous = data.grants;
+		data.grants = grants;
+		try {
+			await sharesWriter.write(data);
+		} catch (error) {
+			data.grants = previous;
+			throw error;
+		}
+	}
+
+	const isGrantFor = (ownerId, listId) => (grant) =>
+		grant.ownerId === ownerId && grant.listId === listId;
+
+	// Who has access to one of the owner's lists, in the order they got it
+	function getGrants(ownerId, listId) {
+		return data.grants.filter(isGrantFor(ownerId, listId));
+	}
+
+	// Lists shared with a user, by everyone
+	function getGrantsFor(userId) {
+		return data.grants.filter((grant) => grant.userId === userId);
+	}
+
+	// Everyone any of the owner's lists is shared with
+	function getGrantees(ownerId) {
+		return [
+			...new Set(
+				data.grants
+					.filter((grant) => grant.ownerId === ownerId)
+					.map((grant) => grant.userId),
+			),
+		];
+	}
+
+	// The owner's lists shared with a user, as listId -> role
+	function getSharedLists(ownerId, userId) {
+		return new Map(
+			data.grants
+				.filter((grant) => grant.ownerId === ownerId && grant.userId === userId)
+				.map((grant) => [grant.listId, grant.role]),
+		);
+	}
+
+	// Give a user a role on a list, or change the role they have. Returns
+	// { grant, created }.
+	async function grant(ownerId, listId, userId, role) {
+		const existing = getGrants(ownerId, listId).find(
+			(entry) => entry.userId === userId,
+		);
+		if (existing && existing.role === role) {
+			return { grant: existing, created: false };
+		}
+
+		const granted = {
+			ownerId,
+			listId,
+			userId,
+			role,
+			grantedAt: existing ? existing.grantedAt : new Date().toISOString(),
+		};
+		await update(
+			existing
+				? data.grants.map((entry) => (entry === existing ? granted : entry))
+				: [...data.grants, granted],
+		);
+		return { grant: granted, created: !existing };
+	}
+
+	// Take a user's access to a list away. Returns the removed grant, or null.
+	async function revoke(ownerId, listId, userId) {
+		const existing = getGrants(ownerId, listId).find(
+			(entry) => entry.userId === userId,
+		);
+		if (!existing) {
+			return null;
+		}
+		await update(data.grants.filter((entry) => entry !== existing));
+		return existing;
+	}
+
+	// Drop every grant on a list (when it is deleted). Returns how many.
+	async function revokeAll(ownerId, listId) {
+		const remaining = data.grants.filter(
+			(entry) => !isGrantFor(ownerId, listId)(entry),
+		);
+		const removed = data.grants.length - remaining.length;
+		if (removed > 0) {
+			await update(remaining);
+		}
+		return removed;
+	}
+
+	return {
+		getGrants,
+		getGrantsFor,
+		getGrantees,
+		getSharedLists,
+		grant,
+		revoke,
+		revokeAll,
+	};
+}
+
+module.exports = { ROLES, allows, createShareStore };
@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+// ================================
+// Storage Adapters
+// ================================
+//
+// Every adapter exposes the same interface:
+//   name                              - backend identifier
+//   load(userId)                      - { todos, nextId, ...meta }, or null for a new user
+//   save(userId, { todos, ...meta })  - persists the full user state (async)
+//   recover()                         - checks every stored user on startup
+//   evict(userId)                     - forgets what is cached for the user
+//                                       (the next load reads it again)
+//
+// The user state is the todo array plus small metadata fields (nextId, lists,
+// ...) that adapters store as-is. Adapters receive the complete state on every
+// save, so callers never need to know how (or how much of) the data is
+// actually written. Callers must not run two saves for the same user at once;
+// server.js queues them per user.
+//
+// Options:
+//   fsync  - flush file contents and directory entries to disk on every write
+//   logger - receives a warning for every file recovered or cut short
+//            (default: a JSON logger on stdout, see logger.js)
+
+// Raised when user data cannot be read or written
+class StorageError extends Error {
+	constructor(message, cause) {
+		super(message);
+		this.name = "StorageError";
+		this.cause = cause;
+	}
+}
+
+// Flush a directory entry so a completed rename survives a power loss
+async function syncDirectory(dir) {
+	const handle = await fs.promises.open(dir, "r");
+	try {
+		await handle.sync();
+	} finally {
+		await handle.close();
+	}
+}
+
+// Write data next to the target file, then swap it in with a rename.
+// The previous version is kept as <file>.bak so a corrupt file can be
+// recovered from the last good copy.
+async function writeFileAtomic(file, data, { fsync }) {
+	const tempFile = `${file}.tmp`;
+	const handle = await fs.promises.open(tempFile, "w");
+	try {
+		await handle.writeFile(data, "utf8");
+		if (fsync) {
+			await handle.sync();
+		}
+	} finally {
+		await handle.close();
+	}
+
+	if (fs.existsSync(file)) {
+		await fs.promises.rename(file, `${file}.bak`);
+	}
+	await fs.promises.rename(tempFile, file);
+
+	if (fsync) {
+		await syncDirectory(path.dirname(file));
+	}
+}
+
+// Writer for a JSON file rewritten whole on every change (accounts, shares).
+// write(data) serializes data right away and resolves once it is on disk;
+// writes are chained so they never interleave, and one failing doesn't stop
+// the next.
+function createJsonFileWriter(file, { fsync }) {
+	let writeQueue = Promise.resolve();
+
+	function write(data) {
+		const contents = JSON.stringify(data, null, 2);
+		const next = writeQueue
+			.catch(() => {})
+			.then(() => writeFileAtomic(file, contents, { fsync }));
+		writeQueue = next;
+		return next;
+	}
+
+	return { write };
+}
+
+// Replace a corrupt or missing file with its backup, if the backup is readable
+function restoreFromBackup(file, read) {
+	const backupFile = `${file}.bak`;
+	if (!fs.existsSync(backupFile)) {
+		return null;
+	}
+
+	const data = read(fs.readFileSync(backupFile, "utf8")); // Throws if corrupt too
+	fs.copyFileSync(backupFile, file);
+	return data;
+}
+
+// Read a user file, falling back to its backup when it is missing or corrupt.
+// Returns null for a user without data and throws a StorageError when nothing
+// readable is left (the corrupt file is left in place for inspection).
+function readWithRecovery(file, read, logger = createLogger()) {
+	if (!fs.existsSync(file)) {
+		// A crash between the two renames of writeFileAtomic leaves only the backup
+		return restoreFromBackup(file, read);
+	}
+
+	try {
+		return read(fs.readFileSync(file, "utf8"));
+	} catch (error) {
+		let restored = null;
+		try {
+			restored = restoreFromBackup(file, read);
+		} catch (backupError) {
+			// Backup is unreadable as well, reported below
+		}
+
+		if (!restored) {
+			throw new StorageError(
+				`${path.basename(file)} is corrupt and has no usable backup`,
+				error,
+			);
+		}
+
+		logger.warn("Recovered file from its last good copy", {
+			file: path.basename(file),
+			reason: error.message,
+		});
+		return restored;
+	}
+}
+
+// Load every stored user once, so corrupt files are found (and restored from
+// their backups) at startup instead of on the user's next request
+function recoverAll(dataDir, extension, load) {
+	const pattern = new RegExp(`^todos_(.+)\\.${extension}(\\.bak)?$`);
+	const userIds = new Set();
+
+	fs.readdirSync(dataDir).forEach((file) => {
+		const match = file.match(pattern);
+		if (match) {
+			userIds.add(match[1]);
+		}
+	});
+
+	return [...userIds].map((userId) => {
+		try {
+			load(userId);
+			return { userId, ok: true };
+		} catch (error) {
+			return { userId, ok: false, error: error.message };
+		}
+	});
+}
+
+// JSON file store - one pretty-printed file per user, rewritten on every save
+function createJsonFileStore(dataDir, options = {}) {
+	const fsync = Boolean(options.fsync);
+	const logger = options.logger || createLogger();
+
+	function getUserFile(userId) {
+		return path.join(dataDir, `todos_${userId}.json`);
+	}
+
+	function parse(contents) {
+		const parsed = JSON.parse(contents);
+		return {
+			...parsed,
+			todos: parsed.todos || [],
+			nextId: parsed.nextId || 1,
+		};
+	}
+
+	function load(userId) {
+		return readWithRecovery(getUserFile(userId), parse, logger);
+	}
+
+	async function save(userId, state) {
+		const data = JSON.stringify(state, null, 2);
+		await writeFileAtomic(getUserFile(userId), data, { fsync });
+	}
+
+	function recover() {
+		return recoverAll(dataDir, "json", load);
+	}
+
+	// Nothing is cached, every load reads the file
+	function evict() {}
+
+	return { name: "json", load, save, recover, evict };
+}
+
+// Append-only log store - one JSON line per change, replayed on load.
+// Only todos that changed since the last save are appended, so toggling one
+// todo writes one line instead of the whole list. Metadata is logged as one
+// "meta" entry whenever it changes. The log is rewritten as a compact snapshot
+// once it grows well past the number of live todos. The last saved state is
+// kept per user to tell what changed, from their first load until evict().
+function createAppendLogStore(dataDir, options = {}) {
+	const compactionThreshold = options.compactionThreshold || 100;
+	const fsync = Boolean(options.fsync);
+	const logger = options.logger || createLogger();
+
+	// Last persisted state per user: serialized todos by id, serialized metadata
+	// and log length
+	const snapshots = new Map();
+
+	function getLogFile(userId) {
+		return path.join(dataDir, `todos_${userId}.log`);
+	}
+
+	// Replay log entries. Every entry is written with a trailing newline, so a
+	// final line without one is a torn append from a crash and is skipped.
+	// A corrupt entry ends the replay: the entries before it are kept and the
+	// ones from it on are counted as dropped. A log that is corrupt from its
+	// first entry throws, so its backup is read instead.
+	function replay(contents) {
+		const todos = new Map();
+		let meta = { nextId: 1 };
+		let entries = 0;
+		let validLength = 0;
+		let dropped = 0;
+
+		const lines = contents.split("\n");
+		const tornLine = lines.pop();
+
+		for (const [index, line] of lines.entries()) {
+			if (line.trim()) {
+				try {
+					const entry = JSON.parse(line);
+					if (entry.op === "put") {
+						todos.set(entry.todo.id, entry.todo);
+					} else if (entry.op === "delete") {
+						todos.delete(entry.id);
+					} else if (entry.op === "meta") {
+						meta = entry.meta;
+					} else if (entry.op === "nextId") {
+						// Written by older versions before metadata entries existed
+						meta = { ...meta, nextId: entry.nextId };
+					}
+				} catch (error) {
+					if (entries === 0) {
+						throw error;
+					}
+					dropped = lines.slice(index).filter((rest) => rest.trim()).length;
+					break;
+				}
+				entries++;
+			}
+			validLength += Buffer.byteLength(line, "utf8") + 1;
+		}
+
+		if (dropped > 0) {
+			// The metadata entry written with the last kept todos may be among
+			// the dropped ones; never hand out an ID that is still in use
+			const maxId = Math.max(-1, ...todos.keys());
+			meta = { ...meta, nextId: Math.max(meta.nextId || 0, maxId + 1) };
+		}
+
+		return {
+			todos: [...todos.values()],
+			meta,
+			entries,
+			validLength,
+			torn: dropped === 0 && tornLine.length > 0,
+			dropped,
+		};
+	}
+
+	function remember(userId, todos, meta, entries) {
+		snapshots.set(userId, {
+			todos: new Map(todos.map((todo) => [todo.id, JSON.stringify(todo)])),
+			meta: JSON.stringify(meta),
+			entries,
+		});
+	}
+
+	// Replay a user's log, or null when nothing is stored for them
+	function read(userId) {
+		const logFile = getLogFile(userId);
+		if (!fs.existsSync(logFile) && !fs.existsSync(`${logFile}.bak`)) {
+			return null;
+		}
+
+		const replayed = readWithRecovery(logFile, replay, logger);
+		if (replayed.dropped > 0) {
+			// Set the entries from the corrupt one on aside for inspection, then
+			// cut them off so later appends follow the last good entry
+			const tail = fs.readFileSync(logFile).subarray(replayed.validLength);
+			fs.appendFileSync(`${logFile}.corrupt`, tail);
+			fs.truncateSync(logFile, replayed.validLength);
+			logger.warn("Dropped log entries from a corrupt entry onward", {
+				file: path.basename(logFile),
+				dropped: replayed.dropped,
+				keptIn: `${path.basename(logFile)}.corrupt`,
+			});
+		} else if (replayed.torn) {
+			// Cut off the partial line so later appends start on a clean line
+			fs.truncateSync(logFile, replayed.validLength);
+			logger.warn("Dropped a partial log entry", {
+				file: path.basename(logFile),
+			});
+		}
+		return replayed;
+	}
+
+	function load(userId) {
+		const replayed = read(userId);
+		if (!replayed) {
+			// Fall back to data written by the JSON file store, if any
+			snapshots.delete(userId);
+			return createJsonFileStore(dataDir, { logger }).load(userId);
+		}
+
+		const { todos, meta, entries } = replayed;
+		remember(userId, todos, meta, entries);
+		return { ...meta, todos };
+	}
+
+	async function compact(userId, todos, meta) {
+		const lines = todos.map((todo) => JSON.stringify({ op: "put", todo }));
+		lines.push(JSON.stringify({ op: "meta", meta }));
+
+		await writeFileAtomic(getLogFile(userId), lines.join("\n") + "\n", {
+			fsync,
+		});
+		remember(userId, todos, meta, lines.length);
+	}
+
+	async function append(userId, lines) {
+		const handle = await fs.promises.open(getLogFile(userId), "a");
+		try {
+			await handle.writeFile(lines.join("\n") + "\n", "utf8");
+			if (fsync) {
+				await handle.sync();
+			}
+		} finally {
+			await handle.close();
+		}
+	}
+
+	async function save(userId, { todos, ...meta }) {
+		const snapshot = snapshots.get(userId);
+
+		// First write for this user (or log not loaded yet) - start from a snapshot
+		if (!snapshot) {
+			await compact(userId, todos, meta);
+			return;
+		}
+
+		const lines = [];
+		const currentIds = new Set();
+
+		todos.forEach((todo) => {
+			currentIds.add(todo.id);
+			if (snapshot.todos.get(todo.id) !== JSON.stringify(todo)) {
+				lines.push(JSON.stringify({ op: "put", todo }));
+			}
+		});
+
+		snapshot.todos.forEach((serialized, id) => {
+			if (!currentIds.has(id)) {
+				lines.push(JSON.stringify({ op: "delete", id }));
+			}
+		});
+
+		if (JSON.stringify(meta) !== snapshot.meta) {
+			lines.push(JSON.stringify({ op: "meta", meta }));
+		}
+
+		if (lines.length === 0) {
+			return;
+		}
+
+		const entries = snapshot.entries + lines.length;
+		if (entries > todos.length * 2 + compactionThreshold) {
+			await compact(userId, todos, meta);
+			return;
+		}
+
+		try {
+			await append(userId, lines);
+		} catch (error) {
+			// The log may now end mid-line - rewrite it in full on the next save
+			snapshots.delete(userId);
+			throw error;
+		}
+		remember(userId, todos, meta, entries);
+	}
+
+	// Checks (and repairs) every log without keeping snapshots; users are
+	// loaded when they make their first request
+	function recover() {
+		return recoverAll(dataDir, "log", read);
+	}
+
+	function evict(userId) {
+		snapshots.delete(userId);
+	}
+
+	return { name: "log", load, save, recover, evict };
+}
+
+const storageBackends = {
+	json: createJsonFileStore,
+	log: createAppendLogStore,
+};
+
+// Create the storage adapter selected by name (defaults to the JSON file store)
+function createStorage(backend, dataDir, options) {
+	const name = backend || "json";
+	if (!Object.prototype.hasOwnProperty.call(storageBackends, name)) {
+		throw new Error(
+			`Unknown storage backend "${backend}". Use one of: ${Object.keys(storageBackends).join(", ")}`,
+		);
+	}
+	return storageBackends[name](dataDir, options);
+}
+
+module.exports = {
+	StorageError,
+	writeFileAtomic,
+	createJsonFileWriter,
+	readWithRecovery,
+	createStorage,
+	createJsonFileStore,
+	createAppendLogStore,
+	storageBackends,
+};
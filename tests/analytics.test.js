@@ -0,0 +1,103 @@
+// ================================
+// Productivity Analytics Tests
+// ================================
+
+const { computeHistory, isValidTimeZone } = require("../analytics");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// Wednesday 2026-01-14, 12:00 UTC
+const NOW = new Date("2026-01-14T12:00:00Z");
+
+function todo(createdAt, completedAt = null, priority = "medium") {
+	return {
+		priority,
+		createdAt,
+		completed: completedAt !== null,
+		completedAt,
+	};
+}
+
+run("Productivity Analytics Tests", () => {
+	test("Should count created and completed todos per day and week", () => {
+		const history = computeHistory(
+			[
+				todo("2026-01-12T09:00:00Z", "2026-01-14T08:00:00Z"),
+				todo("2026-01-14T10:00:00Z"),
+				todo("2026-01-05T10:00:00Z", "2026-01-06T10:00:00Z"),
+			],
+			{ now: NOW, days: 3, weeks: 2 },
+		);
+
+		assertEqual(
+			history.daily
+				.map((day) => `${day.date}:${day.created}/${day.completed}`)
+				.join(" "),
+			"2026-01-12:1/0 2026-01-13:0/0 2026-01-14:1/1",
+			"Daily series ends today",
+		);
+		assertEqual(
+			history.weekly
+				.map((week) => `${week.weekStart}:${week.created}/${week.completed}`)
+				.join(" "),
+			"2026-01-05:1/1 2026-01-12:2/1",
+			"Weeks start on Monday",
+		);
+	});
+
+	test("Should use calendar days of the time zone", () => {
+		// 23:30 UTC on the 13th is already the 14th in Tokyo
+		const late = [todo("2026-01-13T23:30:00Z")];
+		const utc = computeHistory(late, { now: NOW, days: 2 });
+		const tokyo = computeHistory(late, {
+			now: NOW,
+			days: 2,
+			timeZone: "Asia/Tokyo",
+		});
+		assertEqual(utc.daily[0].created, 1, "13th in UTC");
+		assertEqual(tokyo.daily[1].created, 1, "14th in Tokyo");
+		assertEqual(tokyo.today, "2026-01-14");
+		assert(isValidTimeZone("Europe/Paris"), "IANA zones are valid");
+		assert(!isValidTimeZone("Mars/Olympus"), "Unknown zones are not");
+	});
+
+	test("Should average lead times overall and by priority", () => {
+		const history = computeHistory(
+			[
+				todo("2026-01-13T00:00:00Z", "2026-01-13T02:00:00Z", "high"),
+				todo("2026-01-12T00:00:00Z", "2026-01-13T00:00:00Z", "high"),
+				todo("2026-01-10T00:00:00Z", "2026-01-14T00:00:00Z", "low"),
+				// Completed before the daily range
+				todo("2025-10-01T00:00:00Z", "2025-10-02T00:00:00Z", "low"),
+			],
+			{ now: NOW },
+		);
+		const { leadTime } = history;
+		assertEqual(leadTime.count, 3);
+		assertEqual(leadTime.averageHours, 40.7, "(2 + 24 + 96) / 3");
+		assertEqual(leadTime.medianHours, 24);
+		assertEqual(leadTime.byPriority.high.averageHours, 13);
+		assertEqual(leadTime.byPriority.low.count, 1);
+		assertEqual(leadTime.byPriority.medium.averageHours, null, "None");
+	});
+
+	test("Should track current and longest completion streaks", () => {
+		const done = (date) => todo("2025-12-01T00:00:00Z", `${date}T10:00:00Z`);
+		const history = computeHistory(
+			[
+				done("2026-01-01"),
+				done("2026-01-02"),
+				done("2026-01-03"),
+				done("2026-01-12"),
+				done("2026-01-13"),
+				done("2026-01-13"),
+			],
+			{ now: NOW },
+		);
+		assertEqual(history.streaks.longest, 3);
+		assertEqual(history.streaks.current, 2, "Alive until the end of today");
+		assertEqual(history.streaks.lastCompletionDate, "2026-01-13");
+
+		const lapsed = computeHistory([done("2026-01-11")], { now: NOW });
+		assertEqual(lapsed.streaks.current, 0, "A day without completions");
+	});
+});
@@ -3,6 +3,7 @@
 // ================================
 
 const http = require("http");
+const { assert, assertEqual, request } = require("./helpers");
 
 let testsPassed = 0;
 let testsFailed = 0;
@@ -10,70 +11,87 @@ let testsFailed = 0;
 // Generate a unique user ID for testing
 const TEST_USER_ID = `test_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
 
-// Helper function to make HTTP requests with timeout and retry logic
-async function makeRequest(method, path, data = null, retries = 2) {
-	for (let attempt = 0; attempt <= retries; attempt++) {
-		try {
-			return await new Promise((resolve, reject) => {
-				const options = {
-					hostname: "localhost",
-					port: 3000,
-					path: path,
-					method: method,
-					headers: {
-						"Content-Type": "application/json",
-						Connection: "keep-alive",
-						"X-User-Id": TEST_USER_ID,
-					},
-					timeout: 10000, // 5 second timeout
-				};
-
-				const req = http.request(options, (res) => {
-					let body = "";
-
-					res.on("data", (chunk) => {
-						body += chunk;
-					});
+const MERGE_PATCH = { "Content-Type": "application/merge-patch+json" };
+const JSON_PATCH = { "Content-Type": "application/json-patch+json" };
 
-					res.on("end", () => {
-						try {
-							const parsedBody = body ? JSON.parse(body) : null;
-							resolve({
-								statusCode: res.statusCode,
-								body: parsedBody,
-							});
-						} catch (error) {
-							resolve({
-								statusCode: res.statusCode,
-								body: body,
-							});
-						}
-					});
-				});
+// Request to the test server as the test user, retried on connection errors
+// (pass headers to override the defaults, or set one to null to omit it)
+function makeRequest(method, path, data = null, headers = {}, retries = 2) {
+	return request(
+		3000,
+		method,
+		path,
+		data,
+		{ Connection: "keep-alive", "X-User-Id": TEST_USER_ID, ...headers },
+		retries,
+	);
+}
 
-				req.on("error", (error) => {
-					reject(error);
-				});
+// Open a Server-Sent Events stream and collect its events. waitFor resolves
+// with the first event matching the predicate (or rejects after a timeout).
+function openEventStream(path, headers = {}) {
+	const events = [];
+	const waiters = [];
 
-				req.on("timeout", () => {
-					req.destroy();
-					reject(new Error("Request timeout"));
-				});
+	const req = http.request({
+		hostname: "localhost",
+		port: 3000,
+		path,
+		method: "GET",
+		headers: { "X-User-Id": TEST_USER_ID, ...headers },
+	});
 
-				if (data) {
-					req.write(JSON.stringify(data));
-				}
+	const ready = new Promise((resolve, reject) => {
+		req.on("response", (res) => {
+			let buffer = "";
+			res.setEncoding("utf8");
+			res.on("data", (chunk) => {
+				buffer += chunk;
+				let end;
+				while ((end = buffer.indexOf("\n\n")) !== -1) {
+					const block = buffer.slice(0, end);
+					buffer = buffer.slice(end + 2);
 
-				req.end();
+					const event = {};
+					block.split("\n").forEach((line) => {
+						const [field, ...rest] = line.split(": ");
+						if (["id", "event", "data"].includes(field)) {
+							event[field] = rest.join(": ");
+						}
+					});
+					if (event.event) {
+						event.data = JSON.parse(event.data);
+						events.push(event);
+						waiters.forEach((waiter) => waiter());
+					}
+				}
 			});
-		} catch (error) {
-			if (attempt === retries) {
-				throw error;
-			}
-			// Wait before retrying
-			await new Promise((resolve) => setTimeout(resolve, 300));
-		}
+			resolve(res);
+		});
+		req.on("error", reject);
+	});
+	req.end();
+
+	function waitFor(predicate, timeout = 5000) {
+		return new Promise((resolve, reject) => {
+			const check = () => {
+				const event = events.find(predicate);
+				if (event) {
+					clearTimeout(timer);
+					waiters.splice(waiters.indexOf(check), 1);
+					resolve(event);
+				}
+			};
+			const timer = setTimeout(() => {
+				waiters.splice(waiters.indexOf(check), 1);
+				reject(new Error("Timed out waiting for an event"));
+			}, timeout);
+			waiters.push(check);
+			check();
+		});
 	}
+
+	return { ready, events, waitFor, close: () => req.destroy() };
 }
 
 // Test function with delay to prevent overwhelming the server
@@ -93,19 +111,6 @@ async function test(description, testFn) {
 	}
 }
 
-// Assertion helpers
-function assert(condition, message) {
-	if (!condition) {
-		throw new Error(message || "Assertion failed");
-	}
-}
-
-function assertEqual(actual, expected, message) {
-	if (actual !== expected) {
-		throw new Error(message || `Expected ${expected}, but got ${actual}`);
-	}
-}
-
 // Run all tests
 async function runTests() {
 	console.log("\n🚀 Starting Todo API Tests...\n");
@@ -237,6 +242,100 @@ async function runTests() {
 		assert(Array.isArray(response.body), "Response should be an array");
 	});
 
+	await test("Should search todos with a query", async () => {
+		const term = `QueryTerm${Date.now()}`;
+		const created = [];
+		for (const todo of [
+			{ title: `${term} one`, priority: "high" },
+			{ title: `${term} two`, priority: "high", tags: ["skip"] },
+			{ title: `${term} three`, priority: "low" },
+		]) {
+			created.push((await makeRequest("POST", "/todos", todo)).body);
+		}
+
+		const search = async (query) => {
+			const response = await makeRequest(
+				"GET",
+				`/todos?search=${encodeURIComponent(query)}`,
+			);
+			assertEqual(response.statusCode, 200, `"${query}" should be valid`);
+			return response.body.map((todo) => todo.id).join(",");
+		};
+		assertEqual(
+			await search(`${term} priority:high -tag:skip`),
+			String(created[0].id),
+		);
+		assertEqual(
+			await search(`${term} ("three" OR tag:skip)`),
+			[created[2].id, created[1].id].join(","),
+			"Matching more of the text ranks first",
+		);
+
+		assertEqual(
+			(await search(term.slice(5))).split(",").length,
+			3,
+			"Text inside a word matches",
+		);
+		assertEqual(
+			await search(`${term} re:`),
+			String(created[2].id),
+			"re: is searched as text (in three)",
+		);
+
+		const invalid = await makeRequest(
+			"GET",
+			`/todos?search=${encodeURIComponent("milk priority:urgent")}`,
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown value is rejected");
+		assertEqual(invalid.body.errors[0].field, "search");
+		assertEqual(invalid.body.errors[0].position, 14, "Points at the value");
+	});
+
+	await test("Should rank fuzzy search matches and return their offsets", async () => {
+		const word = `zq${Date.now().toString(36)}`;
+		const prefix = await makeRequest("POST", "/todos", {
+			title: `Order ${word}xyz parts`,
+		});
+		const exact = await makeRequest("POST", "/todos", {
+			title: `Crème ${word} brûlée`,
+		});
+
+		const search = async (query) =>
+			(await makeRequest("GET", `/todos?search=${encodeURIComponent(query)}`))
+				.body;
+
+		const ranked = await search(word);
+		assertEqual(
+			ranked.map((todo) => todo.id).join(","),
+			[exact.body.id, prefix.body.id].join(","),
+			"Exact word ranks above prefix",
+		);
+		assertEqual(ranked[0].score, 1);
+		assertEqual(
+			JSON.stringify(ranked[0].matches),
+			JSON.stringify([{ start: 6, end: 6 + word.length }]),
+			"Offsets of the match",
+		);
+
+		// A typo and folded diacritics
+		const typo = word.slice(0, 2) + word[3] + word[2] + word.slice(4);
+		const fuzzy = await search(`${typo} creme`);
+		assertEqual(fuzzy.length, 1, "Only the todo matching both terms");
+		assertEqual(fuzzy[0].id, exact.body.id);
+
+		// The index follows title changes
+		await makeRequest(
+			"PATCH",
+			`/todos/${exact.body.id}`,
+			{ title: "Renamed" },
+			MERGE_PATCH,
+		);
+		assertEqual(
+			(await search(word)).map((todo) => todo.id).join(","),
+			String(prefix.body.id),
+		);
+	});
+
 	// Test 11: Priority validation
 	await test("Should create todo with priority", async () => {
 		const response = await makeRequest("POST", "/todos", {
@@ -306,6 +405,2117 @@ async function runTests() {
 		const response = await makeRequest("GET", "/health");
 		assertEqual(response.statusCode, 200, "Status code should be 200");
 		assertEqual(response.body.status, "ok", "Status should be ok");
+		assertEqual(
+			response.body.checks.dataDir.status,
+			"ok",
+			"Data directory is writable",
+		);
+	});
+
+	// Test 19: Create todo with due date and time
+	await test("Should create todo with due date and time", async () => {
+		const response = await makeRequest("POST", "/todos", {
+			title: "Task with a deadline",
+			dueDate: "2030-06-15",
+			dueTime: "09:30",
+		});
+		assertEqual(response.statusCode, 201, "Status code should be 201");
+		assertEqual(response.body.dueDate, "2030-06-15", "Due date should match");
+		assertEqual(response.body.dueTime, "09:30", "Due time should match");
+	});
+
+	// Test 20: Reject invalid due dates
+	await test("Should reject invalid due date", async () => {
+		const response = await makeRequest("POST", "/todos", {
+			title: "Task with invalid due date",
+			dueDate: "2030-02-30",
+		});
+		assertEqual(response.statusCode, 400, "Status code should be 400");
+
+		const timeOnly = await makeRequest("POST", "/todos", {
+			title: "Task with only a due time",
+			dueTime: "10:00",
+		});
+		assertEqual(timeOnly.statusCode, 400, "Due time alone should be rejected");
+	});
+
+	// Test 21: Filter overdue todos and report them in stats
+	await test("Should filter overdue todos and count them in stats", async () => {
+		const createResponse = await makeRequest("POST", "/todos", {
+			title: "Overdue task",
+			dueDate: "2020-01-01",
+		});
+		const todoId = createResponse.body.id;
+
+		const response = await makeRequest("GET", "/todos?filter=overdue");
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assert(
+			response.body.some((todo) => todo.id === todoId),
+			"Overdue todo should be listed",
+		);
+		assert(
+			response.body.every((todo) => !todo.completed),
+			"Completed todos are never overdue",
+		);
+
+		const stats = await makeRequest("GET", "/todos/stats");
+		assert(stats.body.overdue >= 1, "Stats should count overdue todos");
+		assert(
+			typeof stats.body.dueThisWeek === "number",
+			"Stats should have due this week count",
+		);
+	});
+
+	// Test 22: Filter todos by due date range
+	await test("Should filter todos by due date range", async () => {
+		await makeRequest("POST", "/todos", {
+			title: "Range task",
+			dueDate: "2031-03-10",
+		});
+
+		const response = await makeRequest(
+			"GET",
+			"/todos?dueAfter=2031-03-01&dueBefore=2031-03-31",
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assert(response.body.length >= 1, "Should find the todo in range");
+		assert(
+			response.body.every(
+				(todo) => todo.dueDate >= "2031-03-01" && todo.dueDate <= "2031-03-31",
+			),
+			"All todos should be due within the range",
+		);
+
+		const invalid = await makeRequest("GET", "/todos?dueBefore=tomorrow");
+		assertEqual(invalid.statusCode, 400, "Invalid bound should be rejected");
+	});
+
+	// Test 23: Clear a due date with null
+	await test("Should clear due date when updated to null", async () => {
+		const createResponse = await makeRequest("POST", "/todos", {
+			title: "Task to reschedule",
+			dueDate: "2030-01-01",
+			dueTime: "08:00",
+		});
+		const todoId = createResponse.body.id;
+
+		const response = await makeRequest(
+			"PATCH",
+			`/todos/${todoId}`,
+			{ dueDate: null },
+			MERGE_PATCH,
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(response.body.dueDate, null, "Due date should be cleared");
+		assertEqual(response.body.dueTime, null, "Due time should be cleared");
+	});
+
+	// Test 24: Register an account and use its token
+	const username = `tester_${Date.now()}`;
+	let authToken = null;
+	await test("Should register an account and authenticate with its token", async () => {
+		const response = await makeRequest("POST", "/auth/register", {
+			username,
+			password: "correct horse battery",
+		});
+		assertEqual(response.statusCode, 201, "Status code should be 201");
+		assert(response.body.token, "Response should have a token");
+		assert(response.body.user.userId, "Response should have a user ID");
+		authToken = response.body.token;
+
+		const me = await makeRequest("GET", "/auth/me", null, {
+			Authorization: `Bearer ${authToken}`,
+			"X-User-Id": null,
+		});
+		assertEqual(me.statusCode, 200, "Token should authenticate");
+		assertEqual(me.body.username, username, "Username should match");
+		assert(!me.body.passwordHash, "Password hash must never be returned");
+	});
+
+	// Test 25: Reject bad credentials
+	await test("Should reject wrong passwords and tampered tokens", async () => {
+		const response = await makeRequest("POST", "/auth/login", {
+			username,
+			password: "wrong password",
+		});
+		assertEqual(response.statusCode, 401, "Wrong password should be 401");
+
+		const tampered = await makeRequest("GET", "/todos", null, {
+			Authorization: `Bearer ${authToken}x`,
+		});
+		assertEqual(tampered.statusCode, 401, "Tampered token should be 401");
+	});
+
+	// Test 26: Claim anonymous data when registering
+	await test("Should claim an anonymous user ID on registration", async () => {
+		const anonymousId = `anon_${Date.now()}_claim`;
+		await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Made before signing up" },
+			{ "X-User-Id": anonymousId },
+		);
+
+		const register = await makeRequest(
+			"POST",
+			"/auth/register",
+			{
+				username: `claimer_${Date.now()}`,
+				password: "another password",
+				claimUserId: anonymousId,
+			},
+			{ "X-User-Id": anonymousId },
+		);
+		assertEqual(register.statusCode, 201, "Status code should be 201");
+		assertEqual(register.body.user.userId, anonymousId, "ID should be claimed");
+
+		const todos = await makeRequest("GET", "/todos", null, {
+			Authorization: `Bearer ${register.body.token}`,
+			"X-User-Id": null,
+		});
+		assertEqual(todos.body.length, 1, "Anonymous todos should be kept");
+
+		const anonymous = await makeRequest("GET", "/todos", null, {
+			"X-User-Id": anonymousId,
+		});
+		assertEqual(anonymous.statusCode, 401, "Claimed ID needs a token now");
+	});
+
+	await test("Should refuse to claim another user's ID", async () => {
+		const victimId = `anon_${Date.now()}_victim`;
+		await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Not yours" },
+			{ "X-User-Id": victimId },
+		);
+
+		const register = await makeRequest(
+			"POST",
+			"/auth/register",
+			{
+				username: `thief_${Date.now()}`,
+				password: "another password",
+				claimUserId: victimId,
+			},
+			{ "X-User-Id": `anon_${Date.now()}_thief` },
+		);
+		assertEqual(register.statusCode, 403, "The claim should be refused");
+
+		const todos = await makeRequest("GET", "/todos", null, {
+			"X-User-Id": victimId,
+		});
+		assertEqual(todos.statusCode, 200, "The victim keeps their ID");
+		assertEqual(todos.body.length, 1, "The victim keeps their todos");
+	});
+
+	// Test 27: Logout revokes the token
+	await test("Should revoke the token on logout", async () => {
+		const login = await makeRequest("POST", "/auth/login", {
+			username,
+			password: "correct horse battery",
+		});
+		assertEqual(login.statusCode, 200, "Login should succeed");
+		const headers = { Authorization: `Bearer ${login.body.token}` };
+
+		const logout = await makeRequest("POST", "/auth/logout", null, headers);
+		assertEqual(logout.statusCode, 200, "Logout should succeed");
+
+		const after = await makeRequest("GET", "/todos", null, headers);
+		assertEqual(after.statusCode, 401, "Revoked token should be rejected");
+	});
+
+	// Test 28: Sort todos server-side
+	const pagingHeaders = { "X-User-Id": `paging_${Date.now()}` };
+	await test("Should sort todos by priority and title", async () => {
+		for (const [title, priority] of [
+			["Banana", "low"],
+			["Apple", "high"],
+			["Cherry", "medium"],
+			["Date", "high"],
+			["Elderberry", "low"],
+		]) {
+			await makeRequest("POST", "/todos", { title, priority }, pagingHeaders);
+		}
+
+		const response = await makeRequest(
+			"GET",
+			"/todos?sort=priority,-title",
+			null,
+			pagingHeaders,
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(
+			response.body.map((todo) => todo.title).join(","),
+			"Date,Apple,Cherry,Elderberry,Banana",
+			"Todos should be sorted high→low, then by title descending",
+		);
+
+		const invalid = await makeRequest(
+			"GET",
+			"/todos?sort=color",
+			null,
+			pagingHeaders,
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown sort field should be 400");
+	});
+
+	// Test 29: Paginate with a cursor
+	await test("Should paginate todos with a cursor", async () => {
+		const titles = [];
+		let cursor = null;
+		let pages = 0;
+
+		do {
+			const query = `/todos?sort=title&limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+			const response = await makeRequest("GET", query, null, pagingHeaders);
+			assertEqual(response.statusCode, 200, "Status code should be 200");
+			assert(response.body.todos.length <= 2, "Page should respect limit");
+			titles.push(...response.body.todos.map((todo) => todo.title));
+			cursor = response.body.nextCursor;
+			pages++;
+		} while (cursor && pages < 10);
+
+		assertEqual(pages, 3, "Five todos should take three pages");
+		assertEqual(
+			titles.join(","),
+			"Apple,Banana,Cherry,Date,Elderberry",
+			"Pages should cover every todo exactly once",
+		);
+	});
+
+	// Test 30: Reject invalid pagination parameters
+	await test("Should reject invalid limit and mismatched cursor", async () => {
+		const badLimit = await makeRequest(
+			"GET",
+			"/todos?limit=0",
+			null,
+			pagingHeaders,
+		);
+		assertEqual(badLimit.statusCode, 400, "limit=0 should be 400");
+
+		const first = await makeRequest(
+			"GET",
+			"/todos?sort=title&limit=2",
+			null,
+			pagingHeaders,
+		);
+		const mismatched = await makeRequest(
+			"GET",
+			`/todos?sort=priority&limit=2&cursor=${first.body.nextCursor}`,
+			null,
+			pagingHeaders,
+		);
+		assertEqual(mismatched.statusCode, 400, "Cursor from other sort is 400");
+	});
+
+	// Test 31: Add checklist items and track progress
+	let checklistTodoId = null;
+	await test("Should add checklist items and report progress", async () => {
+		const createResponse = await makeRequest("POST", "/todos", {
+			title: "Plan the trip",
+			autoComplete: true,
+		});
+		checklistTodoId = createResponse.body.id;
+
+		const first = await makeRequest("POST", `/todos/${checklistTodoId}/items`, {
+			title: "Book flights",
+		});
+		assertEqual(first.statusCode, 201, "Status code should be 201");
+		assertEqual(
+			first.body.item.title,
+			"Book flights",
+			"Item title should match",
+		);
+
+		const second = await makeRequest(
+			"POST",
+			`/todos/${checklistTodoId}/items`,
+			{
+				title: "Pack bags",
+				position: 0,
+			},
+		);
+		assertEqual(
+			second.body.todo.progress.total,
+			2,
+			"Progress should count items",
+		);
+
+		const items = await makeRequest("GET", `/todos/${checklistTodoId}/items`);
+		assertEqual(items.statusCode, 200, "Status code should be 200");
+		assertEqual(
+			items.body[0].title,
+			"Pack bags",
+			"Position should be respected",
+		);
+	});
+
+	// Test 32: Auto-complete the parent when every item is done
+	await test("Should auto-complete the todo when all items are done", async () => {
+		const items = await makeRequest("GET", `/todos/${checklistTodoId}/items`);
+
+		let response = null;
+		for (const item of items.body) {
+			response = await makeRequest(
+				"PUT",
+				`/todos/${checklistTodoId}/items/${item.id}`,
+				{ completed: true },
+			);
+			assertEqual(response.statusCode, 200, "Status code should be 200");
+		}
+		assertEqual(response.body.todo.completed, true, "Todo should be completed");
+		assertEqual(response.body.todo.progress.completed, 2, "All items done");
+
+		const reopened = await makeRequest(
+			"PUT",
+			`/todos/${checklistTodoId}/items/${items.body[0].id}`,
+			{ completed: false },
+		);
+		assertEqual(reopened.body.todo.completed, false, "Todo should reopen");
+
+		const stats = await makeRequest("GET", "/todos/stats");
+		assert(stats.body.checklist.total >= 2, "Stats should count items");
+	});
+
+	// Test 33: Delete a checklist item
+	await test("Should delete a checklist item", async () => {
+		const items = await makeRequest("GET", `/todos/${checklistTodoId}/items`);
+		const itemId = items.body[0].id;
+
+		const response = await makeRequest(
+			"DELETE",
+			`/todos/${checklistTodoId}/items/${itemId}`,
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(response.body.todo.progress.total, 1, "One item should remain");
+
+		const missing = await makeRequest(
+			"DELETE",
+			`/todos/${checklistTodoId}/items/${itemId}`,
+		);
+		assertEqual(missing.statusCode, 404, "Deleted item should be 404");
+	});
+
+	// Test 34: Normalize and validate tags
+	const tagHeaders = { "X-User-Id": `tags_${Date.now()}` };
+	await test("Should normalize tags and reject invalid ones", async () => {
+		const response = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Plan trip", tags: [" Travel ", "Long Weekend", "travel"] },
+			tagHeaders,
+		);
+		assertEqual(response.statusCode, 201, "Status code should be 201");
+		assertEqual(
+			response.body.tags.join(","),
+			"travel,long-weekend",
+			"Tags should be trimmed, lowercased and deduplicated",
+		);
+
+		const invalid = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Bad tags", tags: ["ok", "no!"] },
+			tagHeaders,
+		);
+		assertEqual(invalid.statusCode, 400, "Invalid tag should be rejected");
+
+		const notList = await makeRequest(
+			"PATCH",
+			`/todos/${response.body.id}`,
+			{ tags: "travel" },
+			{ ...tagHeaders, ...MERGE_PATCH },
+		);
+		assertEqual(notList.statusCode, 400, "Tags must be a list");
+
+		const cleared = await makeRequest(
+			"PATCH",
+			`/todos/${response.body.id}`,
+			{ tags: ["Travel"] },
+			{ ...tagHeaders, ...MERGE_PATCH },
+		);
+		assertEqual(cleared.body.tags.join(","), "travel", "PATCH replaces tags");
+	});
+
+	// Test 35: Filter todos by tag
+	await test("Should filter todos by any or all tags", async () => {
+		await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Book hotel", tags: ["travel", "work"] },
+			tagHeaders,
+		);
+		await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Write report", tags: ["work"] },
+			tagHeaders,
+		);
+
+		const any = await makeRequest(
+			"GET",
+			"/todos?tag=travel,work",
+			null,
+			tagHeaders,
+		);
+		assertEqual(any.body.length, 3, "Any tag should match three todos");
+
+		const all = await makeRequest(
+			"GET",
+			"/todos?tag=travel&tag=WORK&tagMatch=all",
+			null,
+			tagHeaders,
+		);
+		assertEqual(all.body.length, 1, "All tags should match one todo");
+		assertEqual(all.body[0].title, "Book hotel", "Should match Book hotel");
+
+		const invalid = await makeRequest(
+			"GET",
+			"/todos?tag=work&tagMatch=some",
+			null,
+			tagHeaders,
+		);
+		assertEqual(invalid.statusCode, 400, "Invalid tagMatch should be 400");
+	});
+
+	// Test 36: List tags and per-tag statistics
+	await test("Should list tags with counts and include them in stats", async () => {
+		const tags = await makeRequest("GET", "/todos/tags", null, tagHeaders);
+		assertEqual(tags.statusCode, 200, "Status code should be 200");
+		assertEqual(
+			tags.body.map((entry) => `${entry.tag}:${entry.count}`).join(","),
+			"travel:2,work:2",
+			"Tags should be listed by count, then name",
+		);
+
+		const stats = await makeRequest("GET", "/todos/stats", null, tagHeaders);
+		assertEqual(stats.body.tagCounts.work.total, 2, "work should count 2");
+		assertEqual(stats.body.tagCounts.work.pending, 2, "Both are pending");
+		assertEqual(stats.body.untagged, 0, "No todo should be untagged");
+	});
+
+	// Test 37: Existing todos live in the default Inbox list
+	const listHeaders = { "X-User-Id": `lists_${Date.now()}` };
+	let workListId;
+	await test("Should put todos in a default Inbox list", async () => {
+		const todo = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Unsorted" },
+			listHeaders,
+		);
+		const lists = await makeRequest("GET", "/lists", null, listHeaders);
+		assertEqual(lists.statusCode, 200, "Status code should be 200");
+		assertEqual(lists.body.length, 1, "Only the Inbox should exist");
+		assertEqual(lists.body[0].name, "Inbox", "Default list is the Inbox");
+		assertEqual(todo.body.listId, lists.body[0].id, "Todo is in the Inbox");
+		assertEqual(lists.body[0].counts.total, 1, "Inbox should count the todo");
+
+		const deleteInbox = await makeRequest(
+			"DELETE",
+			`/lists/${lists.body[0].id}`,
+			null,
+			listHeaders,
+		);
+		assertEqual(deleteInbox.statusCode, 400, "Inbox can't be deleted");
+	});
+
+	// Test 38: Create lists and todos in them
+	await test("Should create lists and list their todos", async () => {
+		const created = await makeRequest(
+			"POST",
+			"/lists",
+			{ name: " Work " },
+			listHeaders,
+		);
+		assertEqual(created.statusCode, 201, "Status code should be 201");
+		assertEqual(created.body.name, "Work", "Name should be trimmed");
+		workListId = created.body.id;
+
+		const duplicate = await makeRequest(
+			"POST",
+			"/lists",
+			{ name: "work" },
+			listHeaders,
+		);
+		assertEqual(duplicate.statusCode, 409, "Duplicate names are rejected");
+
+		await makeRequest(
+			"POST",
+			`/lists/${workListId}/todos`,
+			{ title: "Report" },
+			listHeaders,
+		);
+		const todos = await makeRequest(
+			"GET",
+			`/lists/${workListId}/todos`,
+			null,
+			listHeaders,
+		);
+		assertEqual(todos.body.length, 1, "Only the list's todos are returned");
+		assertEqual(todos.body[0].title, "Report", "Should return Report");
+
+		const stats = await makeRequest(
+			"GET",
+			`/lists/${workListId}/stats`,
+			null,
+			listHeaders,
+		);
+		assertEqual(stats.body.total, 1, "List stats should count one todo");
+
+		const missing = await makeRequest(
+			"GET",
+			"/lists/999/todos",
+			null,
+			listHeaders,
+		);
+		assertEqual(missing.statusCode, 404, "Unknown list should be 404");
+	});
+
+	// Test 39: Move todos and archive lists
+	await test("Should move todos between lists and hide archived lists", async () => {
+		const all = await makeRequest("GET", "/todos", null, listHeaders);
+		const unsorted = all.body.find((todo) => todo.title === "Unsorted");
+
+		const moved = await makeRequest(
+			"PATCH",
+			`/todos/${unsorted.id}`,
+			{ listId: workListId },
+			{ ...listHeaders, ...MERGE_PATCH },
+		);
+		assertEqual(moved.body.listId, workListId, "Todo should be moved");
+
+		const archived = await makeRequest(
+			"PUT",
+			`/lists/${workListId}`,
+			{ archived: true },
+			listHeaders,
+		);
+		assertEqual(archived.body.archived, true, "List should be archived");
+
+		const visible = await makeRequest("GET", "/todos", null, listHeaders);
+		assertEqual(visible.body.length, 0, "Archived todos are hidden");
+		const stats = await makeRequest("GET", "/todos/stats", null, listHeaders);
+		assertEqual(stats.body.total, 0, "Overall stats skip archived lists");
+
+		const addToArchived = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Nope", listId: workListId },
+			listHeaders,
+		);
+		assertEqual(addToArchived.statusCode, 400, "Archived lists are closed");
+	});
+
+	// Test 40: Delete a list, moving its todos
+	await test("Should delete a list and move its todos", async () => {
+		await makeRequest(
+			"PUT",
+			`/lists/${workListId}`,
+			{ archived: false },
+			listHeaders,
+		);
+		const lists = await makeRequest("GET", "/lists", null, listHeaders);
+		const inbox = lists.body.find((list) => list.isDefault);
+
+		const response = await makeRequest(
+			"DELETE",
+			`/lists/${workListId}?moveTodosTo=${inbox.id}`,
+			null,
+			listHeaders,
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(response.body.movedTodos, 2, "Both todos should be moved");
+
+		const todos = await makeRequest("GET", "/todos", null, listHeaders);
+		assertEqual(todos.body.length, 2, "Todos should survive in the Inbox");
+		assert(
+			todos.body.every((todo) => todo.listId === inbox.id),
+			"Todos should be in the Inbox",
+		);
+	});
+
+	// Test 41: Apply several operations in one batch
+	const batchHeaders = { "X-User-Id": `batch_${Date.now()}` };
+	await test("Should apply batch operations in order", async () => {
+		const first = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Existing" },
+			batchHeaders,
+		);
+		const second = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Obsolete" },
+			batchHeaders,
+		);
+
+		const response = await makeRequest(
+			"POST",
+			"/todos/batch",
+			{
+				operations: [
+					{ op: "create", todo: { title: "New", priority: "high" } },
+					{ op: "update", id: first.body.id, changes: { completed: true } },
+					{ op: "delete", id: second.body.id },
+				],
+			},
+			batchHeaders,
+		);
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(response.body.results.length, 3, "Three results expected");
+		assertEqual(response.body.results[0].todo.title, "New", "Todo created");
+
+		const todos = await makeRequest("GET", "/todos", null, batchHeaders);
+		assertEqual(
+			todos.body.map((todo) => `${todo.title}:${todo.completed}`).join(","),
+			"Existing:true,New:false",
+			"All operations should be applied",
+		);
+	});
+
+	// Test 42: A failing operation rolls back the whole batch
+	await test("Should apply nothing when one batch operation fails", async () => {
+		const before = await makeRequest("GET", "/todos", null, batchHeaders);
+
+		const response = await makeRequest(
+			"POST",
+			"/todos/batch",
+			{
+				operations: [
+					{ op: "delete", id: before.body[0].id },
+					{ op: "update", id: before.body[1].id, changes: { priority: "x" } },
+				],
+			},
+			batchHeaders,
+		);
+		assertEqual(response.statusCode, 400, "Status code should be 400");
+		assertEqual(response.body.index, 1, "Failing operation is reported");
+
+		const after = await makeRequest("GET", "/todos", null, batchHeaders);
+		assertEqual(after.body.length, before.body.length, "Nothing deleted");
+	});
+
+	// Test 43: Complete all matching todos, then clear completed ones
+	await test("Should complete matching todos and clear completed ones", async () => {
+		await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Tagged", tags: ["bulk"] },
+			batchHeaders,
+		);
+
+		const completed = await makeRequest(
+			"POST",
+			"/todos/complete-all?tag=bulk",
+			null,
+			batchHeaders,
+		);
+		assertEqual(completed.statusCode, 200, "Status code should be 200");
+		assertEqual(completed.body.updated, 1, "Only the tagged todo matches");
+
+		const cleared = await makeRequest(
+			"POST",
+			"/todos/clear-completed",
+			null,
+			batchHeaders,
+		);
+		assertEqual(cleared.body.deleted, 2, "Both completed todos are trashed");
+
+		const todos = await makeRequest("GET", "/todos", null, batchHeaders);
+		assertEqual(todos.body.length, 1, "Only the pending todo remains");
+		assertEqual(todos.body[0].title, "New", "New should remain");
+	});
+
+	// Test 44: Deleted todos go to the trash and can be restored
+	const trashHeaders = { "X-User-Id": `trash_${Date.now()}` };
+	await test("Should move deleted todos to the trash and restore them", async () => {
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Regret" },
+			trashHeaders,
+		);
+		await makeRequest(
+			"DELETE",
+			`/todos/${created.body.id}`,
+			null,
+			trashHeaders,
+		);
+
+		const todos = await makeRequest("GET", "/todos", null, trashHeaders);
+		assertEqual(todos.body.length, 0, "Trashed todo should be hidden");
+
+		const trash = await makeRequest("GET", "/todos/trash", null, trashHeaders);
+		assertEqual(trash.statusCode, 200, "Status code should be 200");
+		assertEqual(trash.body.length, 1, "Trashed todo should be listed");
+		assert(trash.body[0].deletedAt, "Should have deletedAt");
+		assert(
+			trash.body[0].purgeAt > trash.body[0].deletedAt,
+			"Should have purgeAt",
+		);
+
+		const restored = await makeRequest(
+			"POST",
+			`/todos/${created.body.id}/restore`,
+			null,
+			trashHeaders,
+		);
+		assertEqual(restored.statusCode, 200, "Status code should be 200");
+		assertEqual(restored.body.deletedAt, null, "deletedAt should be cleared");
+
+		const again = await makeRequest(
+			"POST",
+			`/todos/${created.body.id}/restore`,
+			null,
+			trashHeaders,
+		);
+		assertEqual(again.statusCode, 404, "Todo is no longer in the trash");
+
+		const after = await makeRequest("GET", "/todos", null, trashHeaders);
+		assertEqual(after.body.length, 1, "Restored todo should be visible");
+	});
+
+	// Test 45: Restore in a batch and delete permanently
+	await test("Should restore in a batch and delete trashed todos permanently", async () => {
+		const todos = await makeRequest("GET", "/todos", null, trashHeaders);
+		const id = todos.body[0].id;
+		await makeRequest("DELETE", `/todos/${id}`, null, trashHeaders);
+
+		const batch = await makeRequest(
+			"POST",
+			"/todos/batch",
+			{ operations: [{ op: "restore", id }] },
+			trashHeaders,
+		);
+		assertEqual(batch.statusCode, 200, "Status code should be 200");
+
+		await makeRequest("DELETE", `/todos/${id}`, null, trashHeaders);
+		const removed = await makeRequest(
+			"DELETE",
+			`/todos/trash/${id}`,
+			null,
+			trashHeaders,
+		);
+		assertEqual(removed.statusCode, 200, "Status code should be 200");
+
+		await makeRequest("POST", "/todos", { title: "Second" }, trashHeaders);
+		const second = await makeRequest("GET", "/todos", null, trashHeaders);
+		await makeRequest(
+			"DELETE",
+			`/todos/${second.body[0].id}`,
+			null,
+			trashHeaders,
+		);
+		const emptied = await makeRequest(
+			"DELETE",
+			"/todos/trash",
+			null,
+			trashHeaders,
+		);
+		assertEqual(emptied.body.deleted, 1, "Trash should be emptied");
+
+		const trash = await makeRequest("GET", "/todos/trash", null, trashHeaders);
+		assertEqual(trash.body.length, 0, "Trash should be empty");
+	});
+
+	// Test 46: Completing a recurring todo adds its next occurrence
+	const recurringHeaders = { "X-User-Id": `recurring_${Date.now()}` };
+	await test("Should spawn the next occurrence of a recurring todo", async () => {
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{
+				title: "Pay rent",
+				dueDate: "2999-01-31",
+				recurrence: "FREQ=MONTHLY;BYMONTHDAY=31",
+			},
+			recurringHeaders,
+		);
+		assertEqual(created.statusCode, 201, "Status code should be 201");
+		assertEqual(created.body.recurrence.monthDay, 31, "Rule is normalized");
+
+		const completed = await makeRequest(
+			"PATCH",
+			`/todos/${created.body.id}`,
+			{ completed: true },
+			{ ...recurringHeaders, ...MERGE_PATCH },
+		);
+		assert(completed.body.nextOccurrenceId, "Next occurrence should be linked");
+
+		const next = await makeRequest(
+			"GET",
+			`/todos/${completed.body.nextOccurrenceId}`,
+			null,
+			recurringHeaders,
+		);
+		assertEqual(next.body.title, "Pay rent", "Title should be copied");
+		assertEqual(next.body.dueDate, "2999-02-28", "Due date should be clamped");
+		assertEqual(next.body.completed, false, "Next occurrence is pending");
+		assertEqual(next.body.occurrence, 2, "Occurrence number should increase");
+
+		// Completing the first one again must not add another occurrence
+		await makeRequest(
+			"PATCH",
+			`/todos/${created.body.id}`,
+			{ completed: false },
+			{ ...recurringHeaders, ...MERGE_PATCH },
+		);
+		await makeRequest(
+			"PATCH",
+			`/todos/${created.body.id}`,
+			{ completed: true },
+			{ ...recurringHeaders, ...MERGE_PATCH },
+		);
+
+		const history = await makeRequest(
+			"GET",
+			`/todos/${next.body.id}/occurrences`,
+			null,
+			recurringHeaders,
+		);
+		assertEqual(history.statusCode, 200, "Status code should be 200");
+		assertEqual(
+			history.body.map((todo) => todo.dueDate).join(),
+			"2999-01-31,2999-02-28",
+			"History should list both occurrences in order",
+		);
+	});
+
+	// Test 47: Preview upcoming occurrences and reject invalid rules
+	await test("Should preview upcoming occurrences and validate rules", async () => {
+		const todos = await makeRequest(
+			"GET",
+			"/todos?filter=pending&upcoming=2",
+			null,
+			recurringHeaders,
+		);
+		assertEqual(todos.statusCode, 200, "Status code should be 200");
+		assertEqual(
+			todos.body[0].upcoming.join(),
+			"2999-03-31,2999-04-30",
+			"Upcoming dates should follow the rule",
+		);
+
+		const tooMany = await makeRequest(
+			"GET",
+			"/todos?upcoming=50",
+			null,
+			recurringHeaders,
+		);
+		assertEqual(tooMany.statusCode, 400, "upcoming should be capped");
+
+		const invalid = await makeRequest(
+			"PATCH",
+			`/todos/${todos.body[0].id}`,
+			{ recurrence: { frequency: "hourly" } },
+			{ ...recurringHeaders, ...MERGE_PATCH },
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown frequency is rejected");
+
+		const stopped = await makeRequest(
+			"PATCH",
+			`/todos/${todos.body[0].id}`,
+			{ recurrence: null, completed: true },
+			{ ...recurringHeaders, ...MERGE_PATCH },
+		);
+		assertEqual(stopped.body.recurrence, null, "Recurrence should be cleared");
+		assert(!stopped.body.nextOccurrenceId, "No new occurrence once stopped");
+	});
+
+	// Test 48: Changes are pushed to open event streams
+	const liveHeaders = { "X-User-Id": `live_${Date.now()}` };
+	await test("Should stream created, updated and deleted events", async () => {
+		const stream = openEventStream("/todos/events", liveHeaders);
+		try {
+			const response = await stream.ready;
+			assertEqual(response.statusCode, 200, "Status code should be 200");
+			assert(
+				response.headers["content-type"].startsWith("text/event-stream"),
+				"Should be an event stream",
+			);
+
+			const created = await makeRequest(
+				"POST",
+				"/todos",
+				{ title: "Live" },
+				liveHeaders,
+			);
+			const createdEvent = await stream.waitFor(
+				(event) => event.event === "created",
+			);
+			assertEqual(createdEvent.data.id, created.body.id, "Created event");
+
+			await makeRequest(
+				"PATCH",
+				`/todos/${created.body.id}`,
+				{ completed: true },
+				{ ...liveHeaders, ...MERGE_PATCH },
+			);
+			const updatedEvent = await stream.waitFor(
+				(event) => event.event === "updated",
+			);
+			assertEqual(updatedEvent.data.completed, true, "Updated event");
+
+			const statsEvent = await stream.waitFor(
+				(event) => event.event === "stats" && event.data.completed === 1,
+			);
+			assertEqual(statsEvent.data.total, 1, "Stats event after a change");
+
+			await makeRequest(
+				"DELETE",
+				`/todos/${created.body.id}`,
+				null,
+				liveHeaders,
+			);
+			const deletedEvent = await stream.waitFor(
+				(event) => event.event === "deleted",
+			);
+			assertEqual(deletedEvent.data.id, created.body.id, "Deleted event");
+		} finally {
+			stream.close();
+		}
+	});
+
+	// Test 49: Reconnecting with Last-Event-ID replays missed events
+	await test("Should replay missed events after Last-Event-ID", async () => {
+		const first = openEventStream("/todos/events", liveHeaders);
+		let lastEventId;
+		try {
+			await first.ready;
+			await makeRequest("POST", "/todos", { title: "Seen" }, liveHeaders);
+			const seen = await first.waitFor((event) => event.event === "lists");
+			lastEventId = seen.id;
+		} finally {
+			first.close();
+		}
+
+		// Changed while disconnected
+		await makeRequest("POST", "/todos", { title: "Missed" }, liveHeaders);
+
+		const resumed = openEventStream("/todos/events", {
+			...liveHeaders,
+			"Last-Event-ID": lastEventId,
+		});
+		try {
+			const missed = await resumed.waitFor(
+				(event) => event.event === "created",
+			);
+			assertEqual(missed.data.title, "Missed", "Missed event is replayed");
+		} finally {
+			resumed.close();
+		}
+
+		const stale = openEventStream("/todos/events", {
+			...liveHeaders,
+			"Last-Event-ID": "unknown-1",
+		});
+		try {
+			await stale.waitFor((event) => event.event === "reset");
+		} finally {
+			stale.close();
+		}
+	});
+
+	// Test 50: Export todos as json, csv, Markdown and iCalendar
+	const exportHeaders = { "X-User-Id": `export_${Date.now()}` };
+	await test("Should export todos in every format", async () => {
+		const list = await makeRequest(
+			"POST",
+			"/lists",
+			{ name: "Errands" },
+			exportHeaders,
+		);
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{
+				title: "Buy milk, eggs",
+				priority: "high",
+				dueDate: "2999-05-01",
+				dueTime: "09:30",
+				tags: ["groceries"],
+				listId: list.body.id,
+			},
+			exportHeaders,
+		);
+		await makeRequest(
+			"POST",
+			`/todos/${created.body.id}/items`,
+			{ title: "Milk", completed: true },
+			exportHeaders,
+		);
+
+		const json = await makeRequest(
+			"GET",
+			"/todos/export?format=json",
+			null,
+			exportHeaders,
+		);
+		assertEqual(json.statusCode, 200, "Status code should be 200");
+		const [record] = json.body.todos;
+		assertEqual(record.list, "Errands", "Records name their list");
+		assertEqual(record.items[0].title, "Milk", "Checklist is included");
+
+		const csv = await makeRequest(
+			"GET",
+			"/todos/export?format=csv",
+			null,
+			exportHeaders,
+		);
+		assert(
+			csv.body.startsWith("title,completed,priority,dueDate"),
+			"CSV should start with a header row",
+		);
+		assert(
+			csv.body.includes('"Buy milk, eggs",false,high,2999-05-01,09:30'),
+			"Cells with commas should be quoted",
+		);
+
+		const markdown = await makeRequest(
+			"GET",
+			`/lists/${list.body.id}/todos/export?format=md`,
+			null,
+			exportHeaders,
+		);
+		assert(
+			markdown.body.includes(
+				"- [ ] Buy milk, eggs (priority: high, due: 2999-05-01 09:30) #groceries\n  - [x] Milk",
+			),
+			"Markdown should list the todo and its checklist",
+		);
+
+		const ics = await makeRequest(
+			"GET",
+			"/todos/export?format=ics&filter=completed",
+			null,
+			exportHeaders,
+		);
+		assert(ics.body.startsWith("BEGIN:VCALENDAR"), "Should be a calendar");
+		assert(!ics.body.includes("BEGIN:VTODO"), "Filters should apply");
+
+		const invalid = await makeRequest(
+			"GET",
+			"/todos/export?format=pdf",
+			null,
+			exportHeaders,
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown formats are rejected");
+	});
+
+	// Test 51: Import a CSV with a field mapping, as a dry run first
+	const importHeaders = { "X-User-Id": `import_${Date.now()}` };
+	await test("Should preview and import a mapped CSV file", async () => {
+		const request = {
+			format: "csv",
+			data: "Task;Due;Done;List\nCall plumber;2999-02-01;no;Home\nFile taxes;;yes;\n;2999-01-01;no;\n",
+			mapping: { title: "Task", dueDate: "Due", completed: "Done" },
+		};
+
+		const preview = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ ...request, dryRun: true },
+			importHeaders,
+		);
+		assertEqual(preview.statusCode, 200, "Status code should be 200");
+		assertEqual(preview.body.summary.created, 2, "Two todos would be added");
+		assertEqual(preview.body.summary.failed, 1, "The row without title fails");
+		assertEqual(preview.body.listsCreated.join(), "Home", "List is created");
+		assertEqual(
+			preview.body.results[2].error,
+			"Title is required and must be a string",
+		);
+
+		const before = await makeRequest("GET", "/todos", null, importHeaders);
+		assertEqual(before.body.length, 0, "A dry run saves nothing");
+
+		const imported = await makeRequest(
+			"POST",
+			"/todos/import",
+			request,
+			importHeaders,
+		);
+		assertEqual(imported.body.summary.created, 2, "Two todos are added");
+
+		const lists = await makeRequest("GET", "/lists", null, importHeaders);
+		const home = lists.body.find((list) => list.name === "Home");
+		assertEqual(home.counts.total, 1, "Todo goes into the named list");
+
+		const taxes = imported.body.results[1];
+		const saved = await makeRequest(
+			"GET",
+			`/todos/${taxes.id}`,
+			null,
+			importHeaders,
+		);
+		assertEqual(saved.body.completed, true, "Done column is mapped");
+		assertEqual(taxes.list, "Inbox", "Todos without a list go to the Inbox");
+	});
+
+	// Test 52: Duplicates are skipped or updated
+	await test("Should detect duplicates when importing again", async () => {
+		const data =
+			"title,dueDate,priority,list\nCall plumber,2999-02-01,high,home\n";
+
+		const skipped = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "csv", data },
+			importHeaders,
+		);
+		assertEqual(skipped.body.summary.skipped, 1, "Duplicate is skipped");
+
+		const updated = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "csv", data, duplicates: "update" },
+			importHeaders,
+		);
+		assertEqual(updated.body.summary.updated, 1, "Duplicate is updated");
+		const todo = await makeRequest(
+			"GET",
+			`/todos/${updated.body.results[0].id}`,
+			null,
+			importHeaders,
+		);
+		assertEqual(todo.body.priority, "high", "Imported fields are applied");
+
+		const invalid = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "csv", data, duplicates: "merge" },
+			importHeaders,
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown duplicate modes fail");
+	});
+
+	// Test 53: Round trip through the json and iCalendar exports
+	await test("Should import its own json and ics exports", async () => {
+		const exported = await makeRequest(
+			"GET",
+			"/todos/export?format=json",
+			null,
+			exportHeaders,
+		);
+		const target = { "X-User-Id": `roundtrip_${Date.now()}` };
+
+		const fromJson = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "json", data: JSON.stringify(exported.body) },
+			target,
+		);
+		assertEqual(fromJson.body.summary.created, 1, "Todo is imported");
+		const [todo] = (await makeRequest("GET", "/todos", null, target)).body;
+		assertEqual(todo.title, "Buy milk, eggs", "Title is kept");
+		assertEqual(todo.dueTime, "09:30", "Due time is kept");
+		assertEqual(todo.progress.completed, 1, "Checklist is kept");
+
+		const ics = await makeRequest(
+			"GET",
+			"/todos/export?format=ics",
+			null,
+			exportHeaders,
+		);
+		const fromIcs = await makeRequest(
+			"POST",
+			"/lists/1/todos/import",
+			{ format: "ics", data: ics.body, duplicates: "create" },
+			target,
+		);
+		assertEqual(fromIcs.body.summary.created, 1, "VTODO is imported");
+		assertEqual(fromIcs.body.results[0].list, "Inbox", "Route list is used");
+
+		const notCalendar = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "ics", data: "hello" },
+			target,
+		);
+		assertEqual(notCalendar.statusCode, 400, "Invalid files are rejected");
+	});
+
+	await test("Should import todo.txt and return it with Accept: text/plain", async () => {
+		const headers = { "X-User-Id": `todotxt_${Date.now()}` };
+		const file = [
+			"(A) 2024-03-01 Call Mom +Family @phone due:2030-01-05 id:42",
+			"x 2024-03-03 2024-03-02 Pay rent pri:C rec:1m due:2030-02-01",
+			"Water plants @Home",
+		].join("\n");
+
+		const imported = await makeRequest(
+			"POST",
+			"/todos/import",
+			{ format: "txt", data: file },
+			headers,
+		);
+		assertEqual(imported.body.summary.created, 3, "Every line is imported");
+		assertEqual(
+			imported.body.listsCreated.join(),
+			"Family",
+			"+Project is a list",
+		);
+
+		const todos = (await makeRequest("GET", "/todos", null, headers)).body;
+		assertEqual(todos[0].priority, "high", "(A) is high priority");
+		assertEqual(todos[0].tags.join(), "phone", "@context is a tag");
+		assertEqual(
+			todos[0].createdAt,
+			"2024-03-01T00:00:00.000Z",
+			"Creation date is kept",
+		);
+		assertEqual(todos[1].completed, true, "x is completed");
+		assertEqual(
+			todos[1].completedAt,
+			"2024-03-03T00:00:00.000Z",
+			"Completion date is kept",
+		);
+		assertEqual(todos[1].priority, "low", "pri:C is low priority");
+		assertEqual(
+			todos[1].recurrence.frequency,
+			"monthly",
+			"rec:1m repeats monthly",
+		);
+
+		const text = await makeRequest("GET", "/todos", null, {
+			...headers,
+			Accept: "text/plain",
+		});
+		assertEqual(text.statusCode, 200, "Status should be 200");
+		const lines = text.body.trim().split("\n");
+		assertEqual(
+			lines[0],
+			"(A) 2024-03-01 Call Mom +Family @phone due:2030-01-05 id:42",
+			"Unknown tokens survive the round trip",
+		);
+		assertEqual(
+			lines[1],
+			"x 2024-03-03 2024-03-02 Pay rent pri:C rec:1m due:2030-02-01",
+			"Completed todo keeps its dates, priority and short recurrence",
+		);
+		assert(
+			lines[2].endsWith(" Water plants @Home"),
+			"Invalid tags are kept as text",
+		);
+	});
+
+	await test("Should record the history of a todo", async () => {
+		const headers = {
+			"X-User-Id": `history_${Date.now()}`,
+			"X-Client": "tests",
+		};
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Draft report", priority: "low" },
+			headers,
+		);
+		const id = created.body.id;
+		await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			{ title: "Final report", priority: "high" },
+			{ ...headers, ...MERGE_PATCH },
+		);
+		await makeRequest("DELETE", `/todos/${id}`, null, headers);
+		await makeRequest("POST", `/todos/${id}/restore`, null, headers);
+
+		const history = await makeRequest(
+			"GET",
+			`/todos/${id}/history`,
+			null,
+			headers,
+		);
+		assertEqual(history.statusCode, 200, "Status should be 200");
+		assertEqual(
+			history.body.map((entry) => entry.action).join(),
+			"restored,deleted,updated,created",
+			"Every change is recorded, newest first",
+		);
+		const update = history.body[2];
+		assertEqual(update.changes.title.from, "Draft report", "Old title is kept");
+		assertEqual(update.changes.title.to, "Final report", "New title");
+		assertEqual(update.changes.priority.from, "low", "Old priority is kept");
+		assertEqual(update.source.method, "PATCH", "Source method");
+		assertEqual(update.source.path, `/todos/${id}`, "Source path");
+		assertEqual(update.source.client, "tests", "Source client");
+		assert(!isNaN(Date.parse(update.at)), "Entries have a timestamp");
+
+		await makeRequest("DELETE", `/todos/${id}`, null, headers);
+		await makeRequest("DELETE", `/todos/trash/${id}`, null, headers);
+		const purged = await makeRequest(
+			"GET",
+			`/todos/${id}/history`,
+			null,
+			headers,
+		);
+		assertEqual(purged.body[0].action, "purged", "History outlives the todo");
+
+		const missing = await makeRequest(
+			"GET",
+			"/todos/99999/history",
+			null,
+			headers,
+		);
+		assertEqual(missing.statusCode, 404, "Unknown todos are not found");
+	});
+
+	await test("Should page through the activity feed", async () => {
+		const headers = { "X-User-Id": `activity_${Date.now()}` };
+		for (const title of ["One", "Two", "Three"]) {
+			await makeRequest("POST", "/todos", { title }, headers);
+		}
+		await makeRequest("POST", "/lists", { name: "Errands" }, headers);
+
+		const first = await makeRequest("GET", "/activity?limit=2", null, headers);
+		assertEqual(first.statusCode, 200, "Status should be 200");
+		assertEqual(first.body.entries[0].name, "Errands", "Lists are recorded");
+		assertEqual(first.body.entries[1].title, "Three", "Newest first");
+		assertEqual(first.body.entries[1].source.client, "api", "Default client");
+
+		const second = await makeRequest(
+			"GET",
+			`/activity?limit=2&cursor=${first.body.nextCursor}`,
+			null,
+			headers,
+		);
+		assertEqual(
+			second.body.entries.map((entry) => entry.title).join(),
+			"Two,One",
+			"Second page continues after the first",
+		);
+		assertEqual(second.body.nextCursor, null, "Last page has no cursor");
+
+		const created = await makeRequest(
+			"GET",
+			"/activity?action=created&limit=10",
+			null,
+			headers,
+		);
+		assertEqual(created.body.entries.length, 4, "Filtered by action");
+		const invalid = await makeRequest(
+			"GET",
+			"/activity?action=x",
+			null,
+			headers,
+		);
+		assertEqual(invalid.statusCode, 400, "Unknown actions are rejected");
+	});
+
+	await test("Should version todos and reject stale changes", async () => {
+		const headers = { "X-User-Id": `versions_${Date.now()}` };
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Versioned" },
+			headers,
+		);
+		const id = created.body.id;
+		assertEqual(created.body.version, 1, "New todos start at version 1");
+
+		const read = await makeRequest("GET", `/todos/${id}`, null, headers);
+		assertEqual(read.headers.etag, '"1"', "ETag is the version");
+		const notModified = await makeRequest("GET", `/todos/${id}`, null, {
+			...headers,
+			"If-None-Match": '"1"',
+		});
+		assertEqual(notModified.statusCode, 304, "Unchanged todo is not sent");
+
+		const updated = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Versioned twice" },
+			{ ...headers, "If-Match": '"1"' },
+		);
+		assertEqual(updated.statusCode, 200, "Matching If-Match is accepted");
+		assertEqual(updated.body.version, 2, "Each change bumps the version");
+		assertEqual(updated.headers.etag, '"2"', "New ETag is returned");
+
+		const unchanged = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Versioned twice" },
+			headers,
+		);
+		assertEqual(unchanged.body.version, 2, "No-op updates keep the version");
+
+		const stale = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Lost edit" },
+			{ ...headers, "If-Match": '"1"' },
+		);
+		assertEqual(stale.statusCode, 412, "Stale If-Match is rejected");
+		assertEqual(stale.body.todo.title, "Versioned twice", "Current todo sent");
+
+		const staleBody = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Lost edit", version: 1 },
+			headers,
+		);
+		assertEqual(staleBody.statusCode, 409, "Stale body version is rejected");
+
+		const staleBatch = await makeRequest(
+			"POST",
+			"/todos/batch",
+			{ operations: [{ op: "delete", id, version: 1 }] },
+			headers,
+		);
+		assertEqual(staleBatch.statusCode, 409, "Stale batch version is rejected");
+
+		const staleDelete = await makeRequest("DELETE", `/todos/${id}`, null, {
+			...headers,
+			"If-Match": '"1"',
+		});
+		assertEqual(staleDelete.statusCode, 412, "Stale delete is rejected");
+		const deleted = await makeRequest("DELETE", `/todos/${id}`, null, {
+			...headers,
+			"If-Match": '"2"',
+		});
+		assertEqual(deleted.statusCode, 200, "Current delete is accepted");
+		assertEqual(deleted.body.todo.version, 3, "Deleting bumps the version");
+
+		const list = await makeRequest("GET", "/todos", null, headers);
+		const cached = await makeRequest("GET", "/todos", null, {
+			...headers,
+			"If-None-Match": list.headers.etag,
+		});
+		assertEqual(cached.statusCode, 304, "Unchanged collection is not sent");
+	});
+
+	await test("Should replace a todo with PUT", async () => {
+		const headers = { "X-User-Id": `replace_${Date.now()}` };
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{
+				title: "Plan trip",
+				priority: "high",
+				dueDate: "2030-05-01",
+				tags: ["travel"],
+			},
+			headers,
+		);
+		const id = created.body.id;
+
+		const replaced = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Plan the trip" },
+			headers,
+		);
+		assertEqual(replaced.statusCode, 200, "Replacement is accepted");
+		assertEqual(replaced.body.priority, "medium", "Left out fields are reset");
+		assertEqual(replaced.body.dueDate, null, "Due date is cleared");
+		assertEqual(replaced.body.tags.length, 0, "Tags are cleared");
+
+		const roundTrip = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			replaced.body,
+			headers,
+		);
+		assertEqual(roundTrip.statusCode, 200, "A todo can be sent back as read");
+		assertEqual(
+			roundTrip.body.version,
+			replaced.body.version,
+			"Nothing changed",
+		);
+
+		const missingTitle = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ priority: "low" },
+			headers,
+		);
+		assertEqual(missingTitle.statusCode, 400, "Title is required");
+		const unknown = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Plan", colour: "red" },
+			headers,
+		);
+		assertEqual(unknown.body.error, "Unknown field: colour", "Unknown fields");
+		const readOnly = await makeRequest(
+			"PUT",
+			`/todos/${id}`,
+			{ title: "Plan", createdAt: "2020-01-01T00:00:00.000Z" },
+			headers,
+		);
+		assertEqual(readOnly.statusCode, 400, "Read-only fields can't change");
+	});
+
+	await test("Should patch a todo with merge and JSON patches", async () => {
+		const headers = { "X-User-Id": `patch_${Date.now()}` };
+		const created = await makeRequest(
+			"POST",
+			"/todos",
+			{
+				title: "Book flights",
+				dueDate: "2030-05-01",
+				dueTime: "09:00",
+				tags: ["travel"],
+			},
+			headers,
+		);
+		const id = created.body.id;
+
+		const merged = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			{ priority: "high", dueDate: null },
+			{ ...headers, ...MERGE_PATCH },
+		);
+		assertEqual(merged.statusCode, 200, "Merge patch is applied");
+		assertEqual(merged.body.priority, "high", "Field is changed");
+		assertEqual(merged.body.dueDate, null, "null clears a field");
+		assertEqual(merged.body.dueTime, null, "Its time goes with it");
+		assertEqual(merged.body.title, "Book flights", "Other fields are kept");
+
+		const patched = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			[
+				{ op: "test", path: "/version", value: merged.body.version },
+				{ op: "add", path: "/tags/-", value: "work" },
+				{ op: "replace", path: "/completed", value: true },
+			],
+			{ ...headers, ...JSON_PATCH },
+		);
+		assertEqual(patched.statusCode, 200, "JSON Patch is applied");
+		assertEqual(patched.body.tags.join(","), "travel,work", "Tag is added");
+		assertEqual(patched.body.completed, true, "Field is replaced");
+
+		const failedTest = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			[
+				{ op: "replace", path: "/title", value: "Book trains" },
+				{ op: "test", path: "/priority", value: "low" },
+			],
+			{ ...headers, ...JSON_PATCH },
+		);
+		assertEqual(failedTest.statusCode, 409, "Failed test is a conflict");
+		assertEqual(failedTest.body.index, 1, "Failed operation is named");
+		assert(
+			failedTest.body.error.startsWith("Operation 1 (test /priority)"),
+			"Error names the operation",
+		);
+
+		const invalid = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			[
+				{ op: "replace", path: "/priority", value: "urgent" },
+				{ op: "remove", path: "/tags/0" },
+			],
+			{ ...headers, ...JSON_PATCH },
+		);
+		assertEqual(
+			invalid.body.error,
+			"Operation 0 (replace /priority): Priority must be one of: low, medium, high",
+			"Invalid result blames the operation",
+		);
+		const missing = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			[{ op: "remove", path: "/notes" }],
+			{ ...headers, ...JSON_PATCH },
+		);
+		assertEqual(missing.statusCode, 400, "Missing paths are rejected");
+
+		const unchanged = await makeRequest("GET", `/todos/${id}`, null, headers);
+		assertEqual(
+			unchanged.body.title,
+			"Book flights",
+			"Failed patches change nothing",
+		);
+
+		const plainJson = await makeRequest(
+			"PATCH",
+			`/todos/${id}`,
+			{ title: "x" },
+			headers,
+		);
+		assertEqual(plainJson.statusCode, 415, "Other content types are rejected");
+	});
+
+	await test("Should list every invalid field in errors", async () => {
+		const headers = { "X-User-Id": `errors_${Date.now()}` };
+
+		const invalid = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "", priority: "urgent", tags: ["ok", "no way!"] },
+			headers,
+		);
+		assertEqual(invalid.statusCode, 400, "Invalid todo is rejected");
+		assertEqual(
+			invalid.body.errors.map((error) => error.field).join(","),
+			"title,priority,tags[1]",
+			"Every invalid field is listed",
+		);
+		assertEqual(invalid.body.errors[1].code, "enum", "Errors have a code");
+		assertEqual(
+			invalid.body.error,
+			invalid.body.errors[0].message,
+			"error is the first message",
+		);
+
+		const batch = await makeRequest(
+			"POST",
+			"/todos/batch",
+			{
+				operations: [
+					{ op: "create", todo: { title: "Ok" } },
+					{ op: "create", todo: { title: "Late", dueTime: "10:00" } },
+				],
+			},
+			headers,
+		);
+		assertEqual(batch.body.index, 1, "Failed operation is named");
+		assertEqual(
+			batch.body.errors[0].field,
+			"operations[1].todo.dueTime",
+			"Fields are relative to the body",
+		);
+
+		const query = await makeRequest(
+			"GET",
+			"/todos?limit=500&filter=later",
+			null,
+			headers,
+		);
+		assertEqual(
+			query.body.errors.map((error) => error.field).join(","),
+			"filter,limit",
+			"Query parameters are checked too",
+		);
+
+		const list = await makeRequest("POST", "/lists", { name: 5 }, headers);
+		assertEqual(list.body.errors[0].field, "name", "Same format for lists");
+	});
+
+	await test("Should reject malformed IDs in the path", async () => {
+		const headers = { "X-User-Id": `paths_${Date.now()}` };
+		const todo = await makeRequest("POST", "/todos", { title: "0" }, headers);
+		assertEqual(todo.body.id, 0, "First todo of a new user");
+
+		const cases = [
+			["GET", "/todos/0abc", "id"],
+			["POST", "/todos/1.5/restore", "id"],
+			["DELETE", "/todos/0/items/first", "itemId"],
+			["GET", "/lists/inbox", "listId"],
+			["GET", "/shared/bob/todos/0", "ownerId"],
+		];
+		for (const [method, path, field] of cases) {
+			const response = await makeRequest(method, path, null, headers);
+			assertEqual(response.statusCode, 400, `${method} ${path} is invalid`);
+			assertEqual(response.body.errors[0].field, field, `${path}: ${field}`);
+		}
+
+		const header = await makeRequest("GET", "/todos", null, {
+			"X-User-Id": "bad",
+		});
+		assertEqual(header.body.errors[0].field, "X-User-Id", "Headers too");
+	});
+
+	await test("Should report rate limits and the todo quota", async () => {
+		const headers = { "X-User-Id": `quota_${Date.now()}` };
+		await makeRequest("POST", "/todos", { title: "One" }, headers);
+		await makeRequest("POST", "/todos", { title: "Two" }, headers);
+
+		const stats = await makeRequest("GET", "/todos/stats", null, headers);
+		const { quota } = stats.body;
+		assertEqual(quota.used, 2, "Stored todos are counted");
+		assertEqual(quota.remaining, quota.maxTodos - 2, "Remaining quota");
+
+		const limit = Number(stats.headers["ratelimit-limit"]);
+		assert(limit > 0, "Rate limit is reported");
+		assertEqual(
+			Number(stats.headers["ratelimit-remaining"]),
+			limit - 3,
+			"Every request of the user counts",
+		);
+
+		const tooLarge = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "x".repeat(3 * 1024 * 1024) },
+			headers,
+		);
+		assertEqual(tooLarge.statusCode, 413, "Oversized bodies are rejected");
+	});
+
+	await test("Should serve the API as an OpenAPI document", async () => {
+		const response = await makeRequest("GET", "/openapi.json");
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assert(response.body.openapi.startsWith("3."), "OpenAPI 3 document");
+
+		const { paths, components } = response.body;
+		const create = paths["/todos"].post;
+		assertEqual(
+			create.requestBody.content["application/json"].schema.$ref,
+			"#/components/schemas/Todo",
+			"Bodies reference the shared schemas",
+		);
+		assert(create.responses[400], "Validation errors are documented");
+		assert(paths["/lists/{listId}/todos"].get, "List routes are included");
+		assertEqual(
+			components.schemas.Todo.properties.tags.maxItems,
+			10,
+			"Schemas carry the validation rules",
+		);
+
+		const explorer = await makeRequest("GET", "/api.html");
+		assertEqual(explorer.statusCode, 200, "The explorer page is served");
+	});
+
+	await test("Should tag requests with IDs and expose metrics", async () => {
+		const headers = { "X-User-Id": `metrics_${Date.now()}` };
+		const given = await makeRequest("GET", "/todos", null, {
+			...headers,
+			"X-Request-Id": "test-request-1",
+		});
+		assertEqual(
+			given.headers["x-request-id"],
+			"test-request-1",
+			"A request ID sent by the client is echoed",
+		);
+		const generated = await makeRequest("GET", "/todos", null, headers);
+		assert(
+			/^[0-9a-f-]{36}$/.test(generated.headers["x-request-id"]),
+			"Other requests get a new ID",
+		);
+		await makeRequest("POST", "/todos", { title: "Counted" }, headers);
+
+		const response = await makeRequest("GET", "/metrics");
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assert(
+			response.headers["content-type"].startsWith("text/plain"),
+			"Prometheus text format",
+		);
+		const text = response.body;
+		assert(
+			/http_requests_total\{method="GET",route="\/todos",status="200"\} \d+/.test(
+				text,
+			),
+			"Requests are counted by route",
+		);
+		assert(
+			text.includes(
+				'http_request_duration_seconds_bucket{method="GET",route="/todos",le="+Inf"}',
+			),
+			"Request latencies",
+		);
+		assert(
+			text.includes("storage_save_duration_seconds_count"),
+			"Save latencies",
+		);
+		assert(
+			/user_data_cache_lookups_total\{result="hit"\} \d+/.test(text),
+			"Cache lookups",
+		);
+		assert(/user_data_cache_hit_ratio [\d.]+/.test(text), "Cache hit ratio");
+	});
+
+	await test("Should share a list with viewers and editors", async () => {
+		const ownerId = `owner_${Date.now()}`;
+		const granteeId = `grantee_${Date.now()}`;
+		const owner = { "X-User-Id": ownerId };
+		const grantee = { "X-User-Id": granteeId };
+
+		const list = await makeRequest("POST", "/lists", { name: "Team" }, owner);
+		const listId = list.body.id;
+		const shared = await makeRequest(
+			"POST",
+			`/lists/${listId}/todos`,
+			{ title: "Shared" },
+			owner,
+		);
+		const secret = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Private" },
+			owner,
+		);
+		await makeRequest("POST", "/todos", { title: "Mine" }, grantee);
+
+		const granted = await makeRequest(
+			"PUT",
+			`/lists/${listId}/shares/${granteeId}`,
+			{ role: "viewer" },
+			owner,
+		);
+		assertEqual(granted.statusCode, 201, "Access is granted");
+		const shares = await makeRequest(
+			"GET",
+			`/lists/${listId}/shares`,
+			null,
+			owner,
+		);
+		assertEqual(shares.body.length, 1, "The owner sees who has access");
+		assertEqual(shares.body[0].role, "viewer");
+
+		// Shared todos show up in the grantee's GET /todos, marked
+		const todos = await makeRequest("GET", "/todos", null, grantee);
+		const marked = todos.body.find((todo) => todo.owner);
+		assertEqual(todos.body.length, 2, "Own and shared todos");
+		assertEqual(marked.title, "Shared", "Only the shared list's todos");
+		assertEqual(marked.owner.userId, ownerId, "Owner marker");
+		assertEqual(marked.owner.role, "viewer", "Role marker");
+		const own = await makeRequest("GET", "/todos?shared=false", null, grantee);
+		assertEqual(own.body.length, 1, "shared=false leaves them out");
+
+		const base = `/shared/${ownerId}`;
+		assertEqual(
+			marked.href,
+			`${base}/todos/${shared.body.id}`,
+			"Shared todos name the route to reach them through",
+		);
+		const read = await makeRequest("GET", marked.href, null, grantee);
+		assertEqual(read.statusCode, 200, "Viewers can read shared todos");
+		assertEqual(read.body.title, "Shared", "href leads to the shared todo");
+		const hidden = await makeRequest(
+			"GET",
+			`${base}/todos/${secret.body.id}`,
+			null,
+			grantee,
+		);
+		assertEqual(hidden.statusCode, 404, "Other lists stay hidden");
+
+		const patch = { ...grantee, ...MERGE_PATCH };
+		const denied = await makeRequest(
+			"PATCH",
+			`${base}/todos/${shared.body.id}`,
+			{ completed: true },
+			patch,
+		);
+		assertEqual(denied.statusCode, 403, "Viewers can't change todos");
+
+		await makeRequest(
+			"PUT",
+			`/lists/${listId}/shares/${granteeId}`,
+			{ role: "editor" },
+			owner,
+		);
+		const changed = await makeRequest(
+			"PATCH",
+			`${base}/todos/${shared.body.id}`,
+			{ completed: true },
+			patch,
+		);
+		assertEqual(changed.statusCode, 200, "Editors can change todos");
+		const moved = await makeRequest(
+			"PATCH",
+			`${base}/todos/${shared.body.id}`,
+			{ listId: 1 },
+			patch,
+		);
+		assertEqual(moved.statusCode, 400, "Not into lists that aren't shared");
+		const created = await makeRequest(
+			"POST",
+			`${base}/lists/${listId}/todos`,
+			{ title: "From the grantee" },
+			grantee,
+		);
+		assertEqual(created.statusCode, 201, "Editors can add todos");
+
+		const ownerView = await makeRequest(
+			"GET",
+			`/todos/${shared.body.id}`,
+			null,
+			owner,
+		);
+		assertEqual(ownerView.body.completed, true, "Changes are the owner's");
+		const history = await makeRequest(
+			"GET",
+			`/todos/${shared.body.id}/history`,
+			null,
+			owner,
+		);
+		assertEqual(
+			history.body[0].source.userId,
+			granteeId,
+			"History names who made the change",
+		);
+	});
+
+	await test("Should stream changes to shared lists to their grantees", async () => {
+		const ownerId = `streamer_${Date.now()}`;
+		const granteeId = `watcher_${Date.now()}`;
+		const owner = { "X-User-Id": ownerId };
+		const grantee = { "X-User-Id": granteeId };
+
+		const list = await makeRequest("POST", "/lists", { name: "Team" }, owner);
+		const todo = await makeRequest(
+			"POST",
+			`/lists/${list.body.id}/todos`,
+			{ title: "Watched" },
+			owner,
+		);
+		const sharePath = `/lists/${list.body.id}/shares/${granteeId}`;
+		const isShared = (type) => (event) =>
+			event.event === type && event.data.owner;
+
+		const stream = openEventStream("/todos/events", grantee);
+		try {
+			await stream.ready;
+			await makeRequest("PUT", sharePath, { role: "viewer" }, owner);
+			const created = await stream.waitFor(isShared("created"));
+			assertEqual(created.data.id, todo.body.id, "Sharing sends the todos");
+			assertEqual(created.data.owner.userId, ownerId, "With their owner");
+
+			await makeRequest(
+				"PATCH",
+				`/todos/${todo.body.id}`,
+				{ completed: true },
+				{ ...owner, ...MERGE_PATCH },
+			);
+			const updated = await stream.waitFor(isShared("updated"));
+			assertEqual(updated.data.completed, true, "The owner's changes");
+
+			await makeRequest("DELETE", sharePath, null, owner);
+			const deleted = await stream.waitFor(isShared("deleted"));
+			assertEqual(deleted.data.id, todo.body.id, "Revoking removes them");
+		} finally {
+			stream.close();
+		}
+	});
+
+	await test("Should stop sharing when access is revoked", async () => {
+		const ownerId = `revoker_${Date.now()}`;
+		const granteeId = `revokee_${Date.now()}`;
+		const owner = { "X-User-Id": ownerId };
+		const grantee = { "X-User-Id": granteeId };
+
+		const list = await makeRequest("POST", "/lists", { name: "Team" }, owner);
+		const path = `/lists/${list.body.id}/shares/${granteeId}`;
+		await makeRequest("PUT", path, { role: "editor" }, owner);
+
+		const sharedLists = await makeRequest("GET", "/shared", null, grantee);
+		assertEqual(sharedLists.body.length, 1, "Lists shared with the user");
+		assertEqual(sharedLists.body[0].list.name, "Team");
+
+		const invalid = await makeRequest("PUT", path, { role: "owner" }, owner);
+		assertEqual(invalid.statusCode, 400, "Unknown roles are rejected");
+		const notOwner = await makeRequest(
+			"GET",
+			`/lists/${list.body.id}/shares`,
+			null,
+			grantee,
+		);
+		assertEqual(notOwner.statusCode, 404, "Only the owner manages access");
+
+		const revoked = await makeRequest("DELETE", path, null, owner);
+		assertEqual(revoked.statusCode, 200, "Access is revoked");
+		const after = await makeRequest(
+			"GET",
+			`/shared/${ownerId}/lists/${list.body.id}/todos`,
+			null,
+			grantee,
+		);
+		assertEqual(after.statusCode, 404, "Shared routes are closed again");
+		const again = await makeRequest("DELETE", path, null, owner);
+		assertEqual(again.statusCode, 404, "Nothing left to revoke");
+	});
+
+	await test("Should record completion times and chart the history", async () => {
+		const headers = { "X-User-Id": `history_${Date.now()}` };
+		const todo = await makeRequest(
+			"POST",
+			"/todos",
+			{ title: "Water the plants", priority: "high" },
+			headers,
+		);
+		assertEqual(todo.body.completedAt, null, "Pending todos have none");
+
+		const done = await makeRequest(
+			"PATCH",
+			`/todos/${todo.body.id}`,
+			{ completed: true },
+			{ ...headers, ...MERGE_PATCH },
+		);
+		assert(done.body.completedAt, "Completing sets completedAt");
+		const reopened = await makeRequest(
+			"PATCH",
+			`/todos/${todo.body.id}`,
+			{ completed: false },
+			{ ...headers, ...MERGE_PATCH },
+		);
+		assertEqual(reopened.body.completedAt, null, "Reopening clears it");
+		await makeRequest(
+			"PATCH",
+			`/todos/${todo.body.id}`,
+			{ completed: true },
+			{ ...headers, ...MERGE_PATCH },
+		);
+		await makeRequest("POST", "/todos", { title: "Still pending" }, headers);
+
+		const history = await makeRequest(
+			"GET",
+			"/todos/stats/history?timezone=Europe/Paris&days=7&weeks=2",
+			null,
+			headers,
+		);
+		assertEqual(history.statusCode, 200, "Status code should be 200");
+		assertEqual(history.body.timeZone, "Europe/Paris");
+		assertEqual(history.body.daily.length, 7, "One entry per day");
+		assertEqual(history.body.weekly.length, 2, "One entry per week");
+		const today = history.body.daily[6];
+		assertEqual(`${today.created}/${today.completed}`, "2/1", "Today");
+		assertEqual(history.body.leadTime.byPriority.high.count, 1);
+		assertEqual(history.body.streaks.current, 1, "Completed today");
+
+		const invalid = await makeRequest(
+			"GET",
+			"/todos/stats/history?timezone=Nowhere/Atlantis&days=0",
+			null,
+			headers,
+		);
+		assertEqual(invalid.statusCode, 400, "Invalid parameters are rejected");
+		assertEqual(invalid.body.errors[0].field, "days");
+		const badZone = await makeRequest(
+			"GET",
+			"/todos/stats/history?timezone=Nowhere/Atlantis",
+			null,
+			headers,
+		);
+		assertEqual(badZone.body.errors[0].field, "timezone");
+	});
+
+	await test("Should keep deleted todos in the stats history", async () => {
+		const headers = { "X-User-Id": `cleared_${Date.now()}` };
+		const getHistory = async () =>
+			(await makeRequest("GET", "/todos/stats/history?days=7", null, headers))
+				.body;
+		for (const title of ["Deleted", "Cleared", "Open"]) {
+			const todo = await makeRequest("POST", "/todos", { title }, headers);
+			if (title !== "Open") {
+				await makeRequest(
+					"PATCH",
+					`/todos/${todo.body.id}`,
+					{ completed: true },
+					{ ...headers, ...MERGE_PATCH },
+				);
+			}
+		}
+		const before = await getHistory();
+		assertEqual(before.daily[6].completed, 2, "Two completed today");
+
+		await makeRequest("DELETE", "/todos/0", null, headers);
+		await makeRequest("POST", "/todos/clear-completed", null, headers);
+		const after = await getHistory();
+		assertEqual(
+			JSON.stringify(after),
+			JSON.stringify(before),
+			"Deleting todos doesn't change what happened",
+		);
+		assertEqual(after.streaks.current, 1, "The streak is kept");
 	});
 
 	// Print summary
@@ -0,0 +1,256 @@
+// ================================
+// Import / Export Format Tests
+// ================================
+
+const { exportRecords, parseImport } = require("../formats");
+const { normalizeRecurrence } = require("../recurrence");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// Parse data that is expected to be valid
+function parse(format, data, mapping) {
+	const result = parseImport(format, data, mapping);
+	if (result.error) {
+		throw new Error(result.error);
+	}
+	return result.records;
+}
+
+// An export record with every field set
+const RECORD = {
+	id: 7,
+	title: 'Buy milk, eggs; "fresh"',
+	completed: false,
+	priority: "high",
+	dueDate: "2024-05-01",
+	dueTime: "09:30",
+	tags: ["groceries", "errands"],
+	list: "Home",
+	recurrence: { frequency: "weekly", interval: 1, weekdays: ["mon", "thu"] },
+	items: [
+		{ title: "Milk", completed: true },
+		{ title: "Eggs", completed: false },
+	],
+	createdAt: "2024-01-01T10:00:00.000Z",
+};
+
+run("Import/Export Format Tests", () => {
+	test("Should read back every field from csv, md and ics", () => {
+		["csv", "md", "ics"].forEach((format) => {
+			const [record] = parse(format, exportRecords(format, [RECORD]));
+			assertEqual(record.title, RECORD.title, `${format}: title`);
+			assertEqual(record.completed, false, `${format}: completed`);
+			assertEqual(record.priority, "high", `${format}: priority`);
+			assertEqual(record.dueDate, "2024-05-01", `${format}: due date`);
+			assertEqual(record.dueTime, "09:30", `${format}: due time`);
+			assertEqual(record.tags.join(), "groceries,errands", `${format}: tags`);
+			assertEqual(record.list, "Home", `${format}: list`);
+			assertEqual(
+				record.recurrence,
+				"FREQ=WEEKLY;BYDAY=MO,TH",
+				`${format}: recurrence`,
+			);
+			assertEqual(
+				JSON.stringify(record.items),
+				JSON.stringify(RECORD.items),
+				`${format}: checklist`,
+			);
+		});
+	});
+
+	test("Should read csv columns through a field mapping", () => {
+		const records = parse(
+			"csv",
+			"Task;Due;Done\r\nCall plumber;2024-02-01;yes\r\n\r\nFile taxes;;\r\n",
+			{ title: "Task", dueDate: "Due", completed: "Done" },
+		);
+		assertEqual(records.length, 2, "Blank lines are skipped");
+		assertEqual(records[0].completed, true, "yes means completed");
+		assertEqual(records[1].dueDate, undefined, "Empty cells are left out");
+
+		assert(
+			parseImport("csv", "Task\nA", { title: "Name" }).error,
+			"Mapped columns must exist",
+		);
+		assert(
+			parseImport("md", "- [ ] A", { title: "Name" }).error,
+			"Mappings only apply to csv and json",
+		);
+	});
+
+	test("Should keep parentheses that aren't details in Markdown titles", () => {
+		const records = parse(
+			"md",
+			"# Todos\n\n- [x] Call Bob (urgent) #work\n* [ ] Plain task\n",
+		);
+		assertEqual(records[0].title, "Call Bob (urgent)", "Title is kept");
+		assertEqual(records[0].completed, true, "Checked box is completed");
+		assertEqual(records[0].tags.join(), "work", "Tag is read");
+		assertEqual(records[1].list, undefined, "No heading means no list");
+	});
+
+	test("Should fold long iCalendar lines and skip nested components", () => {
+		const ics = exportRecords("ics", [{ ...RECORD, title: "x".repeat(200) }]);
+		assert(
+			ics.split("\r\n").every((line) => Buffer.byteLength(line) <= 75),
+			"Lines should be at most 75 bytes",
+		);
+
+		const [record] = parse(
+			"ics",
+			[
+				"BEGIN:VCALENDAR",
+				"BEGIN:VTODO",
+				"SUMMARY:Renew passport",
+				"PRIORITY:7",
+				"DUE;VALUE=DATE:20240601",
+				"BEGIN:VALARM",
+				"DESCRIPTION:Reminder",
+				"END:VALARM",
+				"END:VTODO",
+				"BEGIN:VEVENT",
+				"SUMMARY:Not a todo",
+				"END:VEVENT",
+				"END:VCALENDAR",
+			].join("\r\n"),
+		);
+		assertEqual(record.title, "Renew passport", "Summary is the title");
+		assertEqual(record.priority, "low", "Priority 7 is low");
+		assertEqual(record.dueDate, "2024-06-01", "Due date is read");
+		assertEqual(record.items, undefined, "Alarm description is ignored");
+	});
+
+	test("Should map todo.txt tokens and keep unknown ones", () => {
+		const [done, plain] = parse(
+			"txt",
+			"x 2024-05-02 2024-05-01 Call Mom +Family_Stuff @phone @Work pri:A due:2024-05-03 h:1 +Other\n\nRead https://example.com/a (D)\n",
+		);
+		assertEqual(done.completed, true, "x is completed");
+		assertEqual(
+			done.completedAt,
+			"2024-05-02T00:00:00.000Z",
+			"Completion date",
+		);
+		assertEqual(done.createdAt, "2024-05-01T00:00:00.000Z", "Creation date");
+		assertEqual(done.priority, "high", "pri:A is high");
+		assertEqual(done.list, "Family Stuff", "Underscores are spaces");
+		assertEqual(done.tags.join(), "phone", "Valid contexts are tags");
+		assertEqual(done.dueDate, "2024-05-03", "due: is the due date");
+		assertEqual(
+			done.extras.join(" "),
+			"+Family_Stuff @phone @Work pri:A due:2024-05-03 h:1 +Other",
+			"Every token after the title is kept in order",
+		);
+		assertEqual(done.title, "Call Mom", "Tokens are taken out of the title");
+		assertEqual(plain.title, "Read https://example.com/a (D)", "URLs stay");
+		assertEqual(plain.priority, undefined, "(D) only counts at the start");
+
+		const line = exportRecords("txt", [
+			{ ...done, tags: done.tags, items: [] },
+		]);
+		assertEqual(
+			line,
+			"x 2024-05-02 2024-05-01 Call Mom +Family_Stuff @phone @Work pri:A due:2024-05-03 h:1 +Other\n",
+			"Written back with every token in its place",
+		);
+	});
+
+	test("Should write imported todo.txt lines back exactly", () => {
+		const lines = [
+			"(D) 2024-05-01 Pay rent id:42 +Home rec:1m @bills due:2024-05-19 t:x",
+			"(B) Stretch rec:2w @health",
+			"x 2024-05-02 2024-05-01 Call Mom pri:Q h:1 +Family @phone",
+		];
+		const records = parse("txt", lines.join("\n")).map((record) => ({
+			tags: [],
+			...record,
+			items: [],
+		}));
+		const [rent, stretch, call] = records;
+		assertEqual(rent.priority, "low", "(D) is low");
+		assertEqual(rent.recurrence, "FREQ=MONTHLY;INTERVAL=1", "rec:1m is read");
+
+		// As stored by the server: normalized, with the day taken from the
+		// due date or the day of the import
+		rent.recurrence = normalizeRecurrence(
+			rent.recurrence,
+			rent.dueDate,
+		).recurrence;
+		stretch.recurrence = normalizeRecurrence(
+			stretch.recurrence,
+			"2024-05-01",
+		).recurrence;
+		assertEqual(
+			exportRecords("txt", records, { defaultList: "Inbox" }),
+			lines.map((line) => line + "\n").join(""),
+			"Every line is written back as it was",
+		);
+
+		const edited = exportRecords(
+			"txt",
+			[
+				{
+					...rent,
+					priority: "high",
+					dueDate: "2024-06-01",
+					tags: [],
+					recurrence: { ...rent.recurrence, interval: 2 },
+				},
+				{ ...stretch, tags: ["health", "daily"], list: "Gym" },
+				{ ...call, priority: "medium", list: "Inbox" },
+			],
+			{ defaultList: "Inbox" },
+		);
+		assertEqual(
+			edited,
+			[
+				"(A) 2024-05-01 Pay rent id:42 +Home rec:FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=19 due:2024-06-01 t:x",
+				"(B) Stretch rec:2w @health +Gym @daily",
+				"x 2024-05-02 2024-05-01 Call Mom h:1 @phone",
+				"",
+			].join("\n"),
+			"Changed values are written in place, new ones after the rest",
+		);
+	});
+
+	test("Should write todo.txt priorities, due times and recurrence", () => {
+		const txt = exportRecords(
+			"txt",
+			[RECORD, { ...RECORD, priority: "medium", list: "Inbox" }],
+			{ defaultList: "Inbox" },
+		);
+		const [first, second] = txt.trim().split("\n");
+		assertEqual(
+			first,
+			'(A) 2024-01-01 Buy milk, eggs; "fresh" +Home @groceries @errands due:2024-05-01 time:09:30 rec:FREQ=WEEKLY;BYDAY=MO,TH',
+			"Every field is written",
+		);
+		assert(second.startsWith("2024-01-01 Buy milk"), "Medium has no priority");
+		assert(!second.includes("+Inbox"), "The default list is left out");
+
+		const [record] = parse("txt", first);
+		assertEqual(record.dueTime, "09:30", "time: is the due time");
+		assertEqual(record.recurrence, "FREQ=WEEKLY;BYDAY=MO,TH", "RRULE is kept");
+		assertEqual(
+			parse("txt", "(C) Renew rec:+2y")[0].recurrence,
+			"FREQ=MONTHLY;INTERVAL=24",
+			"Years repeat as months",
+		);
+	});
+
+	test("Should reject data that can't be parsed", () => {
+		const invalid = [
+			["json", "{not json"],
+			["json", { todos: "none" }],
+			["csv", 'title\n"unclosed'],
+			["csv", "name\nA"],
+			["ics", "BEGIN:VTODO\nEND:VTODO"],
+			["xml", "<todos/>"],
+		];
+		invalid.forEach(([format, data]) => {
+			assert(
+				parseImport(format, data).error,
+				`${format} ${JSON.stringify(data)} should be rejected`,
+			);
+		});
+	});
+});
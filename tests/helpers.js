@@ -0,0 +1,154 @@
+// ================================
+// Test Helpers
+// ================================
+//
+// The runner every test file shares. test() records a pass or a failure,
+// waiting for tests that return a promise; run() prints the banner, runs the
+// suite, prints the summary and exits with 1 if anything failed. request()
+// sends an HTTP request to a server on localhost, for the API tests.
+
+const http = require("http");
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function pass(description) {
+	console.log(`✅ PASS: ${description}`);
+	testsPassed++;
+}
+
+function fail(description, error) {
+	console.log(`❌ FAIL: ${description}`);
+	console.log(`   Error: ${error.message}`);
+	testsFailed++;
+}
+
+function test(description, testFn) {
+	let result;
+	try {
+		result = testFn();
+	} catch (error) {
+		fail(description, error);
+		return undefined;
+	}
+	if (result && typeof result.then === "function") {
+		return result.then(
+			() => pass(description),
+			(error) => fail(description, error),
+		);
+	}
+	pass(description);
+	return undefined;
+}
+
+// Assertion helpers
+function assert(condition, message) {
+	if (!condition) {
+		throw new Error(message || "Assertion failed");
+	}
+}
+
+function assertEqual(actual, expected, message) {
+	if (actual !== expected) {
+		throw new Error(message || `Expected ${expected}, but got ${actual}`);
+	}
+}
+
+// Send a request to localhost:port and resolve with { statusCode, headers,
+// body }, the body parsed if it is JSON. data is sent as JSON; pass headers
+// to override the defaults, or set one to null to omit it. Connection errors
+// and timeouts are retried up to retries times.
+async function request(
+	port,
+	method,
+	path,
+	data = null,
+	headers = {},
+	retries = 0,
+) {
+	const requestHeaders = { "Content-Type": "application/json", ...headers };
+	Object.keys(requestHeaders).forEach((name) => {
+		if (requestHeaders[name] === null) {
+			delete requestHeaders[name];
+		}
+	});
+
+	for (let attempt = 0; attempt <= retries; attempt++) {
+		try {
+			return await new Promise((resolve, reject) => {
+				const req = http.request(
+					{
+						hostname: "localhost",
+						port,
+						path,
+						method,
+						headers: requestHeaders,
+						timeout: 10000,
+					},
+					(res) => {
+						let body = "";
+						res.on("data", (chunk) => {
+							body += chunk;
+						});
+						res.on("end", () => {
+							let parsedBody = body || null;
+							try {
+								parsedBody = body ? JSON.parse(body) : null;
+							} catch (error) {
+								// Not JSON, e.g. an export - keep the text
+							}
+							resolve({
+								statusCode: res.statusCode,
+								headers: res.headers,
+								body: parsedBody,
+							});
+						});
+					},
+				);
+
+				req.on("error", reject);
+				req.on("timeout", () => {
+					req.destroy();
+					reject(new Error("Request timeout"));
+				});
+
+				if (data) {
+					req.write(JSON.stringify(data));
+				}
+				req.end();
+			});
+		} catch (error) {
+			if (attempt === retries) {
+				throw error;
+			}
+			// Wait before retrying
+			await new Promise((resolve) => setTimeout(resolve, 300));
+		}
+	}
+}
+
+async function run(name, suite) {
+	console.log(`\n🚀 Starting ${name}...\n`);
+	console.log("=".repeat(60));
+
+	try {
+		await suite();
+	} catch (error) {
+		console.error("\n❌ Test suite crashed:", error.message);
+		console.error(error.stack);
+		process.exit(1);
+	}
+
+	// Print summary
+	console.log("\n" + "=".repeat(60));
+	console.log("📊 TEST SUMMARY");
+	console.log("=".repeat(60));
+	console.log(`✅ Passed: ${testsPassed}`);
+	console.log(`❌ Failed: ${testsFailed}`);
+	console.log(`📈 Total: ${testsPassed + testsFailed}`);
+	console.log("=".repeat(60) + "\n");
+
+	process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+module.exports = { test, assert, assertEqual, request, run };
@@ -0,0 +1,61 @@
+// ================================
+// Logger Tests
+// ================================
+
+const { createLogger } = require("../logger");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// A logger writing into an array, with a fixed clock
+function createTestLogger(options = {}) {
+	const lines = [];
+	const logger = createLogger({
+		write: (line) => lines.push(JSON.parse(line)),
+		now: () => new Date("2030-01-01T00:00:00Z"),
+		...options,
+	});
+	return { logger, lines };
+}
+
+run("Logger Tests", () => {
+	test("Should write one JSON line per entry", () => {
+		const { logger, lines } = createTestLogger();
+		logger.info("Saved", { userId: "alice", skipped: undefined });
+
+		assertEqual(lines.length, 1, "One line");
+		assertEqual(
+			JSON.stringify(lines[0]),
+			JSON.stringify({
+				time: "2030-01-01T00:00:00.000Z",
+				level: "info",
+				msg: "Saved",
+				userId: "alice",
+			}),
+			"Time, level, message and fields, without undefined ones",
+		);
+	});
+
+	test("Should leave out entries below the level", () => {
+		const { logger, lines } = createTestLogger({ level: "warn" });
+		logger.debug("a");
+		logger.info("b");
+		logger.warn("c");
+		logger.error("d");
+		assertEqual(lines.map((line) => line.msg).join(","), "c,d");
+	});
+
+	test("Should add child fields and write errors with their stack", () => {
+		const { logger, lines } = createTestLogger();
+		const child = logger.child({ requestId: "abc" });
+		const cause = new Error("disk full");
+		const error = new Error("Could not save");
+		error.cause = cause;
+		child.error("Request failed", { error });
+		logger.info("Parent unchanged");
+
+		assertEqual(lines[0].requestId, "abc", "Child field");
+		assertEqual(lines[0].error.message, "Could not save", "Error message");
+		assert(lines[0].error.stack.includes("Error"), "Error stack");
+		assertEqual(lines[0].error.cause.message, "disk full", "Cause");
+		assertEqual(lines[1].requestId, undefined, "Parent has no child fields");
+	});
+});
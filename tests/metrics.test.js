@@ -0,0 +1,75 @@
+// ================================
+// Metrics Tests
+// ================================
+
+const { createMetrics } = require("../metrics");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+run("Metrics Tests", () => {
+	test("Should count per set of labels", () => {
+		const metrics = createMetrics();
+		const requests = metrics.counter("requests_total", "Requests");
+		requests.inc({ status: 200, method: "GET" });
+		requests.inc({ method: "GET", status: 200 });
+		requests.inc({ method: "POST", status: 400 }, 3);
+
+		assertEqual(requests.get({ method: "GET", status: 200 }), 2, "Same series");
+		assertEqual(
+			metrics.render(),
+			[
+				"# HELP requests_total Requests",
+				"# TYPE requests_total counter",
+				'requests_total{method="GET",status="200"} 2',
+				'requests_total{method="POST",status="400"} 3',
+				"",
+			].join("\n"),
+		);
+	});
+
+	test("Should count observations into cumulative buckets", () => {
+		const metrics = createMetrics();
+		const duration = metrics.histogram("duration_seconds", "Time", [0.1, 1]);
+		[0.05, 0.5, 2].forEach((value) => duration.observe({ route: "/a" }, value));
+
+		const lines = metrics.render().split("\n");
+		assertEqual(
+			lines.slice(2, 7).join("\n"),
+			[
+				'duration_seconds_bucket{route="/a",le="0.1"} 1',
+				'duration_seconds_bucket{route="/a",le="1"} 2',
+				'duration_seconds_bucket{route="/a",le="+Inf"} 3',
+				'duration_seconds_sum{route="/a"} 2.55',
+				'duration_seconds_count{route="/a"} 3',
+			].join("\n"),
+		);
+
+		const seconds = duration.startTimer({ route: "/b" })();
+		assert(seconds >= 0 && seconds < 1, "Timers observe elapsed seconds");
+		assert(
+			metrics.render().includes('duration_seconds_count{route="/b"} 1'),
+			"Timed observation",
+		);
+	});
+
+	test("Should read gauges when rendering", () => {
+		const metrics = createMetrics();
+		let size = 1;
+		metrics.gauge("cache_entries", "Entries", () => size);
+		metrics.gauge("queue_length", "Queued", () => [
+			{ labels: { queue: 'a"b' }, value: 2 },
+		]);
+		size = 5;
+
+		const text = metrics.render();
+		assert(text.includes("\ncache_entries 5\n"), "Current value");
+		assert(text.includes('queue_length{queue="a\\"b"} 2'), "Escaped labels");
+
+		let threw = false;
+		try {
+			metrics.gauge("cache_entries", "Again", () => 0);
+		} catch (error) {
+			threw = true;
+		}
+		assert(threw, "Names are unique");
+	});
+});
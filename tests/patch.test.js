@@ -0,0 +1,101 @@
+// ================================
+// JSON Merge Patch & JSON Patch Tests
+// ================================
+
+const { applyMergePatch, applyJsonPatch, isEqual } = require("../patch");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+function assertJson(actual, expected, message) {
+	assertEqual(JSON.stringify(actual), JSON.stringify(expected), message);
+}
+
+const TODO = {
+	title: "Pack",
+	tags: ["travel", "home"],
+	recurrence: { frequency: "weekly", interval: 1, weekdays: ["mon"] },
+	"a/b": 1,
+};
+
+run("Patch Tests", () => {
+	test("Should merge patch objects recursively", () => {
+		const patched = applyMergePatch(TODO, {
+			title: "Pack bags",
+			tags: ["work"],
+			recurrence: { weekdays: null, interval: 2 },
+			"a/b": null,
+		});
+		assertJson(
+			patched,
+			{
+				title: "Pack bags",
+				tags: ["work"],
+				recurrence: { frequency: "weekly", interval: 2 },
+			},
+			"Members are replaced, merged or removed",
+		);
+		assertEqual(TODO.tags.length, 2, "The original is left untouched");
+		assertJson(applyMergePatch(TODO, ["x"]), ["x"], "Non-objects replace");
+	});
+
+	test("Should apply every JSON Patch operation in order", () => {
+		const { document } = applyJsonPatch(TODO, [
+			{ op: "add", path: "/tags/-", value: "work" },
+			{ op: "add", path: "/tags/0", value: "first" },
+			{ op: "remove", path: "/tags/1" },
+			{ op: "replace", path: "/title", value: "Pack bags" },
+			{ op: "copy", from: "/title", path: "/note" },
+			{ op: "move", from: "/a~1b", path: "/count" },
+			{ op: "test", path: "/recurrence/weekdays", value: ["mon"] },
+		]);
+		assertJson(document.tags, ["first", "home", "work"], "List changes");
+		assertEqual(document.title, "Pack bags", "Replaced member");
+		assertEqual(document.note, "Pack bags", "Copied member");
+		assertEqual(document.count, 1, "Moved member (escaped pointer)");
+		assert(!("a/b" in document), "Moved member is removed");
+		assertEqual(TODO.tags.length, 2, "The original is left untouched");
+
+		const root = applyJsonPatch(TODO, [
+			{ op: "replace", path: "", value: { title: "New" } },
+		]);
+		assertJson(root.document, { title: "New" }, "The root can be replaced");
+	});
+
+	test("Should report the operation that can't be applied", () => {
+		const cases = [
+			[[{ op: "remove", path: "/notes" }], 0, "/notes does not exist"],
+			[[{ op: "add", path: "/tags/5", value: "x" }], 0, "list"],
+			[[{ op: "replace", path: "title", value: "x" }], 0, "JSON Pointer"],
+			[[{ op: "add", path: "/title" }], 0, "add needs a value"],
+			[[{ op: "move", from: "/tags", path: "/tags/0" }], 0, "into itself"],
+			[
+				[
+					{ op: "remove", path: "/title" },
+					{ op: "rename", path: "/tags" },
+				],
+				1,
+				"op must be one of",
+			],
+		];
+		cases.forEach(([operations, index, message]) => {
+			const result = applyJsonPatch(TODO, operations);
+			assertEqual(result.index, index, `${message}: index`);
+			assert(result.error.includes(message), `${message}: ${result.error}`);
+			assertEqual(result.testFailed, false, `${message}: not a test`);
+		});
+		assert(applyJsonPatch(TODO, { op: "add" }).error, "Must be a list");
+	});
+
+	test("Should flag failed tests", () => {
+		const result = applyJsonPatch(TODO, [
+			{ op: "test", path: "/title", value: "Pack" },
+			{ op: "test", path: "/tags", value: ["home", "travel"] },
+		]);
+		assertEqual(result.index, 1, "Second test fails (order matters)");
+		assertEqual(result.testFailed, true, "Failure is a failed test");
+		assert(
+			isEqual({ a: 1, b: [1, { c: null }] }, { b: [1, { c: null }], a: 1 }),
+			"Member order doesn't matter",
+		);
+		assert(!isEqual({ a: 1 }, { a: 1, b: undefined }), "Extra members differ");
+	});
+});
@@ -0,0 +1,147 @@
+// ================================
+// Search Query Tests
+// ================================
+
+const { parseQuery, matchesQuery, suggest } = require("../public/query");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+const TODOS = [
+	{
+		id: 1,
+		title: "Buy milk",
+		completed: false,
+		priority: "high",
+		dueDate: "2026-01-10",
+		tags: ["home"],
+		listId: 1,
+		createdAt: "2026-01-02T12:00:00.000Z",
+	},
+	{
+		id: 2,
+		title: "Write the quarterly report",
+		completed: true,
+		priority: "medium",
+		tags: ["work"],
+		listId: 2,
+		createdAt: "2025-12-20T12:00:00.000Z",
+	},
+	{
+		id: 3,
+		title: "Buy a birthday present",
+		completed: false,
+		priority: "low",
+		tags: [],
+		listId: 2,
+		createdAt: "2026-02-01T12:00:00.000Z",
+	},
+];
+
+const LIST_NAMES = { 1: "Inbox", 2: "Errands" };
+
+// IDs of the todos matching a query
+function search(text) {
+	const parsed = parseQuery(text);
+	assert(!parsed.error, `"${text}" should parse: ${parsed.error}`);
+	return TODOS.filter((todo) =>
+		matchesQuery(parsed.query, todo, {
+			now: new Date(2026, 0, 15, 12),
+			getListName: (t) => LIST_NAMES[t.listId],
+		}),
+	)
+		.map((todo) => todo.id)
+		.join(",");
+}
+
+run("Search Query Tests", () => {
+	test("Should match words and phrases in the title", () => {
+		assertEqual(search("buy"), "1,3", "Case-insensitive word");
+		assertEqual(search("buy present"), "3", "Every word must match");
+		assertEqual(search('"buy a"'), "3", "Exact phrase");
+		assertEqual(search("   "), "1,2,3", "Blank query matches everything");
+		assertEqual(parseQuery("").query, null, "Blank query parses to null");
+	});
+
+	test("Should match fields", () => {
+		assertEqual(search("priority:high"), "1");
+		assertEqual(search("is:pending"), "1,3");
+		assertEqual(search("is:overdue"), "1", "Due before now");
+		assertEqual(search("tag:WORK"), "2", "Tags ignore case");
+		assertEqual(search("list:errands"), "2,3", "List by name");
+		assertEqual(search('list:"Errands" title:buy'), "3", "Quoted value");
+		assertEqual(search("has:due"), "1");
+	});
+
+	test("Should compare priorities and dates", () => {
+		assertEqual(search("priority:>=medium"), "1,2");
+		assertEqual(search("priority:<high"), "2,3");
+		assertEqual(search("created:>2026-01-01"), "1,3");
+		assertEqual(search("created:2026-01-02"), "1", "Same day");
+		assertEqual(search("due:<=today"), "1", "today is context.now");
+	});
+
+	test("Should combine terms with OR, - and parentheses", () => {
+		assertEqual(search("milk OR report"), "1,2");
+		assertEqual(search("-buy"), "2");
+		assertEqual(search("buy -tag:home"), "3");
+		assertEqual(
+			search("is:pending priority:high OR tag:work"),
+			"1,2",
+			"AND binds tighter than OR",
+		);
+		assertEqual(search("(milk OR report) is:completed"), "2");
+		assertEqual(search("-(milk OR report)"), "3");
+	});
+
+	test("Should search words that aren't field terms as text", () => {
+		assertEqual(search("port"), "2", "Words match inside title words");
+		const text = (query) => {
+			const parsed = parseQuery(query);
+			assert(!parsed.error, `"${query}" should parse: ${parsed.error}`);
+			return parsed.query.type === "text" ? parsed.query.value : null;
+		};
+		assertEqual(text("Re:"), "re:", "Unknown field");
+		assertEqual(text("prio:high"), "prio:high", "Unknown field with a value");
+		assertEqual(text("due:"), "due:", "Field without a value yet");
+		assertEqual(text("due:>="), "due:>=", "Operator without a value yet");
+	});
+
+	test("Should point parse errors at their position", () => {
+		const cases = [
+			["is:done", 3, "Unknown value"],
+			["created:>2026-13-01", 9, "Invalid date"],
+			["tag:>home", 0, "Can't compare"],
+			['buy "milk', 4, "Missing closing quote"],
+			["(buy OR milk", 0, "Missing )"],
+			["buy)", 3, "Unexpected )"],
+			["OR buy", 0, "Missing a term before OR"],
+			["buy OR", 6, "Missing a term at the end"],
+			["buy - milk", 4, "Nothing to exclude"],
+		];
+		cases.forEach(([text, position, message]) => {
+			const parsed = parseQuery(text);
+			assert(parsed.error, `"${text}" should not parse`);
+			assertEqual(parsed.position, position, `Position for "${text}"`);
+			assert(
+				parsed.error.startsWith(message),
+				`"${text}": expected "${message}", got "${parsed.error}"`,
+			);
+		});
+	});
+
+	test("Should suggest fields and values for the last word", () => {
+		const values = (text, options) =>
+			suggest(text, options)
+				.map((suggestion) => suggestion.value)
+				.join("|");
+
+		assertEqual(values("milk pr"), "milk priority:");
+		assertEqual(values("-ha"), "-has:", "Keeps the minus");
+		assertEqual(values("priority:h"), "priority:high");
+		assertEqual(
+			values("(list:g", { lists: ["Groceries", "Gift ideas"] }),
+			'(list:Groceries|(list:"Gift ideas"',
+			"Values with spaces are quoted",
+		);
+		assertEqual(values("milk "), "", "Nothing while no word is typed");
+	});
+});
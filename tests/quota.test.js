@@ -0,0 +1,97 @@
+// ================================
+// Todo Quota Tests
+// ================================
+//
+// Runs the app in this process with a quota of three todos and a temporary
+// data directory, so tests can fill it without creating thousands of todos on
+// the shared test server.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// A data directory of its own, removed when the tests are done
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "todo-quota-"));
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.MAX_TODOS_PER_USER = "3";
+process.env.LOG_LEVEL = "warn";
+process.env.ALLOW_ANONYMOUS = "true";
+
+const app = require("../server");
+const { test, assert, assertEqual, request, run } = require("./helpers");
+
+const DAILY = { frequency: "daily", interval: 1 };
+
+run("Todo Quota Tests", async () => {
+	const server = app.listen(0);
+	await new Promise((resolve) => server.once("listening", resolve));
+	const { port } = server.address();
+
+	// A fresh user per test, with helpers bound to it
+	function asNewUser(name) {
+		const userId = `quota_${name}_${Date.now()}`;
+		const send = (method, url, data) =>
+			request(port, method, url, data, {
+				"X-User-Id": userId,
+				...(method === "PATCH"
+					? { "Content-Type": "application/merge-patch+json" }
+					: {}),
+			});
+		const countTodos = async () =>
+			(await send("GET", "/todos/stats")).body.quota.used;
+		return { send, countTodos };
+	}
+
+	await test("Should skip the next occurrence when the quota is full", async () => {
+		const { send, countTodos } = asNewUser("patch");
+		const recurring = await send("POST", "/todos", {
+			title: "Water plants",
+			recurrence: DAILY,
+		});
+		await send("POST", "/todos", { title: "Two" });
+		const third = await send("POST", "/todos", { title: "Three" });
+
+		const full = await send("POST", "/todos", { title: "Four" });
+		assertEqual(full.statusCode, 403, "New todos are refused");
+
+		const completed = await send("PATCH", `/todos/${recurring.body.id}`, {
+			completed: true,
+		});
+		assertEqual(completed.statusCode, 200, "The todo is still completed");
+		assertEqual(
+			completed.body.nextOccurrenceId,
+			undefined,
+			"No next occurrence is linked",
+		);
+		assertEqual(await countTodos(), 3, "The quota is not exceeded");
+
+		// Once there is room, completing the todo again adds the occurrence
+		await send("DELETE", `/todos/${third.body.id}`);
+		await send("DELETE", `/todos/trash/${third.body.id}`);
+		await send("PATCH", `/todos/${recurring.body.id}`, {
+			completed: false,
+		});
+		const again = await send("PATCH", `/todos/${recurring.body.id}`, {
+			completed: true,
+		});
+		assert(
+			again.body.nextOccurrenceId !== undefined,
+			"The next occurrence is added",
+		);
+		assertEqual(await countTodos(), 3, "It takes the freed place");
+	});
+
+	await test("Should stop complete-all at the quota", async () => {
+		const { send, countTodos } = asNewUser("all");
+		await send("POST", "/todos", { title: "Stretch", recurrence: DAILY });
+		await send("POST", "/todos", { title: "Read", recurrence: DAILY });
+
+		const response = await send("POST", "/todos/complete-all");
+		assertEqual(response.statusCode, 200, "Status code should be 200");
+		assertEqual(await countTodos(), 3, "Only one occurrence fits");
+	});
+
+	server.close();
+});
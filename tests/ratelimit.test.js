@@ -0,0 +1,61 @@
+// ================================
+// Rate Limiter Tests
+// ================================
+
+const { createRateLimiter } = require("../ratelimit");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// A clock the tests move by hand
+function createClock(start = 1000) {
+	let time = start;
+	return {
+		now: () => time,
+		advance: (ms) => {
+			time += ms;
+		},
+	};
+}
+
+run("Rate Limiter Tests", () => {
+	test("Should allow up to the limit per window", () => {
+		const clock = createClock();
+		const limiter = createRateLimiter({
+			limit: 3,
+			windowMs: 1000,
+			now: clock.now,
+		});
+
+		const results = [1, 2, 3, 4].map(() => limiter.consume("alice"));
+		assertEqual(
+			results.map((result) => result.allowed).join(","),
+			"true,true,true,false",
+			"Fourth request is refused",
+		);
+		assertEqual(results[0].remaining, 2, "Remaining counts down");
+		assertEqual(results[3].remaining, 0, "Never below zero");
+		assertEqual(results[3].resetAt, 2000, "Window ends windowMs later");
+		assert(limiter.consume("bob").allowed, "Keys are counted separately");
+	});
+
+	test("Should start a new window once the old one ends", () => {
+		const clock = createClock();
+		const limiter = createRateLimiter({
+			limit: 1,
+			windowMs: 1000,
+			now: clock.now,
+		});
+
+		limiter.consume("alice");
+		clock.advance(999);
+		assert(!limiter.consume("alice").allowed, "Still the same window");
+		clock.advance(1);
+		const next = limiter.consume("alice");
+		assert(next.allowed, "New window");
+		assertEqual(next.resetAt, 3000, "New window has its own end");
+	});
+
+	test("Should do nothing when the limit is 0", () => {
+		const limiter = createRateLimiter({ limit: 0 });
+		assertEqual(limiter.consume("alice"), null, "No result when off");
+	});
+});
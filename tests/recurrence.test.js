@@ -0,0 +1,146 @@
+// ================================
+// Recurrence Rule Tests
+// ================================
+
+const {
+	normalizeRecurrence,
+	formatRRule,
+	getNextOccurrence,
+	getUpcomingDates,
+} = require("../recurrence");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// Normalize a rule that is expected to be valid
+function rule(input, startDate = "2024-01-01") {
+	const result = normalizeRecurrence(input, startDate);
+	if (result.error) {
+		throw new Error(result.error);
+	}
+	return result.recurrence;
+}
+
+run("Recurrence Rule Tests", () => {
+	test("Should repeat every N days", () => {
+		const everyThreeDays = rule({ frequency: "daily", interval: 3 });
+		assertEqual(
+			getUpcomingDates(everyThreeDays, "2024-02-27", "2024-01-01", 1, 2).join(),
+			"2024-03-01,2024-03-04",
+			"Should step over the end of February",
+		);
+	});
+
+	test("Should repeat weekly on the given weekdays", () => {
+		const biweekly = rule({
+			frequency: "weekly",
+			interval: 2,
+			weekdays: ["thu", "mon"],
+		});
+		assertEqual(biweekly.weekdays.join(), "mon,thu", "Weekdays are sorted");
+
+		// 2024-01-01 is a Monday
+		assertEqual(
+			getUpcomingDates(biweekly, "2024-01-01", "2024-01-01", 1, 3).join(),
+			"2024-01-04,2024-01-15,2024-01-18",
+			"Should skip every other week",
+		);
+	});
+
+	test("Should default weekly and monthly rules to the start date", () => {
+		assertEqual(
+			rule({ frequency: "weekly" }, "2024-01-03").weekdays.join(),
+			"wed",
+			"Weekly defaults to the start weekday",
+		);
+		assertEqual(
+			rule({ frequency: "monthly" }, "2024-01-15").monthDay,
+			15,
+			"Monthly defaults to the start day",
+		);
+	});
+
+	test("Should clamp monthly dates to short months", () => {
+		const endOfMonth = rule({ frequency: "monthly", monthDay: 31 });
+		assertEqual(
+			getUpcomingDates(endOfMonth, "2024-01-31", "2024-01-01", 1, 3).join(),
+			"2024-02-29,2024-03-31,2024-04-30",
+			"Should use the last day of shorter months",
+		);
+	});
+
+	test("Should parse the supported RRULE subset", () => {
+		const parsed = rule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5");
+		assertEqual(parsed.frequency, "weekly", "FREQ should be parsed");
+		assertEqual(parsed.interval, 2, "INTERVAL should be parsed");
+		assertEqual(parsed.weekdays.join(), "mon,thu", "BYDAY should be parsed");
+		assertEqual(parsed.count, 5, "COUNT should be parsed");
+
+		const until = rule("FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20240630T000000Z");
+		assertEqual(until.until, "2024-06-30", "UNTIL should become a date");
+	});
+
+	test("Should format rules as RRULE strings that parse back", () => {
+		const rules = [
+			rule({ frequency: "daily" }),
+			rule({ frequency: "weekly", interval: 2, weekdays: ["mon", "thu"] }),
+			rule({ frequency: "monthly", monthDay: 31, until: "2024-12-31" }),
+			rule({ frequency: "daily", interval: 3, count: 10 }),
+		];
+		assertEqual(
+			formatRRule(rules[1]),
+			"FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH",
+			"Weekly rule should be formatted",
+		);
+		rules.forEach((original) => {
+			const parsed = rule(formatRRule(original));
+			assertEqual(
+				JSON.stringify(parsed),
+				JSON.stringify(original),
+				`${formatRRule(original)} should parse back to the same rule`,
+			);
+		});
+	});
+
+	test("Should reject invalid or unsupported rules", () => {
+		const invalid = [
+			"FREQ=YEARLY",
+			"FREQ=WEEKLY;BYSETPOS=1",
+			"FREQ=DAILY;BYDAY=MO",
+			{ frequency: "weekly", weekdays: ["funday"] },
+			{ frequency: "daily", interval: 0 },
+			{ frequency: "monthly", monthDay: 32 },
+			{ frequency: "daily", until: "2024-02-30" },
+			["daily"],
+		];
+		invalid.forEach((input) => {
+			assert(
+				normalizeRecurrence(input, "2024-01-01").error,
+				`${JSON.stringify(input)} should be rejected`,
+			);
+		});
+	});
+
+	test("Should skip occurrences that are already past", () => {
+		const daily = rule({ frequency: "daily" });
+		assertEqual(
+			getNextOccurrence(daily, "2024-01-01", "2024-03-05"),
+			"2024-03-05",
+			"Next occurrence should be today",
+		);
+	});
+
+	test("Should end the series at until or count", () => {
+		const untilRule = rule({ frequency: "daily", until: "2024-01-02" });
+		assertEqual(
+			getNextOccurrence(untilRule, "2024-01-02", "2024-01-01"),
+			null,
+			"No occurrence after until",
+		);
+
+		const countRule = rule({ frequency: "daily", count: 3 });
+		assertEqual(
+			getUpcomingDates(countRule, "2024-01-01", "2024-01-01", 1, 5).length,
+			2,
+			"Only two more occurrences in a series of three",
+		);
+	});
+});
@@ -0,0 +1,65 @@
+// ================================
+// Route Documentation Tests
+// ================================
+//
+// Compares the operations in the OpenAPI document with the routes the
+// Express app registers, so neither can change without the other.
+
+const app = require("../server");
+const { buildOpenApiDocument } = require("../openapi");
+const { test, assertEqual, run } = require("./helpers");
+
+// "GET /todos/:id" for every method and path of every route
+function getRegisteredOperations() {
+	const operations = new Set();
+	app._router.stack
+		.filter((layer) => layer.route)
+		.forEach(({ route }) => {
+			Object.keys(route.methods).forEach((method) => {
+				[].concat(route.path).forEach((routePath) => {
+					operations.add(`${method.toUpperCase()} ${routePath}`);
+				});
+			});
+		});
+	return operations;
+}
+
+// The same for the document, its /todos/{id} paths written as /todos/:id
+function getDocumentedOperations() {
+	const operations = new Set();
+	const { paths } = buildOpenApiDocument("test");
+	Object.entries(paths).forEach(([documentedPath, methods]) => {
+		const routePath = documentedPath.replace(/\{(\w+)\}/g, ":$1");
+		Object.keys(methods).forEach((method) => {
+			operations.add(`${method.toUpperCase()} ${routePath}`);
+		});
+	});
+	return operations;
+}
+
+run("Route Documentation Tests", () => {
+	const registered = getRegisteredOperations();
+	const documented = getDocumentedOperations();
+
+	test("Should serve every documented operation", () => {
+		const missing = [...documented].filter(
+			(operation) => !registered.has(operation),
+		);
+		assertEqual(
+			missing.length,
+			0,
+			`Documented but not routed: ${missing.join(", ")}`,
+		);
+	});
+
+	test("Should document every route", () => {
+		const missing = [...registered].filter(
+			(operation) => !documented.has(operation),
+		);
+		assertEqual(
+			missing.length,
+			0,
+			`Routed but not documented: ${missing.join(", ")}`,
+		);
+	});
+});
@@ -0,0 +1,128 @@
+// ================================
+// Schema Validation Tests
+// ================================
+
+const { SCHEMAS, validate, validateQuery } = require("../schema");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// "field code" of each error, for compact comparisons
+function describeErrors(errors) {
+	return errors.map((error) => `${error.field} ${error.code}`).join(", ");
+}
+
+run("Schema Tests", () => {
+	test("Should accept a valid todo", () => {
+		const errors = validate(SCHEMAS.Todo, {
+			title: "Pack",
+			priority: "high",
+			dueDate: "2030-02-28",
+			dueTime: "09:30",
+			tags: ["Long Weekend", "travel"],
+			recurrence: { frequency: "weekly", weekdays: ["mon"] },
+			id: "read-only fields are skipped",
+		});
+		assertEqual(describeErrors(errors), "", "No errors");
+		assertEqual(
+			validate(SCHEMAS.Todo, { title: "x", recurrence: "FREQ=DAILY" }).length,
+			0,
+			"Recurrence can be an RRULE string",
+		);
+	});
+
+	test("Should report every invalid field with its path", () => {
+		const errors = validate(SCHEMAS.Todo, {
+			title: "   ",
+			priority: "urgent",
+			dueDate: "2024-02-30",
+			tags: ["ok", "no way!"],
+			recurrence: { frequency: "weekly", interval: 0, extra: true },
+			colour: "red",
+		});
+		assertEqual(
+			describeErrors(errors),
+			[
+				"title pattern",
+				"priority enum",
+				"dueDate format",
+				"tags[1] pattern",
+				"recurrence.interval minimum",
+				"recurrence.extra additionalProperties",
+				"colour additionalProperties",
+			].join(", "),
+		);
+		assertEqual(errors[0].message, "Title cannot be empty", "x-messages");
+		assertEqual(
+			errors[1].message,
+			"Priority must be one of: low, medium, high",
+			"Generic message uses the schema's title",
+		);
+		assertEqual(errors[6].message, "Unknown field: colour");
+	});
+
+	test("Should require fields unless the input is partial", () => {
+		const errors = validate(SCHEMAS.Todo, { priority: "low" });
+		assertEqual(describeErrors(errors), "title required");
+		assertEqual(errors[0].message, "Title is required and must be a string");
+		assertEqual(
+			validate(SCHEMAS.Todo, { priority: "low" }, { partial: true }).length,
+			0,
+			"Partial input",
+		);
+		assertEqual(
+			describeErrors(validate(SCHEMAS.Todo, { title: "x", dueDate: null })),
+			"",
+			"Nullable fields accept null",
+		);
+		assertEqual(
+			describeErrors(validate(SCHEMAS.Todo, { title: null })),
+			"title type",
+			"Others don't",
+		);
+		assertEqual(
+			describeErrors(validate(SCHEMAS.Todo, ["title"])),
+			" type",
+			"The body must be an object",
+		);
+	});
+
+	test("Should check nested operations by reference", () => {
+		const errors = validate(SCHEMAS.BatchRequest, {
+			operations: [
+				{ op: "create", todo: { title: "a" } },
+				{ op: "move", id: 1 },
+				{ op: "update", id: 1, changes: { completed: "yes" } },
+			],
+		});
+		assertEqual(
+			describeErrors(errors),
+			"operations[1].op enum, operations[2].changes.completed type",
+		);
+		assertEqual(
+			validate(SCHEMAS.BatchRequest, { operations: [] })[0].message,
+			"operations must be a list of 1-100 operations",
+		);
+	});
+
+	test("Should convert and check query parameters", () => {
+		const checked = validateQuery(
+			["limit", "dueToday", "tag", "tagMatch", "upcoming"],
+			{ limit: "5", dueToday: "true", tag: ["a,b", "Long Weekend"] },
+		);
+		assert(!checked.errors, "Valid query");
+		assertEqual(checked.values.limit, 5, "Integers are converted");
+		assertEqual(checked.values.dueToday, true, "Booleans are converted");
+		assertEqual(checked.values.tag.join(","), "a,b,Long Weekend", "Tags");
+		assertEqual(checked.values.tagMatch, "any", "Defaults are filled in");
+		assertEqual(checked.values.upcoming, 0, "Defaults are filled in");
+
+		const invalid = validateQuery(["limit", "filter", "tag"], {
+			limit: "2.5",
+			filter: "later",
+			tag: "a,",
+		});
+		assertEqual(
+			describeErrors(invalid.errors),
+			"limit type, filter enum, tag[1] pattern",
+		);
+	});
+});
@@ -0,0 +1,109 @@
+// ================================
+// Full-Text Search Tests
+// ================================
+
+const {
+	foldText,
+	editDistance,
+	createSearchIndex,
+	matchText,
+} = require("../public/search");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+// A text term as query.js parses it
+const word = (value) => ({ type: "text", value, phrase: false });
+const phrase = (value) => ({ type: "text", value, phrase: true });
+
+// The matched parts of text
+function matchedParts(text, match) {
+	return match.matches
+		.map(({ start, end }) => text.slice(start, end))
+		.join("|");
+}
+
+run("Full-Text Search Tests", () => {
+	test("Should fold case and diacritics, keeping offsets", () => {
+		const { folded, starts, ends } = foldText("Crème Brûlée");
+		assertEqual(folded, "creme brulee");
+		assertEqual(starts[3], 3, "è maps back to its own position");
+		assertEqual(ends[11], 12, "Last character ends the text");
+
+		const text = "Réunion café";
+		assertEqual(matchedParts(text, matchText([word("cafe")], text)), "café");
+	});
+
+	test("Should count edits, including swapped letters", () => {
+		assertEqual(editDistance("milk", "milk", 2), 0);
+		assertEqual(editDistance("mlik", "milk", 2), 1, "Swap is one edit");
+		assertEqual(editDistance("kitten", "sitting", 3), 3);
+		assertEqual(editDistance("apple", "banana", 2), 3, "Stops past max");
+	});
+
+	test("Should match words exactly, by prefix and with typos", () => {
+		const text = "Buy milk and groceries";
+		const exact = matchText([word("milk")], text);
+		const prefix = matchText([word("groc")], text);
+		const typo = matchText([word("mlik")], text);
+		assertEqual(exact.score, 1);
+		assertEqual(matchedParts(text, prefix), "groc", "Prefix is highlighted");
+		assert(prefix.score > 0.5 && prefix.score < 1, "Prefix scores less");
+		assertEqual(typo.score, 0.6, "One typo");
+		assertEqual(matchedParts(text, typo), "milk");
+		assertEqual(matchText([word("mik")], text), null, "No typos under 4");
+		assertEqual(matchText([word("bread")], text), null);
+	});
+
+	test("Should match words inside title words, below prefixes", () => {
+		const index = createSearchIndex();
+		index.add(1, "Write the quarterly report");
+		index.add(2, "Portable speaker");
+
+		const found = index.search(word("port"));
+		assertEqual([...found.keys()].sort().join(","), "1,2");
+		assertEqual(found.get(1).score, 0.3, "Inside a word scores least");
+		assertEqual(
+			matchedParts("Write the quarterly report", found.get(1)),
+			"port",
+			"The part inside the word is highlighted",
+		);
+		assert(found.get(2).score > 0.3, "Prefix ranks above");
+	});
+
+	test("Should match phrases as they are", () => {
+		const text = "Call the e-mail provider";
+		assertEqual(
+			matchedParts(text, matchText([phrase("the e-mail")], text)),
+			"the e-mail",
+		);
+		assertEqual(matchText([phrase("the mail")], text), null);
+		assertEqual(
+			matchText([word("e-mail")], text).score,
+			2,
+			"Words with several parts are phrases",
+		);
+	});
+
+	test("Should rank and update indexed texts", () => {
+		const index = createSearchIndex();
+		index.add(1, "Pay the electricity bill");
+		index.add(2, "Billing report");
+		index.add(3, "Walk the dog");
+
+		const bill = word("bill");
+		const found = index.search(bill);
+		assertEqual([...found.keys()].sort().join(","), "1,2");
+		assert(
+			found.get(1).score > found.get(2).score,
+			"Exact word ranks above prefix",
+		);
+
+		index.add(3, "Pay the water bill");
+		index.remove(2);
+		assertEqual(
+			[...index.search(bill).keys()].sort().join(","),
+			"1,3",
+			"Changes clear earlier results",
+		);
+		assertEqual(index.size(), 2);
+	});
+});
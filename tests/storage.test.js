@@ -0,0 +1,407 @@
+// ================================
+// Storage Adapter Tests
+// ================================
+//
+// Runs the same contract against every registered storage backend.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	createStorage,
+	createJsonFileWriter,
+	storageBackends,
+	StorageError,
+} = require("../storage");
+const { createLogger } = require("../logger");
+const { test, assert, assertEqual, run } = require("./helpers");
+
+const TEST_USER_ID = "storage_test_user";
+
+// Fresh data directory per test so backends never see each other's files
+async function withDataDir(testFn) {
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "todo-storage-"));
+	try {
+		await testFn(dataDir);
+	} finally {
+		fs.rmSync(dataDir, { recursive: true, force: true });
+	}
+}
+
+// A logger keeping its entries, to check the warnings storage logs
+function createTestLogger() {
+	const entries = [];
+	const logger = createLogger({
+		write: (line) => entries.push(JSON.parse(line)),
+	});
+	return { logger, entries };
+}
+
+function makeTodo(id, title, completed = false) {
+	return {
+		id,
+		title,
+		completed,
+		priority: "medium",
+		createdAt: new Date().toISOString(),
+	};
+}
+
+async function runContract(backend) {
+	await test(`[${backend}] Should return null for a user without data`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir);
+			assertEqual(storage.load(TEST_USER_ID), null, "Load should return null");
+		});
+	});
+
+	await test(`[${backend}] Should round-trip todos and nextId`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir);
+			const todos = [makeTodo(0, "First"), makeTodo(1, "Second", true)];
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+
+			// A new adapter instance simulates a server restart
+			const loaded = createStorage(backend, dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.nextId, 2, "nextId should be persisted");
+			assertEqual(loaded.todos.length, 2, "Both todos should be persisted");
+			assertEqual(loaded.todos[1].title, "Second", "Todo order should be kept");
+			assertEqual(loaded.todos[1].completed, true, "Fields should be kept");
+		});
+	});
+
+	await test(`[${backend}] Should persist updates and deletes`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir);
+			const todos = [makeTodo(0, "Keep"), makeTodo(1, "Remove")];
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+
+			todos[0].completed = true;
+			todos.splice(1, 1);
+			todos.push(makeTodo(2, "Added"));
+			await storage.save(TEST_USER_ID, { todos, nextId: 3 });
+
+			const loaded = createStorage(backend, dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.nextId, 3, "nextId should be updated");
+			assertEqual(loaded.todos.length, 2, "Deleted todo should be gone");
+			assertEqual(loaded.todos[0].completed, true, "Update should persist");
+			assertEqual(loaded.todos[1].title, "Added", "New todo should persist");
+		});
+	});
+
+	await test(`[${backend}] Should round-trip metadata alongside todos`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir);
+			const lists = [{ id: 1, name: "Inbox" }];
+			await storage.save(TEST_USER_ID, {
+				todos: [makeTodo(0, "Listed")],
+				nextId: 1,
+				lists,
+				nextListId: 2,
+			});
+
+			lists.push({ id: 2, name: "Work" });
+			await storage.save(TEST_USER_ID, {
+				todos: [makeTodo(0, "Listed")],
+				nextId: 1,
+				lists,
+				nextListId: 3,
+			});
+
+			const loaded = createStorage(backend, dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.lists.length, 2, "Metadata changes should persist");
+			assertEqual(loaded.lists[1].name, "Work", "Metadata should be intact");
+			assertEqual(loaded.nextListId, 3, "All metadata fields should persist");
+		});
+	});
+
+	await test(`[${backend}] Should keep users isolated`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir);
+			await storage.save(TEST_USER_ID, {
+				todos: [makeTodo(0, "Mine")],
+				nextId: 1,
+			});
+
+			assertEqual(
+				storage.load("another_user_id"),
+				null,
+				"Other users should not see the data",
+			);
+		});
+	});
+
+	await test(`[${backend}] Should recover a corrupt file from its last good copy`, async () => {
+		await withDataDir(async (dataDir) => {
+			// Small compaction threshold so the log store also rotates a backup
+			const storage = createStorage(backend, dataDir, {
+				compactionThreshold: 1,
+			});
+			const todos = [makeTodo(0, "Safe")];
+			for (let i = 0; i < 6; i++) {
+				todos[0].completed = !todos[0].completed;
+				await storage.save(TEST_USER_ID, { todos, nextId: 1 });
+			}
+
+			// Simulate a corrupted live file
+			const userFile = path.join(dataDir, `todos_${TEST_USER_ID}.${backend}`);
+			fs.writeFileSync(userFile, "{ not json\n{ not json either\n");
+
+			const { logger, entries } = createTestLogger();
+			const results = createStorage(backend, dataDir, { logger }).recover();
+			assertEqual(results.length, 1, "Recovery should check the user");
+			assertEqual(results[0].ok, true, "Recovery should succeed");
+			assertEqual(entries[0].level, "warn", "Recovery should be logged");
+			assertEqual(
+				entries[0].file,
+				`todos_${TEST_USER_ID}.${backend}`,
+				"The warning should name the file",
+			);
+
+			const loaded = createStorage(backend, dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.todos.length, 1, "Backup data should be restored");
+			assertEqual(loaded.todos[0].title, "Safe", "Backup should be intact");
+		});
+	});
+
+	await test(`[${backend}] Should fail loudly when no good copy exists`, async () => {
+		await withDataDir(async (dataDir) => {
+			const userFile = path.join(dataDir, `todos_${TEST_USER_ID}.${backend}`);
+			fs.writeFileSync(userFile, "{ not json\n{ not json either\n");
+
+			let error = null;
+			try {
+				createStorage(backend, dataDir).load(TEST_USER_ID);
+			} catch (err) {
+				error = err;
+			}
+			assert(error instanceof StorageError, "Should throw a StorageError");
+			assert(fs.existsSync(userFile), "Corrupt file should be kept");
+		});
+	});
+
+	await test(`[${backend}] Should not leave temporary files behind`, async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage(backend, dataDir, { fsync: true });
+			await storage.save(TEST_USER_ID, {
+				todos: [makeTodo(0, "A")],
+				nextId: 1,
+			});
+			await storage.save(TEST_USER_ID, { todos: [], nextId: 1 });
+
+			const leftovers = fs
+				.readdirSync(dataDir)
+				.filter((file) => file.endsWith(".tmp"));
+			assertEqual(leftovers.length, 0, "No .tmp files should remain");
+		});
+	});
+}
+
+run("Storage Adapter Tests", async () => {
+	for (const backend of Object.keys(storageBackends)) {
+		await runContract(backend);
+	}
+
+	await test("[log] Should append changes instead of rewriting the log", async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage("log", dataDir);
+			const todos = [makeTodo(0, "One"), makeTodo(1, "Two")];
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			const before = fs.readFileSync(logFile, "utf8").trim().split("\n");
+
+			todos[1].completed = true;
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+
+			const after = fs.readFileSync(logFile, "utf8").trim().split("\n");
+			assertEqual(after.length, before.length + 1, "One line per change");
+			assert(after[after.length - 1].includes('"id":1'), "Should log todo 1");
+		});
+	});
+
+	await test("[log] Should compact the log once it grows too long", async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage("log", dataDir, { compactionThreshold: 5 });
+			const todos = [makeTodo(0, "Toggled")];
+			await storage.save(TEST_USER_ID, { todos, nextId: 1 });
+
+			for (let i = 0; i < 20; i++) {
+				todos[0].completed = !todos[0].completed;
+				await storage.save(TEST_USER_ID, { todos, nextId: 1 });
+			}
+
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			const lines = fs.readFileSync(logFile, "utf8").trim().split("\n");
+			assert(lines.length <= 8, `Log should be compacted, has ${lines.length}`);
+
+			const loaded = createStorage("log", dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.todos[0].completed, false, "State should survive");
+		});
+	});
+
+	await test("[log] Should drop a torn final entry after a crash", async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage("log", dataDir);
+			await storage.save(TEST_USER_ID, {
+				todos: [makeTodo(0, "Kept")],
+				nextId: 1,
+			});
+
+			// A crash mid-append leaves a partial line without a newline
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			fs.appendFileSync(logFile, '{"op":"put","todo":{"id":1,"ti');
+
+			const { logger, entries } = createTestLogger();
+			const reloaded = createStorage("log", dataDir, { logger });
+			const loaded = reloaded.load(TEST_USER_ID);
+			assertEqual(loaded.todos.length, 1, "Partial entry should be ignored");
+			assertEqual(entries.length, 1, "The partial entry is logged");
+
+			loaded.todos.push(makeTodo(2, "After crash"));
+			await reloaded.save(TEST_USER_ID, { todos: loaded.todos, nextId: 3 });
+
+			const final = createStorage("log", dataDir).load(TEST_USER_ID);
+			assertEqual(final.todos.length, 2, "Later appends should be readable");
+		});
+	});
+
+	await test("[log] Should keep the entries before a corrupt one", async () => {
+		await withDataDir(async (dataDir) => {
+			const storage = createStorage("log", dataDir);
+			const todos = [makeTodo(0, "First")];
+			await storage.save(TEST_USER_ID, { todos, nextId: 1 });
+			todos.push(makeTodo(1, "Second"));
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+			todos.push(makeTodo(2, "Third"));
+			await storage.save(TEST_USER_ID, { todos, nextId: 3 });
+
+			// Damage the entry that added the third todo, keeping the lines after it
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			const lines = fs.readFileSync(logFile, "utf8").split("\n");
+			const damaged = lines.findIndex((line) => line.includes("Third"));
+			lines[damaged] = lines[damaged].slice(0, 20);
+			fs.writeFileSync(logFile, lines.join("\n"));
+
+			const { logger, entries } = createTestLogger();
+			const reloaded = createStorage("log", dataDir, { logger });
+			const loaded = reloaded.load(TEST_USER_ID);
+			assertEqual(loaded.todos.length, 2, "Entries before it should be kept");
+			assertEqual(loaded.nextId, 2, "nextId should match the kept todos");
+			assertEqual(entries[0].dropped, 2, "The dropped entries are logged");
+			assert(
+				fs.readFileSync(`${logFile}.corrupt`, "utf8").includes('"nextId":3'),
+				"Dropped entries should be set aside",
+			);
+
+			loaded.todos.push(makeTodo(2, "Again"));
+			await reloaded.save(TEST_USER_ID, { todos: loaded.todos, nextId: 3 });
+
+			const final = createStorage("log", dataDir).load(TEST_USER_ID);
+			assertEqual(final.todos.length, 3, "Later appends should be readable");
+			assertEqual(final.todos[2].title, "Again", "The log should be intact");
+		});
+	});
+
+	await test("[log] Should only keep snapshots of loaded users", async () => {
+		await withDataDir(async (dataDir) => {
+			const todos = [makeTodo(0, "One"), makeTodo(1, "Two")];
+			await createStorage("log", dataDir).save(TEST_USER_ID, {
+				todos,
+				nextId: 2,
+			});
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			const countLines = () =>
+				fs.readFileSync(logFile, "utf8").trim().split("\n").length;
+
+			// Without a snapshot a save rewrites the log as todos plus metadata
+			const storage = createStorage("log", dataDir);
+			storage.recover();
+			todos[0].completed = true;
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+			assertEqual(countLines(), 3, "Recovery should keep no snapshot");
+
+			storage.load(TEST_USER_ID);
+			todos[1].completed = true;
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+			assertEqual(countLines(), 4, "A loaded user's changes are appended");
+
+			storage.evict(TEST_USER_ID);
+			todos[1].completed = false;
+			await storage.save(TEST_USER_ID, { todos, nextId: 2 });
+			assertEqual(countLines(), 3, "Evicted users start over from a rewrite");
+		});
+	});
+
+	await test("[log] Should read nextId entries written by older versions", async () => {
+		await withDataDir(async (dataDir) => {
+			const logFile = path.join(dataDir, `todos_${TEST_USER_ID}.log`);
+			fs.writeFileSync(
+				logFile,
+				[
+					JSON.stringify({ op: "put", todo: makeTodo(4, "Old") }),
+					JSON.stringify({ op: "nextId", nextId: 5 }),
+				].join("\n") + "\n",
+			);
+
+			const loaded = createStorage("log", dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.nextId, 5, "nextId should be read");
+			assertEqual(loaded.todos[0].title, "Old", "Todos should be read");
+		});
+	});
+
+	await test("[log] Should read data written by the JSON store", async () => {
+		await withDataDir(async (dataDir) => {
+			await createStorage("json", dataDir).save(TEST_USER_ID, {
+				todos: [makeTodo(0, "Legacy")],
+				nextId: 1,
+			});
+
+			const loaded = createStorage("log", dataDir).load(TEST_USER_ID);
+			assertEqual(loaded.todos[0].title, "Legacy", "Should load legacy data");
+		});
+	});
+
+	await test("Should write JSON files in order, past a failed write", async () => {
+		await withDataDir(async (dataDir) => {
+			const file = path.join(dataDir, "shares.json");
+			const writer = createJsonFileWriter(file, { fsync: false });
+			const data = { grants: ["first"] };
+			const first = writer.write(data);
+			data.grants = ["second"];
+			const second = writer.write(data);
+			await Promise.all([first, second]);
+			assertEqual(
+				JSON.parse(fs.readFileSync(file, "utf8")).grants.join(),
+				"second",
+				"The last write should win",
+			);
+
+			// A directory in the way makes the next write fail
+			fs.mkdirSync(`${file}.tmp`);
+			const failed = writer.write({ grants: ["lost"] });
+			const failedError = await failed.then(
+				() => null,
+				(error) => error,
+			);
+			assert(failedError, "The failed write should reject");
+			fs.rmdirSync(`${file}.tmp`);
+			await writer.write({ grants: ["third"] });
+			assertEqual(
+				JSON.parse(fs.readFileSync(file, "utf8")).grants.join(),
+				"third",
+				"Later writes should still happen",
+			);
+		});
+	});
+
+	await test("Should reject unknown storage backends", () => {
+		let error = null;
+		try {
+			createStorage("floppy", os.tmpdir());
+		} catch (err) {
+			error = err;
+		}
+		assert(error, "Unknown backend should throw");
+	});
+});